@@ -1,4 +1,45 @@
 // Spaghetti Diagram Application
+
+// Current project file format (see migrateProjectData for older versions)
+const PROJECT_FILE_VERSION = 3;
+// Marks copied items on the system clipboard (a JSON diagram fragment) so another tab can paste them
+const CLIPBOARD_FORMAT = 'spaghetti-diagram/items';
+// Zone types understood by drawing, routing and import validation. `cost` is the default auto-routing
+// multiplier for cells inside the zone (Infinity = impassable); a zone's own costMultiplier overrides it.
+const ZONE_TYPES = {
+    safe:       { label: 'Safe zone',    fill: 'rgba(0,160,0,0.18)',  stroke: 'rgba(0,110,0,0.9)',  cost: 1 },
+    restricted: { label: 'No-go zone',   fill: 'rgba(220,0,0,0.18)',  stroke: 'rgba(160,0,0,0.9)',  cost: Infinity },
+    storage:    { label: 'Storage zone', fill: 'rgba(0,90,220,0.16)', stroke: 'rgba(0,60,170,0.9)', cost: 1.5 },
+    work:       { label: 'Work area',    fill: 'rgba(230,180,0,0.2)', stroke: 'rgba(160,120,0,0.9)', cost: 2 }
+};
+// Earlier versions called safe zones "green"
+const ZONE_TYPE_ALIASES = { green: 'safe' };
+// Object footprint presets: corners as fractions of the object's width/height, before rotation
+const FOOTPRINT_PRESETS = {
+    L:       { label: 'L-shape', points: [[0,0],[0.5,0],[0.5,0.5],[1,0.5],[1,1],[0,1]] },
+    U:       { label: 'U-shape', points: [[0,0],[0.3,0],[0.3,0.6],[0.7,0.6],[0.7,0],[1,0],[1,1],[0,1]] },
+    T:       { label: 'T-shape', points: [[0,0],[1,0],[1,0.4],[0.65,0.4],[0.65,1],[0.35,1],[0.35,0.4],[0,0.4]] },
+    octagon: { label: 'Octagon', points: [[0.3,0],[0.7,0],[1,0.3],[1,0.7],[0.7,1],[0.3,1],[0,0.7],[0,0.3]] }
+};
+// Built-in layers, bottom to top in drawing order. Items of a kind always sit on its category layer and may
+// additionally belong to one user layer (item.layerId); both layers' visibility, lock and opacity apply.
+const LAYER_CATEGORIES = [
+    { id: 'background', name: 'Background' },
+    { id: 'zones',      name: 'Zones',     kind: 'zone' },
+    { id: 'obstacles',  name: 'Obstacles', kind: 'obstacle' },
+    { id: 'paths',      name: 'Paths',     kind: 'path' },
+    { id: 'objects',    name: 'Objects',   kind: 'object' },
+    { id: 'measurements', name: 'Measurements', kind: 'measurement' },
+    { id: 'annotations', name: 'Annotations', kind: 'annotation' }
+];
+// Annotation types: free-text notes, callouts (text box with an arrow to a spot) and kaizen bursts marking
+// problem spots. `text` and `color` are what a new one starts with.
+const ANNOTATION_TYPES = {
+    note:    { label: 'Note',         text: 'Note',    color: '#fff59d' },
+    callout: { label: 'Callout',      text: 'Callout', color: '#ffffff' },
+    kaizen:  { label: 'Kaizen burst', text: 'Kaizen',  color: '#ffd54f' }
+};
+
 class SpaghettiDiagramApp {
     constructor() {
         this.canvas = document.getElementById('workspaceCanvas');
@@ -13,12 +54,44 @@ class SpaghettiDiagramApp {
         this.paths = [];
         this.obstacles = [];
         this.zones = [];
+        this.annotations = []; // notes, callouts and kaizen bursts (see the Annotations section)
+        this.measurements = []; // dimension lines and areas: [{ id, kind:'distance'|'area', points }] – labels follow the current scale
+        this.groups = []; // named groups: [{ id, name, memberIds }] – an item belongs to at most one
+        this.layers = []; // user layers: [{ id, name }]; items join one through `layerId`
+        this.layerState = {}; // per layer id (built-in or user): { visible, locked, opacity } – view state, not undone
+        this.activeLayerId = null; // user layer that newly drawn items are put on
+        this.selectedItems = []; // multi-selection (2+ items of any kind); a single item uses selectedObject/Zone/Obstacle/Path
+        this.marquee = null; // Shift-drag rubber band { x0, y0, x1, y1, additive }
         this.backgroundImage = null;
         this.backgroundPdfPageCanvas = null; // offscreen canvas for rendered PDF page
-        this.backgroundTransform = { rotation: 0, flipH: false, flipV: false };
+        this.backgroundVector = null; // SVG/DXF drawing: { kind, units, unitFactor, width, height, layers, entities } in background-rect px
+        // Multi-page PDF: the loaded pdf.js document and per-page diagram state (objects, paths, calibration, view)
+        this.pdfDocument = null;
+        this.pdfPageCount = 0;
+        this.currentPdfPage = null; // 1-based page number while a PDF is the background
+        this.pageStates = {}; // { [pageNumber]: { diagram, scale, view, backgroundTransform, backgroundRect, history } }
+        this._pdfPageCache = new Map(); // pageNumber -> { canvas, scale, bytes } base raster (small LRU)
+        this._pdfPageBytes = 0;
+        // Zoom detail: visible region re-rendered as tiles at the current zoom level. Tiles and the cached page
+        // rasters share one memory budget (evictPdfCache).
+        this.pdfTileSize = 512; // device px per tile edge
+        this.pdfTileCacheLimitBytes = 96 * 1024 * 1024;
+        this._pdfTileCache = new Map(); // key -> { canvas, bytes }
+        this._pdfTileBytes = 0;
+        this._pdfTileQueue = [];
+        this._pdfTileBusy = false;
+        this._pdfBaseScale = 1; // pdf.js viewport scale of the base raster for the current page
+        this.backgroundTransform = { rotation: 0, flipH: false, flipV: false }; // rotation in degrees, any angle; optional warp
+        this.alignMoveItems = true; // realigning the background carries the diagram along
+        this.georef = { active: false, type: 'affine', points: [] }; // control point session
+        this.extraction = { active: false, proposals: [], threshold: null, highlightId: null }; // obstacle proposals under review
+        this._warpCache = null; // perspective-warped background raster
         // New: persistent world-space rectangle for background (image or pdf page)
         this.backgroundRect = null; // { x, y, width, height } in world coords
         this.selectedObject = null;
+        this.selectedAnnotation = null;
+        this.selectedMeasurement = null;
+        this.currentMeasurement = null; // measure tool draft (shares the polygon drafting of zones/obstacles)
         this.currentPath = [];
         this.currentObstacle = null;
         this.currentZone = null;
@@ -37,6 +110,7 @@ class SpaghettiDiagramApp {
         this.selectedPath = null;
         this.selectedEndpoint = null; // 'start' or 'end'
         this.isDraggingEndpoint = false;
+        this.pathVertexEdit = null; // path whose points are being edited (see getVertexEditPath)
         
         // Mouse state
         this.mousePos = { x: 0, y: 0 };
@@ -51,7 +125,22 @@ class SpaghettiDiagramApp {
         // Accessibility / help modal state
         this._lastFocusedBeforeHelp = null;
         this._helpFocusHandler = null;
-        
+
+        // Project persistence (IndexedDB)
+        this.currentProjectId = null;
+        this.currentProjectName = 'Untitled Project';
+        this._projectCreatedAt = null;
+        this.backgroundSource = null; // { kind:'image'|'pdf'|'svg'|'dxf', name, mimeType, data:ArrayBuffer, options? } kept so the background can be saved
+        this._backgroundDirty = false; // background bytes only rewritten when they change
+        this._autosaveTimer = null;
+        this._restoringProject = false; // suppresses autosave while a project is being applied
+
+        // Undo/redo history: snapshots of the diagram content taken after each committed change
+        this.historyLimit = 100;
+        this._undoStack = []; // [{ label, state }] where state is the serialized diagram BEFORE the change
+        this._redoStack = [];
+        this._historyBaseline = null; // serialized diagram as of the last commit
+
         // Predefined object templates
         this.objectTemplates = [
             {name: "Desk", width: 60, height: 30, color: "#8B4513"},
@@ -80,10 +169,19 @@ class SpaghettiDiagramApp {
         // Default scale settings
         this.units = 'ft'; // 'ft' or 'm'
         this.unitsPerPixel = 0; // real-world units per pixel (0 = undefined)
+        this.scaleX = 0; // per-axis units per pixel from the calibration fit (equal unless the drawing is stretched)
+        this.scaleY = 0;
+        this.calibrationRefs = []; // reference lines [{id, a, b, real}] the scale was fitted to
+        this.calibrationUniform = false; // force one scale for both axes
+        this.showScaleBar = true;
         this.stepsPerUnit = 0; // steps per unit (e.g., 0.4 steps/ft)
         this.gridCellUnits = 1; // default 1 unit per grid cell
+        this.snapToGrid = false; // snap placement, resizing and drawing to grid intersections
+        this.alignGuides = true; // line dragged items up with other objects' edges/centres
+        this.alignGuideLines = []; // guides shown during the current drag
         this.isCalibrating = false;
         this.calibrationPoints = [];
+        this._calibrationDraft = [];
         
         // Initialize viewport with proper defaults BEFORE loading from storage
         this.zoom = 1;
@@ -110,6 +208,19 @@ class SpaghettiDiagramApp {
         
         this.initAutoPathUI();
     this.initPathSidePanel();
+        this.initHistoryUI();
+        this.initPdfPagesUI();
+        this.initTravelMatrixUI();
+        this.initHeatmapUI();
+        this.initScenariosUI();
+        this.initOptimizerUI();
+        this.initSelectionUI();
+        this.initSnapUI();
+        this.initAlignmentUI();
+        this.initExtractionUI();
+        this.initLayersUI();
+        // Restore last open project (async; workspace stays usable meanwhile)
+        this.initProjects();
     }
     
     setLoading(isLoading, message) {
@@ -234,6 +345,7 @@ class SpaghettiDiagramApp {
         if (gridCellUnitsInput) gridCellUnitsInput.addEventListener('change', (e) => { this.gridCellUnits = Math.max(0.01, parseFloat(e.target.value) || 1); this.render(); persist(); });
         if (calibrateBtn) calibrateBtn.addEventListener('click', () => this.beginCalibration());
         if (resetScaleBtn) resetScaleBtn.addEventListener('click', () => { this.resetScale(); persist(); });
+        document.getElementById('showScaleBar')?.addEventListener('change', (e) => { this.showScaleBar = e.target.checked; this.render(); persist(); });
         if (toggleCalLineChk) toggleCalLineChk.addEventListener('change', () => {
             this.showCalibrationLine = !!toggleCalLineChk.checked;
             this.render();
@@ -290,9 +402,12 @@ class SpaghettiDiagramApp {
         }, { passive: false });
         
         
-        // Action buttons
-        document.getElementById('clearAll').addEventListener('click', this.clearAll.bind(this));
-        document.getElementById('exportData').addEventListener('click', this.exportData.bind(this));
+        // Clear All / Export are handled by the delegated header click handler above
+        const exportImageBtn = document.getElementById('exportImage');
+        if (exportImageBtn) exportImageBtn.addEventListener('click', () => this.exportImage());
+        document.querySelectorAll('[data-metrics-export]').forEach(btn => btn.addEventListener('click', () => this.exportMetrics(btn.dataset.metricsExport)));
+        const importInput = document.getElementById('importData');
+        if (importInput) importInput.addEventListener('change', this.handleImport.bind(this));
         
         // Modal events
         this.setupModalEvents();
@@ -339,6 +454,12 @@ class SpaghettiDiagramApp {
         document.getElementById('closeObjectModal').addEventListener('click', this.closeObjectModal.bind(this));
         document.getElementById('deleteObject').addEventListener('click', this.deleteSelectedObject.bind(this));
         document.getElementById('objectForm').addEventListener('submit', this.updateObjectMetadata.bind(this));
+        document.getElementById('addAccessPoint')?.addEventListener('click', () => {
+            const list = document.getElementById('objectAccessList');
+            const row = this.createAccessPointRow({ id: null, name: `Point ${list.children.length + 1}`, x: 0.5, y: 1 });
+            list.appendChild(row);
+            row.querySelector('input').focus();
+        });
         
         // Delete Confirmation Modal
         document.getElementById('closeDeleteModal').addEventListener('click', this.closeDeleteModal.bind(this));
@@ -352,6 +473,23 @@ class SpaghettiDiagramApp {
         if (closeZone) closeZone.addEventListener('click', this.closeZoneModal.bind(this));
         if (deleteZoneBtn) deleteZoneBtn.addEventListener('click', this.deleteSelectedZone.bind(this));
         if (zoneForm) zoneForm.addEventListener('submit', this.saveZoneMetadata.bind(this));
+        const zoneTypeSel = document.getElementById('zoneType');
+        if (zoneTypeSel) zoneTypeSel.addEventListener('change', () => this.updateZoneCostInput());
+
+        // Annotation modal
+        document.getElementById('closeAnnotationModal')?.addEventListener('click', () => this.closeAnnotationModal());
+        document.getElementById('deleteAnnotation')?.addEventListener('click', () => this.deleteSelectedAnnotation());
+        document.getElementById('annotationForm')?.addEventListener('submit', (e) => this.saveAnnotationMetadata(e));
+        // Switching the type swaps in its default fill unless a custom colour was picked
+        const annotationKindSel = document.getElementById('annotationKind');
+        if (annotationKindSel) annotationKindSel.addEventListener('change', () => {
+            const colorEl = document.getElementById('annotationColor');
+            if (colorEl && Object.values(ANNOTATION_TYPES).some(t => t.color === colorEl.value)) colorEl.value = ANNOTATION_TYPES[annotationKindSel.value].color;
+        });
+        // Obstacle shape picker (shown with the obstacle tool); switching shape drops a half-drawn obstacle
+        const obstacleShapeSel = document.getElementById('obstacleShape');
+        if (obstacleShapeSel) obstacleShapeSel.addEventListener('change', () => { this.currentObstacle = null; this.isDrawing = false; this.render(); });
+        document.getElementById('measureKind')?.addEventListener('change', () => { this.currentMeasurement = null; this.isDrawing = false; this.render(); });
         
         // Calibration modal
         const calibModal = document.getElementById('calibrateModal');
@@ -359,11 +497,31 @@ class SpaghettiDiagramApp {
         const cancelCalib = document.getElementById('cancelCalibration');
         const confirmCalib = document.getElementById('confirmCalibration');
         const redoCalib = document.getElementById('redoCalibration');
-        if (closeCalib) closeCalib.addEventListener('click', this.closeCalibrateModal.bind(this));
-        if (cancelCalib) cancelCalib.addEventListener('click', this.closeCalibrateModal.bind(this));
-        if (redoCalib) redoCalib.addEventListener('click', () => { this.calibrationPoints = []; this.updateCalibrateInfo(0); this.closeCalibrateModal(); this.beginCalibration(); });
+        if (closeCalib) closeCalib.addEventListener('click', this.cancelCalibrateModal.bind(this));
+        if (cancelCalib) cancelCalib.addEventListener('click', this.cancelCalibrateModal.bind(this));
+        if (redoCalib) redoCalib.addEventListener('click', () => { this.calibrationPoints = []; this.updateCalibrateInfo(0); this.closeCalibrateModal(); this.beginCalibration(true); });
         if (confirmCalib) confirmCalib.addEventListener('click', this.applyCalibrationFromModal.bind(this));
-        if (calibModal) calibModal.addEventListener('click', (e) => { if (e.target.classList.contains('modal')) this.closeCalibrateModal(); });
+        document.getElementById('addCalibrationRef')?.addEventListener('click', () => this.addCalibrationReference());
+        document.getElementById('calibrateDistance')?.addEventListener('input', () => this.renderCalibrationRefs());
+        document.getElementById('calibrateUniform')?.addEventListener('change', () => this.renderCalibrationRefs());
+
+        // Import modal
+        const importModal = document.getElementById('importModal');
+        const closeImport = document.getElementById('closeImportModal');
+        const cancelImport = document.getElementById('cancelImport');
+        const confirmImport = document.getElementById('confirmImport');
+        if (closeImport) closeImport.addEventListener('click', this.closeImportModal.bind(this));
+        if (cancelImport) cancelImport.addEventListener('click', this.closeImportModal.bind(this));
+        if (confirmImport) confirmImport.addEventListener('click', this.confirmImport.bind(this));
+        if (importModal) importModal.addEventListener('click', (e) => { if (e.target === importModal) this.closeImportModal(); });
+        if (calibModal) calibModal.addEventListener('click', (e) => { if (e.target.classList.contains('modal')) this.cancelCalibrateModal(); });
+
+        // Vector drawing import modal
+        const vectorModal = document.getElementById('vectorImportModal');
+        document.getElementById('closeVectorImportModal')?.addEventListener('click', () => this.closeVectorImport());
+        document.getElementById('cancelVectorImport')?.addEventListener('click', () => this.closeVectorImport());
+        document.getElementById('confirmVectorImport')?.addEventListener('click', () => this.confirmVectorImport());
+        if (vectorModal) vectorModal.addEventListener('click', (e) => { if (e.target === vectorModal) this.closeVectorImport(); });
         
         // Close modals on backdrop click
         document.getElementById('pathModal').addEventListener('click', (e) => {
@@ -382,14 +540,38 @@ class SpaghettiDiagramApp {
             const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
             const helpModal = document.getElementById('helpModal');
             const helpOpen = helpModal && !helpModal.classList.contains('hidden');
-            const anyOtherModalOpen = ['pathModal','objectModal','calibrateModal','deleteModal'].some(id => { const el = document.getElementById(id); return el && !el.classList.contains('hidden'); });
+            const anyOtherModalOpen = ['pathModal','objectModal','calibrateModal','deleteModal','projectsModal','importModal','scenarioCompareModal','optimizerModal','annotationModal','vectorImportModal'].some(id => { const el = document.getElementById(id); return el && !el.classList.contains('hidden'); });
             
+            // Undo / redo (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl/Cmd+Y)
+            if (!isTyping && !anyOtherModalOpen && (e.ctrlKey || e.metaKey) && !e.altKey) {
+                const k = e.key.toLowerCase();
+                if (k === 'z' || k === 'y') {
+                    e.preventDefault();
+                    if (k === 'y' || e.shiftKey) this.redo(); else this.undo();
+                    return;
+                }
+                if (k === 'a' || k === 'd' || k === 'g') {
+                    e.preventDefault();
+                    if (k === 'a') { this.setTool('select'); this.setSelection([...this.zones, ...this.obstacles, ...this.paths, ...this.objects, ...this.measurements, ...this.annotations].filter(it => this.isItemInteractive(it))); this.render(); }
+                    else if (k === 'd') this.duplicateSelection();
+                    else if (e.shiftKey) this.ungroupSelection();
+                    else this.createGroupFromSelection();
+                    return;
+                }
+            }
+
             // Tool shortcuts (ignore while typing inside form fields or when other modals are open)
-            if (!isTyping && !anyOtherModalOpen) {
+            if (!isTyping && !anyOtherModalOpen && !e.ctrlKey && !e.metaKey) {
                 if (['s','S'].includes(e.key)) { this.setTool('select'); }
                 else if (['p','P'].includes(e.key)) { this.setTool('path'); }
                 else if (['o','O'].includes(e.key)) { this.setTool('obstacle'); }
+                else if (['t','T'].includes(e.key)) { this.setTool('annotate'); }
+                else if (['m','M'].includes(e.key)) { this.setTool('measure'); }
+                else if (['g','G'].includes(e.key)) { this.setTool('polygonZone'); }
                 else if (['d','D'].includes(e.key)) { this.setTool('delete'); }
+                else if (['e','E'].includes(e.key) && this.currentTool === 'select' && this.selectedPath) { this.togglePathVertexEdit(); }
+                else if (e.key === 'PageDown' && this.pdfDocument) { e.preventDefault(); this.goToPdfPage((this.currentPdfPage || 1) + 1); }
+                else if (e.key === 'PageUp' && this.pdfDocument) { e.preventDefault(); this.goToPdfPage((this.currentPdfPage || 1) - 1); }
                 else if (e.key === '?') { // Toggle help
                     e.preventDefault();
                     if (helpOpen) this.closeHelpModal(); else this.openHelpModal();
@@ -397,25 +579,54 @@ class SpaghettiDiagramApp {
                 }
             }
 
+            // Polygon zone/obstacle in progress: Enter closes it, Backspace removes the last vertex
+            const draftKey = this.getPolygonDraftKey();
+            if (!isTyping && draftKey && this[draftKey] && (e.key === 'Enter' || e.key === 'Backspace')) {
+                e.preventDefault();
+                if (e.key === 'Enter') this.finalizePolygonDraft();
+                else { this[draftKey].points.pop(); if (!this[draftKey].points.length) { this[draftKey] = null; this.isDrawing = false; } this.render(); }
+                return;
+            }
+
             if (e.key === 'Escape') {
                 // If help open, close and return
                 if (helpOpen) { this.closeHelpModal(); return; }
+                if (this.georef.active) { this.cancelGeoreference(); return; }
+                if (this.extraction.active) { this.cancelExtraction(); return; }
                 // Cancel drawing first if applicable
                 if (this.isDrawing) {
                     this.isDrawing = false;
                     this.currentPath = [];
                     this.currentObstacle = null;
+                    this.currentZone = null;
+                    this.currentMeasurement = null;
                     this.render();
                 }
+                if (this.selectedVertex) { this.selectedVertex = null; this.render(); }
+                else if (this.getVertexEditPath()) this.togglePathVertexEdit();
+                if (this.selectedItems.length || this.marquee) { this.marquee = null; this.setSelection([]); this.render(); }
                 // Existing modal closures
                 this.closePathModal();
                 this.closeObjectModal();
+                this.closeAnnotationModal();
                 this.closeDeleteModal();
-                this.closeCalibrateModal();
+                this.cancelCalibrateModal();
+                this.closeProjectsModal();
+                this.closeImportModal();
+                this.closeVectorImport();
+                this.closeScenarioCompare();
+                if (!this._optimizerWorker) this.closeOptimizer();
+                this.clearPathHighlight();
             } else if ((e.key === 'Delete' || e.key === 'Backspace') && !isTyping) {
+                // A selected polygon vertex is removed on its own, without the confirmation dialog
+                if (this.selectedVertex && this.selectedVertex.item === (this.selectedObject || this.selectedZone || this.selectedObstacle)) { e.preventDefault(); this.deleteVertex(); return; }
+                if (this.selectedVertex && this.selectedVertex.item === this.getVertexEditPath()) { e.preventDefault(); this.deletePathVertex(); return; }
+                if (this.selectedItems.length > 1) { e.preventDefault(); this.deleteSelection(); return; }
                 // Support deleting whichever entity is currently selected
                 let selType = null; let selItem = null;
                 if (this.selectedObject) { selType = 'object'; selItem = this.selectedObject; }
+                else if (this.selectedAnnotation) { selType = 'annotation'; selItem = this.selectedAnnotation; }
+                else if (this.selectedMeasurement) { selType = 'measurement'; selItem = this.selectedMeasurement; }
                 else if (this.selectedZone) { selType = 'zone'; selItem = this.selectedZone; }
                 else if (this.selectedObstacle) { selType = 'obstacle'; selItem = this.selectedObstacle; }
                 else if (this.selectedPath) { selType = 'path'; selItem = this.selectedPath; }
@@ -497,6 +708,9 @@ class SpaghettiDiagramApp {
         this.isResizing = false;
         this.currentPath = [];
         this.currentObstacle = null;
+        this.currentZone = null;
+        this.currentMeasurement = null;
+        this.pathVertexEdit = null;
         
         // Clear delete mode state when switching tools
         this.hoveredDeleteItem = null;
@@ -521,6 +735,11 @@ class SpaghettiDiagramApp {
     // Clear any previously set inline cursor so CSS class cursor applies (needed for custom path cursor)
     this.canvas.style.cursor = '';
         
+        const shapeOptions = document.getElementById('obstacleShapeOptions');
+        if (shapeOptions) shapeOptions.classList.toggle('hidden', tool !== 'obstacle');
+        document.getElementById('annotationTypeOptions')?.classList.toggle('hidden', tool !== 'annotate');
+        document.getElementById('measureKindOptions')?.classList.toggle('hidden', tool !== 'measure');
+        
         const canvasContainer = document.querySelector('.canvas-container');
         canvasContainer.classList.remove('delete-mode');
         if (tool === 'delete') {
@@ -531,14 +750,17 @@ class SpaghettiDiagramApp {
         const infoText = {
             select: 'Click and drag to move objects. Double-click to edit properties. Press Delete key to delete selected objects.',
             path: 'Click and drag to draw walking paths between objects.',
-            zone: 'Click and drag to draw a rectangular zone (Green or Restricted). Double-click to edit properties.',
-            obstacle: 'Click and drag to create obstacle/off-limits zones.',
-            delete: 'Click on an object, path, zone, or obstacle to delete it. A confirmation dialog will appear.'
+            zone: 'Click and drag to draw a rectangular zone. Double-click a zone to set its type and routing cost.',
+            polygonZone: 'Click to place corners, then double-click, press Enter or click the first corner to close. Drag from the first point to draw freehand.',
+            obstacle: 'Rectangle: click and drag. Circle: drag out from the centre. Polygon: click corners, then double-click or press Enter. Select an obstacle to resize or rotate it.',
+            annotate: 'Click to place a note, callout or kaizen burst. Click on an object or path to link it so it follows that item.',
+            measure: 'Click points to measure; double-click or press Enter to finish. Area mode closes the outline. Labels use the calibrated scale.',
+            delete: 'Click on an object, path, zone, obstacle or annotation to delete it. A confirmation dialog will appear.'
         };
         document.getElementById('canvasInfo').textContent = infoText[tool] || 'Select a tool to begin.';
 
         // Active tool indicator (aria-live)
-        const toolKeyMap = { select: 'S', path: 'P', obstacle: 'O', delete: 'D' };
+        const toolKeyMap = { select: 'S', path: 'P', polygonZone: 'G', obstacle: 'O', annotate: 'T', measure: 'M', delete: 'D' };
         const indicator = document.getElementById('activeToolIndicator');
         if (indicator) indicator.textContent = `Active Tool: ${tool.charAt(0).toUpperCase()+tool.slice(1)} (${toolKeyMap[tool] || ''})`;
         
@@ -603,7 +825,7 @@ class SpaghettiDiagramApp {
         const template = this.objectTemplates.find(t => t.name === objectType);
         const x = template ? worldX - template.width / 2 : worldX;
         const y = template ? worldY - template.height / 2 : worldY;
-        this.addObject(objectType, x, y);
+        this.addObject(objectType, this.snapValue(x), this.snapValue(y));
         // Clear dragging state
         this._draggingObjectType = null;
     }
@@ -628,7 +850,7 @@ class SpaghettiDiagramApp {
         };
         
         console.log('[DEBUG] Created object:', obj);
-        this.objects.push(obj);
+        this.objects.push(this.assignActiveLayer(obj));
         console.log('[DEBUG] Objects array now has length:', this.objects.length);
         this.selectedObject = obj;
         this.setTool('select'); // Switch to select tool after adding object
@@ -636,6 +858,7 @@ class SpaghettiDiagramApp {
         this.render();
 
         this.refreshAutoPathSelects();
+        this.commitChange('Add object');
     }
     
     async handleBackgroundUpload(e) {
@@ -646,11 +869,26 @@ class SpaghettiDiagramApp {
             inputEl.value = '';
             return;
         }
+        // Vector drawings open the import dialog first; the current background stays until it is confirmed
+        if (this.isVectorFile(file)) {
+            try { await this.openVectorImport(file); }
+            catch (err) {
+                console.error('[Upload] Failed to read drawing:', err);
+                this.showInfoMessage(`Failed to load drawing: ${err && err.message ? err.message : err}`, 'error');
+            }
+            finally { try { inputEl.value = ''; } catch (_) {} }
+            return;
+        }
         
-        // Reset existing background sources
+        // Reset existing background sources (proposals from the old plan no longer apply)
+        if (this.extraction.active) this.cancelExtraction();
         this.backgroundImage = null;
         this.backgroundPdfPageCanvas = null;
-        this.resetBackgroundTransform();
+        this.backgroundVector = null;
+        this.backgroundSource = null;
+        this._backgroundDirty = true;
+        this.resetPdfPages();
+        this.clearBackgroundTransform();
         
         const type = file.type || '';
         try {
@@ -658,13 +896,15 @@ class SpaghettiDiagramApp {
             if (type.startsWith('image/')) {
                 await this.loadBackgroundImage(file);
                 this.resetView(); // Ensure image is visible
+                this.backgroundSource = { kind: 'image', name: file.name, mimeType: type, data: await file.arrayBuffer() };
                 this.showInfoMessage('Background image loaded successfully!', 'success');
             } else if (type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf')) {
                 await this.loadBackgroundPdf(file);
                 // resetView() is now called inside loadBackgroundPdf
-                this.showInfoMessage('Background PDF loaded (first page).', 'success');
+                const pages = this.pdfPageCount || 1;
+                this.showInfoMessage(pages > 1 ? `Background PDF loaded (${pages} pages – use the Pages panel to switch).` : 'Background PDF loaded.', 'success');
             } else {
-                alert('Please select an image or PDF file.');
+                alert('Please select an image, PDF, SVG or DXF file.');
             }
         } catch (err) {
             console.error('[Upload] Failed to load background:', err);
@@ -672,11 +912,19 @@ class SpaghettiDiagramApp {
         } finally {
             // Clear input so choosing the same file again triggers change
             try { inputEl.value = ''; } catch (_) {}
+            this.scheduleAutosave();
         }
     }
 
     async loadBackgroundPdf(file) {
         this.debugLog('[PDF] Starting PDF load process', { fileName: file.name, fileSize: file.size });
+        const arrayBuffer = await file.arrayBuffer();
+        await this.loadBackgroundPdfData(arrayBuffer);
+        this.backgroundSource = { kind: 'pdf', name: file.name, mimeType: 'application/pdf', data: arrayBuffer };
+    }
+
+    // Render a PDF from raw bytes (upload or restored project). opts.quiet suppresses the success toast.
+    async loadBackgroundPdfData(arrayBuffer, opts = {}) {
         
         // Enhanced diagnostics & fallback logic
         if (!window.pdfjsLib) {
@@ -690,7 +938,6 @@ class SpaghettiDiagramApp {
             throw new Error(msg);
         }
 
-        const arrayBuffer = await file.arrayBuffer();
         this.setLoading(true, 'Rendering PDF...');
         const t0 = performance.now();
         
@@ -701,7 +948,8 @@ class SpaghettiDiagramApp {
                 this.debugLog('[PDF] Worker source set');
             }
             
-            const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
+            // pdf.js transfers the buffer to its worker; hand it a copy so the original stays usable for saving
+            const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(arrayBuffer.slice(0)) });
             
             loadingTask.onPassword = (updatePassword, reason) => {
                 this.showInfoMessage('Password-protected PDF not supported.', 'warning');
@@ -716,38 +964,21 @@ class SpaghettiDiagramApp {
             };
             
             const pdf = await loadingTask.promise;
-            const page = await pdf.getPage(1);
-            const vp = page.getViewport({ scale: 1 });
-            const targetW = this.canvas.width * 0.95;
-            const targetH = this.canvas.height * 0.95;
-            const scale = Math.min(targetW / vp.width, targetH / vp.height);
-            const viewport = page.getViewport({ scale });
-            
-            const offscreen = document.createElement('canvas');
-            offscreen.width = Math.ceil(viewport.width);
-            offscreen.height = Math.ceil(viewport.height);
-            const offctx = offscreen.getContext('2d');
-            
-            if (!offctx) {
-                throw new Error('Failed to get 2D context for offscreen canvas');
-            }
-            
-            await page.render({ canvasContext: offctx, viewport }).promise;
-            
-            // Basic content verification (lightweight)
-            try {
-                const sample = offctx.getImageData(0, 0, Math.min(50, offscreen.width), Math.min(50, offscreen.height));
-                const nonZero = sample.data.find(v => v !== 0);
-                if (!nonZero) this.debugLog('[PDF] Warning: sample region blank');
-            } catch (_) {}
+            this.resetPdfPages();
+            this.pdfDocument = pdf;
+            this.pdfPageCount = pdf.numPages || 1;
+            const startPage = Math.min(this.pdfPageCount, Math.max(1, opts.page || 1));
+            await this.renderPdfPage(startPage);
+            this.currentPdfPage = startPage;
             
-            this.backgroundPdfPageCanvas = offscreen;
             this.backgroundImage = null;
-            this.resetBackgroundTransform();
-            this.backgroundRect = { x: 0, y: 0, width: offscreen.width, height: offscreen.height };
+            this.backgroundVector = null;
+            this.clearBackgroundTransform();
             this.fitBackground(); // single fit (removed duplicate resetView)
+            this.updatePdfPagesUI();
+            this.buildPdfThumbnails();
             this.render();
-            this.showInfoMessage('PDF loaded successfully.', 'success');
+            if (!opts.quiet) this.showInfoMessage('PDF loaded successfully.', 'success');
             this.ensureObjectPalette();
             this.debugLog('[PDF] PDF loading process completed', { elapsedMs: Math.round(performance.now() - t0) });
         } catch (err) {
@@ -758,6 +989,7 @@ class SpaghettiDiagramApp {
         }
     }
 
+    // Accepts a File or Blob (restored projects pass a Blob built from saved bytes)
     loadBackgroundImage(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -766,10 +998,11 @@ class SpaghettiDiagramApp {
                 img.onload = () => {
                     this.backgroundImage = img;
                     this.backgroundPdfPageCanvas = null;
+                    this.backgroundVector = null;
                     const w = img.naturalWidth || img.width;
                     const h = img.naturalHeight || img.height;
                     this.backgroundRect = { x: 0, y: 0, width: w, height: h };
-                    this.resetBackgroundTransform();
+                    this.clearBackgroundTransform();
                     this.fitBackground();
                     this.ensureObjectPalette();
                     resolve();
@@ -782,6 +1015,496 @@ class SpaghettiDiagramApp {
         });
     }
 
+    // ---- Vector backgrounds (SVG / DXF) ----
+    // Drawings are parsed into a small display list – polylines (curves flattened), circles and texts per layer –
+    // in drawing units, then laid out in background-rect px (VECTOR_TARGET_SIZE on the long side) and stroked on
+    // every render, so they stay sharp at any zoom. Drawing units can set the scale, and whole layers (walls,
+    // columns) can be turned into obstacles on import.
+    isVectorFile(file){
+        const name = (file.name || '').toLowerCase();
+        return file.type === 'image/svg+xml' || name.endsWith('.svg') || name.endsWith('.dxf') || file.type === 'image/vnd.dxf' || file.type === 'application/dxf';
+    }
+    async openVectorImport(file){
+        const kind = (file.name || '').toLowerCase().endsWith('.dxf') || /dxf/.test(file.type || '') ? 'dxf' : 'svg';
+        const data = await file.arrayBuffer();
+        const drawing = this.parseVectorDrawing(kind, new TextDecoder().decode(data));
+        this._pendingVector = { drawing, source: { kind, name: file.name, mimeType: kind === 'svg' ? 'image/svg+xml' : 'image/vnd.dxf', data } };
+        const modal = document.getElementById('vectorImportModal');
+        const summary = document.getElementById('vectorImportSummary');
+        const skipped = Object.entries(drawing.skipped).map(([t, n]) => `${n} ${t}`).join(', ');
+        if (summary) summary.textContent = `${file.name}: ${drawing.entities.length} elements on ${drawing.layers.length} layer${drawing.layers.length === 1 ? '' : 's'}.` + (skipped ? ` Not supported: ${skipped}.` : '');
+        const units = document.getElementById('vectorUnits'); if (units) units.value = drawing.units;
+        const cal = document.getElementById('vectorCalibrate'); if (cal) cal.checked = drawing.units !== 'none';
+        const thick = document.getElementById('vectorLineThickness'); if (thick) thick.value = String(this.getDefaultVectorThickness(drawing));
+        const list = document.getElementById('vectorLayerList');
+        if (list) {
+            list.innerHTML = '<thead><tr><th>Layer</th><th>Elements</th><th>Show</th><th>Obstacles</th></tr></thead>';
+            const body = document.createElement('tbody');
+            // Layers named like walls or columns are offered as obstacles straight away
+            const likelyObstacle = /wall|column|col\b|pillar|struct|rack|mauer|wand|st[uü]tze/i;
+            drawing.layers.forEach(l => {
+                const tr = document.createElement('tr'); tr.dataset.layer = l.name;
+                const count = drawing.entities.filter(e => e.layer === l.name).length;
+                const name = document.createElement('th'); name.textContent = l.name; name.style.color = l.color; tr.appendChild(name);
+                const n = document.createElement('td'); n.textContent = String(count); tr.appendChild(n);
+                [['vector-show', !l.hidden], ['vector-obstacle', likelyObstacle.test(l.name)]].forEach(([cls, on]) => {
+                    const td = document.createElement('td'); const chk = document.createElement('input');
+                    chk.type = 'checkbox'; chk.className = cls; chk.checked = on; td.appendChild(chk); tr.appendChild(td);
+                });
+                body.appendChild(tr);
+            });
+            list.appendChild(body);
+        }
+        if (modal) modal.classList.remove('hidden');
+    }
+    closeVectorImport(){ document.getElementById('vectorImportModal')?.classList.add('hidden'); this._pendingVector = null; }
+    getDefaultVectorThickness(drawing){
+        const perUnit = { mm: 100, cm: 10, m: 0.1, in: 4, ft: 0.33 };
+        if (perUnit[drawing.units]) return perUnit[drawing.units];
+        const b = drawing.bounds; return parseFloat((Math.max(b.maxX - b.minX, b.maxY - b.minY) / 400).toPrecision(2)) || 1;
+    }
+    confirmVectorImport(){
+        const pending = this._pendingVector; if (!pending) return;
+        const rows = [...document.querySelectorAll('#vectorLayerList tbody tr')];
+        const hiddenLayers = rows.filter(r => !r.querySelector('.vector-show').checked).map(r => r.dataset.layer);
+        const obstacleLayers = rows.filter(r => r.querySelector('.vector-obstacle').checked).map(r => r.dataset.layer);
+        const units = document.getElementById('vectorUnits')?.value || 'none';
+        const calibrate = !!document.getElementById('vectorCalibrate')?.checked && units !== 'none';
+        const thickness = parseFloat(document.getElementById('vectorLineThickness')?.value) || 0;
+        this.closeVectorImport();
+        // Same reset as a raster upload, done only now so cancelling keeps the old background
+        if (this.extraction.active) this.cancelExtraction();
+        this.backgroundImage = null; this.backgroundPdfPageCanvas = null; this.backgroundSource = null;
+        this._backgroundDirty = true;
+        this.resetPdfPages();
+        this.clearBackgroundTransform();
+        this.clearCalibration();
+        const source = { ...pending.source, options: { units, hiddenLayers } };
+        this.applyVectorBackground(pending.drawing, source.options);
+        this.backgroundSource = source;
+        if (calibrate) {
+            const upp = this.getVectorUnitsPerPixel(this.backgroundVector);
+            this.unitsPerPixel = upp; this.scaleX = upp; this.scaleY = upp;
+        }
+        this.saveScaleToStorage(); this.updateScaleUI(); this.updateAlignmentUI();
+        let added = 0;
+        if (obstacleLayers.length) added = this.createObstaclesFromVector(obstacleLayers, thickness);
+        this.updateAnalytics();
+        this.fitBackground();
+        this.debugLog('[VECTOR] imported', { kind: source.kind, entities: pending.drawing.entities.length, units, calibrate, obstacles: added });
+        this.showInfoMessage(`Vector background loaded${calibrate ? ` – scale set from ${units}` : ''}${added ? `, ${added} obstacle${added === 1 ? '' : 's'} created` : ''}.`, 'success', 5000);
+        this.scheduleAutosave();
+    }
+    // Also used when restoring a saved project (no obstacles, scale comes from the project)
+    applyVectorBackground(drawing, options = {}){
+        const VECTOR_TARGET_SIZE = 2000;
+        const b = drawing.bounds;
+        const w = Math.max(b.maxX - b.minX, 1e-9), h = Math.max(b.maxY - b.minY, 1e-9);
+        const k = VECTOR_TARGET_SIZE / Math.max(w, h); // rect px per drawing unit
+        const hidden = new Set(options.hiddenLayers || []);
+        // DXF is y-up; flip so the drawing reads the same way on screen
+        const X = (x) => (x - b.minX) * k, Y = drawing.yUp ? (y) => (b.maxY - y) * k : (y) => (y - b.minY) * k;
+        const entities = drawing.entities.map(e => {
+            if (e.type === 'circle') return { ...e, cx: X(e.cx), cy: Y(e.cy), r: e.r * k };
+            if (e.type === 'text') return { ...e, x: X(e.x), y: Y(e.y), size: e.size * k, rotation: drawing.yUp ? -(e.rotation || 0) : (e.rotation || 0) };
+            return { ...e, points: e.points.map(p => ({ x: X(p.x), y: Y(p.y) })) };
+        });
+        this.backgroundVector = {
+            kind: drawing.kind, units: options.units || drawing.units, unitFactor: k, width: w * k, height: h * k,
+            layers: drawing.layers.map(l => ({ ...l, hidden: hidden.has(l.name) })), entities
+        };
+        this.backgroundRect = { x: 0, y: 0, width: w * k, height: h * k };
+        this._warpCache = null; this._vectorRaster = null;
+        this.ensureObjectPalette();
+        this.render();
+    }
+    getVectorUnitsPerPixel(vector){
+        const metres = { mm: 0.001, cm: 0.01, m: 1, in: 0.0254, ft: 0.3048 }[vector.units];
+        if (!metres) return 0;
+        return metres / (this.units === 'm' ? 1 : 0.3048) / vector.unitFactor;
+    }
+    // Drawn inside the background's local frame (origin at the rect centre), like the raster backgrounds
+    drawVectorBackground(ctx, width, height){
+        const v = this.backgroundVector;
+        ctx.save();
+        ctx.translate(-width / 2, -height / 2);
+        const s = width / v.width;
+        ctx.scale(s, height / v.height);
+        const hairline = 1 / ((this.zoom || 1) * s);
+        const visible = new Set(v.layers.filter(l => !l.hidden).map(l => l.name));
+        const colors = new Map(v.layers.map(l => [l.name, l.color]));
+        ctx.lineJoin = 'round'; ctx.lineCap = 'round';
+        v.entities.forEach(e => {
+            if (!visible.has(e.layer)) return;
+            const stroke = e.stroke === undefined ? colors.get(e.layer) : e.stroke;
+            if (e.type === 'text') {
+                ctx.save(); ctx.translate(e.x, e.y); if (e.rotation) ctx.rotate(e.rotation * Math.PI / 180);
+                ctx.fillStyle = stroke || '#333'; ctx.font = `${e.size}px sans-serif`; ctx.textBaseline = 'alphabetic'; ctx.textAlign = 'left';
+                ctx.fillText(e.text, 0, 0); ctx.restore();
+                return;
+            }
+            ctx.beginPath();
+            if (e.type === 'circle') ctx.arc(e.cx, e.cy, e.r, 0, Math.PI * 2);
+            else { e.points.forEach((p, i) => { if (!i) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y); }); if (e.closed) ctx.closePath(); }
+            if (e.fill) { ctx.fillStyle = e.fill; ctx.fill(); }
+            if (stroke) { ctx.strokeStyle = stroke; ctx.lineWidth = e.strokeWidth ? Math.max(e.strokeWidth * v.unitFactor, hairline) : hairline; ctx.stroke(); }
+        });
+        ctx.restore();
+    }
+    // Perspective warps need a raster to mesh; rendered once at up to 4096 px
+    getVectorRaster(){
+        const v = this.backgroundVector;
+        if (this._vectorRaster && this._vectorRaster.vector === v && this._vectorRaster.key === v.layers.map(l => l.hidden ? 0 : 1).join('')) return this._vectorRaster.canvas;
+        const k = Math.min(2, 4096 / Math.max(v.width, v.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(v.width * k); canvas.height = Math.ceil(v.height * k);
+        const c = canvas.getContext('2d');
+        const zoom = this.zoom; this.zoom = k; // hairlines one raster px wide
+        c.translate(canvas.width / 2, canvas.height / 2); c.scale(k, k);
+        this.drawVectorBackground(c, v.width, v.height);
+        this.zoom = zoom;
+        this._vectorRaster = { vector: v, key: v.layers.map(l => l.hidden ? 0 : 1).join(''), canvas };
+        return canvas;
+    }
+    // Closed outlines become polygon obstacles, circles circle obstacles, and open lines (single-line walls) strips of
+    // `thickness` drawing units. Outlines covering over a quarter of the drawing are building/room perimeters, not
+    // solid shapes, so they get strips too. Returns the number of obstacles added (one undo step).
+    createObstaclesFromVector(layerNames, thickness){
+        const v = this.backgroundVector; const M = this.getBackgroundMatrix();
+        if (!v || !M) return 0;
+        const names = new Set(layerNames);
+        const { width, height } = this.backgroundRect;
+        const s = width / v.width;
+        const toWorld = (p) => this.mat3Apply(M, { x: p.x * s - width / 2, y: p.y * s - height / 2 });
+        const half = Math.max(thickness * v.unitFactor * s, 1) / 2;
+        const added = [];
+        const push = (ob) => { ob.id = Date.now() + Math.random(); this.obstacles.push(this.assignActiveLayer(ob)); added.push(ob); };
+        v.entities.forEach(e => {
+            if (!names.has(e.layer) || e.type === 'text') return;
+            if (e.type === 'circle') {
+                const c = toWorld({ x: e.cx, y: e.cy }); const r = e.r * s;
+                push({ shape: 'circle', x: c.x - r, y: c.y - r, width: r * 2, height: r * 2 });
+                return;
+            }
+            const pts = e.points.map(toWorld);
+            const area = e.closed && pts.length >= 3 ? this.getPolygonArea(pts) : 0;
+            if (area > 1 && area < width * height / 4) {
+                const ob = { points: pts }; this.syncShapeBounds(ob); push(ob);
+                return;
+            }
+            if (e.closed) pts.push(pts[0]);
+            for (let i = 1; i < pts.length; i++) {
+                const a = pts[i - 1], b = pts[i]; const len = Math.hypot(b.x - a.x, b.y - a.y);
+                if (len < 0.5) continue;
+                const nx = -(b.y - a.y) / len * half, ny = (b.x - a.x) / len * half;
+                const ob = { points: [{ x: a.x + nx, y: a.y + ny }, { x: b.x + nx, y: b.y + ny }, { x: b.x - nx, y: b.y - ny }, { x: a.x - nx, y: a.y - ny }] };
+                this.syncShapeBounds(ob); push(ob);
+            }
+        });
+        if (added.length) this.commitChange(`Create ${added.length} obstacle${added.length === 1 ? '' : 's'} from drawing`);
+        return added.length;
+    }
+
+    parseVectorDrawing(kind, text){
+        const drawing = kind === 'dxf' ? this.parseDxfDrawing(text) : this.parseSvgDrawing(text);
+        drawing.kind = kind;
+        if (!drawing.entities.length) throw new Error(`No drawable elements found in the ${kind.toUpperCase()} file`);
+        const b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        const add = (x, y) => { b.minX = Math.min(b.minX, x); b.minY = Math.min(b.minY, y); b.maxX = Math.max(b.maxX, x); b.maxY = Math.max(b.maxY, y); };
+        drawing.entities.forEach(e => {
+            if (e.type === 'circle') { add(e.cx - e.r, e.cy - e.r); add(e.cx + e.r, e.cy + e.r); }
+            else if (e.type === 'text') add(e.x, e.y);
+            else e.points.forEach(p => add(p.x, p.y));
+        });
+        drawing.bounds = b;
+        return drawing;
+    }
+    // Arc from (x1,y1) to (x2,y2) in SVG endpoint form (also used for DXF bulges); returns the points after the start
+    flattenArc(x1, y1, rx, ry, phiDeg, large, sweep, x2, y2){
+        if (!rx || !ry || (x1 === x2 && y1 === y2)) return [{ x: x2, y: y2 }];
+        rx = Math.abs(rx); ry = Math.abs(ry);
+        const phi = phiDeg * Math.PI / 180, cos = Math.cos(phi), sin = Math.sin(phi);
+        const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+        const x1p = cos * dx + sin * dy, y1p = -sin * dx + cos * dy;
+        const lam = x1p * x1p / (rx * rx) + y1p * y1p / (ry * ry);
+        if (lam > 1) { rx *= Math.sqrt(lam); ry *= Math.sqrt(lam); }
+        const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        const coef = (large === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+        const cxp = coef * rx * y1p / ry, cyp = -coef * ry * x1p / rx;
+        const cx = cos * cxp - sin * cyp + (x1 + x2) / 2, cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+        const ang = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const t1 = ang(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let dt = ang((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && dt > 0) dt -= Math.PI * 2; else if (sweep && dt < 0) dt += Math.PI * 2;
+        const n = Math.max(2, Math.ceil(Math.abs(dt) / (Math.PI / 16)));
+        const pts = [];
+        for (let i = 1; i <= n; i++) {
+            const t = t1 + dt * i / n;
+            pts.push({ x: cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, y: cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos });
+        }
+        pts[pts.length - 1] = { x: x2, y: y2 };
+        return pts;
+    }
+
+    // SVG: top-level <g> elements are the layers; transforms are baked into the points. Lengths with physical units
+    // on the root (width="297mm" + viewBox) give the drawing units, plain px drawings are unitless.
+    parseSvgDrawing(text){
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (!svg || svg.nodeName.toLowerCase() !== 'svg' || doc.getElementsByTagName('parsererror').length) throw new Error('Not a valid SVG file');
+        const vb = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).filter(Boolean).map(Number);
+        const len = (svg.getAttribute('width') || '').match(/^\s*([\d.]+)\s*(mm|cm|m|in|pt|pc|px)?\s*$/);
+        let units = 'none', factor = 1;
+        if (len && len[2] && !['px'].includes(len[2])) {
+            const perIn = { in: 1, pt: 1 / 72, pc: 1 / 6 };
+            units = perIn[len[2]] ? 'in' : len[2];
+            factor = parseFloat(len[1]) * (perIn[len[2]] || 1) / (vb.length === 4 && vb[2] > 0 ? vb[2] : parseFloat(len[1]));
+        }
+        const entities = []; const layers = []; const skipped = {};
+        const layerOf = new Map();
+        const style = (el, prop) => { const m = (el.getAttribute('style') || '').match(new RegExp(`(?:^|;)\\s*${prop}\\s*:\\s*([^;]+)`)); return m ? m[1].trim() : el.getAttribute(prop); };
+        const paint = (v) => v == null ? undefined : (v === 'none' || v === 'transparent') ? null : (v === 'currentColor' ? '#000' : v);
+        const walk = (el, M, inherited, layer) => {
+            const tag = el.nodeName.replace(/^svg:/, '').toLowerCase();
+            if (['defs', 'symbol', 'clippath', 'mask', 'style', 'metadata', 'title', 'desc', 'pattern', 'marker'].includes(tag)) return;
+            if (style(el, 'display') === 'none') return;
+            const tf = el.getAttribute('transform');
+            const T = tf ? this.mat3Multiply(M, this.parseSvgTransform(tf)) : M;
+            const st = { stroke: paint(style(el, 'stroke')) !== undefined ? paint(style(el, 'stroke')) : inherited.stroke, fill: paint(style(el, 'fill')) !== undefined ? paint(style(el, 'fill')) : inherited.fill };
+            const sw = parseFloat(style(el, 'stroke-width')); st.strokeWidth = Number.isFinite(sw) ? sw : inherited.strokeWidth;
+            const num = (a) => parseFloat(el.getAttribute(a)) || 0;
+            const map = (p) => { const q = this.mat3Apply(T, p); return { x: q.x * factor, y: q.y * factor }; };
+            // Stroke widths scale with the (mean) transform scale; fill defaults to black as in SVG itself
+            const base = { layer, stroke: st.stroke === undefined ? null : st.stroke, fill: st.fill === undefined ? '#000' : st.fill };
+            if (st.strokeWidth !== undefined && base.stroke) base.strokeWidth = st.strokeWidth * Math.sqrt(Math.abs(T[0] * T[4] - T[1] * T[3])) * factor;
+            const poly = (pts, closed) => { if (pts.length >= 2) entities.push({ ...base, type: 'poly', points: pts.map(map), closed, fill: closed ? base.fill : null }); };
+            const ellipse = (cx, cy, rx, ry) => {
+                const similar = Math.abs(T[0] - T[4]) < 1e-9 && Math.abs(T[1] + T[3]) < 1e-9;
+                if (rx === ry && similar) { const c = map({ x: cx, y: cy }); entities.push({ ...base, type: 'circle', cx: c.x, cy: c.y, r: rx * Math.hypot(T[0], T[3]) * factor }); return; }
+                poly(Array.from({ length: 48 }, (_, i) => { const a = i / 48 * Math.PI * 2; return { x: cx + rx * Math.cos(a), y: cy + ry * Math.sin(a) }; }), true);
+            };
+            switch (tag) {
+                case 'svg': case 'g': case 'a': case 'switch':
+                    [...el.children].forEach(child => {
+                        let l = layer;
+                        if (el === svg && child.nodeName.replace(/^svg:/, '').toLowerCase() === 'g') {
+                            l = child.getAttribute('inkscape:label') || child.getAttribute('id') || `Layer ${layers.length + 1}`;
+                            if (!layerOf.has(l)) { layerOf.set(l, true); layers.push({ name: l, color: '#333', hidden: style(child, 'display') === 'none' }); }
+                        }
+                        walk(child, T, st, l);
+                    });
+                    return;
+                case 'rect': { const x = num('x'), y = num('y'), w = num('width'), h = num('height'); if (w > 0 && h > 0) poly([{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }], true); break; }
+                case 'line': poly([{ x: num('x1'), y: num('y1') }, { x: num('x2'), y: num('y2') }], false); break;
+                case 'polyline': case 'polygon': {
+                    const n = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number);
+                    const pts = []; for (let i = 0; i + 1 < n.length; i += 2) pts.push({ x: n[i], y: n[i + 1] });
+                    poly(pts, tag === 'polygon'); break;
+                }
+                case 'circle': if (num('r') > 0) ellipse(num('cx'), num('cy'), num('r'), num('r')); break;
+                case 'ellipse': if (num('rx') > 0 && num('ry') > 0) ellipse(num('cx'), num('cy'), num('rx'), num('ry')); break;
+                case 'path': this.parseSvgPathData(el.getAttribute('d') || '').forEach(sp => poly(sp.points, sp.closed)); break;
+                case 'text': {
+                    const t = (el.textContent || '').trim(); if (!t) break;
+                    const p = map({ x: num('x'), y: num('y') }); const size = (parseFloat(style(el, 'font-size')) || 16) * Math.sqrt(Math.abs(T[0] * T[4] - T[1] * T[3])) * factor;
+                    entities.push({ layer, type: 'text', x: p.x, y: p.y, size, text: t, rotation: Math.atan2(T[3], T[0]) * 180 / Math.PI, stroke: base.fill || '#333' });
+                    break;
+                }
+                default: skipped[tag] = (skipped[tag] || 0) + 1;
+            }
+        };
+        walk(svg, [1, 0, 0, 0, 1, 0, 0, 0, 1], { stroke: undefined, fill: undefined }, 'Default');
+        if (entities.some(e => e.layer === 'Default')) layers.unshift({ name: 'Default', color: '#333', hidden: false });
+        return { units, yUp: false, layers, entities, skipped };
+    }
+    parseSvgTransform(str){
+        let M = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g; let m;
+        while ((m = re.exec(str))) {
+            const a = m[2].split(/[\s,]+/).filter(Boolean).map(Number);
+            let T;
+            if (m[1] === 'matrix') T = [a[0], a[2], a[4], a[1], a[3], a[5], 0, 0, 1];
+            else if (m[1] === 'translate') T = [1, 0, a[0] || 0, 0, 1, a[1] || 0, 0, 0, 1];
+            else if (m[1] === 'scale') T = [a[0], 0, 0, 0, a.length > 1 ? a[1] : a[0], 0, 0, 0, 1];
+            else if (m[1] === 'rotate') {
+                const r = a[0] * Math.PI / 180, c = Math.cos(r), s = Math.sin(r), cx = a[1] || 0, cy = a[2] || 0;
+                T = [c, -s, cx - c * cx + s * cy, s, c, cy - s * cx - c * cy, 0, 0, 1];
+            }
+            else if (m[1] === 'skewX') T = [1, Math.tan(a[0] * Math.PI / 180), 0, 0, 1, 0, 0, 0, 1];
+            else T = [1, 0, 0, Math.tan(a[0] * Math.PI / 180), 1, 0, 0, 0, 1];
+            if (T.every(Number.isFinite)) M = this.mat3Multiply(M, T);
+        }
+        return M;
+    }
+    // Path data to polylines: [{ points, closed }]; Béziers are flattened to 12 segments, arcs by angle
+    parseSvgPathData(d){
+        const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+        const out = []; let cur = null, i = 0, cmd = null, prev = '';
+        let x = 0, y = 0, sx = 0, sy = 0, cx = 0, cy = 0; // cx/cy: last control point, for S/T reflection
+        const isCmd = (t) => /^[a-zA-Z]$/.test(t);
+        const n = () => parseFloat(tokens[i++]);
+        const more = () => i < tokens.length && !isCmd(tokens[i]);
+        const lineTo = (px, py) => { if (!cur) { cur = { points: [{ x, y }], closed: false }; out.push(cur); } cur.points.push({ x: px, y: py }); x = px; y = py; };
+        const bezier = (pts) => { const N = 12; for (let k = 1; k <= N; k++) { const t = k / N, u = 1 - t;
+            const p = pts.length === 3 ? { x: u * u * pts[0].x + 2 * u * t * pts[1].x + t * t * pts[2].x, y: u * u * pts[0].y + 2 * u * t * pts[1].y + t * t * pts[2].y }
+                : { x: u * u * u * pts[0].x + 3 * u * u * t * pts[1].x + 3 * u * t * t * pts[2].x + t * t * t * pts[3].x, y: u * u * u * pts[0].y + 3 * u * u * t * pts[1].y + 3 * u * t * t * pts[2].y + t * t * t * pts[3].y };
+            lineTo(p.x, p.y); } };
+        while (i < tokens.length) {
+            if (isCmd(tokens[i])) cmd = tokens[i++];
+            else if (!cmd) break;
+            const rel = cmd !== cmd.toUpperCase(), C = cmd.toUpperCase();
+            const ox = () => rel ? x : 0, oy = () => rel ? y : 0;
+            if (C === 'Z') { if (cur) { cur.closed = true; cur = null; } x = sx; y = sy; prev = 'Z'; cmd = null; continue; }
+            if (!more()) break;
+            do {
+                if (C === 'M') { const px = n() + ox(), py = n() + oy(); cur = { points: [{ x: px, y: py }], closed: false }; out.push(cur); x = sx = px; y = sy = py; while (more()) lineTo(n() + ox(), n() + oy()); }
+                else if (C === 'L') lineTo(n() + ox(), n() + oy());
+                else if (C === 'H') lineTo(n() + ox(), y);
+                else if (C === 'V') lineTo(x, n() + oy());
+                else if (C === 'C' || C === 'S') {
+                    const p1 = C === 'C' ? { x: n() + ox(), y: n() + oy() } : (/[CS]/.test(prev) ? { x: 2 * x - cx, y: 2 * y - cy } : { x, y });
+                    const p2 = { x: n() + ox(), y: n() + oy() }, p3 = { x: n() + ox(), y: n() + oy() };
+                    bezier([{ x, y }, p1, p2, p3]); cx = p2.x; cy = p2.y;
+                }
+                else if (C === 'Q' || C === 'T') {
+                    const p1 = C === 'Q' ? { x: n() + ox(), y: n() + oy() } : (/[QT]/.test(prev) ? { x: 2 * x - cx, y: 2 * y - cy } : { x, y });
+                    const p2 = { x: n() + ox(), y: n() + oy() };
+                    bezier([{ x, y }, p1, p2]); cx = p1.x; cy = p1.y;
+                }
+                else if (C === 'A') {
+                    const rx = n(), ry = n(), rot = n(), large = n(), sweep = n(), px = n() + ox(), py = n() + oy();
+                    this.flattenArc(x, y, rx, ry, rot, !!large, !!sweep, px, py).forEach(p => lineTo(p.x, p.y));
+                }
+                else return out;
+                prev = C;
+            } while (more());
+        }
+        return out.filter(sp => sp.points.length >= 2 && sp.points.every(p => Number.isFinite(p.x) && Number.isFinite(p.y)));
+    }
+
+    // ASCII DXF: $INSUNITS gives the units, the LAYER table names and colours, INSERTs expand their BLOCKs (layer "0"
+    // inside a block takes the insert's layer). Y points up.
+    parseDxfDrawing(text){
+        if (text.startsWith('AutoCAD Binary DXF')) throw new Error('Binary DXF is not supported – save the drawing as ASCII DXF');
+        const lines = text.split(/\r\n|\r|\n/);
+        const pairs = [];
+        for (let i = 0; i + 1 < lines.length; i += 2) { const code = parseInt(lines[i].trim(), 10); if (Number.isFinite(code)) pairs.push([code, lines[i + 1].trim()]); }
+        const INSUNITS = { 1: ['in', 1], 2: ['ft', 1], 3: ['ft', 5280], 4: ['mm', 1], 5: ['cm', 1], 6: ['m', 1], 7: ['m', 1000], 10: ['ft', 3] };
+        const ACI = { 1: '#e53935', 2: '#c8a600', 3: '#43a047', 4: '#00acc1', 5: '#1e88e5', 6: '#d81b60', 7: '#333', 8: '#808080', 9: '#b0b0b0' };
+        const layerMap = new Map(); const blocks = new Map(); const top = [];
+        let units = 'none', factor = 1, section = null, i = 0;
+        // Entities are read as raw group lists, then converted once the blocks are known
+        const readEntity = () => { const e = { type: pairs[i][1], g: [] }; i++; while (i < pairs.length && pairs[i][0] !== 0) { e.g.push(pairs[i]); i++; } return e; };
+        let block = null;
+        while (i < pairs.length) {
+            const [code, val] = pairs[i];
+            if (code === 0 && val === 'SECTION') { section = (pairs[i + 1] || [])[1]; i += 2; continue; }
+            if (code === 0 && val === 'ENDSEC') { section = null; i++; continue; }
+            if (section === 'HEADER' && code === 9 && val === '$INSUNITS') { const u = INSUNITS[parseInt((pairs[i + 1] || [])[1], 10)]; if (u) [units, factor] = u; i += 2; continue; }
+            if (section === 'TABLES' && code === 0 && val === 'LAYER') {
+                const e = readEntity(); const name = (e.g.find(g => g[0] === 2) || [])[1];
+                const color = parseInt((e.g.find(g => g[0] === 62) || [0, 7])[1], 10);
+                if (name !== undefined) layerMap.set(name, { name, color: ACI[Math.abs(color)] || '#555', hidden: color < 0 || (parseInt((e.g.find(g => g[0] === 70) || [0, 0])[1], 10) & 1) === 1 });
+                continue;
+            }
+            if (section === 'BLOCKS' && code === 0 && val === 'BLOCK') { const e = readEntity(); block = { name: (e.g.find(g => g[0] === 2) || [])[1], bx: parseFloat((e.g.find(g => g[0] === 10) || [0, 0])[1]), by: parseFloat((e.g.find(g => g[0] === 20) || [0, 0])[1]), entities: [] }; continue; }
+            if (section === 'BLOCKS' && code === 0 && val === 'ENDBLK') { if (block && block.name !== undefined) blocks.set(block.name, block); block = null; readEntity(); continue; }
+            if ((section === 'ENTITIES' || (section === 'BLOCKS' && block)) && code === 0) { (section === 'ENTITIES' ? top : block.entities).push(readEntity()); continue; }
+            i++;
+        }
+        const entities = []; const skipped = {};
+        const get = (e, c, d) => { const g = e.g.find(p => p[0] === c); return g ? g[1] : d; };
+        const num = (e, c, d = 0) => { const v = parseFloat(get(e, c)); return Number.isFinite(v) ? v : d; };
+        const convert = (list, M, insertLayer, depth) => {
+            for (let k = 0; k < list.length; k++) {
+                const e = list[k];
+                let layer = get(e, 8, '0'); if (layer === '0' && insertLayer) layer = insertLayer;
+                const aci = parseInt(get(e, 62, '256'), 10);
+                const base = { layer, ...(aci > 0 && aci < 256 && ACI[aci] ? { stroke: ACI[aci] } : {}) };
+                const map = (x, y) => this.mat3Apply(M, { x, y });
+                const poly = (pts, closed) => { if (pts.length >= 2) entities.push({ ...base, type: 'poly', points: pts.map(p => map(p.x, p.y)), closed }); };
+                // Vertices with bulges (arc segments) as used by LWPOLYLINE and POLYLINE
+                const bulged = (verts, closed) => {
+                    const pts = [{ x: verts[0].x, y: verts[0].y }];
+                    const count = closed ? verts.length : verts.length - 1;
+                    for (let v = 0; v < count; v++) {
+                        const a = verts[v], b = verts[(v + 1) % verts.length];
+                        if (!a.bulge) { pts.push({ x: b.x, y: b.y }); continue; }
+                        const theta = 4 * Math.atan(a.bulge); const r = Math.hypot(b.x - a.x, b.y - a.y) / (2 * Math.sin(Math.abs(theta) / 2));
+                        pts.push(...this.flattenArc(a.x, a.y, r, r, 0, Math.abs(theta) > Math.PI, a.bulge > 0, b.x, b.y));
+                    }
+                    if (closed) pts.pop();
+                    poly(pts, closed);
+                };
+                const arcPts = (cx, cy, r, a0, a1) => { if (a1 <= a0) a1 += 360; const steps = Math.max(4, Math.ceil((a1 - a0) / 7.5)); return Array.from({ length: steps + 1 }, (_, s) => { const a = (a0 + (a1 - a0) * s / steps) * Math.PI / 180; return { x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) }; }); };
+                switch (e.type) {
+                    case 'LINE': poly([{ x: num(e, 10), y: num(e, 20) }, { x: num(e, 11), y: num(e, 21) }], false); break;
+                    case 'LWPOLYLINE': {
+                        const verts = [];
+                        e.g.forEach(([c, v]) => { if (c === 10) verts.push({ x: parseFloat(v), y: 0, bulge: 0 }); else if (c === 20 && verts.length) verts[verts.length - 1].y = parseFloat(v); else if (c === 42 && verts.length) verts[verts.length - 1].bulge = parseFloat(v); });
+                        if (verts.length >= 2) bulged(verts, (num(e, 70) & 1) === 1);
+                        break;
+                    }
+                    case 'POLYLINE': {
+                        const verts = [];
+                        while (k + 1 < list.length && list[k + 1].type === 'VERTEX') { k++; verts.push({ x: num(list[k], 10), y: num(list[k], 20), bulge: num(list[k], 42) }); }
+                        if (k + 1 < list.length && list[k + 1].type === 'SEQEND') k++;
+                        if (verts.length >= 2) bulged(verts, (num(e, 70) & 1) === 1);
+                        break;
+                    }
+                    case 'CIRCLE': {
+                        const c = map(num(e, 10), num(e, 20)); const s = Math.sqrt(Math.abs(M[0] * M[4] - M[1] * M[3]));
+                        if (Math.abs(Math.abs(M[0] * M[4] - M[1] * M[3]) - Math.hypot(M[0], M[3]) ** 2) < 1e-9) entities.push({ ...base, type: 'circle', cx: c.x, cy: c.y, r: num(e, 40) * s });
+                        else poly(arcPts(num(e, 10), num(e, 20), num(e, 40), 0, 360), true);
+                        break;
+                    }
+                    case 'ARC': poly(arcPts(num(e, 10), num(e, 20), num(e, 40), num(e, 50), num(e, 51)), false); break;
+                    case 'ELLIPSE': {
+                        const cx = num(e, 10), cy = num(e, 20), mx = num(e, 11), my = num(e, 21), ratio = num(e, 40, 1);
+                        let t0 = num(e, 41, 0), t1 = num(e, 42, Math.PI * 2); if (t1 <= t0) t1 += Math.PI * 2;
+                        const steps = Math.max(8, Math.ceil((t1 - t0) / (Math.PI / 24)));
+                        const pts = Array.from({ length: steps + 1 }, (_, s) => { const t = t0 + (t1 - t0) * s / steps; return { x: cx + mx * Math.cos(t) - my * ratio * Math.sin(t), y: cy + my * Math.cos(t) + mx * ratio * Math.sin(t) }; });
+                        const full = Math.abs(t1 - t0 - Math.PI * 2) < 1e-6; if (full) pts.pop();
+                        poly(pts, full);
+                        break;
+                    }
+                    // Splines are drawn through their fit points, or along the control polygon when there are none
+                    case 'SPLINE': {
+                        const collect = (cx, cy) => { const pts = []; e.g.forEach(([c, v]) => { if (c === cx) pts.push({ x: parseFloat(v), y: 0 }); else if (c === cy && pts.length) pts[pts.length - 1].y = parseFloat(v); }); return pts; };
+                        const fit = collect(11, 21); poly(fit.length >= 2 ? fit : collect(10, 20), (num(e, 70) & 1) === 1);
+                        break;
+                    }
+                    case 'TEXT': case 'MTEXT': {
+                        let t = e.type === 'MTEXT' ? e.g.filter(g => g[0] === 3 || g[0] === 1).map(g => g[1]).join('') : get(e, 1, '');
+                        t = t.replace(/\\P/g, ' ').replace(/\\[A-Za-z][^;]*;/g, '').replace(/[{}]/g, '').trim();
+                        if (!t) break;
+                        const p = map(num(e, 10), num(e, 20)); const s = Math.sqrt(Math.abs(M[0] * M[4] - M[1] * M[3]));
+                        entities.push({ ...base, type: 'text', x: p.x, y: p.y, size: num(e, 40, 1) * s, text: t, rotation: num(e, 50) + Math.atan2(M[3], M[0]) * 180 / Math.PI });
+                        break;
+                    }
+                    // Dimensions are drawn from their anonymous block
+                    case 'INSERT': case 'DIMENSION': {
+                        const b = blocks.get(get(e, 2)); if (!b || depth > 8) { skipped[e.type] = (skipped[e.type] || 0) + 1; break; }
+                        let T = [1, 0, -b.bx, 0, 1, -b.by, 0, 0, 1];
+                        if (e.type === 'INSERT') {
+                            const r = num(e, 50) * Math.PI / 180, sx = num(e, 41, 1), sy = num(e, 42, 1);
+                            T = this.mat3Multiply([Math.cos(r) * sx, -Math.sin(r) * sy, num(e, 10), Math.sin(r) * sx, Math.cos(r) * sy, num(e, 20), 0, 0, 1], T);
+                        } else T = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+                        convert(b.entities, this.mat3Multiply(M, T), layer, depth + 1);
+                        break;
+                    }
+                    case 'VERTEX': case 'SEQEND': case 'ATTRIB': case 'ATTDEF': break;
+                    default: skipped[e.type] = (skipped[e.type] || 0) + 1;
+                }
+            }
+        };
+        convert(top, [factor, 0, 0, 0, factor, 0, 0, 0, 1], null, 0);
+        const used = new Set(entities.map(e => e.layer));
+        const layers = [...used].map(name => layerMap.get(name) || { name, color: '#333', hidden: false });
+        return { units, yUp: true, layers, entities, skipped };
+    }
+
     // Lightweight debug logger
     debugLog(...args) { if (this.debug) console.log(...args); }
     
@@ -831,33 +1554,90 @@ class SpaghettiDiagramApp {
         this.mousePos = this.getMousePos(e);
         this.dragStart = { ...this.mousePos };
         if (this.isCalibrating) { this.handleCalibrationClick(); return; }
+        if (this.georef.active) { this.addGeorefPoint(this.mousePos); return; }
+        if (this.extraction.active && this.toggleExtractionProposalAt(this.mousePos)) return;
+        if (this.isDrawingTool()) this.mousePos = this.snapPoint(this.mousePos);
         // Determine hover targets BEFORE deciding to pan so resize/drag takes precedence
         const rectHit = this.getAnyRectAt(this.mousePos);
+        const annotationHit = this.getAnnotationAt(this.mousePos) || (this.selectedAnnotation && this.isOnAnnotationTip(this.mousePos, this.selectedAnnotation));
         const endpointInfo = this.getPathEndpointAt(this.mousePos);
+        const shapeTarget = this.selectedObject || this.selectedZone || this.selectedObstacle || this.getVertexEditPath();
+        const vertexHit = shapeTarget ? this.getVertexAt(this.mousePos, shapeTarget) : -1;
+        const rotateTarget = this.selectedObject || this.selectedObstacle;
+        const rotateHit = rotateTarget ? this.isOnRotateHandle(this.mousePos, rotateTarget) : false;
         // Check for any resize handle under cursor (selected item or hovered item)
         let resizeCandidate = null;
         const candidateTarget = (rectHit && rectHit.item) || this.selectedObject || this.selectedZone || this.selectedObstacle;
         if (candidateTarget) resizeCandidate = this.getResizeHandle(this.mousePos, candidateTarget);
-        const wantPan = (e.button === 1 || e.button === 2 || (e.button === 0 && this.currentTool === 'select' && !rectHit && !endpointInfo && !resizeCandidate));
+        // Shift-drag on empty canvas draws a selection marquee instead of panning; path bodies are selectable too
+        const wantPan = (e.button === 1 || e.button === 2 || (e.button === 0 && this.currentTool === 'select' && !e.shiftKey && !rectHit && !annotationHit && !endpointInfo && !resizeCandidate && vertexHit === -1 && !rotateHit && !this.getPathAt(this.mousePos) && !this.getMeasurementAt(this.mousePos)));
         if (wantPan) {
             this.isPanning = true;
             this.lastClientPos = { x: e.clientX, y: e.clientY };
             return;
         }
         if (this.currentTool === 'select') {
-            this.handleSelectMouseDown();
+            this.handleSelectMouseDown(e);
         } else if (this.currentTool === 'path') {
             this.handlePathMouseDown();
         } else if (this.currentTool === 'zone') {
             this.handleZoneMouseDown();
+        } else if (this.currentTool === 'polygonZone') {
+            this.handlePolygonMouseDown(e);
         } else if (this.currentTool === 'obstacle') {
-            this.handleObstacleMouseDown();
+            if (this.getObstacleShape() === 'polygon') this.handlePolygonMouseDown(e);
+            else this.handleObstacleMouseDown();
+        } else if (this.currentTool === 'measure') {
+            this.handlePolygonMouseDown(e);
+        } else if (this.currentTool === 'annotate') {
+            this.handleAnnotateMouseDown();
         } else if (this.currentTool === 'delete') {
             this.handleDeleteMouseDown();
         }
     }
     
-    handleSelectMouseDown() {
+    handleSelectMouseDown(e = {}) {
+        // Shift-click toggles an item (or its whole group) in the selection; Shift-drag on empty space starts a marquee
+        const hit = this.getAnnotationAt(this.mousePos) || this.getMeasurementAt(this.mousePos) || this.getObjectAt(this.mousePos) || this.getZoneAt(this.mousePos) || this.getObstacleAt(this.mousePos) || this.getPathAt(this.mousePos);
+        if (e.shiftKey) {
+            if (hit) this.toggleInSelection(e.altKey ? [hit] : this.expandToGroups([hit]));
+            else this.marquee = { x0: this.mousePos.x, y0: this.mousePos.y, x1: this.mousePos.x, y1: this.mousePos.y, additive: true };
+            this.render();
+            return;
+        }
+        // In path vertex-edit mode the path's points come first; clicking its body keeps the mode, anything else ends it
+        const editPath = this.getVertexEditPath();
+        if (editPath) {
+            const index = this.getVertexAt(this.mousePos, editPath);
+            if (index !== -1) {
+                this.selectedVertex = { item: editPath, index };
+                this.isDraggingVertex = true;
+                this.dragStart = { ...this.mousePos };
+                this.updatePathVertexUI();
+                this.render();
+                return;
+            }
+            this.selectedVertex = null;
+            if (this.getPathAt(this.mousePos) === editPath) { this.updatePathVertexUI(); this.render(); return; }
+            this.pathVertexEdit = null;
+            this.updatePathVertexUI();
+        }
+        // Polygon vertices and the rotate handle take precedence over the bounding-box handles
+        const shapeTarget = this.selectedObject || this.selectedZone || this.selectedObstacle;
+        if (shapeTarget) {
+            const index = this.getVertexAt(this.mousePos, shapeTarget);
+            if (index !== -1) {
+                this.selectedVertex = { item: shapeTarget, index };
+                this.isDraggingVertex = true;
+                this.render();
+                return;
+            }
+        }
+        this.selectedVertex = null;
+        // A selected callout's arrow tip can be dragged onto another spot (dropping it on an object or path links it)
+        if (this.selectedAnnotation && this.isOnAnnotationTip(this.mousePos, this.selectedAnnotation)) { this.isDraggingAnnotationTip = true; return; }
+        const rotateTarget = this.selectedObject || this.selectedObstacle;
+        if (rotateTarget && this.isOnRotateHandle(this.mousePos, rotateTarget)) { this.startRotate(rotateTarget); return; }
         // Check for resize handles for currently selected rectangle (object/zone/obstacle)
         const rectTarget = this.selectedObject || this.selectedZone || this.selectedObstacle;
         if (rectTarget) {
@@ -868,6 +1648,22 @@ class SpaghettiDiagramApp {
                 return;
             }
         }
+        // Pressing on a multi-selected item, or on a member of a named group (Alt picks the single item), drags them together
+        if (hit && !e.altKey) {
+            const items = this.selectedItems.includes(hit) ? this.selectedItems : this.expandToGroups([hit]);
+            if (items.length > 1) {
+                this.setSelection(items);
+                this.isDragging = true; this.dragStart = { ...this.mousePos }; this.render(); return;
+            }
+        }
+        this.selectedItems = [];
+        this.selectedAnnotation = null; this.selectedMeasurement = null;
+        // Annotations and measurements are drawn on top of everything, so they are picked first
+        const clickedAnnotation = this.getAnnotationAt(this.mousePos) || this.getMeasurementAt(this.mousePos);
+        if (clickedAnnotation) {
+            this.setSelection([clickedAnnotation]);
+            this.isDragging = true; this.dragStart = { ...this.mousePos }; this.render(); return;
+        }
         // Path endpoint first
         const endpointInfo = this.getPathEndpointAt(this.mousePos);
         if (endpointInfo) {
@@ -945,6 +1741,7 @@ class SpaghettiDiagramApp {
                 this.editingPath.color = c;
                 this.editingPath.length = this.calculatePathLength(this.editingPath.points);
                 this.updateAnalytics();
+                this.commitChange('Edit path');
             } catch(_) {}
             // Close panel silently
             this._pathPanelEl.classList.add('hidden');
@@ -952,6 +1749,7 @@ class SpaghettiDiagramApp {
         }
         this.isDrawing = true;
         this.currentPath = [{ ...this.mousePos }];
+        this._orthoLive = false;
     }
     
     handleObstacleMouseDown() {
@@ -962,9 +1760,21 @@ class SpaghettiDiagramApp {
             width: 0,
             height: 0
         };
+        // Circles are dragged out from their centre
+        if (this.getObstacleShape() === 'circle') Object.assign(this.currentObstacle, { shape: 'circle', cx: this.mousePos.x, cy: this.mousePos.y });
+    }
+
+    getObstacleShape() { return document.getElementById('obstacleShape')?.value || 'rect'; }
+
+    // Which in-progress drawing (if any) the click-to-place polygon tool is building for the active tool
+    getPolygonDraftKey() {
+        if (this.currentTool === 'polygonZone') return 'currentZone';
+        if (this.currentTool === 'obstacle' && this.getObstacleShape() === 'polygon') return 'currentObstacle';
+        if (this.currentTool === 'measure') return 'currentMeasurement';
+        return null;
     }
 
-    // Zone drawing (rectangle for now)
+    // Zone drawing (rectangle)
     handleZoneMouseDown() {
         this.isDrawing = true;
         this.currentZone = {
@@ -974,18 +1784,50 @@ class SpaghettiDiagramApp {
             height: 0,
             id: null,
             name: 'Zone',
-            type: 'green' // default
+            type: 'safe' // default
         };
     }
+
+    // Polygon zone/obstacle drawing: each click adds a corner; pressing and dragging from the first point traces a freehand outline
+    handlePolygonMouseDown(e) {
+        if (e.button !== 0) return;
+        const key = this.getPolygonDraftKey();
+        const pt = { ...this.mousePos };
+        if (!this[key]) {
+            this.isDrawing = true;
+            this[key] = key === 'currentZone' ? { id: null, name: 'Zone', type: 'safe', shape: 'polygon', points: [pt] }
+                : key === 'currentMeasurement' ? { kind: this.getMeasureKind(), points: [pt] }
+                : { shape: 'polygon', points: [pt] };
+            this._polygonFreehand = false;
+            this._polygonPressStart = pt;
+            this.render();
+            return;
+        }
+        const pts = this[key].points;
+        const closeRadius = 8 / (this.zoom || 1);
+        const closes = key !== 'currentMeasurement' || this[key].kind === 'area'; // a distance may end where it started
+        if (closes && pts.length >= 3 && Math.hypot(pt.x - pts[0].x, pt.y - pts[0].y) <= closeRadius) { this.finalizePolygonDraft(); return; }
+        const last = pts[pts.length - 1];
+        if (Math.hypot(pt.x - last.x, pt.y - last.y) > 2) pts.push(pt);
+        this.render();
+    }
     
     handleDeleteMouseDown() {
         const point = this.mousePos;
         let itemToDelete = null;
         let deleteType = null;
 
-        // Check for objects first, as they are on top
-        const clickedObject = this.getObjectAt(point);
-        if (clickedObject) {
+        // Annotations, measurements and objects first, as they are on top
+        const clickedAnnotation = this.getAnnotationAt(point);
+        const clickedMeasurement = clickedAnnotation ? null : this.getMeasurementAt(point);
+        const clickedObject = clickedAnnotation || clickedMeasurement ? null : this.getObjectAt(point);
+        if (clickedAnnotation) {
+            itemToDelete = clickedAnnotation;
+            deleteType = 'annotation';
+        } else if (clickedMeasurement) {
+            itemToDelete = clickedMeasurement;
+            deleteType = 'measurement';
+        } else if (clickedObject) {
             itemToDelete = clickedObject;
             deleteType = 'object';
         } else {
@@ -1045,13 +1887,16 @@ class SpaghettiDiagramApp {
             this.render();
             return;
         }
+        if (this.isDrawingTool()) this.mousePos = this.snapPoint(this.mousePos);
         
         if (this.currentTool === 'select') {
-            this.handleSelectMouseMove();
+            this.handleSelectMouseMove(e);
         } else if (this.currentTool === 'path' && this.isDrawing) {
             this.handlePathMouseMove(e);
         } else if (this.currentTool === 'zone' && this.isDrawing) {
             this.handleZoneMouseMove();
+        } else if (this.getPolygonDraftKey() && this[this.getPolygonDraftKey()]) {
+            this.handlePolygonMouseMove(e);
         } else if (this.currentTool === 'obstacle' && this.isDrawing) {
             this.handleObstacleMouseMove();
         } else if (this.currentTool === 'delete') {
@@ -1059,25 +1904,73 @@ class SpaghettiDiagramApp {
         }
     }
     
-    handleSelectMouseMove() {
+    handleSelectMouseMove(e) {
         if (this.isResizing && this.resizeHandle) {
             this.handleResize(); this.render(); return;
         } else if (this.isDraggingEndpoint && this.selectedPath && this.selectedEndpoint) {
             this.handleEndpointDrag(); return;
+        } else if (this.isDraggingVertex && this.selectedVertex) {
+            const { item, index } = this.selectedVertex;
+            let pt = this.snapPoint(this.mousePos);
+            if (item === this.getVertexEditPath()) {
+                // Shift keeps the segment to the previous point (the next one for the start) at 0/45/90°
+                const ref = item.points[index === 0 ? 1 : index - 1];
+                if (e && e.shiftKey && ref) pt = this.constrainSegment(ref, this.mousePos);
+                // A dragged end leaves its object, or drawPath would snap it back; mouseup attaches it where it lands
+                const end = index === 0 ? 'start' : index === item.points.length - 1 ? 'end' : null;
+                if (end && item[`${end}ObjectId`]) { delete item[`${end}ObjectId`]; delete item[`${end}AccessId`]; }
+                this.movePathVertex(item, index, pt);
+            } else this.setVertex(item, index, pt);
+            this.render(); return;
+        } else if (this.isRotating && this._rotateStart) {
+            this.handleRotate(e); this.render(); return;
+        } else if (this.isDraggingAnnotationTip && this.selectedAnnotation) {
+            this.moveAnnotationTip(this.selectedAnnotation, this.snapPoint(this.mousePos)); this.render(); return;
+        } else if (this.marquee) {
+            this.marquee.x1 = this.mousePos.x; this.marquee.y1 = this.mousePos.y;
+            this.render(); return;
+        } else if (this.isDragging && this.selectedItems.length > 1) {
+            this.moveItems(this.selectedItems, this.mousePos.x - this.dragStart.x, this.mousePos.y - this.dragStart.y, true);
+            this.dragStart = { ...this.mousePos }; this.render(); return;
+        } else if (this.isDragging && this.selectedAnnotation) {
+            const a = this.selectedAnnotation;
+            if (!this._dragAnchor) this._dragAnchor = { x: a.x - this.dragStart.x, y: a.y - this.dragStart.y };
+            this.setAnnotationPosition(a, this.snapPoint({ x: this.mousePos.x + this._dragAnchor.x, y: this.mousePos.y + this._dragAnchor.y }));
+            this.dragStart = { ...this.mousePos }; this.render(); return;
+        } else if (this.isDragging && this.selectedMeasurement) {
+            this.moveItems([this.selectedMeasurement], this.mousePos.x - this.dragStart.x, this.mousePos.y - this.dragStart.y);
+            this.dragStart = { ...this.mousePos }; this.render(); return;
         } else if (this.isDragging) {
-            const dx = this.mousePos.x - this.dragStart.x; const dy = this.mousePos.y - this.dragStart.y;
             const target = this.selectedObject || this.selectedZone || this.selectedObstacle;
             if (target) {
-                target.x = Math.max(0, Math.min(this.canvas.width - target.width, target.x + dx));
-                target.y = Math.max(0, Math.min(this.canvas.height - target.height, target.y + dy));
+                // Position from the pointer's offset at press time so grid snapping and guides don't accumulate drift
+                if (!this._dragAnchor) this._dragAnchor = { x: target.x - this.dragStart.x, y: target.y - this.dragStart.y };
+                const snapped = this.getSnappedPosition(target, this.mousePos.x + this._dragAnchor.x, this.mousePos.y + this._dragAnchor.y);
+                const nx = Math.max(0, Math.min(this.canvas.width - target.width, snapped.x));
+                const ny = Math.max(0, Math.min(this.canvas.height - target.height, snapped.y));
+                if (target.points) target.points = target.points.map(p => ({ x: p.x + nx - target.x, y: p.y + ny - target.y }));
+                target.x = nx; target.y = ny;
             }
             this.dragStart = { ...this.mousePos }; this.render(); return;
         } else {
             const hoveredRect = this.getObjectAt(this.mousePos) || this.getZoneAt(this.mousePos) || this.getObstacleAt(this.mousePos) || this.selectedObject || this.selectedZone || this.selectedObstacle;
             const handle = hoveredRect ? this.getResizeHandle(this.mousePos, hoveredRect) : null;
+            const shapeTarget = this.selectedObject || this.selectedZone || this.selectedObstacle;
+            const overVertex = shapeTarget && this.getVertexAt(this.mousePos, shapeTarget) !== -1;
+            const rotateTarget = this.selectedObject || this.selectedObstacle;
+            const overRotate = rotateTarget && this.isOnRotateHandle(this.mousePos, rotateTarget);
             const overEndpoint = this.getPathEndpointAt(this.mousePos);
             const overPath = !hoveredRect && !overEndpoint ? this.getPathAt(this.mousePos) : null;
-            if (handle) {
+            const overTip = this.selectedAnnotation && this.isOnAnnotationTip(this.mousePos, this.selectedAnnotation);
+            if (overTip) {
+                this.canvas.style.cursor = 'crosshair';
+            } else if (this.getAnnotationAt(this.mousePos) || this.getMeasurementAt(this.mousePos)) {
+                this.canvas.style.cursor = 'move';
+            } else if (overVertex) {
+                this.canvas.style.cursor = 'crosshair';
+            } else if (overRotate) {
+                this.canvas.style.cursor = 'grab';
+            } else if (handle) {
                 const cursorMap = { 'nw':'nwse-resize','se':'nwse-resize','ne':'nesw-resize','sw':'nesw-resize','n':'ns-resize','s':'ns-resize','w':'ew-resize','e':'ew-resize'};
                 this.canvas.style.cursor = cursorMap[handle] || 'default';
             } else if (hoveredRect) {
@@ -1097,6 +1990,12 @@ class SpaghettiDiagramApp {
             // Just ignore movement with no button; mouseup handler will finalize
             return;
         }
+        if (this.currentPath.length > 0 && e && e.shiftKey) {
+            this.extendConstrainedPath(this.mousePos);
+            this.render();
+            return;
+        }
+        this._orthoLive = false;
         if (this.currentPath.length > 0) {
             // Add point if moved enough distance
             const lastPoint = this.currentPath[this.currentPath.length - 1];
@@ -1113,7 +2012,12 @@ class SpaghettiDiagramApp {
     }
     
     handleObstacleMouseMove() {
-        if (this.currentObstacle) {
+        const o = this.currentObstacle;
+        if (o && o.shape === 'circle') {
+            const r = Math.hypot(this.mousePos.x - o.cx, this.mousePos.y - o.cy);
+            Object.assign(o, { x: o.cx - r, y: o.cy - r, width: r * 2, height: r * 2 });
+            this.render();
+        } else if (o) {
             this.currentObstacle.width = this.mousePos.x - this.currentObstacle.x;
             this.currentObstacle.height = this.mousePos.y - this.currentObstacle.y;
             this.render();
@@ -1127,43 +2031,121 @@ class SpaghettiDiagramApp {
             this.render();
         }
     }
+
+    handlePolygonMouseMove(e) {
+        const pts = this[this.getPolygonDraftKey()].points;
+        // Dragging with the button held on the very first point switches to freehand tracing
+        if (e && e.buttons === 1 && (this._polygonFreehand || (pts.length === 1 && Math.hypot(this.mousePos.x - this._polygonPressStart.x, this.mousePos.y - this._polygonPressStart.y) > 5))) {
+            this._polygonFreehand = true;
+            const last = pts[pts.length - 1];
+            if (Math.hypot(this.mousePos.x - last.x, this.mousePos.y - last.y) > 5) pts.push({ ...this.mousePos });
+        }
+        // Without a drag the render shows a rubber-band edge to the cursor
+        this.render();
+    }
     
     handleResize() {
         const target = this.selectedObject || this.selectedZone || this.selectedObstacle; if (!target) return;
+        const before = { x: target.x, y: target.y, width: target.width, height: target.height };
         const handle = this.resizeHandle; const dx = this.mousePos.x - this.dragStart.x; const dy = this.mousePos.y - this.dragStart.y; const minSize = 10;
-        if (handle.includes('e')) target.width = Math.max(minSize, target.width + dx);
-        if (handle.includes('w')) { const newWidth = Math.max(minSize, target.width - dx); const diff = target.width - newWidth; target.width = newWidth; target.x += diff; }
-        if (handle.includes('s')) target.height = Math.max(minSize, target.height + dy);
-        if (handle.includes('n')) { const newHeight = Math.max(minSize, target.height - dy); const diffH = target.height - newHeight; target.height = newHeight; target.y += diffH; }
+        if (target.rotation && !target.points) {
+            // Rotated rectangles resize in their own frame: the opposite edge stays put and the centre follows
+            const a = target.rotation * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+            const lx = dx * cos + dy * sin, ly = -dx * sin + dy * cos;
+            let l = -target.width / 2, r = target.width / 2, t = -target.height / 2, b = target.height / 2;
+            if (handle.includes('e')) r = Math.max(l + minSize, r + lx);
+            if (handle.includes('w')) l = Math.min(r - minSize, l + lx);
+            if (handle.includes('s')) b = Math.max(t + minSize, b + ly);
+            if (handle.includes('n')) t = Math.min(b - minSize, t + ly);
+            const mx = (l + r) / 2, my = (t + b) / 2;
+            const cx = target.x + target.width / 2 + mx * cos - my * sin, cy = target.y + target.height / 2 + mx * sin + my * cos;
+            target.width = r - l; target.height = b - t; target.x = cx - target.width / 2; target.y = cy - target.height / 2;
+            this.dragStart = { ...this.mousePos };
+            return;
+        }
+        if (this.isGridSnapActive()) {
+            // Snapped resizing puts the dragged edges on the grid line nearest the pointer
+            const right = target.x + target.width, bottom = target.y + target.height;
+            const px = this.snapValue(this.mousePos.x), py = this.snapValue(this.mousePos.y);
+            if (handle.includes('e')) target.width = Math.max(minSize, px - target.x);
+            if (handle.includes('w')) { target.x = Math.min(right - minSize, px); target.width = right - target.x; }
+            if (handle.includes('s')) target.height = Math.max(minSize, py - target.y);
+            if (handle.includes('n')) { target.y = Math.min(bottom - minSize, py); target.height = bottom - target.y; }
+        } else {
+            if (handle.includes('e')) target.width = Math.max(minSize, target.width + dx);
+            if (handle.includes('w')) { const newWidth = Math.max(minSize, target.width - dx); const diff = target.width - newWidth; target.width = newWidth; target.x += diff; }
+            if (handle.includes('s')) target.height = Math.max(minSize, target.height + dy);
+            if (handle.includes('n')) { const newHeight = Math.max(minSize, target.height - dy); const diffH = target.height - newHeight; target.height = newHeight; target.y += diffH; }
+        }
+        // Circles stay round: the dragged dimension (the larger one for corners) sets the diameter
+        if (target.shape === 'circle') {
+            const size = handle.length === 2 ? Math.max(target.width, target.height) : /[ew]/.test(handle) ? target.width : target.height;
+            const right = target.x + target.width, bottom = target.y + target.height;
+            target.width = target.height = size;
+            if (handle.includes('w')) target.x = right - size;
+            if (handle.includes('n')) target.y = bottom - size;
+        }
+        // Polygons scale their corners with the bounding box
+        if (target.points) {
+            const sx = before.width ? target.width / before.width : 1, sy = before.height ? target.height / before.height : 1;
+            target.points = target.points.map(p => ({ x: target.x + (p.x - before.x) * sx, y: target.y + (p.y - before.y) * sy }));
+        }
         this.dragStart = { ...this.mousePos };
     }
     
     handleMouseUp(e) {
         e.preventDefault();
         
+        // Drags, resizes and pans all end here; record/persist whatever they changed
+        const hadInteraction = this.isPanning || this.isDragging || this.isResizing || this.isDraggingEndpoint || this.isDraggingVertex || this.isRotating || this.isDraggingAnnotationTip;
+        const draggedPathVertex = this.isDraggingVertex && this.selectedVertex && this.selectedVertex.item === this.getVertexEditPath();
+        const interactionLabel = this.isResizing ? 'Resize' : this.isRotating ? 'Rotate' : this.isDraggingEndpoint ? 'Move path endpoint' : this.isDraggingAnnotationTip ? 'Move callout arrow' : draggedPathVertex ? 'Move path point' : this.isDraggingVertex ? 'Move vertex' : this.isDragging ? 'Move' : null;
+        if (draggedPathVertex && (this.mousePos.x !== this.dragStart.x || this.mousePos.y !== this.dragStart.y)) { this.reattachPathEnd(this.selectedVertex.item, this.selectedVertex.index); this.render(); }
+        if (this.isDraggingAnnotationTip && this.selectedAnnotation) { this.dropAnnotationTip(this.selectedAnnotation); this.render(); }
+        const movedObject = (this.isDragging || this.isResizing || this.isRotating || this.isDraggingVertex) ? this.selectedObject : null;
+        const movedIds = movedObject ? [movedObject.id] : (this.isDragging ? this.selectedItems.filter(it => this.objects.includes(it)).map(o => o.id) : []);
         if (this.isPanning) {
             this.isPanning = false;
         }
+        if (this.marquee) {
+            const m = this.marquee; this.marquee = null;
+            const rect = { x: Math.min(m.x0, m.x1), y: Math.min(m.y0, m.y1), width: Math.abs(m.x1 - m.x0), height: Math.abs(m.y1 - m.y0) };
+            if (rect.width > 2 || rect.height > 2) {
+                const inside = this.expandToGroups(this.getItemsInRect(rect));
+                this.setSelection(m.additive ? [...this.getSelectedItems(), ...inside] : inside);
+            }
+            this.render();
+        }
         
         if (this.currentTool === 'path' && this.isDrawing && this.currentPath.length > 1) {
             this.finalizePath();
         } else if (this.currentTool === 'zone' && this.isDrawing) {
             this.finalizeZone();
+        } else if (this.getPolygonDraftKey() && this[this.getPolygonDraftKey()]) {
+            if (this._polygonFreehand) this.finalizePolygonDraft();
         } else if (this.currentTool === 'obstacle' && this.isDrawing) {
             this.finalizeObstacle();
         }
         
-        // Only reset drawing state for non-path tools (path handles this in finalizePath)
-        if (this.currentTool !== 'path') {
+        // Only reset drawing state for non-path tools (path handles this in finalizePath; polygons stay open between clicks)
+        if (this.currentTool !== 'path' && !this.getPolygonDraftKey()) {
             this.isDrawing = false;
         }
         this.isDragging = false;
         this.isResizing = false;
         this.isDraggingEndpoint = false;
+        this.isDraggingVertex = false;
+        this.isDraggingAnnotationTip = false;
+        this.isRotating = false; this._rotateStart = null;
         this.resizeHandle = null;
+        this._dragAnchor = null; this.alignGuideLines = [];
+        if (movedIds.length && this.getCurrentScenario()?.autoReroute && this.rerouteLinkedPaths(movedIds).routed) { this.updateAnalytics(); this.render(); }
+        if (interactionLabel) this.commitChange(interactionLabel);
+        if (this.currentTool === 'select') this.updateSelectionUI();
+        else if (hadInteraction) this.scheduleAutosave();
         // Only force a default cursor for tools that rely on dynamic inline cursors; 
-        // for path mode we clear inline style so the CSS marker cursor shows.
-        if (this.currentTool === 'path') {
+        // for path, polygon, measure and annotate modes we clear inline style so the CSS cursor shows.
+        if (['path', 'polygonZone', 'measure', 'annotate'].includes(this.currentTool)) {
             this.canvas.style.cursor = '';
         } else {
             this.canvas.style.cursor = 'default';
@@ -1172,17 +2154,25 @@ class SpaghettiDiagramApp {
     
     handleDoubleClick(e) {
         e.preventDefault();
+        if (this.getPolygonDraftKey() && this[this.getPolygonDraftKey()]) { this.finalizePolygonDraft(); return; }
         if (this.currentTool === 'select') {
             const worldPos = this.getMousePos(e);
+            // Double-click on an edge of the selected polygon inserts a corner there
+            const shapeSel = this.selectedObject || this.selectedZone || this.selectedObstacle;
+            if (this.getEditablePoints(shapeSel) && this.insertVertex(shapeSel, worldPos)) return;
+            const editPath = this.getVertexEditPath();
+            if (editPath && this.insertPathVertex(editPath, worldPos)) return;
+            const an = this.getAnnotationAt(worldPos);
+            if (an) { this.setSelection([an]); this.openAnnotationModal(); return; }
             // Allow double-click path to edit
             const p = this.getPathAt(worldPos);
             if (p) { this.openPathEditModal(p); return; }
             const obj = this.getObjectAt(worldPos);
-            if (obj) { this.selectedObject = obj; this.selectedZone = null; this.selectedObstacle = null; this.openObjectModal(); return; }
+            if (obj) { this.setSelection([obj]); this.openObjectModal(); return; }
             const z = this.getZoneAt(worldPos);
-            if (z) { this.selectedZone = z; this.selectedObject = null; this.selectedObstacle = null; this.openZoneModal(); return; }
+            if (z) { this.setSelection([z]); this.openZoneModal(); return; }
             const ob = this.getObstacleAt(worldPos);
-            if (ob) { this.selectedObstacle = ob; /* could open future obstacle modal */ return; }
+            if (ob) { this.setSelection([ob]); /* could open future obstacle modal */ return; }
         }
     }
 
@@ -1215,27 +2205,12 @@ class SpaghettiDiagramApp {
             this.render(); 
             return; 
         }
-        // Attach endpoints to nearest object (radius)
-        const attachRadius = 30;
-        const findAttachment = (pt) => {
-            let best=null, bestDist=attachRadius;
-            for (const obj of this.objects) {
-                const cx=obj.x+obj.width/2, cy=obj.y+obj.height/2;
-                const d=Math.hypot(pt.x-cx, pt.y-cy);
-                if (d<bestDist){ bestDist=d; best=obj; }
-            }
-            return best;
-        };
-        const first = { ...simplified[0] }; const last = { ...simplified[simplified.length-1] };
-        const startObj = findAttachment(first); const endObj = findAttachment(last);
-        if (startObj){ first.x = startObj.x + startObj.width/2; first.y = startObj.y + startObj.height/2; }
-        if (endObj){ last.x = endObj.x + endObj.width/2; last.y = endObj.y + endObj.height/2; }
-        simplified[0]=first; simplified[simplified.length-1]=last;
+        const ends = this.attachPathEnds(simplified);
         const color = this._pathColors[this._pathColorIndex % this._pathColors.length];
         this._pathColorIndex++;
-        const path = { id: Date.now()+Math.random(), points: simplified, description: `Path ${this.paths.length+1}`, frequency: 1, color, startObjectId: startObj?startObj.id:null, endObjectId: endObj?endObj.id:null, length: this.calculatePathLength(simplified) };
+        const path = { id: Date.now()+Math.random(), points: simplified, description: `Path ${this.paths.length+1}`, frequency: 1, color, ...ends, length: this.calculatePathLength(simplified) };
         console.log('[PATH][finalizePath] created path:', path.id);
-        this.paths.push(path);
+        this.paths.push(this.assignActiveLayer(path));
         this.updateObjectVisits(path);
         this.updateAnalytics();
         this.showInfoMessage(`Added ${path.description}`, 'success', 1500);
@@ -1243,9 +2218,34 @@ class SpaghettiDiagramApp {
         console.log('[PATH][finalizePath] calling openPathSidePanel...');
         this.openPathSidePanel(path);
         this.render(); // Render after clearing current path and opening panel
+        this.commitChange('Draw path');
         console.log('[PATH][finalizePath] finalization complete');
     }
     
+    // Snap both ends of a drawn path to the object they start/end on – inside its footprint, or within 30px of its anchor or an access point
+    // or one of its access points – at the access point nearest the drawn end (the centre when it has none)
+    attachPathEnds(points) {
+        const attachRadius = 30;
+        const findAttachment = (pt) => {
+            let best=null, bestDist=attachRadius;
+            for (const obj of this.objects) {
+                const targets = [this.getObjectAnchor(obj), ...this.getAccessPoints(obj)];
+                const d=this.isPointInObject(pt, obj) ? 0 : Math.min(...targets.map(c=>Math.hypot(pt.x-c.x, pt.y-c.y)));
+                if (d<bestDist){ bestDist=d; best=obj; }
+            }
+            return best;
+        };
+        const ends = {};
+        [['start', 0], ['end', points.length-1]].forEach(([k, i]) => {
+            const obj = findAttachment(points[i]);
+            const ap = obj ? this.resolveAccessPoint(obj, null, points[i]) : null;
+            if (obj) points[i] = ap ? { x: ap.x, y: ap.y } : this.getObjectAnchor(obj);
+            ends[`${k}ObjectId`] = obj ? obj.id : null;
+            if (ap) ends[`${k}AccessId`] = ap.id;
+        });
+        return ends;
+    }
+
     finalizeObstacle() {
         if (this.currentObstacle && Math.abs(this.currentObstacle.width) > 10 && Math.abs(this.currentObstacle.height) > 10) {
             // Normalize negative dimensions
@@ -1259,10 +2259,12 @@ class SpaghettiDiagramApp {
             }
             
             this.currentObstacle.id = Date.now() + Math.random();
-            this.obstacles.push({ ...this.currentObstacle });
+            delete this.currentObstacle.cx; delete this.currentObstacle.cy;
+            this.obstacles.push(this.assignActiveLayer({ ...this.currentObstacle }));
             this.selectedObstacle = this.obstacles[this.obstacles.length - 1];
             // Switch to select to immediately allow drag/resize
             this.setTool('select');
+            this.commitChange('Add obstacle');
         }
         this.currentObstacle = null;
         this.render();
@@ -1274,66 +2276,501 @@ class SpaghettiDiagramApp {
             if (this.currentZone.width < 0) { this.currentZone.x += this.currentZone.width; this.currentZone.width = Math.abs(this.currentZone.width); }
             if (this.currentZone.height < 0) { this.currentZone.y += this.currentZone.height; this.currentZone.height = Math.abs(this.currentZone.height); }
             this.currentZone.id = Date.now() + Math.random();
-            this.zones.push({ ...this.currentZone });
+            this.zones.push(this.assignActiveLayer({ ...this.currentZone }));
             this.selectedZone = this.zones[this.zones.length - 1];
             // Open zone modal, but keep immediate select/resize behavior
             this.openZoneModal();
             this.setTool('select');
+            this.commitChange('Add zone');
         }
         this.currentZone = null;
         this.render();
     }
-    
-    simplifyPath(path, tolerance = 8) {
-        if (path.length <= 2) return path;
-        
-        const simplified = [path[0]];
-        
-        for (let i = 1; i < path.length - 1; i++) {
-            const point = path[i];
-            const lastPoint = simplified[simplified.length - 1];
-            const distance = Math.sqrt(
-                Math.pow(point.x - lastPoint.x, 2) + Math.pow(point.y - lastPoint.y, 2)
-            );
-            
-            if (distance >= tolerance) {
-                simplified.push(point);
-            }
-        }
-        
-        // Always include the last point
-        simplified.push(path[path.length - 1]);
-        return simplified;
+
+    finalizePolygonDraft() {
+        if (this.currentTool === 'polygonZone') this.finalizePolygonZone();
+        else if (this.currentTool === 'measure') this.finalizeMeasurement();
+        else this.finalizePolygonObstacle();
     }
-    
-    openPathModal() {
-        console.log('[PATH][openPathModal] Opening path modal. tempPathPoints length:', this.tempPathPoints && this.tempPathPoints.length);
-        const modal = document.getElementById('pathModal');
-        modal.classList.remove('hidden');
-        const desc = document.getElementById('pathDescription');
-        // Pre-fill a default description if empty (helps users quickly save additional paths)
-        if (desc && !desc.value.trim()) {
-            desc.value = `Path ${this.paths.length + 1}`;
+
+    // Ends the in-progress polygon and returns it with cleaned-up corners, or null when it encloses too little to keep
+    takePolygonDraft(key) {
+        const draft = this[key];
+        const freehand = this._polygonFreehand;
+        this[key] = null; this.isDrawing = false; this._polygonFreehand = false;
+        if (!draft || !draft.points) { this.render(); return null; }
+        // Drop repeated clicks on the same spot (a closing double-click lands twice) and thin freehand traces
+        let pts = draft.points.filter((p, i, a) => !i || Math.hypot(p.x - a[i - 1].x, p.y - a[i - 1].y) > 2);
+        if (freehand) pts = this.simplifyPath(pts);
+        if (pts.length > 3 && Math.hypot(pts[0].x - pts[pts.length - 1].x, pts[0].y - pts[pts.length - 1].y) <= 8) pts.pop();
+        pts = pts.map(p => ({ x: p.x, y: p.y }));
+        if (pts.length < 3 || this.getPolygonArea(pts) < 100) {
+            this.showInfoMessage('A polygon needs at least three corners enclosing some area.', 'warning', 2000);
+            this.render();
+            return null;
         }
-        // Restore last used frequency or default to 1
-        const freqEl = document.getElementById('pathFrequency');
-        if (freqEl && !freqEl.value) {
-            freqEl.value = this._lastPathFrequency || 1;
+        const shape = { ...draft, points: pts, id: Date.now() + Math.random() };
+        this.syncShapeBounds(shape);
+        return shape;
+    }
+
+    finalizePolygonZone() {
+        const zone = this.takePolygonDraft('currentZone');
+        if (!zone) return;
+        this.zones.push(this.assignActiveLayer(zone));
+        this.selectedZone = zone;
+        this.openZoneModal();
+        this.setTool('select');
+        this.commitChange('Add zone');
+    }
+
+    finalizePolygonObstacle() {
+        const ob = this.takePolygonDraft('currentObstacle');
+        if (!ob) return;
+        this.obstacles.push(this.assignActiveLayer(ob));
+        this.selectedObstacle = ob;
+        this.setTool('select');
+        this.commitChange('Add obstacle');
+    }
+
+    // ---- Polygon vertex editing (zones, obstacles and object footprints) ----
+    // World-space corners that can be edited, or null when the item is a plain rectangle/circle
+    getEditablePoints(t) {
+        if (!t) return null;
+        if (t.points) return t.points;
+        return t.footprint ? this.getObjectPolygon(t) : null;
+    }
+
+    getVertexAt(pt, z) {
+        const pts = this.getEditablePoints(z);
+        if (!pts) return -1;
+        const radius = 7 / (this.zoom || 1);
+        for (let i = pts.length - 1; i >= 0; i--) if (Math.hypot(pt.x - pts[i].x, pt.y - pts[i].y) <= radius) return i;
+        return -1;
+    }
+
+    // Footprint corners are stored relative to the object box, so they stay inside it
+    setVertex(t, index, pt) {
+        if (t.footprint) { t.footprint[index] = this.toBoxFraction(t, pt); return; }
+        t.points[index] = { x: pt.x, y: pt.y };
+        this.syncShapeBounds(t);
+    }
+
+    insertVertex(z, pt) {
+        const pts = this.getEditablePoints(z); const threshold = 6 / (this.zoom || 1);
+        for (let i = 0; i < pts.length; i++) {
+            const a = pts[i], b = pts[(i + 1) % pts.length];
+            if (this.pointSegmentDistance(pt, a, b) > threshold) continue;
+            if (z.footprint) z.footprint.splice(i + 1, 0, this.toBoxFraction(z, pt));
+            else z.points.splice(i + 1, 0, { x: pt.x, y: pt.y });
+            this.selectedVertex = { item: z, index: i + 1 };
+            this.syncShapeBounds(z);
+            this.render();
+            this.commitChange('Add vertex');
+            return true;
         }
-        if (desc) desc.focus();
-        // Reset submit handled flag for this opening
-        this._primaryPathSubmitHandled = false;
-        // Ensure Save button operational
-        const saveBtn = document.getElementById('savePath');
-        if (saveBtn) {
-            saveBtn.disabled = false;
-            saveBtn.removeAttribute('aria-disabled');
-            const clickHandler = (ev) => {
-                console.log('[PATH][saveBtnClick] Save button clicked');
-                const form = document.getElementById('pathForm');
-                if (form) {
-                    form.requestSubmit();
-                } else {
+        return false;
+    }
+
+    deleteVertex() {
+        const { item, index } = this.selectedVertex;
+        const list = item.footprint || item.points;
+        this.selectedVertex = null;
+        if (list.length <= 3) { this.showInfoMessage('A polygon needs at least three corners.', 'warning', 2000); return; }
+        list.splice(index, 1);
+        this.syncShapeBounds(item);
+        this.render();
+        this.commitChange('Delete vertex');
+    }
+
+    // Rectangle fields of a polygon hold its bounding box so moving, resizing and bounds code keep working
+    syncShapeBounds(z) {
+        if (!z.points || !z.points.length) return;
+        const xs = z.points.map(p => p.x), ys = z.points.map(p => p.y);
+        z.x = Math.min(...xs); z.y = Math.min(...ys);
+        z.width = Math.max(...xs) - z.x; z.height = Math.max(...ys) - z.y;
+    }
+
+    // ---- Path vertex editing (E on a selected path; the path's own points act as vertices) ----
+    // The path in vertex-edit mode, or null once it is no longer the selected path (undo, delete, reselect)
+    getVertexEditPath() {
+        const p = this.pathVertexEdit;
+        return p && p === this.selectedPath && this.paths.includes(p) ? p : null;
+    }
+
+    togglePathVertexEdit(path = this.selectedPath) {
+        const on = !!path && this.getVertexEditPath() !== path;
+        this.pathVertexEdit = on ? path : null;
+        this.selectedVertex = null;
+        this.updatePathVertexUI();
+        this.render();
+        if (on) this.showInfoMessage('Editing points: drag a point, double-click a segment to add one, Delete removes the selected point.', 'info', 3000);
+    }
+
+    updatePathVertexUI() {
+        const path = this.getVertexEditPath();
+        const editBtn = document.getElementById('pathPanelEditPoints');
+        if (editBtn) { editBtn.textContent = path ? 'Done editing points' : 'Edit points'; editBtn.classList.toggle('active', !!path); }
+        const v = path && this.selectedVertex && this.selectedVertex.item === path ? this.selectedVertex.index : -1;
+        const splitBtn = document.getElementById('pathPanelSplit');
+        if (splitBtn) splitBtn.disabled = !(v > 0 && v < path.points.length - 1);
+        const joinBtn = document.getElementById('pathPanelJoin');
+        if (joinBtn) joinBtn.disabled = !(path && this.findJoinablePath(path));
+    }
+
+    // Any hand edit turns an auto-route into a drawn path and refreshes its length and the analytics
+    touchPathGeometry(path) {
+        delete path.auto;
+        path.length = this.calculatePathLength(path.points);
+        this._heatmapDirty = true;
+        this.updateAnalytics();
+    }
+
+    movePathVertex(path, index, pt) {
+        path.points[index] = { x: pt.x, y: pt.y };
+        this.touchPathGeometry(path);
+    }
+
+    // A dragged end (detached when the drag started) attaches to whatever object it was dropped on, if any
+    reattachPathEnd(path, index) {
+        const end = index === 0 ? 'start' : index === path.points.length - 1 ? 'end' : null;
+        if (!end) return;
+        const probe = [path.points[index], path.points[index]];
+        const ends = this.attachPathEnds(probe);
+        path.points[index] = probe[0];
+        path[`${end}ObjectId`] = ends.startObjectId;
+        if (ends.startAccessId) path[`${end}AccessId`] = ends.startAccessId; else delete path[`${end}AccessId`];
+        this.touchPathGeometry(path);
+    }
+
+    insertPathVertex(path, pt) {
+        const threshold = 6 / (this.zoom || 1);
+        for (let i = 0; i < path.points.length - 1; i++) {
+            if (this.pointSegmentDistance(pt, path.points[i], path.points[i + 1]) > threshold) continue;
+            path.points.splice(i + 1, 0, { x: pt.x, y: pt.y });
+            this.selectedVertex = { item: path, index: i + 1 };
+            this.touchPathGeometry(path);
+            this.updatePathVertexUI();
+            this.render();
+            this.commitChange('Add path point');
+            return true;
+        }
+        return false;
+    }
+
+    // Removing an end point also drops that end's object link, since the path no longer reaches the object
+    deletePathVertex() {
+        const { item: path, index } = this.selectedVertex;
+        this.selectedVertex = null;
+        if (path.points.length <= 2) { this.showInfoMessage('A path needs at least two points.', 'warning', 2000); return; }
+        const end = index === 0 ? 'start' : index === path.points.length - 1 ? 'end' : null;
+        if (end) { path[`${end}ObjectId`] = null; delete path[`${end}AccessId`]; }
+        path.points.splice(index, 1);
+        this.touchPathGeometry(path);
+        this.updatePathVertexUI();
+        this.render();
+        this.commitChange('Delete path point');
+    }
+
+    // Split at the selected interior point: the original keeps the first half and its start link,
+    // the new path takes the second half, the end link, the metadata and any group membership
+    splitPathAtVertex() {
+        const path = this.getVertexEditPath();
+        const index = path && this.selectedVertex && this.selectedVertex.item === path ? this.selectedVertex.index : -1;
+        if (!(index > 0 && index < path.points.length - 1)) { this.showInfoMessage('Select a point between the path ends to split there.', 'warning', 2000); return; }
+        const second = { ...JSON.parse(JSON.stringify(path)), id: Date.now() + Math.random(), description: `${path.description || 'Path'} (2)`, points: path.points.slice(index).map(p => ({ ...p })), startObjectId: null };
+        delete second.startAccessId;
+        path.points = path.points.slice(0, index + 1);
+        path.endObjectId = null; delete path.endAccessId;
+        this.touchPathGeometry(path);
+        this.touchPathGeometry(second);
+        this.paths.splice(this.paths.indexOf(path) + 1, 0, second);
+        this.groups.forEach(g => { if (g.memberIds.includes(path.id)) g.memberIds.push(second.id); });
+        this.selectedVertex = null;
+        this.updatePathVertexUI();
+        this.render();
+        this.commitChange('Split path');
+        this.showInfoMessage(`Split into "${path.description}" and "${second.description}".`, 'success', 2000);
+    }
+
+    // Another path with an end within snapping distance of one of this path's ends (the selected end first)
+    findJoinablePath(path) {
+        const radius = 8 / (this.zoom || 1);
+        const last = path.points.length - 1;
+        const v = this.selectedVertex && this.selectedVertex.item === path ? this.selectedVertex.index : -1;
+        const ends = v === last ? ['end', 'start'] : ['start', 'end'];
+        for (const end of ends) {
+            const pt = path.points[end === 'start' ? 0 : last];
+            for (const other of this.paths) {
+                if (other === path || !other.points || other.points.length < 2) continue;
+                for (const otherEnd of ['start', 'end']) {
+                    const q = other.points[otherEnd === 'start' ? 0 : other.points.length - 1];
+                    if (Math.hypot(pt.x - q.x, pt.y - q.y) <= radius) return { other, end, otherEnd };
+                }
+            }
+        }
+        return null;
+    }
+
+    // Join with a path sharing an end: the selected path keeps its id and metadata, the other is removed
+    joinPaths() {
+        const path = this.getVertexEditPath();
+        const match = path && this.findJoinablePath(path);
+        if (!match) { this.showInfoMessage('No other path shares an end point with this one.', 'warning', 2000); return; }
+        const { other, end, otherEnd } = match;
+        const link = (p, e) => ({ objectId: p[`${e}ObjectId`] || null, accessId: p[`${e}AccessId`] });
+        const flip = { start: 'end', end: 'start' };
+        // Orient both so the shared end sits in the middle: [path ... shared][shared ... other]
+        const first = end === 'end' ? path.points : [...path.points].reverse();
+        const firstStart = link(path, flip[end]);
+        const second = otherEnd === 'start' ? other.points : [...other.points].reverse();
+        const secondEnd = link(other, flip[otherEnd]);
+        path.points = [...first, ...second.slice(1)].map(p => ({ x: p.x, y: p.y }));
+        [['start', firstStart], ['end', secondEnd]].forEach(([e, l]) => {
+            path[`${e}ObjectId`] = l.objectId;
+            if (l.accessId) path[`${e}AccessId`] = l.accessId; else delete path[`${e}AccessId`];
+        });
+        this.paths = this.paths.filter(p => p !== other);
+        this.pruneGroups();
+        this.touchPathGeometry(path);
+        this.annotations.filter(a => a.targetId === other.id).forEach(a => this.linkAnnotation(a, path));
+        this.selectedVertex = null;
+        this.updatePathVertexUI();
+        this.render();
+        this.commitChange('Join paths');
+        const note = (other.frequency || 1) !== (path.frequency || 1) ? ` Kept this path's frequency (${path.frequency || 1}/day).` : '';
+        this.showInfoMessage(`Joined with "${other.description || 'path'}".${note}`, note ? 'warning' : 'success', note ? 3500 : 1500);
+    }
+
+    // ---- Rotation (rectangles carry `rotation` in degrees about their centre; polygons are rotated in place) ----
+    canRotate(t) { return !!t && t.shape !== 'circle'; }
+    getRotateHandlePosition(t) {
+        const c = { x: t.x + t.width / 2, y: t.y + t.height / 2 };
+        const off = t.height / 2 + 24 / (this.zoom || 1);
+        const a = (t.points ? 0 : (t.rotation || 0)) * Math.PI / 180;
+        return { x: c.x + off * Math.sin(a), y: c.y - off * Math.cos(a) };
+    }
+    isOnRotateHandle(pt, t) {
+        if (!this.canRotate(t)) return false;
+        const h = this.getRotateHandlePosition(t);
+        return Math.hypot(pt.x - h.x, pt.y - h.y) <= 7 / (this.zoom || 1);
+    }
+    startRotate(t) {
+        const centre = { x: t.x + t.width / 2, y: t.y + t.height / 2 };
+        this.isRotating = true;
+        this._rotateStart = { target: t, centre, angle: Math.atan2(this.mousePos.y - centre.y, this.mousePos.x - centre.x), rotation: t.rotation || 0, points: t.points ? t.points.map(p => ({ x: p.x, y: p.y })) : null };
+    }
+    // Shift snaps to 15° steps
+    handleRotate(e) {
+        const st = this._rotateStart; const t = st.target; const snap = e && e.shiftKey;
+        let delta = (Math.atan2(this.mousePos.y - st.centre.y, this.mousePos.x - st.centre.x) - st.angle) * 180 / Math.PI;
+        if (st.points) {
+            if (snap) delta = Math.round(delta / 15) * 15;
+            const a = delta * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+            t.points = st.points.map(p => ({ x: st.centre.x + (p.x - st.centre.x) * cos - (p.y - st.centre.y) * sin, y: st.centre.y + (p.x - st.centre.x) * sin + (p.y - st.centre.y) * cos }));
+            this.syncShapeBounds(t);
+        } else {
+            let rot = st.rotation + delta;
+            if (snap) rot = Math.round(rot / 15) * 15;
+            t.rotation = Math.round((((rot % 360) + 360) % 360) * 10) / 10;
+            if (t.rotation === 360) t.rotation = 0;
+        }
+    }
+
+    // ---- Shape geometry ----
+    getPolygonArea(pts) {
+        let twice = 0; // shoelace formula
+        pts.forEach((p, i) => { const q = pts[(i + 1) % pts.length]; twice += p.x * q.y - q.x * p.y; });
+        return Math.abs(twice) / 2;
+    }
+    getPolygonCentroid(pts) {
+        let a = 0, cx = 0, cy = 0;
+        pts.forEach((p, i) => { const q = pts[(i + 1) % pts.length]; const k = p.x * q.y - q.x * p.y; a += k; cx += (p.x + q.x) * k; cy += (p.y + q.y) * k; });
+        if (Math.abs(a) < 1e-9) return { x: pts.reduce((s, p) => s + p.x, 0) / pts.length, y: pts.reduce((s, p) => s + p.y, 0) / pts.length };
+        return { x: cx / (3 * a), y: cy / (3 * a) };
+    }
+    pointInPolygon(pt, pts) {
+        let inside = false; // even-odd ray cast
+        for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+            const a = pts[i], b = pts[j];
+            if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+    }
+    // Distance from pt to the polygon outline, 0 when inside
+    distanceToPolygon(pt, pts) {
+        if (this.pointInPolygon(pt, pts)) return 0;
+        let best = Infinity;
+        pts.forEach((p, i) => { best = Math.min(best, this.pointSegmentDistance(pt, p, pts[(i + 1) % pts.length])); });
+        return best;
+    }
+    getPolygonBounds(pts) {
+        const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+        const x = Math.min(...xs), y = Math.min(...ys);
+        return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+    }
+    // Box corners – or `local` corners given as fractions of the box – rotated by t.rotation about the box centre
+    getRotatedBoxPolygon(t, local = null) {
+        const cx = t.x + t.width / 2, cy = t.y + t.height / 2;
+        const a = (t.rotation || 0) * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+        return (local || [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }]).map(p => {
+            const x = (p.x - 0.5) * t.width, y = (p.y - 0.5) * t.height;
+            return { x: cx + x * cos - y * sin, y: cy + x * sin + y * cos };
+        });
+    }
+    // Inverse of getRotatedBoxPolygon for one point, clamped to the box
+    toBoxFraction(t, pt) {
+        const a = -(t.rotation || 0) * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+        const dx = pt.x - (t.x + t.width / 2), dy = pt.y - (t.y + t.height / 2);
+        const clamp = (v) => Math.max(0, Math.min(1, v));
+        return { x: clamp((dx * cos - dy * sin) / t.width + 0.5), y: clamp((dx * sin + dy * cos) / t.height + 0.5) };
+    }
+    // Objects: rotation and an optional footprint polygon (fractions of the box); paths anchor at getObjectAnchor
+    isShapedObject(o) { return !!o.rotation || !!o.footprint; }
+    getObjectPolygon(o) { return this.getRotatedBoxPolygon(o, o.footprint); }
+    getObjectBounds(o) { return this.isShapedObject(o) ? this.getPolygonBounds(this.getObjectPolygon(o)) : { x: o.x, y: o.y, width: o.width, height: o.height }; }
+    getObjectCenter(o) { return { x: o.x + o.width / 2, y: o.y + o.height / 2 }; }
+    // Where paths attach without an access point: the footprint's centroid, or – when that falls outside, as in the
+    // notch of a U – the middle of the inside stretch of the centroid's row closest to it
+    getObjectAnchor(o) {
+        if (!o.footprint) return this.getObjectCenter(o);
+        const poly = this.getObjectPolygon(o);
+        const c = this.getPolygonCentroid(poly);
+        if (this.pointInPolygon(c, poly)) return c;
+        const xs = [];
+        poly.forEach((a, i) => {
+            const b = poly[(i + 1) % poly.length];
+            if ((a.y <= c.y) !== (b.y <= c.y)) xs.push(a.x + (c.y - a.y) / (b.y - a.y) * (b.x - a.x));
+        });
+        xs.sort((a, b) => a - b);
+        let best = null;
+        for (let i = 0; i + 1 < xs.length; i += 2) {
+            const mid = { x: (xs[i] + xs[i + 1]) / 2, y: c.y };
+            const d = c.x < xs[i] ? xs[i] - c.x : c.x > xs[i + 1] ? c.x - xs[i + 1] : 0;
+            if (!best || d < best.d) best = { d, pt: mid };
+        }
+        return best ? best.pt : this.getObjectCenter(o);
+    }
+    isPointInObject(pt, o) {
+        if (!this.isShapedObject(o)) return pt.x >= o.x && pt.x <= o.x + o.width && pt.y >= o.y && pt.y <= o.y + o.height;
+        return this.pointInPolygon(pt, this.getObjectPolygon(o));
+    }
+    // Access points: named pick-up/drop-off spots stored like footprints (fractions of the unrotated box) so they follow
+    // moves, resizes and rotation. Paths attach to a chosen one, else the nearest, and fall back to the centre without any.
+    getAccessPoints(o) { return (o.accessPoints || []).map(ap => ({ id: ap.id, name: ap.name, ...this.getRotatedBoxPolygon(o, [ap])[0] })); }
+    resolveAccessPoint(o, accessId = null, toward = null) {
+        const aps = this.getAccessPoints(o);
+        if (!aps.length) return null;
+        const chosen = accessId != null ? aps.find(ap => String(ap.id) === String(accessId)) : null;
+        if (chosen) return chosen;
+        const ref = toward || this.getObjectAnchor(o);
+        return aps.reduce((a, b) => Math.hypot(b.x - ref.x, b.y - ref.y) < Math.hypot(a.x - ref.x, a.y - ref.y) ? b : a);
+    }
+    getAttachPoint(o, accessId = null, toward = null) { const ap = this.resolveAccessPoint(o, accessId, toward); return ap ? { x: ap.x, y: ap.y } : this.getObjectAnchor(o); }
+    // Access points for both ends of a route; unchosen ends take the pair (or the point) closest to the other end
+    pickAccessPair(startObj, endObj, startAccessId = null, endAccessId = null) {
+        const starts = startAccessId != null ? [this.resolveAccessPoint(startObj, startAccessId)] : this.getAccessPoints(startObj);
+        const ends = endAccessId != null ? [this.resolveAccessPoint(endObj, endAccessId)] : this.getAccessPoints(endObj);
+        const a = starts.length ? starts : [null], b = ends.length ? ends : [null];
+        let best = null, bestDist = Infinity;
+        a.forEach(sa => b.forEach(eb => {
+            const p = sa || this.getObjectAnchor(startObj), q = eb || this.getObjectAnchor(endObj);
+            const d = Math.hypot(q.x - p.x, q.y - p.y);
+            if (d < bestDist) { bestDist = d; best = { startAp: sa, endAp: eb }; }
+        }));
+        return best;
+    }
+    // Point `dist` px outside the box side an access point sits on, so routes leave through the door rather than the machine
+    getAccessApproach(o, ap, dist) {
+        const f = (o.accessPoints || []).find(q => String(q.id) === String(ap.id)) || this.toBoxFraction(o, ap);
+        const sides = [[f.y * o.height, 0, -1], [(1 - f.y) * o.height, 0, 1], [f.x * o.width, -1, 0], [(1 - f.x) * o.width, 1, 0]];
+        const [, nx, ny] = sides.reduce((m, s) => s[0] < m[0] ? s : m);
+        const a = (o.rotation || 0) * Math.PI / 180;
+        return { x: ap.x + (nx * Math.cos(a) - ny * Math.sin(a)) * dist, y: ap.y + (nx * Math.sin(a) + ny * Math.cos(a)) * dist };
+    }
+    // Access point fraction <-> box side and % along it (left→right on top/bottom, top→bottom on left/right)
+    accessPointToSide(ap) {
+        const sides = [['top', ap.y, ap.x], ['bottom', 1 - ap.y, ap.x], ['left', ap.x, ap.y], ['right', 1 - ap.x, ap.y]];
+        const [side, , along] = sides.reduce((m, s) => s[1] < m[1] ? s : m);
+        return { side, offset: Math.round(along * 100) };
+    }
+    sideToAccessPoint(side, offset) {
+        const t = Math.max(0, Math.min(100, offset)) / 100;
+        return { top: { x: t, y: 0 }, bottom: { x: t, y: 1 }, left: { x: 0, y: t }, right: { x: 1, y: t } }[side] || { x: t, y: 1 };
+    }
+    // Rectangles, rotated rectangles, circles (inscribed in x/y/width/height) and polygons
+    isShapedObstacle(ob) { return ob.shape === 'circle' || !!ob.points || !!ob.rotation; }
+    getObstaclePolygon(ob, segments = 24) {
+        if (ob.points) return ob.points;
+        const cx = ob.x + ob.width / 2, cy = ob.y + ob.height / 2;
+        if (ob.shape === 'circle') return Array.from({ length: segments }, (_, i) => { const a = i / segments * Math.PI * 2; return { x: cx + Math.cos(a) * ob.width / 2, y: cy + Math.sin(a) * ob.width / 2 }; });
+        return this.getRotatedBoxPolygon(ob);
+    }
+    // Axis-aligned box around the obstacle as drawn
+    getObstacleBounds(ob) {
+        if (!ob.rotation || ob.points || ob.shape === 'circle') return { x: ob.x, y: ob.y, width: ob.width, height: ob.height };
+        return this.getPolygonBounds(this.getObstaclePolygon(ob));
+    }
+    isPointInObstacle(pt, ob) {
+        if (ob.shape === 'circle') return Math.hypot(pt.x - (ob.x + ob.width / 2), pt.y - (ob.y + ob.height / 2)) <= ob.width / 2;
+        if (!this.isShapedObstacle(ob)) return pt.x >= ob.x && pt.x <= ob.x + ob.width && pt.y >= ob.y && pt.y <= ob.y + ob.height;
+        return this.pointInPolygon(pt, this.getObstaclePolygon(ob));
+    }
+    distanceToObstacle(pt, ob) {
+        if (ob.shape === 'circle') return Math.max(0, Math.hypot(pt.x - (ob.x + ob.width / 2), pt.y - (ob.y + ob.height / 2)) - ob.width / 2);
+        return this.distanceToPolygon(pt, this.getObstaclePolygon(ob));
+    }
+    
+    simplifyPath(path, tolerance = 8) {
+        if (path.length <= 2) return path;
+        
+        const simplified = [path[0]];
+        
+        for (let i = 1; i < path.length - 1; i++) {
+            const point = path[i];
+            const lastPoint = simplified[simplified.length - 1];
+            const distance = Math.sqrt(
+                Math.pow(point.x - lastPoint.x, 2) + Math.pow(point.y - lastPoint.y, 2)
+            );
+            
+            if (distance >= tolerance) {
+                simplified.push(point);
+            }
+        }
+        
+        // Always include the last point
+        simplified.push(path[path.length - 1]);
+        return simplified;
+    }
+    
+    openPathModal() {
+        console.log('[PATH][openPathModal] Opening path modal. tempPathPoints length:', this.tempPathPoints && this.tempPathPoints.length);
+        const modal = document.getElementById('pathModal');
+        modal.classList.remove('hidden');
+        const desc = document.getElementById('pathDescription');
+        // Pre-fill a default description if empty (helps users quickly save additional paths)
+        if (desc && !desc.value.trim()) {
+            desc.value = `Path ${this.paths.length + 1}`;
+        }
+        // Restore last used frequency or default to 1
+        const freqEl = document.getElementById('pathFrequency');
+        if (freqEl && !freqEl.value) {
+            freqEl.value = this._lastPathFrequency || 1;
+        }
+        if (desc) desc.focus();
+        // Reset submit handled flag for this opening
+        this._primaryPathSubmitHandled = false;
+        // Ensure Save button operational
+        const saveBtn = document.getElementById('savePath');
+        if (saveBtn) {
+            saveBtn.disabled = false;
+            saveBtn.removeAttribute('aria-disabled');
+            const clickHandler = (ev) => {
+                console.log('[PATH][saveBtnClick] Save button clicked');
+                const form = document.getElementById('pathForm');
+                if (form) {
+                    form.requestSubmit();
+                } else {
                     console.warn('[PATH][saveBtnClick] pathForm not found');
                 }
             };
@@ -1398,20 +2835,17 @@ class SpaghettiDiagramApp {
         } else {
             // Fallback: create new path from temp buffer if present (legacy flow)
             if (!this.tempPathPoints || this.tempPathPoints.length < 2) { alert('No path to save. Draw a path first.'); return; }
-            const attachRadius = 30;
-            const findAttachment = (pt) => { let best=null,bestDist=attachRadius; for (const obj of this.objects){ const cx=obj.x+obj.width/2, cy=obj.y+obj.height/2; const d=Math.hypot(pt.x-cx, pt.y-cy); if(d<bestDist){bestDist=d;best=obj;} } return best; };
-            const startPt=this.tempPathPoints[0], endPt=this.tempPathPoints[this.tempPathPoints.length-1];
-            const startObj=findAttachment(startPt), endObj=findAttachment(endPt);
-            if(startObj){ startPt.x=startObj.x+startObj.width/2; startPt.y=startObj.y+startObj.height/2; }
-            if(endObj){ endPt.x=endObj.x+endObj.width/2; endPt.y=endObj.y+endObj.height/2; }
-            const path={ id:Date.now()+Math.random(), points:[...this.tempPathPoints], description, frequency, color, startObjectId:startObj?startObj.id:null, endObjectId:endObj?endObj.id:null, length:this.calculatePathLength(this.tempPathPoints) };
-            this.paths.push(path);
+            const points=[...this.tempPathPoints];
+            const ends=this.attachPathEnds(points);
+            const path={ id:Date.now()+Math.random(), points, description, frequency, color, ...ends, length:this.calculatePathLength(points) };
+            this.paths.push(this.assignActiveLayer(path));
             this._lastPathFrequency = frequency;
             this.updateObjectVisits(path);
             this.updateAnalytics();
         }
         this.closePathModal();
         this.render();
+        this.commitChange('Edit path');
         // Show success feedback
         const info = document.getElementById('canvasInfo');
         const originalText = info.textContent;
@@ -1428,8 +2862,11 @@ class SpaghettiDiagramApp {
         const z = this.selectedZone;
         const nameEl = document.getElementById('zoneName');
         const typeEl = document.getElementById('zoneType');
+        const costEl = document.getElementById('zoneCost');
         if (nameEl) nameEl.value = z.name || '';
-        if (typeEl) typeEl.value = z.type || 'green';
+        if (typeEl) typeEl.value = this.getZoneType(z);
+        if (costEl) costEl.value = z.costMultiplier != null ? z.costMultiplier : '';
+        this.updateZoneCostInput();
         const modal = document.getElementById('zoneModal');
         if (modal) modal.classList.remove('hidden');
         if (nameEl) nameEl.focus();
@@ -1446,12 +2883,28 @@ class SpaghettiDiagramApp {
         e.preventDefault();
         if (!this.selectedZone) return;
         const name = (document.getElementById('zoneName')?.value || '').trim();
-        const type = document.getElementById('zoneType')?.value || 'green';
+        const type = document.getElementById('zoneType')?.value || 'safe';
+        const costRaw = (document.getElementById('zoneCost')?.value || '').trim();
+        const cost = parseFloat(costRaw);
         if (!name) { alert('Zone name is required.'); return; }
+        if (type !== 'restricted' && costRaw && !(cost > 0)) { alert('Cost multiplier must be a positive number.'); return; }
         this.selectedZone.name = name;
         this.selectedZone.type = type;
+        if (type !== 'restricted' && costRaw) this.selectedZone.costMultiplier = cost;
+        else delete this.selectedZone.costMultiplier;
         this.closeZoneModal();
         this.render();
+        this.commitChange('Edit zone');
+    }
+
+    // Restricted zones are always impassable, so the multiplier only applies to the other types
+    updateZoneCostInput() {
+        const type = document.getElementById('zoneType')?.value || 'safe';
+        const costEl = document.getElementById('zoneCost');
+        if (!costEl) return;
+        const def = ZONE_TYPES[type] ? ZONE_TYPES[type].cost : 1;
+        costEl.disabled = type === 'restricted';
+        costEl.placeholder = Number.isFinite(def) ? `Default ${def}` : 'Impassable';
     }
 
     deleteSelectedZone() {
@@ -1466,6 +2919,14 @@ class SpaghettiDiagramApp {
         const obj = this.selectedObject;
         document.getElementById('objectName').value = obj.name;
         document.getElementById('objectType').value = obj.type;
+        const pinnedEl = document.getElementById('objectPinned');
+        if (pinnedEl) pinnedEl.checked = !!obj.pinned;
+        const rotationEl = document.getElementById('objectRotation');
+        if (rotationEl) rotationEl.value = obj.rotation || 0;
+        const footprintEl = document.getElementById('objectFootprint');
+        if (footprintEl) footprintEl.value = this.getFootprintPreset(obj);
+        const accessList = document.getElementById('objectAccessList');
+        if (accessList) { accessList.innerHTML = ''; (obj.accessPoints || []).forEach(ap => accessList.appendChild(this.createAccessPointRow(ap))); }
         document.getElementById('objectModal').classList.remove('hidden');
         document.getElementById('objectName').focus();
     }
@@ -1492,14 +2953,87 @@ class SpaghettiDiagramApp {
         
         this.selectedObject.name = name;
         this.selectedObject.type = type;
+        const pinnedEl = document.getElementById('objectPinned');
+        if (pinnedEl) { if (pinnedEl.checked) this.selectedObject.pinned = true; else delete this.selectedObject.pinned; }
+        const rotation = parseFloat(document.getElementById('objectRotation')?.value);
+        if (Number.isFinite(rotation)) { const r = ((rotation % 360) + 360) % 360; if (r) this.selectedObject.rotation = r; else delete this.selectedObject.rotation; }
+        const preset = document.getElementById('objectFootprint')?.value || 'rect';
+        if (preset === 'rect') delete this.selectedObject.footprint;
+        else if (FOOTPRINT_PRESETS[preset]) this.selectedObject.footprint = FOOTPRINT_PRESETS[preset].points.map(([x, y]) => ({ x, y }));
+        const accessList = document.getElementById('objectAccessList');
+        if (accessList) {
+            const aps = this.readAccessPointRows(accessList);
+            if (aps.length) this.selectedObject.accessPoints = aps; else delete this.selectedObject.accessPoints;
+            // Paths tied to a removed access point go back to the nearest one
+            const ids = new Set(aps.map(ap => String(ap.id)));
+            this.paths.forEach(p => {
+                if (p.startObjectId === this.selectedObject.id && p.startAccessId != null && !ids.has(String(p.startAccessId))) delete p.startAccessId;
+                if (p.endObjectId === this.selectedObject.id && p.endAccessId != null && !ids.has(String(p.endAccessId))) delete p.endAccessId;
+            });
+        }
         if (template) {
             this.selectedObject.color = template.color;
         }
         
         this.closeObjectModal();
+        if (this.getCurrentScenario()?.autoReroute) { this.rerouteLinkedPaths([this.selectedObject.id]); this.updateAnalytics(); }
         this.render();
+        this.refreshAutoPathSelects();
+        this.commitChange('Edit object');
     }
     
+    // One editable access point row: name, box side and % along that side. Rows keep the stored fractions so
+    // points that don't sit on a side (e.g. imported ones) survive unless their side/offset is changed.
+    createAccessPointRow(ap) {
+        const { side, offset } = this.accessPointToSide(ap);
+        const row = document.createElement('div');
+        row.className = 'access-item';
+        Object.assign(row.dataset, { id: ap.id != null ? String(ap.id) : '', fx: ap.x, fy: ap.y, side, offset });
+        const name = document.createElement('input');
+        name.type = 'text'; name.className = 'form-control access-name'; name.value = ap.name || ''; name.placeholder = 'Name'; name.setAttribute('aria-label', 'Access point name');
+        const sideSel = document.createElement('select');
+        sideSel.className = 'form-control access-side'; sideSel.setAttribute('aria-label', 'Side');
+        ['top', 'right', 'bottom', 'left'].forEach(s => { const o = document.createElement('option'); o.value = s; o.textContent = s[0].toUpperCase() + s.slice(1); sideSel.appendChild(o); });
+        sideSel.value = side;
+        const off = document.createElement('input');
+        off.type = 'number'; off.className = 'form-control access-offset'; off.min = 0; off.max = 100; off.step = 1; off.value = offset; off.title = '% along the side'; off.setAttribute('aria-label', 'Position along the side (%)');
+        const del = document.createElement('button');
+        del.type = 'button'; del.className = 'btn btn--outline btn--sm'; del.textContent = '×'; del.title = 'Remove access point';
+        del.addEventListener('click', () => row.remove());
+        row.append(name, sideSel, off, del);
+        return row;
+    }
+    readAccessPointRows(list) {
+        return [...list.querySelectorAll('.access-item')].map((row, i) => {
+            const side = row.querySelector('.access-side').value;
+            const offset = parseFloat(row.querySelector('.access-offset').value);
+            const moved = side !== row.dataset.side || offset !== parseFloat(row.dataset.offset);
+            const pos = moved ? this.sideToAccessPoint(side, Number.isFinite(offset) ? offset : 50) : { x: parseFloat(row.dataset.fx), y: parseFloat(row.dataset.fy) };
+            const id = row.dataset.id ? (Number.isFinite(Number(row.dataset.id)) ? Number(row.dataset.id) : row.dataset.id) : Date.now() + Math.random();
+            return { id, name: row.querySelector('.access-name').value.trim() || `Point ${i + 1}`, ...pos };
+        });
+    }
+    // Fill an access point picker for `obj`; hidden when it has none. '' means "nearest".
+    fillAccessSelect(sel, obj, value = '') {
+        if (!sel) return;
+        const aps = obj ? this.getAccessPoints(obj) : [];
+        sel.innerHTML = '';
+        const nearest = document.createElement('option'); nearest.value = ''; nearest.textContent = 'Nearest access point'; sel.appendChild(nearest);
+        aps.forEach(ap => { const o = document.createElement('option'); o.value = String(ap.id); o.textContent = ap.name; sel.appendChild(o); });
+        sel.value = aps.some(ap => String(ap.id) === String(value)) ? String(value) : '';
+        sel.classList.toggle('hidden', !aps.length);
+    }
+
+    // Preset key matching the object's footprint, 'rect' without one and 'custom' once its corners were edited
+    getFootprintPreset(obj) {
+        if (!obj.footprint) return 'rect';
+        const key = Object.keys(FOOTPRINT_PRESETS).find(k => {
+            const pts = FOOTPRINT_PRESETS[k].points;
+            return pts.length === obj.footprint.length && pts.every(([x, y], i) => Math.abs(obj.footprint[i].x - x) < 1e-6 && Math.abs(obj.footprint[i].y - y) < 1e-6);
+        });
+        return key || 'custom';
+    }
+
     deleteSelectedObject() {
         if (!this.selectedObject) return;
         
@@ -1519,8 +3053,10 @@ class SpaghettiDiagramApp {
             const ok = this.autoPathStartEl?.value && this.autoPathEndEl?.value && this.autoPathStartEl.value !== this.autoPathEndEl.value;
             this.generateAutoPathBtn.disabled = !ok;
         };
-        if (this.autoPathStartEl) this.autoPathStartEl.addEventListener('change', validate);
-        if (this.autoPathEndEl) this.autoPathEndEl.addEventListener('change', validate);
+        this.autoPathStartAccessEl = document.getElementById('autoPathStartAccess');
+        this.autoPathEndAccessEl = document.getElementById('autoPathEndAccess');
+        if (this.autoPathStartEl) this.autoPathStartEl.addEventListener('change', () => { validate(); this.refreshAutoPathAccessSelects(); });
+        if (this.autoPathEndEl) this.autoPathEndEl.addEventListener('change', () => { validate(); this.refreshAutoPathAccessSelects(); });
         if (this.generateAutoPathBtn) {
             this.generateAutoPathBtn.addEventListener('click', () => this.handleGenerateAutoPath());
         }
@@ -1538,6 +3074,12 @@ class SpaghettiDiagramApp {
         if (endVal) this.autoPathEndEl.value = endVal;
         // trigger validation if button exists
         if (this.generateAutoPathBtn) this.generateAutoPathBtn.disabled = !(this.autoPathStartEl.value && this.autoPathEndEl.value && this.autoPathStartEl.value !== this.autoPathEndEl.value);
+        this.refreshAutoPathAccessSelects();
+    }
+    refreshAutoPathAccessSelects() {
+        const find = (el) => el && el.value ? this.objects.find(o => String(o.id) === el.value) : null;
+        this.fillAccessSelect(this.autoPathStartAccessEl, find(this.autoPathStartEl), this.autoPathStartAccessEl?.value);
+        this.fillAccessSelect(this.autoPathEndAccessEl, find(this.autoPathEndEl), this.autoPathEndAccessEl?.value);
     }
     handleGenerateAutoPath() {
         if (!this.autoPathStartEl || !this.autoPathEndEl) return;
@@ -1547,21 +3089,17 @@ class SpaghettiDiagramApp {
         const startObj = this.objects.find(o => o.id === startId);
         const endObj = this.objects.find(o => o.id === endId);
         if (!startObj || !endObj) { this.showInfoMessage('Objects not found.','error'); return; }
-        const cellSize = Math.max(5, parseInt(this.autoPathCellSizeEl?.value)||20);
-        const proxWeight = Math.max(0, parseFloat(this.autoPathProximityEl?.value)||0);
-        const smoothingMode = this.autoPathSmoothingEl?.value || 'rounded';
-        console.log('[AUTO][generate] start', startObj.name, 'end', endObj.name, 'cell', cellSize, 'prox', proxWeight);
-        const route = this.computeAutoRoute(startObj, endObj, { cellSize, proxWeight });
-        if (!route || route.length < 2) { console.warn('[AUTO] No path found, route:', route); this.showInfoMessage('No path found.','error'); return; }
-        let smooth = route;
-        if (smoothingMode === 'rounded') smooth = this.smoothPolyline(route);
-        else if (smoothingMode === 'catmull') smooth = this.catmullRomSpline(route, 8);
-        smooth[0] = { x: startObj.x + startObj.width/2, y: startObj.y + startObj.height/2 };
-        smooth[smooth.length-1] = { x: endObj.x + endObj.width/2, y: endObj.y + endObj.height/2 };
+        console.log('[AUTO][generate] start', startObj.name, 'end', endObj.name);
+        // Chosen access points are stored on the path; "nearest" ends are re-picked on every re-route
+        const access = {};
+        if (this.autoPathStartAccessEl?.value) access.startAccessId = this.resolveAccessPoint(startObj, this.autoPathStartAccessEl.value)?.id;
+        if (this.autoPathEndAccessEl?.value) access.endAccessId = this.resolveAccessPoint(endObj, this.autoPathEndAccessEl.value)?.id;
+        const smooth = this.buildAutoRoutePoints(startObj, endObj, access);
+        if (!smooth) { this.showInfoMessage('No path found.','error'); return; }
         const color = '#0074D9';
-        const path = { id: Date.now()+Math.random(), auto: true, points: smooth, description: `${startObj.name} → ${endObj.name}`, frequency: 1, color, startObjectId: startObj.id, endObjectId: endObj.id, length: this.calculatePathLength(smooth) };
+        const path = { id: Date.now()+Math.random(), auto: true, points: smooth, description: `${startObj.name} → ${endObj.name}`, frequency: 1, color, startObjectId: startObj.id, endObjectId: endObj.id, ...access, length: this.calculatePathLength(smooth) };
         console.log('[AUTO][generate] path created points:', smooth.length, 'length:', path.length);
-        this.paths.push(path);
+        this.paths.push(this.assignActiveLayer(path));
         // FIX: clear any drawing state so path is immediately visible without switching tools
         this.isDrawing = false;
         this.currentPath = [];
@@ -1570,25 +3108,57 @@ class SpaghettiDiagramApp {
         this.updateObjectVisits(path);
         this.updateAnalytics();
         this.render();
+        this.commitChange('Add auto path');
         this.showInfoMessage('Auto path added.','success');
     }
+    // Route + smoothing using the Auto Path panel settings; endpoints are pinned to the objects' access points
+    // (`access` may choose them by id) or, for objects without any, their centres
+    buildAutoRoutePoints(startObj, endObj, access = {}){
+        const cellSize = Math.max(5, parseInt(this.autoPathCellSizeEl?.value)||20);
+        const proxWeight = Math.max(0, parseFloat(this.autoPathProximityEl?.value)||0);
+        const smoothingMode = this.autoPathSmoothingEl?.value || 'rounded';
+        const { startAp, endAp } = this.pickAccessPair(startObj, endObj, access.startAccessId, access.endAccessId);
+        const route = this.computeAutoRoute(startObj, endObj, { cellSize, proxWeight, startAccessId: startAp?.id, endAccessId: endAp?.id });
+        if (!route || route.length < 2) { console.warn('[AUTO] No path found, route:', route); return null; }
+        let smooth = route;
+        if (smoothingMode === 'rounded') smooth = this.smoothPolyline(route);
+        else if (smoothingMode === 'catmull') smooth = this.catmullRomSpline(route, 8);
+        smooth[0] = startAp ? { x: startAp.x, y: startAp.y } : this.getObjectAnchor(startObj);
+        smooth[smooth.length-1] = endAp ? { x: endAp.x, y: endAp.y } : this.getObjectAnchor(endObj);
+        return smooth;
+    }
     computeAutoRoute(startObj, endObj, opts={}) {
         console.log('[AUTO][compute] Begin');
         const padding = 40;
         const cell = Math.max(5, opts.cellSize || 20);
         const proxWeight = opts.proxWeight || 0; // cost scale for proximity
-        // Exclude start & end from blocked rectangles so we can stand on them
+        if (!startObj || !endObj) { console.warn('[AUTO][compute] Missing start/end'); return null; }
+        // Ends with an access point route from just outside it, so their object stays blocked; centre-attached
+        // start & end objects are excluded from the blocked rectangles so we can stand on them
+        const { startAp, endAp } = this.pickAccessPair(startObj, endObj, opts.startAccessId, opts.endAccessId);
+        const approach = 6 + cell * 1.5;
+        const start = startAp ? this.getAccessApproach(startObj, startAp, approach) : this.getObjectAnchor(startObj);
+        const end = endAp ? this.getAccessApproach(endObj, endAp, approach) : this.getObjectAnchor(endObj);
+        const restrictedZones = this.zones.filter(z=>!Number.isFinite(this.getZoneCost(z)));
+        const others = this.objects.filter(o => (o !== startObj || startAp) && (o !== endObj || endAp));
         const blockedRects = [
-            ...this.objects.filter(o => o !== startObj && o !== endObj),
-            ...this.obstacles,
-            ...this.zones.filter(z=>z.type==='restricted')
+            ...others.filter(o => !this.isShapedObject(o)),
+            ...this.obstacles.filter(ob => !this.isShapedObstacle(ob)),
+            ...restrictedZones.filter(z=>!z.points)
         ];
-        const items = blockedRects;
-        if (!startObj || !endObj) { console.warn('[AUTO][compute] Missing start/end'); return null; }
-        const minX = Math.max(0, Math.min(startObj.x, endObj.x, ...(items.length? items.map(i=>i.x): [startObj.x, endObj.x])) - padding);
-        const minY = Math.max(0, Math.min(startObj.y, endObj.y, ...(items.length? items.map(i=>i.y): [startObj.y, endObj.y])) - padding);
-        const maxX = Math.max(startObj.x+startObj.width, endObj.x+endObj.width, ...(items.length? items.map(i=>i.x+i.width): [startObj.x+startObj.width, endObj.x+endObj.width])) + padding;
-        const maxY = Math.max(startObj.y+startObj.height, endObj.y+endObj.height, ...(items.length? items.map(i=>i.y+i.height): [startObj.y+startObj.height, endObj.y+endObj.height])) + padding;
+        // Rotated/footprint objects, circles, rotated rectangles and polygons are rasterized by distance instead of blocking their whole bounding box
+        const blockedShapes = [
+            ...others.filter(o => this.isShapedObject(o)).map(o => ({ bounds: this.getObjectBounds(o), dist: pt => this.distanceToPolygon(pt, this.getObjectPolygon(o)) })),
+            ...this.obstacles.filter(ob => this.isShapedObstacle(ob)).map(ob => ({ bounds: this.getObstacleBounds(ob), dist: pt => this.distanceToObstacle(pt, ob) })),
+            ...restrictedZones.filter(z=>z.points).map(z => ({ bounds: z, dist: pt => this.distanceToPolygon(pt, z.points) }))
+        ];
+        // Zones that change the step cost also widen the search grid so routes can detour around them
+        const weighted = this.zones.filter(z=>{ const k=this.getZoneCost(z); return Number.isFinite(k) && k!==1; });
+        const items = [...blockedRects, ...blockedShapes.map(s=>s.bounds), ...weighted];
+        const minX = Math.max(0, Math.min(startObj.x, endObj.x, start.x, end.x, ...(items.length? items.map(i=>i.x): [startObj.x, endObj.x])) - padding);
+        const minY = Math.max(0, Math.min(startObj.y, endObj.y, start.y, end.y, ...(items.length? items.map(i=>i.y): [startObj.y, endObj.y])) - padding);
+        const maxX = Math.max(startObj.x+startObj.width, endObj.x+endObj.width, start.x, end.x, ...(items.length? items.map(i=>i.x+i.width): [startObj.x+startObj.width, endObj.x+endObj.width])) + padding;
+        const maxY = Math.max(startObj.y+startObj.height, endObj.y+endObj.height, start.y, end.y, ...(items.length? items.map(i=>i.y+i.height): [startObj.y+startObj.height, endObj.y+endObj.height])) + padding;
         const cols = Math.ceil((maxX - minX) / cell);
         const rows = Math.ceil((maxY - minY) / cell);
         if (cols<=0 || rows<=0) { console.warn('[AUTO][compute] Invalid grid size', cols, rows); return null; }
@@ -1599,6 +3169,25 @@ class SpaghettiDiagramApp {
             for (let r=r1; r<=r2; r++) for (let c=c1; c<=c2; c++) if (r>=0&&r<rows&&c>=0&&c<cols) grid[r][c]=1;
         };
         blockedRects.forEach(o=>markBlocked(o.x-6,o.y-6,o.width+12,o.height+12));
+        // Shapes block every cell whose centre is inside or within the same 6px margin (plus half a cell diagonal) of the outline
+        const cellCentre = (r,c)=>({ x: minX+c*cell+cell/2, y: minY+r*cell+cell/2 });
+        blockedShapes.forEach(({ bounds: b, dist })=>{
+            const margin = 6 + cell*Math.SQRT1_2;
+            const c1 = Math.max(0, Math.floor((b.x - margin - minX)/cell)), c2 = Math.min(cols-1, Math.floor((b.x + b.width + margin - minX)/cell));
+            const r1 = Math.max(0, Math.floor((b.y - margin - minY)/cell)), r2 = Math.min(rows-1, Math.floor((b.y + b.height + margin - minY)/cell));
+            for (let r=r1; r<=r2; r++) for (let c=c1; c<=c2; c++) if (grid[r][c]!==1 && dist(cellCentre(r,c)) <= margin) grid[r][c]=1;
+        });
+        // Per-cell cost multiplier from passable zones: the topmost zone containing the cell centre wins, so an aisle
+        // drawn over a work area keeps the aisle's cost
+        let zoneCost=null, minCost=1;
+        if (weighted.length){
+            zoneCost = new Array(rows).fill(0).map(()=>new Array(cols).fill(1));
+            for (let r=0;r<rows;r++) for (let c=0;c<cols;c++) {
+                const pt = cellCentre(r,c);
+                for (let i=this.zones.length-1;i>=0;i--){ const z=this.zones[i]; if (!this.isPointInZone(pt, z)) continue; const k=this.getZoneCost(z); if (Number.isFinite(k)) zoneCost[r][c]=k; break; }
+            }
+            minCost = Math.min(1, ...weighted.map(z=>this.getZoneCost(z)));
+        }
         // Precompute proximity field if needed
         let prox=null; if (proxWeight>0){
             prox = new Array(rows).fill(0).map(()=>new Array(cols).fill(0));
@@ -1617,14 +3206,13 @@ class SpaghettiDiagramApp {
                 if (best<=maxDistCells) prox[r][c] = (maxDistCells - best)/maxDistCells; else prox[r][c]=0;
             }
         }
-        const start = { x: startObj.x + startObj.width/2, y: startObj.y + startObj.height/2 };
-        const end = { x: endObj.x + endObj.width/2, y: endObj.y + endObj.height/2 };
         const startNode = { c: Math.floor((start.x - minX)/cell), r: Math.floor((start.y - minY)/cell) };
         const endNode = { c: Math.floor((end.x - minX)/cell), r: Math.floor((end.y - minY)/cell) };
         const inside = (r,c)=> r>=0&&r<rows&&c>=0&&c<cols && grid[r][c]===0;
         if (!inside(startNode.r,startNode.c)) { console.warn('[AUTO][compute] Start blocked at', startNode); grid[startNode.r]&& (grid[startNode.r][startNode.c]=0); if(!inside(startNode.r,startNode.c)) return null; }
         if (!inside(endNode.r,endNode.c)) { console.warn('[AUTO][compute] End blocked at', endNode); grid[endNode.r]&& (grid[endNode.r][endNode.c]=0); if(!inside(endNode.r,endNode.c)) return null; }
-        const h = (r,c)=> Math.hypot(c-endNode.c, r-endNode.r);
+        // Scale the heuristic by the cheapest multiplier so it never overestimates (keeps A* optimal)
+        const h = (r,c)=> Math.hypot(c-endNode.c, r-endNode.r) * minCost;
         const open = new Map(); const key=(r,c)=>r+','+c; const gScore = new Map(); const fScore = new Map(); const came = new Map();
         const push = (r,c,g)=>{ const f=g+h(r,c); open.set(key(r,c), {r,c,f,g}); gScore.set(key(r,c),g); fScore.set(key(r,c),f); };
         push(startNode.r,startNode.c,0);
@@ -1638,13 +3226,17 @@ class SpaghettiDiagramApp {
                 console.log('[AUTO][compute] Reached goal in', iterations, 'iterations');
                 const pts=[]; let ck=currentKey;
                 while (ck){ const [rr,cc]=ck.split(',').map(Number); pts.push({x: minX+cc*cell+cell/2, y: minY+rr*cell+cell/2}); ck=came.get(ck); }
-                pts.reverse(); return pts;
+                pts.reverse();
+                if (startAp) pts.unshift({ x: startAp.x, y: startAp.y });
+                if (endAp) pts.push({ x: endAp.x, y: endAp.y });
+                return pts;
             }
             open.delete(currentKey);
             for (const [dr,dc] of dirs) {
                 const nr=current.r+dr, nc=current.c+dc; if (!inside(nr,nc)) continue;
                 if (dr!==0 && dc!==0) { if (!inside(current.r, nc) || !inside(nr, current.c)) continue; }
                 let stepCost = Math.hypot(dr,dc);
+                if (zoneCost) stepCost *= zoneCost[nr][nc];
                 if (prox && proxWeight>0) stepCost += prox[nr][nc]*proxWeight; 
                 const tentative = current.g + stepCost;
                 const nk=key(nr,nc);
@@ -1691,26 +3283,52 @@ class SpaghettiDiagramApp {
         ctx.translate(this.pan.x, this.pan.y);
         ctx.scale(this.zoom || 1, this.zoom || 1);
 
-        // Draw background image/pdf with orientation transforms
-        if (this.backgroundRect && (this.backgroundImage || this.backgroundPdfPageCanvas)) {
+        // Draw background image/pdf/vector drawing with orientation transforms
+        const bgLayer = this.getLayerState('background');
+        if (bgLayer.visible && this.backgroundRect && (this.backgroundImage || this.backgroundPdfPageCanvas || this.backgroundVector)) {
             ctx.save();
+            ctx.globalAlpha = bgLayer.opacity;
             const { x, y, width, height } = this.backgroundRect;
-            // Translate to center for rotation/flip
-            ctx.translate(x + width/2, y + height/2);
             const t = this.backgroundTransform || { rotation:0, flipH:false, flipV:false };
-            const rot = (t.rotation||0) * Math.PI/180;
-            ctx.rotate(rot);
-            ctx.scale(t.flipH? -1:1, t.flipV? -1:1);
-            const img = this.backgroundImage || this.backgroundPdfPageCanvas;
-            ctx.drawImage(img, -width/2, -height/2, width, height);
+            if (t.warp && t.warp.type === 'perspective') {
+                const warped = this.getWarpedBackground(this.backgroundImage || this.backgroundPdfPageCanvas || this.getVectorRaster());
+                if (warped) ctx.drawImage(warped.canvas, warped.x, warped.y, warped.width, warped.height);
+            } else {
+                // An affine control-point warp applies on top of the placement below
+                if (t.warp) { const m = t.warp.matrix; ctx.transform(m[0], m[3], m[1], m[4], m[2], m[5]); }
+                // Translate to center for rotation/flip
+                ctx.translate(x + width/2, y + height/2);
+                const rot = (t.rotation||0) * Math.PI/180;
+                ctx.rotate(rot);
+                ctx.scale(t.flipH? -1:1, t.flipV? -1:1);
+                if (this.backgroundVector) this.drawVectorBackground(ctx, width, height);
+                else ctx.drawImage(this.backgroundImage || this.backgroundPdfPageCanvas, -width/2, -height/2, width, height);
+                // Sharp overlay tiles for zoomed-in PDFs (base raster above stays as the fallback)
+                if (!this.backgroundImage && this.pdfDocument && !this._exportingImage) this.drawPdfDetailTiles(ctx, width, height);
+            }
             ctx.restore();
         }
 
         // Grid
         this.drawGrid(ctx);
 
+    // Reference lines of the calibration (or of the session in progress), numbered as in the Set Scale table
+    if (this.showCalibrationLine && !this._exportingImage) {
+            const refs = (this.isCalibrating || this.isCalibrateModalOpen()) ? this._calibrationDraft : this.calibrationRefs;
+            const zm = this.zoom || 1;
+            refs.forEach((r, i) => {
+                ctx.save();
+                ctx.strokeStyle = '#ff9800'; ctx.fillStyle = '#ff9800';
+                ctx.lineWidth = 1.5 / zm; ctx.setLineDash([6 / zm, 4 / zm]);
+                ctx.beginPath(); ctx.moveTo(r.a.x, r.a.y); ctx.lineTo(r.b.x, r.b.y); ctx.stroke();
+                ctx.font = `bold ${11 / zm}px sans-serif`; ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+                ctx.fillText(`#${i + 1}`, (r.a.x + r.b.x) / 2, (r.a.y + r.b.y) / 2 - 4 / zm);
+                ctx.restore();
+            });
+        }
+
     // Calibration provisional / finalized measurement line
-    if (this.showCalibrationLine && ((this.isCalibrating && this.calibrationPoints.length > 0) || (this.calibrationPoints.length === 2 && (this._pendingCalibrationPx || this._lastCalibrationReal)))) {
+    if (this.showCalibrationLine && !this._exportingImage && ((this.isCalibrating && this.calibrationPoints.length > 0) || (this.calibrationPoints.length === 2 && (this._pendingCalibrationPx || this._lastCalibrationReal)))) {
             const pts = this.calibrationPoints;
             const a = pts[0];
             // While actively calibrating and only one point chosen, extend line to current mouse position
@@ -1736,7 +3354,7 @@ class SpaghettiDiagramApp {
                 // Background box for readability
                 let label = `${dist.toFixed(1)} px`;
                 if (this.unitsPerPixel>0){
-                    const real = dist * this.unitsPerPixel; label += ` / ${real.toFixed(2)} ${this.units}`;
+                    const real = this.getRealDistance(a, b); label += ` / ${real.toFixed(2)} ${this.units}`;
                 } else if (this._lastCalibrationReal && this._pendingCalibrationPx){
                     const ratio = this._lastCalibrationReal / this._pendingCalibrationPx; const real = dist * ratio; label += ` / ${real.toFixed(2)} ${this._lastCalibrationUnits||this.units}`;
                 }
@@ -1754,14 +3372,19 @@ class SpaghettiDiagramApp {
             }
         }
 
+        // Traffic heat map sits on the floor plan, beneath zones and paths
+        this.drawHeatmap(ctx);
+
         // Zones
-        for (const z of this.zones) this.drawZone(ctx, z);
+        this.drawLayerItems(ctx, 'zone', this.zones, z => this.drawZone(ctx, z));
         // Obstacles
-        for (const ob of this.obstacles) this.drawObstacle(ctx, ob);
+        this.drawLayerItems(ctx, 'obstacle', this.obstacles, ob => this.drawObstacle(ctx, ob));
+        // Baseline scenario ghost (compare overlay)
+        this.drawScenarioOverlay(ctx);
         // Paths
-        for (const p of this.paths) this.drawPath(ctx, p);
+        this.drawLayerItems(ctx, 'path', this.paths, p => this.drawPath(ctx, p));
         // If a full path is selected, add a highlight overlay
-        if (this.selectedPath && this.selectedPath.points && this.selectedPath.points.length > 1) {
+        if (!this._exportingImage && this.selectedPath && this.selectedPath.points && this.selectedPath.points.length > 1) {
             ctx.save();
             ctx.lineWidth = 5;
             ctx.strokeStyle = 'rgba(30,136,229,0.35)';
@@ -1770,6 +3393,19 @@ class SpaghettiDiagramApp {
             ctx.stroke();
             ctx.restore();
         }
+        // Paths picked from the from-to matrix
+        if (!this._exportingImage && this.highlightedPathIds && this.highlightedPathIds.size) {
+            ctx.save();
+            ctx.lineWidth = 8 / (this.zoom || 1); ctx.lineCap = 'round'; ctx.lineJoin = 'round';
+            ctx.strokeStyle = 'rgba(255,193,7,0.55)';
+            for (const p of this.paths) {
+                if (!this.highlightedPathIds.has(p.id) || !p.points || p.points.length < 2) continue;
+                ctx.beginPath();
+                p.points.forEach((pt,i)=>{ if (!i) ctx.moveTo(pt.x,pt.y); else ctx.lineTo(pt.x,pt.y); });
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
         // Current drawing path
         if (this.isDrawing && this.currentTool === 'path' && this.currentPath.length) {
             ctx.save();
@@ -1797,38 +3433,109 @@ class SpaghettiDiagramApp {
                     ctx.fillStyle = 'rgba(0,0,0,0.55)';
                     ctx.font = '12px sans-serif';
                     ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
-                    const labelUnits = (this.unitsPerPixel>0) ? ` / ${(len*this.unitsPerPixel).toFixed(2)} ${this.units}` : '';
+                    const labelUnits = (this.unitsPerPixel>0) ? ` / ${this.getRealPolylineLength(this.tempPathPoints).toFixed(2)} ${this.units}` : '';
                     ctx.fillText(`${len.toFixed(1)} px${labelUnits}`, mid.x+6, mid.y-6);
                 }
                 ctx.restore();
             }
         }
         // Current obstacle draw
-        if (this.isDrawing && this.currentTool === 'obstacle' && this.currentObstacle) {
-            ctx.save(); ctx.fillStyle='rgba(200,60,0,0.25)'; ctx.strokeStyle='rgba(200,60,0,0.9)'; ctx.lineWidth=1.5; const o=this.currentObstacle; ctx.fillRect(o.x,o.y,o.width,o.height); ctx.strokeRect(o.x,o.y,o.width,o.height); ctx.restore();
+        if (this.isDrawing && this.currentTool === 'obstacle' && this.currentObstacle && !this.currentObstacle.points) {
+            ctx.save(); ctx.fillStyle='rgba(200,60,0,0.25)'; ctx.strokeStyle='rgba(200,60,0,0.9)'; ctx.lineWidth=1.5; const o=this.currentObstacle; if (o.shape==='circle'){ ctx.beginPath(); ctx.arc(o.cx,o.cy,o.width/2,0,Math.PI*2); ctx.fill(); ctx.stroke(); } else { ctx.fillRect(o.x,o.y,o.width,o.height); ctx.strokeRect(o.x,o.y,o.width,o.height); } ctx.restore();
         }
         // Current zone draw
         if (this.isDrawing && this.currentTool === 'zone' && this.currentZone) {
             const z=this.currentZone; ctx.save(); ctx.fillStyle='rgba(0,160,0,0.20)'; ctx.strokeStyle='rgba(0,100,0,0.9)'; ctx.lineWidth=1.5; ctx.fillRect(z.x,z.y,z.width,z.height); ctx.strokeRect(z.x,z.y,z.width,z.height); ctx.restore();
         }
+        // Polygon zone/obstacle in progress: placed corners plus a rubber-band edge to the cursor
+        const draft = this.getPolygonDraftKey() ? this[this.getPolygonDraftKey()] : null;
+        if (draft && draft === this.currentMeasurement) {
+            // Measurement in progress: drawn like the finished one, with the cursor as the next point
+            this.drawMeasurement(ctx, { ...draft, points: this._polygonFreehand || !this.mousePos ? draft.points : [...draft.points, this.mousePos] });
+        } else if (draft && draft.points) {
+            const pts = draft.points; const zm = this.zoom || 1; const isZone = draft === this.currentZone;
+            ctx.save(); ctx.fillStyle = isZone ? 'rgba(0,160,0,0.20)' : 'rgba(200,60,0,0.25)'; ctx.strokeStyle = isZone ? 'rgba(0,100,0,0.9)' : 'rgba(200,60,0,0.9)'; ctx.lineWidth=1.5/zm;
+            ctx.beginPath(); pts.forEach((p,i)=>{ if(!i) ctx.moveTo(p.x,p.y); else ctx.lineTo(p.x,p.y); });
+            if (!this._polygonFreehand && this.mousePos) ctx.lineTo(this.mousePos.x, this.mousePos.y);
+            if (pts.length > 1) ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = ctx.strokeStyle; pts.forEach((p,i)=>{ if (this._polygonFreehand && i) return; ctx.beginPath(); ctx.arc(p.x,p.y,(i?3:5)/zm,0,Math.PI*2); ctx.fill(); });
+            ctx.restore();
+        }
         // Objects
-        for (const o of this.objects) this.drawObject(ctx, o);
+        this.drawLayerItems(ctx, 'object', this.objects, o => this.drawObject(ctx, o));
+        // Measurements and annotations
+        this.drawLayerItems(ctx, 'measurement', this.measurements, m => this.drawMeasurement(ctx, m));
+        this.drawLayerItems(ctx, 'annotation', this.annotations, a => this.drawAnnotation(ctx, a));
+
+        // Multi-selection: each item outlined, plus the combined bounds (named after the group when it is one)
+        if (!this._exportingImage && this.selectedItems.length > 1) this.drawMultiSelection(ctx);
+        this.drawAlignGuides(ctx);
+        if (!this._exportingImage && this.marquee) {
+            const m = this.marquee; const zm = this.zoom || 1;
+            ctx.save(); ctx.fillStyle = 'rgba(30,136,229,0.08)'; ctx.strokeStyle = '#1e88e5'; ctx.lineWidth = 1 / zm; ctx.setLineDash([4 / zm, 3 / zm]);
+            ctx.fillRect(Math.min(m.x0, m.x1), Math.min(m.y0, m.y1), Math.abs(m.x1 - m.x0), Math.abs(m.y1 - m.y0));
+            ctx.strokeRect(Math.min(m.x0, m.x1), Math.min(m.y0, m.y1), Math.abs(m.x1 - m.x0), Math.abs(m.y1 - m.y0));
+            ctx.restore();
+        }
 
         // Selection outlines & resize handles
-        const sel = this.selectedObject || this.selectedZone || this.selectedObstacle;
+        const sel = this._exportingImage ? null : (this.selectedObject || this.selectedZone || this.selectedObstacle);
         if (sel) {
             ctx.save();
             ctx.strokeStyle = '#1e88e5';
             ctx.lineWidth = 2; ctx.setLineDash([4,2]);
-            ctx.strokeRect(sel.x, sel.y, sel.width, sel.height);
+            if (sel.rotation && !sel.points) {
+                const c = { x: sel.x + sel.width / 2, y: sel.y + sel.height / 2 };
+                ctx.save(); ctx.translate(c.x, c.y); ctx.rotate(sel.rotation * Math.PI / 180); ctx.strokeRect(-sel.width / 2, -sel.height / 2, sel.width, sel.height); ctx.restore();
+            } else ctx.strokeRect(sel.x, sel.y, sel.width, sel.height);
             ctx.setLineDash([]);
             this.drawResizeHandles(ctx, sel);
+            // Rotate handle: a knob above the top edge joined by a short stem
+            if (sel !== this.selectedZone && this.canRotate(sel)) {
+                const zm = this.zoom || 1; const h = this.getRotateHandlePosition(sel);
+                const a = (sel.points ? 0 : (sel.rotation || 0)) * Math.PI / 180; const off = sel.height / 2;
+                const top = { x: sel.x + sel.width / 2 + off * Math.sin(a), y: sel.y + sel.height / 2 - off * Math.cos(a) };
+                ctx.lineWidth = 1.5 / zm; ctx.beginPath(); ctx.moveTo(top.x, top.y); ctx.lineTo(h.x, h.y); ctx.stroke();
+                ctx.beginPath(); ctx.arc(h.x, h.y, 5 / zm, 0, Math.PI * 2); ctx.fillStyle = '#fff'; ctx.fill(); ctx.stroke();
+            }
+            // Polygon corners (drag to move, double-click an edge to add, Delete to remove the selected one)
+            const vertexPts = this.getEditablePoints(sel);
+            if (vertexPts) {
+                const zm = this.zoom || 1;
+                vertexPts.forEach((p, i) => {
+                    const active = this.selectedVertex && this.selectedVertex.item === sel && this.selectedVertex.index === i;
+                    ctx.beginPath(); ctx.arc(p.x, p.y, 5 / zm, 0, Math.PI * 2);
+                    ctx.fillStyle = active ? '#1e88e5' : '#fff'; ctx.fill();
+                    ctx.lineWidth = 1.5 / zm; ctx.strokeStyle = '#1e88e5'; ctx.stroke();
+                });
+            }
+            ctx.restore();
+        }
+
+        if (this.selectedMeasurement && !this._exportingImage) {
+            const m = this.selectedMeasurement; const zm = this.zoom || 1;
+            ctx.save(); ctx.lineWidth = 6 / zm; ctx.lineJoin = 'round'; ctx.strokeStyle = 'rgba(30,136,229,0.35)';
+            ctx.beginPath(); m.points.forEach((pt, i) => { if (!i) ctx.moveTo(pt.x, pt.y); else ctx.lineTo(pt.x, pt.y); });
+            if (m.kind === 'area') ctx.closePath();
+            ctx.stroke(); ctx.restore();
+        }
+        // Selected annotation: outline plus the callout's draggable arrow tip
+        if (this.selectedAnnotation && !this._exportingImage) {
+            const a = this.selectedAnnotation; const b = this.getAnnotationBox(a); const zm = this.zoom || 1; const pad = 3 / zm;
+            ctx.save();
+            ctx.strokeStyle = '#1e88e5'; ctx.lineWidth = 1.5 / zm; ctx.setLineDash([4 / zm, 2 / zm]);
+            ctx.strokeRect(b.x - pad, b.y - pad, b.width + pad * 2, b.height + pad * 2);
+            if (a.type === 'callout') {
+                ctx.setLineDash([]); ctx.beginPath(); ctx.arc(a.tipX, a.tipY, 5 / zm, 0, Math.PI * 2);
+                ctx.fillStyle = '#fff'; ctx.fill(); ctx.stroke();
+            }
             ctx.restore();
         }
 
         // Path endpoints highlight when dragging
 
-        if (this.selectedPath) {
+        if (this.selectedPath && !this._exportingImage) {
             ctx.save();
             ctx.fillStyle = '#1e88e5';
             const pts = this.selectedPath.points; if (pts && pts.length) {
@@ -1838,13 +3545,31 @@ class SpaghettiDiagramApp {
             }
             ctx.restore();
         }
+        // Path points while the selected path is in vertex-edit mode
+        const editPath = this._exportingImage ? null : this.getVertexEditPath();
+        if (editPath) {
+            const zm = this.zoom || 1;
+            ctx.save();
+            editPath.points.forEach((p, i) => {
+                const active = this.selectedVertex && this.selectedVertex.item === editPath && this.selectedVertex.index === i;
+                ctx.beginPath(); ctx.arc(p.x, p.y, 5 / zm, 0, Math.PI * 2);
+                ctx.fillStyle = active ? '#1e88e5' : '#fff'; ctx.fill();
+                ctx.lineWidth = 1.5 / zm; ctx.strokeStyle = '#1e88e5'; ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        this.drawGeorefPoints(ctx);
+        this.drawExtractionProposals(ctx);
 
         ctx.restore();
+        this.drawHeatmapLegend(ctx);
+        this.drawScaleBar(ctx);
     }
 
     drawGrid(ctx){
         // Determine grid cell size in world units. If scale undefined, use fixed 50px world size.
-        const cellWorld = (this.unitsPerPixel>0) ? (this.gridCellUnits/this.unitsPerPixel) : 50;
+        const cellWorld = this.getGridCellSize();
         if (!cellWorld || cellWorld < 4) return;
         const z = (this.zoom||1);
         // Compute visible world rectangle (inverse of transform)
@@ -1879,47 +3604,81 @@ class SpaghettiDiagramApp {
         ctx.save();
         ctx.fillStyle = o.color || '#777';
         ctx.strokeStyle = '#333'; ctx.lineWidth=1;
-        ctx.fillRect(o.x,o.y,o.width,o.height);
-        ctx.strokeRect(o.x,o.y,o.width,o.height);
+        if (this.isShapedObject(o)) {
+            ctx.beginPath(); this.getObjectPolygon(o).forEach((p,i)=>{ if(!i) ctx.moveTo(p.x,p.y); else ctx.lineTo(p.x,p.y); }); ctx.closePath();
+            ctx.fill(); ctx.stroke();
+        } else {
+            ctx.fillRect(o.x,o.y,o.width,o.height);
+            ctx.strokeRect(o.x,o.y,o.width,o.height);
+        }
+        // Label stays upright whatever the rotation
         ctx.fillStyle = '#fff'; ctx.font = '12px sans-serif'; ctx.textAlign='center'; ctx.textBaseline='middle';
         const label = o.name || o.type || 'Obj';
         ctx.fillText(label, o.x+o.width/2, o.y+o.height/2);
+        // Pinned objects (kept in place by the layout optimizer) get a small marker in the box's top-right corner
+        if (o.pinned) { const pin = this.getRotatedBoxPolygon(o, [{ x: 1 - 5 / o.width, y: 5 / o.height }])[0]; ctx.fillStyle = '#333'; ctx.beginPath(); ctx.arc(pin.x, pin.y, 3.5, 0, Math.PI*2); ctx.fill(); }
+        // Access points: small diamonds on the outline, named while the object is selected
+        this.getAccessPoints(o).forEach(ap => {
+            ctx.fillStyle = '#fff'; ctx.strokeStyle = '#333'; ctx.lineWidth = 1.5;
+            ctx.beginPath(); ctx.moveTo(ap.x, ap.y-5); ctx.lineTo(ap.x+5, ap.y); ctx.lineTo(ap.x, ap.y+5); ctx.lineTo(ap.x-5, ap.y); ctx.closePath(); ctx.fill(); ctx.stroke();
+            if (o === this.selectedObject && ap.name) { ctx.fillStyle = '#222'; ctx.font = '11px sans-serif'; ctx.textAlign = 'left'; ctx.textBaseline = 'bottom'; ctx.fillText(ap.name, ap.x+7, ap.y-3); }
+        });
         ctx.restore();
     }
-    drawObstacle(ctx,o){ ctx.save(); ctx.fillStyle='rgba(180,0,0,0.25)'; ctx.strokeStyle='rgba(160,0,0,0.9)'; ctx.lineWidth=1.5; ctx.fillRect(o.x,o.y,o.width,o.height); ctx.strokeRect(o.x,o.y,o.width,o.height); ctx.restore(); }
-    drawZone(ctx,z){ const isRestricted = z.type==='restricted'; ctx.save(); ctx.fillStyle = isRestricted? 'rgba(220,0,0,0.18)':'rgba(0,160,0,0.18)'; ctx.strokeStyle = isRestricted? 'rgba(160,0,0,0.9)':'rgba(0,110,0,0.9)'; ctx.lineWidth=1.5; ctx.fillRect(z.x,z.y,z.width,z.height); ctx.strokeRect(z.x,z.y,z.width,z.height); if (z.name){ ctx.fillStyle = '#222'; ctx.font='12px sans-serif'; ctx.textAlign='left'; ctx.textBaseline='top'; ctx.fillText(z.name, z.x+4, z.y+4); } ctx.restore(); }
-    drawPath(ctx,p){ if (!p.points || p.points.length<2) return; 
-        // Auto-update attached endpoints to object centers
-        const adjustEndpoint = (objId, index) => {
+    drawObstacle(ctx,o){ ctx.save(); ctx.fillStyle='rgba(180,0,0,0.25)'; ctx.strokeStyle='rgba(160,0,0,0.9)'; ctx.lineWidth=1.5; this.traceObstacle(ctx,o); ctx.fill(); ctx.stroke(); ctx.restore(); }
+    traceObstacle(ctx,o){ ctx.beginPath(); if (o.shape==='circle') ctx.arc(o.x+o.width/2,o.y+o.height/2,o.width/2,0,Math.PI*2); else if (this.isShapedObstacle(o)){ this.getObstaclePolygon(o).forEach((p,i)=>{ if(!i) ctx.moveTo(p.x,p.y); else ctx.lineTo(p.x,p.y); }); ctx.closePath(); } else ctx.rect(o.x,o.y,o.width,o.height); }
+    drawZone(ctx,z){ const t = ZONE_TYPES[this.getZoneType(z)]; ctx.save(); ctx.fillStyle = t.fill; ctx.strokeStyle = t.stroke; ctx.lineWidth=1.5; this.traceZone(ctx,z); ctx.fill(); ctx.stroke(); if (z.name){ ctx.fillStyle = '#222'; ctx.font='12px sans-serif'; ctx.textAlign='left'; ctx.textBaseline='top'; const cost = this.getZoneCost(z); const label = (Number.isFinite(cost) && cost !== 1) ? `${z.name} ×${cost}` : z.name; const at = z.points ? z.points.reduce((a,p)=> (p.y<a.y || (p.y===a.y && p.x<a.x)) ? p : a) : z; ctx.fillText(label, at.x+4, at.y+4); } ctx.restore(); }
+    traceZone(ctx,z){ ctx.beginPath(); if (z.points){ z.points.forEach((p,i)=>{ if(!i) ctx.moveTo(p.x,p.y); else ctx.lineTo(p.x,p.y); }); ctx.closePath(); } else ctx.rect(z.x,z.y,z.width,z.height); }
+    // Auto-update attached endpoints to the chosen (or nearest) access point, else the object's anchor
+    syncLinkedEnds(p){ if (!p.points || p.points.length<2) return;
+        const adjustEndpoint = (objId, accessId, index, neighbour) => {
             if (!objId) return;
             const obj = this.objects.find(o=>o.id===objId);
             if (!obj) return;
-            const center = { x: obj.x + obj.width/2, y: obj.y + obj.height/2 };
+            const target = this.getAttachPoint(obj, accessId, p.points[neighbour]);
             const pt = p.points[index];
-            if (!pt || pt.x!==center.x || pt.y!==center.y) { p.points[index] = center; p.length = this.calculatePathLength(p.points); }
+            if (!pt || pt.x!==target.x || pt.y!==target.y) { p.points[index] = target; p.length = this.calculatePathLength(p.points); this._heatmapDirty = true; }
         };
-        adjustEndpoint(p.startObjectId, 0);
-        adjustEndpoint(p.endObjectId, p.points.length-1);
+        adjustEndpoint(p.startObjectId, p.startAccessId, 0, 1);
+        adjustEndpoint(p.endObjectId, p.endAccessId, p.points.length-1, p.points.length-2);
+    }
+    drawPath(ctx,p){ if (!p.points || p.points.length<2) return; 
+        this.syncLinkedEnds(p);
         ctx.save(); ctx.strokeStyle = p.color || '#ff0000'; ctx.lineWidth = 2; ctx.beginPath(); p.points.forEach((pt,i)=>{ if(!i) ctx.moveTo(pt.x,pt.y); else ctx.lineTo(pt.x,pt.y); }); ctx.stroke(); ctx.restore(); }
     drawResizeHandles(ctx, target){ const handles = this.getResizeHandlePositions(target); ctx.save(); ctx.fillStyle='#1e88e5'; handles.forEach(h=>{ ctx.fillRect(h.x-4,h.y-4,8,8); }); ctx.restore(); }
 
-    getResizeHandlePositions(t){ const x=t.x,y=t.y,w=t.width,h=t.height; return [ {name:'nw',x,y},{name:'n',x:x+w/2,y},{name:'ne',x:x+w,y},{name:'e',x:x+w,y:y+h/2},{name:'se',x:x+w,y:y+h},{name:'s',x:x+w/2,y:y+h},{name:'sw',x,y:y+h},{name:'w',x,y:y+h/2} ]; }
+    getResizeHandlePositions(t){ const x=t.x,y=t.y,w=t.width,h=t.height; const handles = [ {name:'nw',x,y},{name:'n',x:x+w/2,y},{name:'ne',x:x+w,y},{name:'e',x:x+w,y:y+h/2},{name:'se',x:x+w,y:y+h},{name:'s',x:x+w/2,y:y+h},{name:'sw',x,y:y+h},{name:'w',x,y:y+h/2} ];
+        // Rotated rectangles: handles sit on the rotated outline
+        if (!t.rotation || t.points) return handles;
+        const a=t.rotation*Math.PI/180, cos=Math.cos(a), sin=Math.sin(a), cx=x+w/2, cy=y+h/2;
+        return handles.map(hd=>({ name:hd.name, x:cx+(hd.x-cx)*cos-(hd.y-cy)*sin, y:cy+(hd.x-cx)*sin+(hd.y-cy)*cos })); }
     getResizeHandle(pos, target){ const handles=this.getResizeHandlePositions(target); for (const h of handles){ if (Math.abs(pos.x-h.x)<=6 && Math.abs(pos.y-h.y)<=6) return h.name; } return null; }
 
-    getObjectAt(pt){ for (let i=this.objects.length-1;i>=0;i--){ const o=this.objects[i]; if (pt.x>=o.x && pt.x<=o.x+o.width && pt.y>=o.y && pt.y<=o.y+o.height) return o; } return null; }
-    getZoneAt(pt){ for (let i=this.zones.length-1;i>=0;i--){ const z=this.zones[i]; if (pt.x>=z.x && pt.x<=z.x+z.width && pt.y>=z.y && pt.y<=z.y+z.height) return z; } return null; }
-    getObstacleAt(pt){ for (let i=this.obstacles.length-1;i>=0;i--){ const o=this.obstacles[i]; if (pt.x>=o.x && pt.x<=o.x+o.width && pt.y>=o.y && pt.y<=o.y+o.height) return o; } return null; }
+    // Pointer hit tests skip items on hidden or locked layers
+    getObjectAt(pt){ for (let i=this.objects.length-1;i>=0;i--){ const o=this.objects[i]; if (this.isPointInObject(pt, o) && this.isItemInteractive(o, 'object')) return o; } return null; }
+    getZoneAt(pt){ for (let i=this.zones.length-1;i>=0;i--){ const z=this.zones[i]; if (this.isPointInZone(pt, z) && this.isItemInteractive(z, 'zone')) return z; } return null; }
+    getObstacleAt(pt){ for (let i=this.obstacles.length-1;i>=0;i--){ const o=this.obstacles[i]; if (this.isPointInObstacle(pt, o) && this.isItemInteractive(o, 'obstacle')) return o; } return null; }
 
-    getPathEndpointAt(pt){ const radius=8; for (const p of this.paths){ const pts=p.points; if (!pts||pts.length<2) continue; const a=pts[0], b=pts[pts.length-1]; if (Math.hypot(pt.x-a.x, pt.y-a.y)<=radius) return { path:p, endpoint:'start' }; if (Math.hypot(pt.x-b.x, pt.y-b.y)<=radius) return { path:p, endpoint:'end' }; } return null; }
-    getPathAt(pt){ const threshold=5; for (const p of this.paths){ const pts=p.points; for (let i=0;i<pts.length-1;i++){ if (this.pointSegmentDistance(pt, pts[i], pts[i+1])<=threshold) return p; } } return null; }
+    getPathEndpointAt(pt){ const radius=8; for (const p of this.paths){ const pts=p.points; if (!pts||pts.length<2||!this.isItemInteractive(p, 'path')) continue; const a=pts[0], b=pts[pts.length-1]; if (Math.hypot(pt.x-a.x, pt.y-a.y)<=radius) return { path:p, endpoint:'start' }; if (Math.hypot(pt.x-b.x, pt.y-b.y)<=radius) return { path:p, endpoint:'end' }; } return null; }
+    getPathAt(pt){ const threshold=5; for (const p of this.paths){ const pts=p.points; if (!this.isItemInteractive(p, 'path')) continue; for (let i=0;i<pts.length-1;i++){ if (this.pointSegmentDistance(pt, pts[i], pts[i+1])<=threshold) return p; } } return null; }
     pointSegmentDistance(p,a,b){ const dx=b.x-a.x, dy=b.y-a.y; if (dx===0&&dy===0) return Math.hypot(p.x-a.x,p.y-a.y); const t=((p.x-a.x)*dx+(p.y-a.y)*dy)/(dx*dx+dy*dy); const clamped=Math.max(0,Math.min(1,t)); const proj={x:a.x+clamped*dx,y:a.y+clamped*dy}; return Math.hypot(p.x-proj.x,p.y-proj.y); }
 
-    handleEndpointDrag(){ if (!this.selectedPath||!this.selectedEndpoint) return; const pts=this.selectedPath.points; if (!pts||pts.length<2) return; if (this.selectedEndpoint==='start') pts[0]={...this.mousePos}; else pts[pts.length-1]={...this.mousePos}; this.selectedPath.length = this.calculatePathLength(pts); this.updateAnalytics(); this.render(); }
+    handleEndpointDrag(){ if (!this.selectedPath||!this.selectedEndpoint) return; const pts=this.selectedPath.points; if (!pts||pts.length<2) return; if (this.selectedEndpoint==='start') pts[0]={...this.mousePos}; else pts[pts.length-1]={...this.mousePos}; this.selectedPath.length = this.calculatePathLength(pts); this._heatmapDirty = true; this.updateAnalytics(); this.render(); }
 
     smoothPolyline(points, radius=18){ if (!points||points.length<3) return points||[]; const out=[points[0]]; for (let i=1;i<points.length-1;i++){ const p0=points[i-1], p1=points[i], p2=points[i+1]; const v1={x:p0.x-p1.x,y:p0.y-p1.y}; const v2={x:p2.x-p1.x,y:p2.y-p1.y}; const len1=Math.hypot(v1.x,v1.y); const len2=Math.hypot(v2.x,v2.y); if (!len1||!len2){ out.push(p1); continue; } const r=Math.min(radius, len1/2, len2/2); const n1={x:v1.x/len1,y:v1.y/len1}; const n2={x:v2.x/len2,y:v2.y/len2}; const pA={x:p1.x+n1.x*r,y:p1.y+n1.y*r}; const pB={x:p1.x+n2.x*r,y:p1.y+n2.y*r}; out.push(pA); out.push(pB); } out.push(points[points.length-1]); return out; }
 
+    // Point halfway along a polyline's length
+    getPolylineMidpoint(pts){
+        let left = this.calculatePathLength(pts) / 2;
+        for (let i = 1; i < pts.length; i++) {
+            const seg = Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+            if (seg > 0 && seg >= left) return { x: pts[i - 1].x + (pts[i].x - pts[i - 1].x) * left / seg, y: pts[i - 1].y + (pts[i].y - pts[i - 1].y) * left / seg };
+            left -= seg;
+        }
+        return { x: pts[0].x, y: pts[0].y };
+    }
     calculatePathLength(points){ if (!points||points.length<2) return 0; let d=0; for (let i=1;i<points.length;i++){ const a=points[i-1], b=points[i]; d+=Math.hypot(b.x-a.x,b.y-a.y); } return d; }
-    updateObjectVisits(path){ if (!path||!path.points||path.points.length<2) return; const start=path.points[0], end=path.points[path.points.length-1]; const inc=(pt)=>{ const obj=this.getObjectAt(pt); if (obj) obj.visits=(obj.visits||0)+ (path.frequency||1); }; inc(start); inc(end); }
+    updateObjectVisits(path){ if (!path||!path.points||path.points.length<2) return; const start=path.points[0], end=path.points[path.points.length-1]; const inc=(pt)=>{ const obj=[...this.objects].reverse().find(o=>this.isPointInObject(pt, o)); if (obj) obj.visits=(obj.visits||0)+ (path.frequency||1); }; inc(start); inc(end); }
 
     // Line intersection function for analytics
     lineIntersectsLine(p1, p2, p3, p4) {
@@ -2009,12 +3768,13 @@ class SpaghettiDiagramApp {
         const weightedEl=document.getElementById('weightedCost');
         const spaghettiIndexEl=document.getElementById('spaghettiIndex');
         
-        let total=0, weighted=0; 
+        let total=0, weighted=0, realTotal=0; 
         for (const p of this.paths){ 
             const len=p.length || this.calculatePathLength(p.points); 
             p.length=len; 
             total+=len*(p.frequency||1); 
             weighted+=len*(p.frequency||1); 
+            if (this.unitsPerPixel>0) realTotal+=this.getRealPolylineLength(p.points)*(p.frequency||1);
         }
         const rawTotal=total; 
         const avg = this.paths.length? (rawTotal/this.paths.length):0;
@@ -2022,8 +3782,8 @@ class SpaghettiDiagramApp {
         if (totalPathsEl) totalPathsEl.textContent=this.paths.length;
         if (totalDistEl) totalDistEl.textContent=`${rawTotal.toFixed(1)} px`;
         if (unitsLabel) unitsLabel.textContent=`Total Distance (${this.units})`;
-        if (totalUnitsEl) { const units = (this.unitsPerPixel>0)? (rawTotal*this.unitsPerPixel) : 0; totalUnitsEl.textContent = `${units.toFixed(2)} ${this.units}`; }
-        if (stepsEl) { const unitsDist = (this.unitsPerPixel>0)? (rawTotal*this.unitsPerPixel):0; const steps = unitsDist * (this.stepsPerUnit||0); stepsEl.textContent = steps? steps.toFixed(1):'0'; }
+        if (totalUnitsEl) totalUnitsEl.textContent = `${realTotal.toFixed(2)} ${this.units}`;
+        if (stepsEl) { const unitsDist = realTotal; const steps = unitsDist * (this.stepsPerUnit||0); stepsEl.textContent = steps? steps.toFixed(1):'0'; }
         if (avgLenEl) avgLenEl.textContent = `${avg.toFixed(1)} px`;
         if (weightedEl) weightedEl.textContent = weighted.toFixed(1);
         
@@ -2043,6 +3803,7 @@ class SpaghettiDiagramApp {
         }
         
         this.refreshHotspots();
+        if (this.isTravelMatrixOpen()) this.renderTravelMatrix();
     }
 
     refreshHotspots(){ const list=document.getElementById('hotspotList'); if (!list) return; const visits = this.objects.map(o=>({name:o.name, v:o.visits||0})).filter(o=>o.v>0).sort((a,b)=>b.v-a.v).slice(0,6); list.innerHTML=''; if (!visits.length){ list.innerHTML='<div class="empty-state">No paths drawn yet</div>'; return;} visits.forEach(v=>{ const div=document.createElement('div'); div.className='hotspot-item'; div.textContent=`${v.name}: ${v.v}`; list.appendChild(div); }); }
@@ -2055,6 +3816,9 @@ class SpaghettiDiagramApp {
         this._pathPanelFreq = document.getElementById('pathPanelFrequency');
         this._pathPanelColor = document.getElementById('pathPanelColor');
         this._pathPanelForm = document.getElementById('pathPanelForm');
+        this._pathPanelAccessRow = document.getElementById('pathPanelAccessRow');
+        this._pathPanelStartAccess = document.getElementById('pathPanelStartAccess');
+        this._pathPanelEndAccess = document.getElementById('pathPanelEndAccess');
         
         console.log('[INIT] Panel elements found:', {
             panel: !!this._pathPanelEl,
@@ -2070,6 +3834,14 @@ class SpaghettiDiagramApp {
         const closePanel = () => { if (this._pathPanelEl) this._pathPanelEl.classList.add('hidden'); this.editingPath=null; };
         if (closeBtn) closeBtn.addEventListener('click', closePanel);
         if (closeFooter) closeFooter.addEventListener('click', closePanel);
+        // Point editing acts on the path shown in the panel, which becomes the selected path
+        document.getElementById('pathPanelEditPoints')?.addEventListener('click', () => {
+            if (!this.editingPath) return;
+            if (this.selectedPath !== this.editingPath) { this.setTool('select'); this.setSelection([this.editingPath]); }
+            this.togglePathVertexEdit(this.editingPath);
+        });
+        document.getElementById('pathPanelSplit')?.addEventListener('click', () => this.splitPathAtVertex());
+        document.getElementById('pathPanelJoin')?.addEventListener('click', () => this.joinPaths());
         if (this._pathPanelForm){
             this._pathPanelForm.addEventListener('submit',(e)=>{
                 e.preventDefault();
@@ -2080,9 +3852,11 @@ class SpaghettiDiagramApp {
                 if (d) this.editingPath.description=d; else this.editingPath.description = this.editingPath.description || `Path`;
                 this.editingPath.frequency=f;
                 this.editingPath.color=c;
+                this.applyPathAccessChoice(this.editingPath);
                 this.editingPath.length = this.calculatePathLength(this.editingPath.points);
                 this.updateAnalytics();
                 this.render();
+                this.commitChange('Edit path');
                 this.showInfoMessage('Path updated','success',1200);
                 closePanel();
             });
@@ -2103,79 +3877,994 @@ class SpaghettiDiagramApp {
         if (this._pathPanelDesc) this._pathPanelDesc.value = path.description || `Path ${this.paths.indexOf(path)+1}`;
         if (this._pathPanelFreq) this._pathPanelFreq.value = path.frequency || 1;
         if (this._pathPanelColor) this._pathPanelColor.value = path.color || '#ff0000';
+        const startObj = this.objects.find(o => o.id === path.startObjectId), endObj = this.objects.find(o => o.id === path.endObjectId);
+        this.fillAccessSelect(this._pathPanelStartAccess, startObj, path.startAccessId);
+        this.fillAccessSelect(this._pathPanelEndAccess, endObj, path.endAccessId);
+        if (this._pathPanelAccessRow) this._pathPanelAccessRow.classList.toggle('hidden', !(startObj?.accessPoints?.length || endObj?.accessPoints?.length));
+        this.updatePathVertexUI();
         if (this._pathPanelDesc) this._pathPanelDesc.focus();
         console.log('[PANEL] Panel setup complete');
     }
 
-    // ---- Scale & Calibration (simplified) ----
-    loadScaleFromStorage(){ try{ const s=JSON.parse(localStorage.getItem('sdScale')||'null'); if (s){ this.units=s.units||this.units; this.unitsPerPixel=s.unitsPerPixel||0; this.stepsPerUnit=s.stepsPerUnit||0; this.gridCellUnits=s.gridCellUnits||1; } }catch(_){} }
-    saveScaleToStorage(){ try{ localStorage.setItem('sdScale', JSON.stringify({ units:this.units, unitsPerPixel:this.unitsPerPixel, stepsPerUnit:this.stepsPerUnit, gridCellUnits:this.gridCellUnits })); }catch(_){} }
-    updateScaleUI(){ const info=document.getElementById('gridScaleInfo'); if (info){ if (this.unitsPerPixel>0) info.textContent = `1 pixel = ${(this.unitsPerPixel).toFixed(4)} ${this.units}`; else info.textContent='Scale not set'; } const u=document.getElementById('calibrateUnits'); if (u) u.textContent=this.units; }
+    // Store the path panel's access point picks ('' = nearest); auto-routed paths are re-routed to the new points,
+    // drawn paths just move their end (drawPath re-attaches it)
+    applyPathAccessChoice(path){
+        if (!this._pathPanelAccessRow || this._pathPanelAccessRow.classList.contains('hidden')) return;
+        let changed = false;
+        [['startObjectId', 'startAccessId', this._pathPanelStartAccess], ['endObjectId', 'endAccessId', this._pathPanelEndAccess]].forEach(([objKey, key, sel]) => {
+            const obj = this.objects.find(o => o.id === path[objKey]);
+            const ap = obj && sel && sel.value ? this.resolveAccessPoint(obj, sel.value) : null;
+            const next = ap ? ap.id : undefined;
+            if (next === path[key]) return;
+            if (next === undefined) delete path[key]; else path[key] = next;
+            changed = true;
+        });
+        if (!changed || !path.auto) return;
+        const startObj = this.objects.find(o => o.id === path.startObjectId), endObj = this.objects.find(o => o.id === path.endObjectId);
+        const pts = startObj && endObj ? this.buildAutoRoutePoints(startObj, endObj, { startAccessId: path.startAccessId, endAccessId: path.endAccessId }) : null;
+        if (pts) path.points = pts;
+    }
+
+    // ---- Scale & Calibration ----
+    // unitsPerPixel stays the single factor most reports use; with an anisotropic calibration it is the geometric mean
+    // of scaleX and scaleY, which keeps areas exact. Lengths that know their direction go through getRealDistance.
+    getScaleState(){
+        return { units: this.units, unitsPerPixel: this.unitsPerPixel, scaleX: this.scaleX, scaleY: this.scaleY, calibrationRefs: this.calibrationRefs.map(r => ({ ...r, a: { ...r.a }, b: { ...r.b } })), calibrationUniform: this.calibrationUniform, stepsPerUnit: this.stepsPerUnit, gridCellUnits: this.gridCellUnits };
+    }
+    applyScaleState(s){
+        this.units = s.units || this.units;
+        this.unitsPerPixel = s.unitsPerPixel || 0;
+        // Scales saved before per-axis calibration only carry unitsPerPixel
+        this.scaleX = this.unitsPerPixel > 0 ? (s.scaleX || this.unitsPerPixel) : 0;
+        this.scaleY = this.unitsPerPixel > 0 ? (s.scaleY || this.unitsPerPixel) : 0;
+        this.calibrationRefs = Array.isArray(s.calibrationRefs) ? s.calibrationRefs.map(r => ({ ...r, a: { ...r.a }, b: { ...r.b } })) : [];
+        this.calibrationUniform = !!s.calibrationUniform;
+        this.stepsPerUnit = s.stepsPerUnit || 0;
+        this.gridCellUnits = s.gridCellUnits || 1;
+    }
+    clearCalibration(){ this.unitsPerPixel = 0; this.scaleX = 0; this.scaleY = 0; this.calibrationRefs = []; }
+    loadScaleFromStorage(){ try{ const s=JSON.parse(localStorage.getItem('sdScale')||'null'); if (s){ this.applyScaleState(s); this.showScaleBar = s.showScaleBar !== false; } }catch(_){} }
+    saveScaleToStorage(){ try{ localStorage.setItem('sdScale', JSON.stringify({ ...this.getScaleState(), showScaleBar: this.showScaleBar })); }catch(_){} this.scheduleAutosave(); }
+    isScaleAnisotropic(){ return this.unitsPerPixel > 0 && Math.abs(this.scaleX / this.scaleY - 1) > 0.001; }
+    updateScaleUI(){ const info=document.getElementById('gridScaleInfo'); if (info){ if (this.isScaleAnisotropic()) info.textContent = `1 pixel = ${this.scaleX.toFixed(4)} ${this.units} (X) × ${this.scaleY.toFixed(4)} ${this.units} (Y)`; else if (this.unitsPerPixel>0) info.textContent = `1 pixel = ${(this.unitsPerPixel).toFixed(4)} ${this.units}`; else info.textContent='Scale not set'; if (this.calibrationRefs.length > 1) info.textContent += ` · ${this.calibrationRefs.length} reference lines`; } const u=document.getElementById('calibrateUnits'); if (u) u.textContent=this.units;
+        // Keep inputs in sync when scale comes from storage or a project
+        const unitsSel=document.getElementById('unitsSelect'); if (unitsSel) unitsSel.value=this.units;
+        const stepsIn=document.getElementById('stepsPerUnit'); if (stepsIn) stepsIn.value = this.stepsPerUnit ? this.stepsPerUnit : '';
+        const gridIn=document.getElementById('gridCellUnits'); if (gridIn) gridIn.value = this.gridCellUnits;
+        const barChk=document.getElementById('showScaleBar'); if (barChk) barChk.checked = this.showScaleBar; }
+
+    // Real length between two world points under the active scale; null while uncalibrated
+    getRealDistance(a, b){
+        if (!(this.unitsPerPixel > 0)) return null;
+        return Math.hypot((b.x - a.x) * (this.scaleX || this.unitsPerPixel), (b.y - a.y) * (this.scaleY || this.unitsPerPixel));
+    }
+    getRealPolylineLength(pts){
+        if (!(this.unitsPerPixel > 0)) return null;
+        let total = 0;
+        for (let i = 1; i < (pts || []).length; i++) total += this.getRealDistance(pts[i - 1], pts[i]);
+        return total;
+    }
+
+    // Least-squares fit over the reference lines. A line of dx × dy px and real length L gives sx²·dx² + sy²·dy² ≈ L²,
+    // linear in sx² and sy²; each row is divided by L² so every reference counts by its relative error. One line, lines
+    // within ~30° of each other (the per-axis fit would hang on tiny offsets), or `uniform` fall back to a single scale
+    // minimising Σ(s·d/L − 1)².
+    fitCalibration(refs, uniform){
+        const rows = refs.map(r => ({ r, dx: r.b.x - r.a.x, dy: r.b.y - r.a.y })).filter(o => o.r.real > 0 && Math.hypot(o.dx, o.dy) >= 1);
+        if (!rows.length) return null;
+        let sx = 0, sy = 0, anisotropic = false;
+        // Direction spread from unit vectors (cos²θ, sin²θ): 0 when all lines are parallel, n²/4 for an even X/Y split
+        let cc = 0, cs = 0, ss = 0;
+        rows.forEach(({ dx, dy }) => { const d2 = dx * dx + dy * dy, c = dx * dx / d2, sn = dy * dy / d2; cc += c * c; cs += c * sn; ss += sn * sn; });
+        if (!uniform && rows.length >= 2 && cc * ss - cs * cs > 0.01 * rows.length * rows.length) {
+            let pp = 0, pq = 0, qq = 0, p1 = 0, q1 = 0;
+            rows.forEach(({ r, dx, dy }) => { const L2 = r.real * r.real, p = dx * dx / L2, q = dy * dy / L2; pp += p * p; pq += p * q; qq += q * q; p1 += p; q1 += q; });
+            const det = pp * qq - pq * pq;
+            if (det > 0) {
+                const u = (p1 * qq - q1 * pq) / det, v = (q1 * pp - p1 * pq) / det;
+                if (u > 0 && v > 0) { sx = Math.sqrt(u); sy = Math.sqrt(v); anisotropic = true; }
+            }
+        }
+        if (!anisotropic) {
+            let sd = 0, sd2 = 0;
+            rows.forEach(({ r, dx, dy }) => { const d = Math.hypot(dx, dy) / r.real; sd += d; sd2 += d * d; });
+            sx = sy = sd / sd2;
+        }
+        const residuals = rows.map(({ r, dx, dy }) => { const fitted = Math.hypot(dx * sx, dy * sy); return { id: r.id, px: Math.hypot(dx, dy), real: r.real, fitted, error: fitted - r.real, pct: (fitted - r.real) / r.real * 100 }; });
+        const rms = Math.sqrt(residuals.reduce((s, e) => s + e.error * e.error, 0) / residuals.length);
+        return { scaleX: sx, scaleY: sy, anisotropic, residuals, rms, maxPct: Math.max(...residuals.map(e => Math.abs(e.pct))) };
+    }
 
-    beginCalibration(){
+    // A calibration session collects reference lines in _calibrationDraft; each pair of clicks opens the modal, where the
+    // line gets its real length and either another line is picked or the whole set is fitted and applied.
+    beginCalibration(continueSession){
+        if (!continueSession) this._calibrationDraft = this.calibrationRefs.map(r => ({ ...r }));
         this.isCalibrating=true; this.calibrationPoints=[]; this._pendingCalibrationPx=null; this.showCalibrationLine = true;
         const chk=document.getElementById('toggleCalibrationLine');
         const wrapper=document.getElementById('calLineToggleWrapper');
         if (chk){ chk.checked=true; }
         if (wrapper){ wrapper.style.display='block'; }
-        this.showInfoMessage('Click two points on background to measure distance.','info');
+        const n = this._calibrationDraft.length;
+        this.showInfoMessage(n ? `Click two points for reference line ${n + 1}.` : 'Click two points on background to measure distance.','info');
         this.render();
     }
     handleCalibrationClick(){ if (!this.isCalibrating) return; this.calibrationPoints.push({...this.mousePos}); if (this.calibrationPoints.length===2){ const [a,b]=this.calibrationPoints; const px=Math.hypot(b.x-a.x,b.y-a.y); this._pendingCalibrationPx = px; this.openCalibrateModal(px); this.isCalibrating=false; } this.render(); }
-    openCalibrateModal(px){ const m=document.getElementById('calibrateModal'); if (m) m.classList.remove('hidden'); const info=document.getElementById('calibrateInfo'); if (info) info.textContent=`Measured pixel distance: ${px.toFixed(2)} px`; const input=document.getElementById('calibrateDistance'); if (input){ input.value=''; input.focus(); } }
+    openCalibrateModal(px){ const m=document.getElementById('calibrateModal'); if (m) m.classList.remove('hidden'); const info=document.getElementById('calibrateInfo'); if (info) info.textContent=`Measured pixel distance: ${px.toFixed(2)} px`; const input=document.getElementById('calibrateDistance'); if (input){ input.value=''; input.focus(); } const uni=document.getElementById('calibrateUniform'); if (uni) uni.checked=this.calibrationUniform; this.renderCalibrationRefs(); }
+    // The pending line with a valid distance typed in, as a reference
+    getPendingCalibrationRef(){
+        const input = document.getElementById('calibrateDistance'); const real = input ? parseFloat(input.value) : NaN;
+        if (!(real > 0) || !this._pendingCalibrationPx || this.calibrationPoints.length !== 2) return null;
+        const [a, b] = this.calibrationPoints;
+        return { id: Date.now() + Math.random(), a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y }, real };
+    }
+    // Reference table with live residuals against the fit the Apply button would use
+    renderCalibrationRefs(){
+        const list = document.getElementById('calibrationRefList'); const summary = document.getElementById('calibrateFitInfo');
+        if (!list) return;
+        const pending = this.getPendingCalibrationRef();
+        const refs = [...(this._calibrationDraft || []), ...(pending ? [pending] : [])];
+        const uni = document.getElementById('calibrateUniform');
+        const fit = this.fitCalibration(refs, uni ? uni.checked : this.calibrationUniform);
+        list.innerHTML = '';
+        if (summary) summary.textContent = '';
+        if (refs.length < 2) { list.classList.add('hidden'); return; }
+        list.classList.remove('hidden');
+        const head = document.createElement('tr');
+        ['#', 'Pixels', `Real (${this.units})`, 'Fitted', 'Error', ''].forEach(t => { const th = document.createElement('th'); th.textContent = t; head.appendChild(th); });
+        list.appendChild(head);
+        refs.forEach((r, i) => {
+            const res = fit && fit.residuals.find(e => e.id === r.id);
+            const tr = document.createElement('tr');
+            [String(i + 1), res ? res.px.toFixed(1) : '–', String(r.real), res ? res.fitted.toFixed(3) : '–', res ? `${res.error >= 0 ? '+' : ''}${res.error.toFixed(3)} (${res.pct.toFixed(2)}%)` : 'ignored'].forEach(t => { const td = document.createElement('td'); td.textContent = t; tr.appendChild(td); });
+            const td = document.createElement('td');
+            if (r !== pending) {
+                const btn = document.createElement('button'); btn.type = 'button'; btn.className = 'btn btn--outline btn--sm'; btn.textContent = 'Remove'; btn.title = 'Remove this reference line';
+                btn.addEventListener('click', () => { this._calibrationDraft = this._calibrationDraft.filter(x => x !== r); this.renderCalibrationRefs(); this.render(); });
+                td.appendChild(btn);
+            } else td.textContent = 'new';
+            tr.appendChild(td);
+            list.appendChild(tr);
+        });
+        if (summary && fit) summary.textContent = fit.anisotropic
+            ? `X: 1 px = ${fit.scaleX.toFixed(4)} ${this.units} · Y: 1 px = ${fit.scaleY.toFixed(4)} ${this.units} · RMS error ${fit.rms.toFixed(3)} ${this.units}`
+            : `1 px = ${fit.scaleX.toFixed(4)} ${this.units} (same in X and Y) · RMS error ${fit.rms.toFixed(3)} ${this.units}`;
+    }
+    addCalibrationReference(){
+        const ref = this.getPendingCalibrationRef();
+        if (!ref) { this.showInfoMessage('Enter a valid distance.','warning'); return; }
+        this._calibrationDraft.push(ref);
+        this.closeCalibrateModal();
+        this.beginCalibration(true);
+    }
     applyCalibrationFromModal(){
-        const input=document.getElementById('calibrateDistance'); if (!input) return; const real=parseFloat(input.value);
-        if (!real||real<=0||!this._pendingCalibrationPx){ this.showInfoMessage('Enter a valid distance.','warning'); return; }
-        this.unitsPerPixel = real/this._pendingCalibrationPx;
-        this._lastCalibrationReal = real; this._lastCalibrationUnits = this.units;
+        const input=document.getElementById('calibrateDistance'); if (!input) return;
+        const pending = this.getPendingCalibrationRef();
+        // An empty distance is fine once other references exist; the unfinished line is then dropped
+        if (!pending && (input.value.trim() !== '' || !this._calibrationDraft.length)){ this.showInfoMessage('Enter a valid distance.','warning'); return; }
+        const refs = [...this._calibrationDraft, ...(pending ? [pending] : [])];
+        const uni = document.getElementById('calibrateUniform'); const uniform = uni ? uni.checked : this.calibrationUniform;
+        const fit = this.fitCalibration(refs, uniform);
+        if (!fit) { this.showInfoMessage('Reference lines are too short to calibrate.','warning'); return; }
+        this.scaleX = fit.scaleX; this.scaleY = fit.scaleY; this.unitsPerPixel = Math.sqrt(fit.scaleX * fit.scaleY);
+        this.calibrationRefs = refs; this.calibrationUniform = uniform;
+        if (pending) { this._lastCalibrationReal = pending.real; this._lastCalibrationUnits = this.units; }
         this.saveScaleToStorage(); this.updateScaleUI(); this.updateAnalytics(); this.closeCalibrateModal();
-        this.showInfoMessage(`Scale applied: ${real} ${this.units} ↔ ${this._pendingCalibrationPx.toFixed(1)} px`,'success');
+        this.debugLog('[CALIBRATE] fit', { refs: refs.length, scaleX: fit.scaleX, scaleY: fit.scaleY, rms: fit.rms });
+        if (refs.length === 1) this.showInfoMessage(`Scale applied: ${refs[0].real} ${this.units} ↔ ${fit.residuals[0].px.toFixed(1)} px`,'success');
+        else this.showInfoMessage(`Scale fitted to ${refs.length} references${fit.anisotropic ? ' (separate X/Y)' : ''}: RMS error ${fit.rms.toFixed(3)} ${this.units}, worst ${fit.maxPct.toFixed(2)}%.`, fit.maxPct > 2 ? 'warning' : 'success', 6000);
         this.render();
     }
     closeCalibrateModal(){ const m=document.getElementById('calibrateModal'); if (m) m.classList.add('hidden'); }
-    resetScale(){ this.unitsPerPixel=0; this.stepsPerUnit=0; this.gridCellUnits=1; this.saveScaleToStorage(); this.updateScaleUI(); this.updateAnalytics(); this.render(); }
+    isCalibrateModalOpen(){ const m=document.getElementById('calibrateModal'); return !!m && !m.classList.contains('hidden'); }
+    // Cancel/close/Escape abandon the session: the unfinished line and the draft go, the applied calibration stays
+    cancelCalibrateModal(){
+        if (!this.isCalibrateModalOpen()) return;
+        this.closeCalibrateModal();
+        this._pendingCalibrationPx = null; this._calibrationDraft = []; this.calibrationPoints = [];
+        this.render();
+    }
+    resetScale(){ this.clearCalibration(); this.stepsPerUnit=0; this.gridCellUnits=1; this.saveScaleToStorage(); this.updateScaleUI(); this.updateAnalytics(); this.render(); }
+
+    // Screen-space scale bar (bottom-right) sized to a round real length; anisotropic scales get a vertical Y bar too
+    drawScaleBar(ctx){
+        if (!this.showScaleBar || !(this.unitsPerPixel > 0)) return;
+        const zm = this.zoom || 1;
+        const nice = (screenPerUnit) => { const raw = 120 / screenPerUnit; const p = Math.pow(10, Math.floor(Math.log10(raw))); const n = [5, 2, 1].map(k => k * p).find(v => v <= raw) || p; return { len: n, px: n * screenPerUnit }; };
+        const bx = nice(zm / this.scaleX);
+        const aniso = this.isScaleAnisotropic(); const by = aniso ? nice(zm / this.scaleY) : null;
+        const fmt = (v) => `${parseFloat(v.toPrecision(6))} ${this.units}`;
+        const right = this.canvas.width - 16, bottom = this.canvas.height - 16;
+        const x0 = right - bx.px;
+        ctx.save();
+        ctx.setTransform(1,0,0,1,0,0);
+        ctx.fillStyle = 'rgba(255,255,255,0.88)';
+        const boxL = x0 - (by ? 44 : 8), boxT = bottom - 30 - (by ? by.px : 0);
+        ctx.fillRect(boxL, boxT, right + 8 - boxL, bottom + 6 - boxT);
+        ctx.strokeStyle = 'rgba(0,0,0,0.2)'; ctx.lineWidth = 1; ctx.strokeRect(boxL, boxT, right + 8 - boxL, bottom + 6 - boxT);
+        // Alternating halves, map-style
+        ctx.fillStyle = '#222'; ctx.fillRect(x0, bottom - 6, bx.px / 2, 6);
+        ctx.strokeStyle = '#222'; ctx.strokeRect(x0, bottom - 6, bx.px, 6);
+        ctx.font = '11px sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'bottom';
+        ctx.fillText(aniso ? `X ${fmt(bx.len)}` : fmt(bx.len), x0 + bx.px / 2, bottom - 9);
+        if (by) {
+            const yTop = bottom - 6 - by.px;
+            ctx.fillRect(x0 - 12, yTop, 6, by.px / 2); ctx.strokeRect(x0 - 12, yTop, 6, by.px);
+            ctx.save(); ctx.translate(x0 - 16, yTop + by.px / 2); ctx.rotate(-Math.PI / 2); ctx.fillText(`Y ${fmt(by.len)}`, 0, 0); ctx.restore();
+        }
+        ctx.restore();
+    }
+
+    // ---- Snapping & alignment guides ----
+    initSnapUI(){
+        try { const s = JSON.parse(localStorage.getItem('sdSnap') || 'null'); if (s) { this.snapToGrid = !!s.snapToGrid; this.alignGuides = s.alignGuides !== false; } } catch(_) {}
+        const persist = () => { try { localStorage.setItem('sdSnap', JSON.stringify({ snapToGrid: this.snapToGrid, alignGuides: this.alignGuides })); } catch(_) {} };
+        const snapChk = document.getElementById('snapToGrid'), guidesChk = document.getElementById('alignGuides');
+        if (snapChk) { snapChk.checked = this.snapToGrid; snapChk.addEventListener('change', () => { this.snapToGrid = snapChk.checked; persist(); }); }
+        if (guidesChk) { guidesChk.checked = this.alignGuides; guidesChk.addEventListener('change', () => { this.alignGuides = guidesChk.checked; persist(); }); }
+    }
+    // World size of one grid cell, matching drawGrid (50px until a scale is set)
+    getGridCellSize(){ return (this.unitsPerPixel>0) ? (this.gridCellUnits/this.unitsPerPixel) : 50; }
+    // Snapping is off while the grid is too fine to be drawn
+    isGridSnapActive(){ return !!this.snapToGrid && this.getGridCellSize() >= 4; }
+    snapValue(v){ if (!this.isGridSnapActive()) return v; const c = this.getGridCellSize(); return Math.round(v / c) * c; }
+    snapPoint(pt){ return this.isGridSnapActive() ? { x: this.snapValue(pt.x), y: this.snapValue(pt.y) } : pt; }
+    isDrawingTool(){ return ['path', 'zone', 'polygonZone', 'obstacle', 'measure'].includes(this.currentTool); }
+
+    // Point on the 0/45/90° ray from `from` nearest to `pt` (or along `dir` when given); with grid snapping on
+    // the distance moves in whole cells so segments from a grid point stay on the grid
+    constrainSegment(from, pt, dir = null){
+        const dx = pt.x - from.x, dy = pt.y - from.y;
+        if (!dir) {
+            const a = Math.round(Math.atan2(dy, dx) / (Math.PI / 4)) * (Math.PI / 4);
+            dir = { x: Math.round(Math.cos(a)), y: Math.round(Math.sin(a)) };
+        }
+        let t = (dx * dir.x + dy * dir.y) / (dir.x * dir.x + dir.y * dir.y);
+        if (this.isGridSnapActive()) t = this.snapValue(t);
+        return { x: from.x + t * dir.x, y: from.y + t * dir.y };
+    }
+
+    // Shift while drawing a path: the last point follows the pointer along a constrained direction;
+    // once the pointer leaves that line the segment is kept as a corner and a new one starts there
+    extendConstrainedPath(pt){
+        const pts = this.currentPath;
+        if (!this._orthoLive || pts.length < 2) { pts.push(this.constrainSegment(pts[pts.length - 1], pt)); this._orthoLive = true; return; }
+        const anchor = pts[pts.length - 2], live = pts[pts.length - 1];
+        const len = Math.hypot(live.x - anchor.x, live.y - anchor.y);
+        if (len <= 15) { pts[pts.length - 1] = this.constrainSegment(anchor, pt); return; }
+        const dir = { x: Math.sign(Math.round((live.x - anchor.x) / len * 2)), y: Math.sign(Math.round((live.y - anchor.y) / len * 2)) };
+        const off = Math.abs((pt.x - anchor.x) * dir.y - (pt.y - anchor.y) * dir.x) / Math.hypot(dir.x, dir.y);
+        if (off > 15) pts.push(this.constrainSegment(live, pt));
+        else pts[pts.length - 1] = this.constrainSegment(anchor, pt, dir);
+    }
+
+    // Where a dragged item should land: its bounding-box edges/centre line up with another object's within a few
+    // pixels (recording guide lines to draw), otherwise its top-left corner snaps to the grid
+    getSnappedPosition(target, x, y){
+        const b = this.getItemBounds(target); const ox = b.x - target.x, oy = b.y - target.y;
+        const box = { x: x + ox, y: y + oy, width: b.width, height: b.height };
+        const others = this.alignGuides ? this.objects.filter(o => o !== target).map(o => this.getObjectBounds(o)) : [];
+        const threshold = 6 / (this.zoom || 1);
+        const guides = [];
+        const axis = (pos, size, key, len) => {
+            let best = null;
+            others.forEach(ob => {
+                [ob[key], ob[key] + ob[len] / 2, ob[key] + ob[len]].forEach(line => {
+                    [0, size / 2, size].forEach(off => {
+                        const d = Math.abs(line - (pos + off));
+                        if (d <= threshold && (!best || d < best.d)) best = { d, pos: line - off, line, ob };
+                    });
+                });
+            });
+            return best;
+        };
+        const gx = axis(box.x, box.width, 'x', 'width'), gy = axis(box.y, box.height, 'y', 'height');
+        box.x = gx ? gx.pos : this.snapValue(box.x);
+        box.y = gy ? gy.pos : this.snapValue(box.y);
+        if (gx) guides.push({ x1: gx.line, y1: Math.min(box.y, gx.ob.y), x2: gx.line, y2: Math.max(box.y + box.height, gx.ob.y + gx.ob.height) });
+        if (gy) guides.push({ x1: Math.min(box.x, gy.ob.x), y1: gy.line, x2: Math.max(box.x + box.width, gy.ob.x + gy.ob.width), y2: gy.line });
+        this.alignGuideLines = guides;
+        return { x: box.x - ox, y: box.y - oy };
+    }
+
+    drawAlignGuides(ctx){
+        if (!this.alignGuideLines.length || this._exportingImage) return;
+        const zm = this.zoom || 1;
+        ctx.save();
+        ctx.strokeStyle = '#e91e63'; ctx.lineWidth = 1 / zm; ctx.setLineDash([4 / zm, 3 / zm]);
+        this.alignGuideLines.forEach(g => { ctx.beginPath(); ctx.moveTo(g.x1, g.y1); ctx.lineTo(g.x2, g.y2); ctx.stroke(); });
+        ctx.restore();
+    }
 
     // ---- Viewport / background helpers ----
-    setZoom(newZoom, anchorScreenX, anchorScreenY){ newZoom=Math.max(0.1, Math.min(8,newZoom)); const oldZoom=this.zoom||1; if (anchorScreenX!==undefined){ const wx = (anchorScreenX - this.pan.x)/oldZoom; const wy=(anchorScreenY - this.pan.y)/oldZoom; this.zoom=newZoom; this.pan.x = anchorScreenX - wx*newZoom; this.pan.y = anchorScreenY - wy*newZoom; } else { this.zoom=newZoom; } this._userViewportChanged=true; this.render(); }
-    resetView(){ this.zoom=1; this.pan={x:0,y:0}; this._userViewportChanged=true; this.render(); }
-    fitBackground(){ if (!this.backgroundRect) return; const br=this.backgroundRect; const margin=20; const scaleX=(this.canvas.width-2*margin)/br.width; const scaleY=(this.canvas.height-2*margin)/br.height; this.zoom=Math.min(scaleX, scaleY); this.pan.x = (this.canvas.width - br.width*this.zoom)/2; this.pan.y = (this.canvas.height - br.height*this.zoom)/2; this.render(); }
-    rotateBackground(delta){ this.backgroundTransform.rotation = ((this.backgroundTransform.rotation||0)+delta)%360; this.render(); }
-    flipBackground(axis){ if (axis==='h') this.backgroundTransform.flipH=!this.backgroundTransform.flipH; else if (axis==='v') this.backgroundTransform.flipV=!this.backgroundTransform.flipV; this.render(); }
-    resetBackgroundTransform(){ this.backgroundTransform={rotation:0,flipH:false,flipV:false}; this.render(); }
+    setZoom(newZoom, anchorScreenX, anchorScreenY){ newZoom=Math.max(0.1, Math.min(8,newZoom)); const oldZoom=this.zoom||1; if (anchorScreenX!==undefined){ const wx = (anchorScreenX - this.pan.x)/oldZoom; const wy=(anchorScreenY - this.pan.y)/oldZoom; this.zoom=newZoom; this.pan.x = anchorScreenX - wx*newZoom; this.pan.y = anchorScreenY - wy*newZoom; } else { this.zoom=newZoom; } this._userViewportChanged=true; this.render(); this.scheduleAutosave(); }
+    resetView(){ this.zoom=1; this.pan={x:0,y:0}; this._userViewportChanged=true; this.render(); this.scheduleAutosave(); }
+    fitBackground(){ if (!this.backgroundRect) return; const br=this.getBackgroundBounds(); const margin=20; const scaleX=(this.canvas.width-2*margin)/br.width; const scaleY=(this.canvas.height-2*margin)/br.height; this.zoom=Math.min(scaleX, scaleY); this.pan.x = (this.canvas.width - br.width*this.zoom)/2; this.pan.y = (this.canvas.height - br.height*this.zoom)/2; this.render(); this.scheduleAutosave(); }
+    rotateBackground(delta){ this.setBackgroundRotation((this.backgroundTransform.rotation||0)+delta); }
+    flipBackground(axis){ const t=this.backgroundTransform; if (axis==='h') this.setBackgroundAlignment({ ...t, flipH: !t.flipH }, 'Flip background'); else if (axis==='v') this.setBackgroundAlignment({ ...t, flipV: !t.flipV }, 'Flip background'); }
+    resetBackgroundTransform(){ this.setBackgroundAlignment({rotation:0,flipH:false,flipV:false}, 'Reset background orientation'); }
+    // Loading a new background starts unrotated; nothing is carried along and no undo entry is made
+    clearBackgroundTransform(){ this.backgroundTransform={rotation:0,flipH:false,flipV:false}; this._warpCache=null; this.updateAlignmentUI(); this.render(); this.scheduleAutosave(); }
 
-    // ---- Deletion ----
-    showDeleteConfirmation(item, type){
-        const modal = document.getElementById('deleteModal');
-        const msg = document.getElementById('deleteMessage');
-        const warn = document.getElementById('deleteWarning');
-        if (warn) { warn.classList.add('hidden'); warn.textContent = ''; }
-        if (msg) {
-            if (type === 'clearAll') {
-                msg.textContent = 'Clear all objects, paths, zones, and obstacles?';
-                if (warn) { warn.textContent = 'This cannot be undone.'; warn.classList.remove('hidden'); }
-            } else {
-                msg.textContent = `Delete this ${type}?`;
-            }
+    // ---- Background alignment (free rotation, control points) ----
+    // The background is placed by backgroundRect plus rotation/flip about its centre, then optionally warped by
+    // backgroundTransform.warp = { type: 'affine'|'perspective', matrix } – a row-major 3×3 from placed to final
+    // world coords. Control points fit that warp. With "Keep drawn items on the plan" every realignment carries
+    // the diagram along by new ∘ old⁻¹, so items stay on the plan features they were drawn over.
+    initAlignmentUI(){
+        const rot = document.getElementById('bgRotation');
+        if (rot) rot.addEventListener('change', () => { const v = parseFloat(rot.value); if (Number.isFinite(v)) this.setBackgroundRotation(v); else this.updateAlignmentUI(); });
+        const keep = document.getElementById('alignMoveItems');
+        if (keep) keep.addEventListener('change', () => { this.alignMoveItems = keep.checked; });
+        document.getElementById('startGeoref')?.addEventListener('click', () => this.beginGeoreference());
+        document.getElementById('applyGeoref')?.addEventListener('click', () => this.applyGeoreference());
+        document.getElementById('cancelGeoref')?.addEventListener('click', () => this.cancelGeoreference());
+        document.getElementById('clearGeoref')?.addEventListener('click', () => this.clearGeoreference());
+        document.getElementById('georefType')?.addEventListener('change', (e) => { this.georef.type = e.target.value === 'perspective' ? 'perspective' : 'affine'; this.renderGeorefPoints(); this.render(); });
+        this.updateAlignmentUI();
+    }
+    updateAlignmentUI(){
+        const t = this.backgroundTransform || {};
+        const rot = document.getElementById('bgRotation'); if (rot && document.activeElement !== rot) rot.value = String(parseFloat((t.rotation || 0).toFixed(2)));
+        const clear = document.getElementById('clearGeoref'); if (clear) clear.disabled = !t.warp;
+        const type = document.getElementById('georefType'); if (type) type.value = this.georef.type;
+        const units = document.getElementById('georefUnits'); if (units) units.textContent = this.units;
+    }
+    setBackgroundRotation(deg){
+        const rotation = ((deg % 360) + 540) % 360 - 180; // (−180, 180]
+        this.setBackgroundAlignment({ ...this.backgroundTransform, rotation: rotation === -180 ? 180 : rotation }, 'Rotate background');
+    }
+    cloneBackgroundTransform(t = this.backgroundTransform){ return { ...t, ...(t.warp ? { warp: { type: t.warp.type, matrix: [...t.warp.matrix] } } : {}) }; }
+    // Every orientation change goes through here so the diagram, undo and autosave follow the background.
+    // `scaleBefore` (a getScaleState() snapshot) is passed when the caller has just changed the scale as part of the
+    // same step, so undo restores it with the background.
+    setBackgroundAlignment(next, label, scaleBefore){
+        const before = this.cloneBackgroundTransform();
+        const map = this.alignMoveItems ? this.getAlignmentMap(before, next) : null;
+        this.backgroundTransform = next;
+        this._warpCache = null;
+        if (map) {
+            this.transformDiagram(this, map);
+            this.getInactiveScenarioDiagrams().forEach(d => this.transformDiagram(d, map));
+            this.updateAnalytics();
         }
-        this._pendingDelete = { item, type };
-        if (modal) modal.classList.remove('hidden');
+        this.debugLog('[ALIGN]', label, { moved: !!map, rotation: next.rotation, warp: next.warp ? next.warp.type : null });
+        if (this.backgroundRect) this.commitChange(label, { transform: before, moveItems: !!map, ...(scaleBefore ? { scale: scaleBefore } : {}) });
+        else this.scheduleAutosave();
+        this.updateAlignmentUI();
+        this.render();
+    }
+    getInactiveScenarioDiagrams(){ return (this.scenarios || []).filter(s => s.id !== this.currentScenarioId && s.diagram).map(s => s.diagram); }
+
+    // 3×3 helpers (row-major arrays of 9)
+    mat3Multiply(A, B){
+        const C = new Array(9).fill(0);
+        for (let r = 0; r < 3; r++) for (let c = 0; c < 3; c++) for (let k = 0; k < 3; k++) C[r * 3 + c] += A[r * 3 + k] * B[k * 3 + c];
+        return C;
+    }
+    mat3Invert(M){
+        const [a, b, c, d, e, f, g, h, i] = M;
+        const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+        if (!det || !Number.isFinite(det)) return null;
+        return [A, -(b * i - c * h), b * f - c * e, B, a * i - c * g, -(a * f - c * d), C, -(a * h - b * g), a * e - b * d].map(v => v / det);
+    }
+    mat3Apply(M, p){
+        const w = M[6] * p.x + M[7] * p.y + M[8];
+        return { x: (M[0] * p.x + M[1] * p.y + M[2]) / w, y: (M[3] * p.x + M[4] * p.y + M[5]) / w };
+    }
+    // Gaussian elimination with partial pivoting; null when singular
+    solveLinearSystem(A, b){
+        const n = b.length; const M = A.map((row, i) => [...row, b[i]]);
+        for (let col = 0; col < n; col++) {
+            let piv = col;
+            for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[piv][col])) piv = r;
+            if (Math.abs(M[piv][col]) < 1e-10) return null;
+            [M[col], M[piv]] = [M[piv], M[col]];
+            for (let r = col + 1; r < n; r++) { const k = M[r][col] / M[col][col]; for (let c = col; c <= n; c++) M[r][c] -= k * M[col][c]; }
+        }
+        const x = new Array(n).fill(0);
+        for (let r = n - 1; r >= 0; r--) { let s = M[r][n]; for (let c = r + 1; c < n; c++) s -= M[r][c] * x[c]; x[r] = s / M[r][r]; }
+        return x;
+    }
+    // Rect-local coords (origin at the rect centre) → placed world coords, i.e. translate · rotate · flip as drawn
+    getBackgroundPlacementMatrix(t = this.backgroundTransform){
+        const r = this.backgroundRect; if (!r) return null;
+        const a = (t.rotation || 0) * Math.PI / 180, fh = t.flipH ? -1 : 1, fv = t.flipV ? -1 : 1;
+        return [Math.cos(a) * fh, -Math.sin(a) * fv, r.x + r.width / 2, Math.sin(a) * fh, Math.cos(a) * fv, r.y + r.height / 2, 0, 0, 1];
+    }
+    getBackgroundMatrix(t = this.backgroundTransform){
+        const P = this.getBackgroundPlacementMatrix(t); if (!P) return null;
+        return t.warp ? this.mat3Multiply(t.warp.matrix, P) : P;
+    }
+    // World → world map that keeps items on the plan when the background goes from `before` to `after`
+    getAlignmentMap(before, after){
+        const A = this.getBackgroundMatrix(after), B = this.getBackgroundMatrix(before);
+        const Binv = B && this.mat3Invert(B);
+        if (!A || !Binv) return null;
+        const D = this.mat3Multiply(A, Binv);
+        const I = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        return D.every((v, i) => Math.abs(v / D[8] - I[i]) < 1e-9) ? null : D;
+    }
+    // World-space bounding box of the (rotated/warped) background
+    getBackgroundBounds(){
+        const M = this.getBackgroundMatrix(); if (!M) return null;
+        const { width: w, height: h } = this.backgroundRect;
+        const pts = [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]].map(([x, y]) => this.mat3Apply(M, { x, y }));
+        return this.getPolygonBounds(pts);
+    }
+    // Moves every item of a diagram-shaped object through `map`. Objects and circles keep their size around the
+    // mapped centre; rectangles that no longer line up with the axes become polygons.
+    transformDiagram(d, map){
+        const f = (p) => this.mat3Apply(map, p);
+        const mapPts = (pts) => pts.map(p => ({ ...p, ...f(p) }));
+        const mapRect = (it, corners) => {
+            const q = corners.map(f);
+            const eq = (a, b) => Math.abs(a - b) < 0.01;
+            const axisAligned = (eq(q[0].y, q[1].y) && eq(q[1].x, q[2].x) && eq(q[2].y, q[3].y) && eq(q[3].x, q[0].x))
+                || (eq(q[0].x, q[1].x) && eq(q[1].y, q[2].y) && eq(q[2].x, q[3].x) && eq(q[3].y, q[0].y));
+            if (axisAligned) { const b = this.getPolygonBounds(q); Object.assign(it, { x: b.x, y: b.y, width: b.width, height: b.height }); }
+            else { it.points = q; delete it.rotation; this.syncShapeBounds(it); }
+        };
+        const corners = (it) => [{ x: it.x, y: it.y }, { x: it.x + it.width, y: it.y }, { x: it.x + it.width, y: it.y + it.height }, { x: it.x, y: it.y + it.height }];
+        const moveCentre = (it) => { const c = f({ x: it.x + it.width / 2, y: it.y + it.height / 2 }); it.x = c.x - it.width / 2; it.y = c.y - it.height / 2; };
+        (d.objects || []).forEach(moveCentre);
+        (d.zones || []).forEach(z => { if (z.points) { z.points = mapPts(z.points); this.syncShapeBounds(z); } else mapRect(z, corners(z)); });
+        (d.obstacles || []).forEach(ob => {
+            if (ob.points) { ob.points = mapPts(ob.points); this.syncShapeBounds(ob); }
+            else if (ob.shape === 'circle') moveCentre(ob);
+            else mapRect(ob, ob.rotation ? this.getRotatedBoxPolygon(ob) : corners(ob));
+        });
+        (d.paths || []).forEach(p => { p.points = mapPts(p.points || []); p.length = this.calculatePathLength(p.points); });
+        (d.measurements || []).forEach(m => { m.points = mapPts(m.points || []); });
+        (d.annotations || []).forEach(a => {
+            Object.assign(a, f(a));
+            if (a.type === 'callout' && Number.isFinite(a.tipX)) { const t = f({ x: a.tipX, y: a.tipY }); a.tipX = t.x; a.tipY = t.y; }
+        });
+    }
+
+    // Perspective warps are baked once into an offscreen canvas through a triangle mesh (canvas 2D only does affine)
+    getWarpedBackground(img){
+        const key = `${JSON.stringify(this.backgroundTransform)}|${JSON.stringify(this.backgroundRect)}`;
+        if (this._warpCache && this._warpCache.key === key && this._warpCache.img === img) return this._warpCache;
+        const M = this.getBackgroundMatrix(); const b = this.getBackgroundBounds();
+        if (!M || !b || !(b.width > 0) || !(b.height > 0)) return null;
+        const { width, height } = this.backgroundRect;
+        // Roughly the source resolution, capped so the cache stays a few tens of MB
+        const k = Math.min(Math.sqrt((img.width * img.height) / (b.width * b.height)), 4096 / Math.max(b.width, b.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(b.width * k)); canvas.height = Math.max(1, Math.ceil(b.height * k));
+        const c = canvas.getContext('2d');
+        const N = 16;
+        const local = (i, j) => ({ x: -width / 2 + width * i / N, y: -height / 2 + height * j / N });
+        const src = (p) => ({ x: (p.x + width / 2) * img.width / width, y: (p.y + height / 2) * img.height / height });
+        const dst = (p) => { const q = this.mat3Apply(M, p); return { x: (q.x - b.x) * k, y: (q.y - b.y) * k }; };
+        for (let i = 0; i < N; i++) for (let j = 0; j < N; j++) {
+            const quad = [local(i, j), local(i + 1, j), local(i + 1, j + 1), local(i, j + 1)];
+            [[0, 1, 2], [0, 2, 3]].forEach(tri => this.drawImageTriangle(c, img, tri.map(n => src(quad[n])), tri.map(n => dst(quad[n]))));
+        }
+        this._warpCache = { key, img, canvas, x: b.x, y: b.y, width: canvas.width / k, height: canvas.height / k };
+        return this._warpCache;
+    }
+    drawImageTriangle(c, img, s, d){
+        const [s0, s1, s2] = s, [d0, d1, d2] = d;
+        const den = (s1.x - s0.x) * (s2.y - s0.y) - (s2.x - s0.x) * (s1.y - s0.y);
+        if (!den) return;
+        const a = ((d1.x - d0.x) * (s2.y - s0.y) - (d2.x - d0.x) * (s1.y - s0.y)) / den;
+        const cc = ((d2.x - d0.x) * (s1.x - s0.x) - (d1.x - d0.x) * (s2.x - s0.x)) / den;
+        const b = ((d1.y - d0.y) * (s2.y - s0.y) - (d2.y - d0.y) * (s1.y - s0.y)) / den;
+        const dd = ((d2.y - d0.y) * (s1.x - s0.x) - (d1.y - d0.y) * (s2.x - s0.x)) / den;
+        // Clip slightly outside the triangle so neighbouring triangles overlap and no seams show
+        const cx = (d0.x + d1.x + d2.x) / 3, cy = (d0.y + d1.y + d2.y) / 3;
+        const grow = (p) => { const l = Math.hypot(p.x - cx, p.y - cy) || 1; return { x: p.x + (p.x - cx) / l * 0.7, y: p.y + (p.y - cy) / l * 0.7 }; };
+        const [g0, g1, g2] = [d0, d1, d2].map(grow);
+        c.save();
+        c.beginPath(); c.moveTo(g0.x, g0.y); c.lineTo(g1.x, g1.y); c.lineTo(g2.x, g2.y); c.closePath(); c.clip();
+        c.setTransform(a, b, cc, dd, d0.x - a * s0.x - cc * s0.y, d0.y - b * s0.x - dd * s0.y);
+        c.drawImage(img, 0, 0);
+        c.restore();
+    }
+
+    // Control points: clicks on the plan are stored in rect-local coords, so rotating mid-session keeps them on
+    // their features; each gets known coordinates in drawing units (Y grows downwards, as on screen).
+    beginGeoreference(){
+        if (!this.backgroundRect) { this.showInfoMessage('Upload a background first.', 'warning'); return; }
+        this.georef.active = true; this.georef.points = [];
+        this.isCalibrating = false;
+        if (this.extraction.active) this.cancelExtraction();
+        document.getElementById('georefPanel')?.classList.remove('hidden');
+        this.renderGeorefPoints();
+        this.showInfoMessage(`Click ${this.georef.type === 'perspective' ? 'four' : 'three'} or more recognisable points on the plan, then enter their known coordinates.`, 'info', 5000);
+        this.render();
+    }
+    addGeorefPoint(pt){
+        const M = this.getBackgroundMatrix(); const Minv = M && this.mat3Invert(M);
+        if (!Minv) return;
+        this.georef.points.push({ id: Date.now() + Math.random(), local: this.mat3Apply(Minv, pt), tx: NaN, ty: NaN });
+        this.renderGeorefPoints();
+        this.render();
+        // Focus the new row's X so coordinates can be typed straight away
+        const inputs = document.querySelectorAll('#georefPoints input'); if (inputs.length >= 2) inputs[inputs.length - 2].focus();
+    }
+    cancelGeoreference(){
+        this.georef.active = false; this.georef.points = [];
+        document.getElementById('georefPanel')?.classList.add('hidden');
+        this.render();
+    }
+    clearGeoreference(){
+        if (!this.backgroundTransform.warp) return;
+        const next = this.cloneBackgroundTransform(); delete next.warp;
+        this.setBackgroundAlignment(next, 'Remove background alignment');
+        this.showInfoMessage('Control point alignment removed.', 'info');
+    }
+    // Least-squares warp from placed coords to target world coords. Both point sets are normalised (centroid at the
+    // origin, mean distance √2) before solving, which keeps the perspective system well conditioned.
+    fitControlPointWarp(src, dst, type){
+        const norm = (pts) => {
+            const cx = pts.reduce((s, p) => s + p.x, 0) / pts.length, cy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+            const md = pts.reduce((s, p) => s + Math.hypot(p.x - cx, p.y - cy), 0) / pts.length || 1;
+            const k = Math.SQRT2 / md;
+            return [k, 0, -k * cx, 0, k, -k * cy, 0, 0, 1];
+        };
+        const Ts = norm(src), Td = norm(dst);
+        const s = src.map(p => this.mat3Apply(Ts, p)), d = dst.map(p => this.mat3Apply(Td, p));
+        let Hn;
+        if (type === 'perspective') {
+            const A = [], b = [];
+            s.forEach((p, i) => {
+                const q = d[i];
+                A.push([p.x, p.y, 1, 0, 0, 0, -p.x * q.x, -p.y * q.x]); b.push(q.x);
+                A.push([0, 0, 0, p.x, p.y, 1, -p.x * q.y, -p.y * q.y]); b.push(q.y);
+            });
+            const h = this.solveLinearSystem(...this.normalEquations(A, b));
+            if (!h) return null;
+            Hn = [...h, 1];
+        } else {
+            const A = s.map(p => [p.x, p.y, 1]);
+            const hx = this.solveLinearSystem(...this.normalEquations(A, d.map(q => q.x)));
+            const hy = this.solveLinearSystem(...this.normalEquations(A, d.map(q => q.y)));
+            if (!hx || !hy) return null;
+            Hn = [...hx, ...hy, 0, 0, 1];
+        }
+        const TdInv = this.mat3Invert(Td);
+        const H = this.mat3Multiply(this.mat3Multiply(TdInv, Hn), Ts);
+        return H.map(v => v / H[8]);
+    }
+    normalEquations(A, b){
+        const n = A[0].length;
+        const AtA = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => A.reduce((s, row) => s + row[i] * row[j], 0)));
+        const Atb = Array.from({ length: n }, (_, i) => A.reduce((s, row, r) => s + row[i] * b[r], 0));
+        return [AtA, Atb];
+    }
+    // Fit of the points entered so far: { ok, message, warp, upp, residuals: [{ id, error }], rms }
+    fitGeoreference(){
+        const type = this.georef.type; const need = type === 'perspective' ? 4 : 3;
+        const P = this.getBackgroundPlacementMatrix();
+        const pts = this.georef.points.filter(p => Number.isFinite(p.tx) && Number.isFinite(p.ty));
+        if (!P || pts.length < need) return { ok: false, message: `${type === 'perspective' ? 'Perspective' : 'Affine'} alignment needs ${need} points with coordinates (${pts.length} so far).` };
+        const src = pts.map(p => this.mat3Apply(P, p.local));
+        // Targets are in drawing units; uncalibrated drawings keep roughly their current size in px
+        const spread = (arr) => { const cx = arr.reduce((s, p) => s + p.x, 0) / arr.length, cy = arr.reduce((s, p) => s + p.y, 0) / arr.length; return arr.reduce((s, p) => s + Math.hypot(p.x - cx, p.y - cy), 0); };
+        const targetsUnits = pts.map(p => ({ x: p.tx, y: p.ty }));
+        const upp = this.unitsPerPixel > 0 ? this.unitsPerPixel : spread(targetsUnits) / spread(src);
+        if (!(upp > 0) || !Number.isFinite(upp)) return { ok: false, message: 'Control points need distinct coordinates.' };
+        const dst = targetsUnits.map(p => ({ x: p.x / upp, y: p.y / upp }));
+        const W = this.fitControlPointWarp(src, dst, type);
+        if (!W || W.some(v => !Number.isFinite(v))) return { ok: false, message: 'Control points are collinear – pick points spread over the plan.' };
+        if (type === 'perspective') {
+            // Every background corner must stay in front of the horizon, otherwise the plan would fold over
+            const { width: w, height: h } = this.backgroundRect;
+            const folds = [[-w / 2, -h / 2], [w / 2, -h / 2], [w / 2, h / 2], [-w / 2, h / 2]].some(([x, y]) => { const c = this.mat3Apply(P, { x, y }); return W[6] * c.x + W[7] * c.y + W[8] <= 0; });
+            if (folds) return { ok: false, message: 'These control points would fold the plan over – check their order and coordinates.' };
+        }
+        const residuals = pts.map((p, i) => { const m = this.mat3Apply(W, src[i]); return { id: p.id, error: Math.hypot(m.x - dst[i].x, m.y - dst[i].y) * upp }; });
+        const rms = Math.sqrt(residuals.reduce((s, r) => s + r.error * r.error, 0) / residuals.length);
+        return { ok: true, warp: { type, matrix: W }, upp, residuals, rms };
+    }
+    renderGeorefPoints(){
+        const table = document.getElementById('georefPoints'); const info = document.getElementById('georefInfo');
+        if (!table) return;
+        const fit = this.fitGeoreference();
+        table.innerHTML = '';
+        const head = document.createElement('tr');
+        ['#', `X (${this.units})`, `Y (${this.units})`, 'Error', ''].forEach(t => { const th = document.createElement('th'); th.textContent = t; head.appendChild(th); });
+        table.appendChild(head);
+        this.georef.points.forEach((p, i) => {
+            const tr = document.createElement('tr');
+            const num = document.createElement('td'); num.textContent = String(i + 1); tr.appendChild(num);
+            ['tx', 'ty'].forEach(k => {
+                const td = document.createElement('td'); const input = document.createElement('input');
+                input.type = 'number'; input.step = 'any'; input.className = 'form-control'; input.value = Number.isFinite(p[k]) ? String(p[k]) : '';
+                input.addEventListener('change', () => { p[k] = input.value.trim() === '' ? NaN : parseFloat(input.value); this.renderGeorefPoints(); this.render(); });
+                td.appendChild(input); tr.appendChild(td);
+            });
+            const res = fit.ok ? fit.residuals.find(r => r.id === p.id) : null;
+            const err = document.createElement('td'); err.textContent = res ? `${res.error.toFixed(3)}` : '–'; tr.appendChild(err);
+            const td = document.createElement('td'); const btn = document.createElement('button');
+            btn.type = 'button'; btn.className = 'btn btn--outline btn--sm'; btn.textContent = '×'; btn.title = 'Remove control point';
+            btn.addEventListener('click', () => { this.georef.points = this.georef.points.filter(x => x !== p); this.renderGeorefPoints(); this.render(); });
+            td.appendChild(btn); tr.appendChild(td);
+            table.appendChild(tr);
+        });
+        if (info) info.textContent = fit.ok ? `RMS error ${fit.rms.toFixed(3)} ${this.units} over ${fit.residuals.length} points.` : fit.message;
+        const apply = document.getElementById('applyGeoref'); if (apply) apply.disabled = !fit.ok;
+    }
+    applyGeoreference(){
+        const fit = this.fitGeoreference();
+        if (!fit.ok) { this.showInfoMessage(fit.message, 'warning'); return; }
+        // The aligned plan is true to shape at `upp`, so the scale becomes uniform and old reference lines no longer apply;
+        // both changes form one undo step
+        const scaleBefore = this.getScaleState();
+        this.unitsPerPixel = fit.upp; this.scaleX = fit.upp; this.scaleY = fit.upp; this.calibrationRefs = [];
+        // Replaces any earlier warp: control points are stored against the placement, not the warped plan
+        this.setBackgroundAlignment({ ...this.cloneBackgroundTransform(), warp: fit.warp }, 'Align background to control points', scaleBefore);
+        this.saveScaleToStorage(); this.updateScaleUI(); this.updateAnalytics();
+        this.cancelGeoreference();
+        this.fitBackground();
+        this.showInfoMessage(`Background aligned (${fit.warp.type}): RMS error ${fit.rms.toFixed(3)} ${this.units}, worst ${Math.max(...fit.residuals.map(r => r.error)).toFixed(3)} ${this.units}.`, 'success', 6000);
+    }
+    // Numbered markers on the plan; with a valid fit a line runs to where each point's coordinates will put it
+    drawGeorefPoints(ctx){
+        if (!this.georef.active || this._exportingImage) return;
+        const M = this.getBackgroundMatrix(); if (!M) return;
+        const P = this.getBackgroundPlacementMatrix();
+        const fit = this.fitGeoreference(); const zm = this.zoom || 1;
+        ctx.save();
+        ctx.lineWidth = 1.5 / zm; ctx.font = `bold ${11 / zm}px sans-serif`; ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
+        this.georef.points.forEach((p, i) => {
+            const at = this.mat3Apply(M, p.local); const r = 7 / zm;
+            if (fit.ok && Number.isFinite(p.tx)) {
+                const to = this.mat3Apply(fit.warp.matrix, this.mat3Apply(P, p.local));
+                ctx.strokeStyle = 'rgba(156,39,176,0.6)'; ctx.setLineDash([4 / zm, 3 / zm]);
+                ctx.beginPath(); ctx.moveTo(at.x, at.y); ctx.lineTo(to.x, to.y); ctx.stroke(); ctx.setLineDash([]);
+            }
+            ctx.strokeStyle = '#9c27b0'; ctx.fillStyle = '#9c27b0';
+            ctx.beginPath(); ctx.moveTo(at.x - r, at.y); ctx.lineTo(at.x + r, at.y); ctx.moveTo(at.x, at.y - r); ctx.lineTo(at.x, at.y + r); ctx.stroke();
+            ctx.beginPath(); ctx.arc(at.x, at.y, r * 0.6, 0, Math.PI * 2); ctx.stroke();
+            ctx.fillText(String(i + 1), at.x + r * 0.8, at.y - r * 0.4);
+        });
+        ctx.restore();
+    }
+
+    // ---- Obstacle extraction from the background ----
+    // The background raster (image, PDF page or rasterised drawing) is thresholded into dark pixels. Long runs of
+    // dark pixels are merged row by row, then column by column, into wall boxes; dark blobs left over (columns,
+    // machines) become boxes or convex outlines. Proposals live in background-rect px, so they follow the plan, and
+    // are only added as obstacles once reviewed.
+    initExtractionUI(){
+        document.getElementById('startExtract')?.addEventListener('click', () => this.beginExtraction());
+        document.getElementById('runExtract')?.addEventListener('click', () => this.runExtraction());
+        document.getElementById('applyExtract')?.addEventListener('click', () => this.applyExtraction());
+        document.getElementById('cancelExtract')?.addEventListener('click', () => this.cancelExtraction());
+        document.getElementById('extractAll')?.addEventListener('click', () => this.setAllExtractionProposals(true));
+        document.getElementById('extractNone')?.addEventListener('click', () => this.setAllExtractionProposals(false));
+        const auto = document.getElementById('extractAuto'); const thr = document.getElementById('extractThreshold');
+        const syncThreshold = () => {
+            if (thr && auto) thr.disabled = auto.checked;
+            const label = document.getElementById('extractThresholdValue'); if (label && thr) label.textContent = auto && auto.checked ? 'auto' : thr.value;
+        };
+        auto?.addEventListener('change', syncThreshold);
+        thr?.addEventListener('input', syncThreshold);
+        syncThreshold();
+    }
+    getExtractionSource(){
+        return this.backgroundImage || this.backgroundPdfPageCanvas || (this.backgroundVector ? this.getVectorRaster() : null);
+    }
+    beginExtraction(){
+        if (!this.backgroundRect || !this.getExtractionSource()) { this.showInfoMessage('Upload a background first.', 'warning'); return; }
+        if (this.georef.active) this.cancelGeoreference();
+        this.extraction.active = true;
+        document.getElementById('extractPanel')?.classList.remove('hidden');
+        this.runExtraction();
+    }
+    runExtraction(){
+        const img = this.getExtractionSource(); if (!img || !this.backgroundRect) return;
+        const num = (id, d) => { const v = parseFloat(document.getElementById(id)?.value); return v > 0 ? v : d; };
+        const auto = document.getElementById('extractAuto');
+        const opts = {
+            threshold: auto && !auto.checked ? parseInt(document.getElementById('extractThreshold')?.value, 10) : null,
+            minThickness: num('extractMinThickness', 4), minLength: num('extractMinLength', 30)
+        };
+        let result;
+        try { result = this.detectObstacles(img, opts); }
+        catch (err) {
+            console.error('[EXTRACT] detection failed:', err);
+            this.showInfoMessage('The background pixels could not be read.', 'error');
+            return;
+        }
+        this.extraction.threshold = result.threshold;
+        this.extraction.proposals = result.proposals.map(p => ({ ...p, id: Date.now() + Math.random(), accepted: true, grow: 0 }));
+        this.extraction.highlightId = null;
+        this.debugLog('[EXTRACT] proposals', { count: result.proposals.length, threshold: result.threshold, ...opts });
+        this.renderExtractionList();
+        this.render();
+    }
+    // Pure detection on a raster: { threshold, proposals: [{ kind:'wall'|'block', shape:'box'|'outline', box, hull? }] }
+    // with box { x0, y0, x1, y1 } and hull points in background-rect px. Lengths in opts are background-rect px.
+    detectObstacles(img, opts = {}){
+        const { width, height } = this.backgroundRect;
+        const iw = img.naturalWidth || img.width, ih = img.naturalHeight || img.height;
+        const f = Math.min(1, 1024 / Math.max(iw, ih)); // working resolution keeps this interactive
+        const W = Math.max(1, Math.round(iw * f)), H = Math.max(1, Math.round(ih * f));
+        const canvas = document.createElement('canvas'); canvas.width = W; canvas.height = H;
+        const c = canvas.getContext('2d');
+        c.fillStyle = '#fff'; c.fillRect(0, 0, W, H); // transparent pixels count as paper
+        c.drawImage(img, 0, 0, W, H);
+        const data = c.getImageData(0, 0, W, H).data;
+        const gray = new Uint8Array(W * H);
+        for (let i = 0; i < W * H; i++) gray[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+        const threshold = Number.isFinite(opts.threshold) ? opts.threshold : this.otsuThreshold(gray);
+        const dark = new Uint8Array(W * H);
+        for (let i = 0; i < W * H; i++) dark[i] = gray[i] < threshold ? 1 : 0;
+        const sx = width / W, sy = height / H;
+        const minThick = Math.max(1, Math.round((opts.minThickness || 4) / Math.max(sx, sy)));
+        const minLen = Math.max(minThick + 1, Math.round((opts.minLength || 30) / Math.max(sx, sy)));
+        const covered = new Uint8Array(W * H);
+        const boxes = [];
+        // Runs of at least minLen dark pixels; consecutive runs with matching ends grow one box until the run stops.
+        // Only elongated boxes are walls – stubby ones are slices of a solid shape, left for the blob pass.
+        const sweep = (horizontal) => {
+            const A = horizontal ? W : H, B = horizontal ? H : W;
+            const at = horizontal ? (a, b) => b * W + a : (a, b) => a * W + b;
+            let open = [];
+            for (let b = 0; b <= B; b++) {
+                const next = [];
+                if (b < B) {
+                    let s = -1;
+                    for (let a = 0; a <= A; a++) {
+                        const on = a < A && dark[at(a, b)] && !covered[at(a, b)];
+                        if (on && s < 0) s = a;
+                        else if (!on && s >= 0) {
+                            if (a - s >= minLen) {
+                                const tol = Math.max(2, (a - s) * 0.1);
+                                const o = open.find(r => !r.hit && Math.abs(r.a0 - s) <= tol && Math.abs(r.a1 - a) <= tol);
+                                if (o) { o.hit = true; o.a0 = Math.min(o.a0, s); o.a1 = Math.max(o.a1, a); o.b1 = b + 1; next.push(o); }
+                                else next.push({ a0: s, a1: a, b0: b, b1: b + 1, hit: true });
+                            }
+                            s = -1;
+                        }
+                    }
+                }
+                open.forEach(o => {
+                    if (o.hit || o.b1 - o.b0 < minThick || o.a1 - o.a0 < 2.5 * (o.b1 - o.b0)) return;
+                    const box = horizontal ? { x0: o.a0, x1: o.a1, y0: o.b0, y1: o.b1 } : { x0: o.b0, x1: o.b1, y0: o.a0, y1: o.a1 };
+                    boxes.push(box);
+                });
+                open = next; open.forEach(o => { o.hit = false; });
+            }
+            boxes.forEach(bx => { for (let y = bx.y0; y < bx.y1; y++) covered.fill(1, y * W + bx.x0, y * W + bx.x1); });
+        };
+        sweep(true); sweep(false);
+        const proposals = boxes.map(bx => ({ kind: 'wall', shape: 'box', box: { x0: bx.x0 * sx, y0: bx.y0 * sy, x1: bx.x1 * sx, y1: bx.y1 * sy } }));
+        // Leftover blobs (8-connected). Thin strokes and text are dropped by thickness, size and fill ratio.
+        const stack = new Int32Array(W * H);
+        for (let start = 0; start < W * H; start++) {
+            if (!dark[start] || covered[start]) continue;
+            let top = 0, count = 0, x0 = W, y0 = H, x1 = 0, y1 = 0;
+            const rows = new Map(); // y -> [minX, maxX] for the hull
+            stack[top++] = start; covered[start] = 1;
+            while (top) {
+                const i = stack[--top]; const x = i % W, y = (i - x) / W;
+                count++; x0 = Math.min(x0, x); x1 = Math.max(x1, x); y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+                const r = rows.get(y); if (!r) rows.set(y, [x, x]); else { if (x < r[0]) r[0] = x; if (x > r[1]) r[1] = x; }
+                for (let dy = -1; dy <= 1; dy++) for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx, ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= W || ny >= H) continue;
+                    const j = ny * W + nx;
+                    if (dark[j] && !covered[j]) { covered[j] = 1; stack[top++] = j; }
+                }
+            }
+            const bw = x1 - x0 + 1, bh = y1 - y0 + 1, fill = count / (bw * bh);
+            if (Math.min(bw, bh) < minThick || Math.max(bw, bh) < minLen / 2 || fill < 0.5 || count < minThick * minThick * 4) continue;
+            const corners = [];
+            rows.forEach(([a, b], y) => corners.push({ x: a, y }, { x: a, y: y + 1 }, { x: b + 1, y }, { x: b + 1, y: y + 1 }));
+            proposals.push({
+                kind: 'block', shape: fill >= 0.8 ? 'box' : 'outline',
+                box: { x0: x0 * sx, y0: y0 * sy, x1: (x1 + 1) * sx, y1: (y1 + 1) * sy },
+                hull: this.convexHull(corners).map(p => ({ x: p.x * sx, y: p.y * sy }))
+            });
+        }
+        // Biggest first; a cap keeps a noisy photo from flooding the review list
+        const area = (p) => (p.box.x1 - p.box.x0) * (p.box.y1 - p.box.y0);
+        proposals.sort((a, b) => area(b) - area(a));
+        return { threshold, proposals: proposals.slice(0, 500) };
+    }
+    // Otsu's method: the grey level that best separates ink from paper (middle of the plateau when levels tie,
+    // as they do for clean two-tone drawings)
+    otsuThreshold(gray){
+        const hist = new Array(256).fill(0); gray.forEach(v => hist[v]++);
+        const total = gray.length; let sum = 0; for (let i = 0; i < 256; i++) sum += i * hist[i];
+        let sumB = 0, wB = 0, best = 0, lo = 127, hi = 127;
+        for (let t = 0; t < 256; t++) {
+            wB += hist[t];
+            sumB += t * hist[t];
+            if (!wB) continue;
+            const wF = total - wB; if (!wF) break;
+            const between = wB * wF * (sumB / wB - (sum - sumB) / wF) ** 2;
+            if (between > best * (1 + 1e-9)) { best = between; lo = hi = t; }
+            else if (between >= best * (1 - 1e-9)) hi = t;
+        }
+        return Math.round((lo + hi) / 2) + 1;
+    }
+    convexHull(points){
+        const pts = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (pts.length < 3) return pts;
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const half = (list) => { const h = []; list.forEach(p => { while (h.length >= 2 && cross(h[h.length - 2], h[h.length - 1], p) <= 0) h.pop(); h.push(p); }); h.pop(); return h; };
+        return [...half(pts), ...half(pts.reverse())];
+    }
+    // Proposal outline in background-rect px, after the user's grow/shrink tweak
+    getProposalLocalPoints(p){
+        const g = p.grow || 0;
+        if (p.shape === 'outline' && p.hull && p.hull.length >= 3) {
+            const cx = p.hull.reduce((s, q) => s + q.x, 0) / p.hull.length, cy = p.hull.reduce((s, q) => s + q.y, 0) / p.hull.length;
+            return p.hull.map(q => { const d = Math.hypot(q.x - cx, q.y - cy) || 1; return { x: q.x + (q.x - cx) / d * g, y: q.y + (q.y - cy) / d * g }; });
+        }
+        const { x0, y0, x1, y1 } = p.box;
+        return [{ x: x0 - g, y: y0 - g }, { x: x1 + g, y: y0 - g }, { x: x1 + g, y: y1 + g }, { x: x0 - g, y: y1 + g }];
+    }
+    getProposalWorldPoints(p){
+        const M = this.getBackgroundMatrix(); if (!M) return [];
+        const { width, height } = this.backgroundRect;
+        return this.getProposalLocalPoints(p).map(q => this.mat3Apply(M, { x: q.x - width / 2, y: q.y - height / 2 }));
+    }
+    // Canvas click while reviewing: toggles the smallest proposal under the pointer
+    toggleExtractionProposalAt(pt){
+        const hits = this.extraction.proposals.filter(p => this.pointInPolygon(pt, this.getProposalWorldPoints(p)));
+        if (!hits.length) return false;
+        const p = hits.reduce((a, b) => this.getPolygonArea(this.getProposalWorldPoints(a)) <= this.getPolygonArea(this.getProposalWorldPoints(b)) ? a : b);
+        p.accepted = !p.accepted;
+        this.extraction.highlightId = p.id;
+        this.renderExtractionList();
+        document.querySelector(`#extractList tr[data-id="${p.id}"]`)?.scrollIntoView?.({ block: 'nearest' });
+        this.render();
+        return true;
+    }
+    setAllExtractionProposals(accepted){
+        this.extraction.proposals.forEach(p => { p.accepted = accepted; });
+        this.renderExtractionList(); this.render();
+    }
+    renderExtractionList(){
+        const table = document.getElementById('extractList');
+        if (!table) return;
+        const props = this.extraction.proposals;
+        table.innerHTML = '';
+        const head = document.createElement('tr');
+        ['', '#', 'Kind', 'Shape', 'Grow (px)'].forEach(t => { const th = document.createElement('th'); th.textContent = t; head.appendChild(th); });
+        table.appendChild(head);
+        props.forEach((p, i) => {
+            const tr = document.createElement('tr'); tr.dataset.id = String(p.id);
+            if (p.id === this.extraction.highlightId) tr.classList.add('is-highlighted');
+            tr.addEventListener('mouseenter', () => { this.extraction.highlightId = p.id; this.render(); });
+            tr.addEventListener('mouseleave', () => { if (this.extraction.highlightId === p.id) { this.extraction.highlightId = null; this.render(); } });
+            const accept = document.createElement('input'); accept.type = 'checkbox'; accept.checked = p.accepted; accept.title = 'Add this obstacle';
+            accept.addEventListener('change', () => { p.accepted = accept.checked; this.renderExtractionInfo(); this.render(); });
+            const shape = document.createElement('select'); shape.className = 'form-control';
+            [['box', 'Box'], ['outline', 'Outline']].forEach(([v, t]) => { const o = document.createElement('option'); o.value = v; o.textContent = t; shape.appendChild(o); });
+            shape.value = p.shape; shape.disabled = !p.hull;
+            shape.addEventListener('change', () => { p.shape = shape.value; this.render(); });
+            const grow = document.createElement('input'); grow.type = 'number'; grow.step = '1'; grow.className = 'form-control'; grow.value = String(p.grow);
+            grow.addEventListener('change', () => { const v = parseFloat(grow.value); p.grow = Number.isFinite(v) ? v : 0; this.render(); });
+            const cells = [accept, String(i + 1), p.kind === 'wall' ? 'Wall' : 'Block', shape, grow];
+            cells.forEach(v => { const td = document.createElement('td'); if (typeof v === 'string') td.textContent = v; else td.appendChild(v); tr.appendChild(td); });
+            table.appendChild(tr);
+        });
+        this.renderExtractionInfo();
+    }
+    renderExtractionInfo(){
+        const props = this.extraction.proposals; const accepted = props.filter(p => p.accepted).length;
+        const info = document.getElementById('extractInfo');
+        if (info) info.textContent = props.length ? `${props.length} proposal${props.length === 1 ? '' : 's'} (threshold ${this.extraction.threshold}), ${accepted} accepted. Click one on the plan to accept or reject it.` : 'Nothing found – try another threshold or smaller minimums.';
+        const apply = document.getElementById('applyExtract'); if (apply) apply.disabled = !accepted;
+    }
+    applyExtraction(){
+        const accepted = this.extraction.proposals.filter(p => p.accepted);
+        if (!accepted.length) return;
+        accepted.forEach(p => {
+            const pts = this.getProposalWorldPoints(p);
+            const xs = pts.map(q => q.x), ys = pts.map(q => q.y);
+            const x = Math.min(...xs), y = Math.min(...ys), w = Math.max(...xs) - x, h = Math.max(...ys) - y;
+            // Boxes on an unrotated plan stay plain rectangles (resizable with the usual handles)
+            const axisAligned = p.shape === 'box' && pts.every(q => (Math.abs(q.x - x) < 1e-6 || Math.abs(q.x - x - w) < 1e-6) && (Math.abs(q.y - y) < 1e-6 || Math.abs(q.y - y - h) < 1e-6));
+            const ob = axisAligned ? { x, y, width: w, height: h } : { points: pts };
+            if (!axisAligned) this.syncShapeBounds(ob);
+            ob.id = Date.now() + Math.random();
+            this.obstacles.push(this.assignActiveLayer(ob));
+        });
+        this.commitChange(`Extract ${accepted.length} obstacle${accepted.length === 1 ? '' : 's'}`);
+        this.cancelExtraction();
+        this.showInfoMessage(`${accepted.length} obstacle${accepted.length === 1 ? '' : 's'} added from the background.`, 'success');
+    }
+    cancelExtraction(){
+        this.extraction.active = false; this.extraction.proposals = []; this.extraction.highlightId = null;
+        document.getElementById('extractPanel')?.classList.add('hidden');
+        this.render();
+    }
+    drawExtractionProposals(ctx){
+        if (!this.extraction.active || this._exportingImage) return;
+        const zm = this.zoom || 1;
+        ctx.save();
+        ctx.lineWidth = 1.5 / zm;
+        this.extraction.proposals.forEach(p => {
+            const pts = this.getProposalWorldPoints(p); if (!pts.length) return;
+            const hot = p.id === this.extraction.highlightId;
+            ctx.beginPath(); pts.forEach((q, i) => { if (!i) ctx.moveTo(q.x, q.y); else ctx.lineTo(q.x, q.y); }); ctx.closePath();
+            ctx.setLineDash(p.accepted ? [] : [4 / zm, 3 / zm]);
+            ctx.fillStyle = p.accepted ? (hot ? 'rgba(0,150,136,0.45)' : 'rgba(0,150,136,0.25)') : (hot ? 'rgba(158,158,158,0.3)' : 'rgba(158,158,158,0.1)');
+            ctx.strokeStyle = p.accepted ? '#00796b' : '#9e9e9e';
+            ctx.fill(); ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // ---- Deletion ----
+    showDeleteConfirmation(item, type){
+        const modal = document.getElementById('deleteModal');
+        const msg = document.getElementById('deleteMessage');
+        const warn = document.getElementById('deleteWarning');
+        if (warn) { warn.classList.add('hidden'); warn.textContent = ''; }
+        if (msg) {
+            if (type === 'clearAll') {
+                msg.textContent = 'Clear all objects, paths, zones, obstacles, annotations and measurements?';
+                if (warn) { warn.textContent = 'You can restore everything with Undo (Ctrl+Z).'; warn.classList.remove('hidden'); }
+            } else if (type === 'scenario') {
+                msg.textContent = `Delete scenario "${item.name}"?`;
+                if (warn) { warn.textContent = 'Its objects, paths, zones and obstacles are removed. This cannot be undone.'; warn.classList.remove('hidden'); }
+            } else if (type === 'selection') {
+                msg.textContent = `Delete ${item.length} selected items?`;
+            } else if (type === 'project') {
+                msg.textContent = `Delete project "${item.name}"?`;
+                if (warn) { warn.textContent = 'The project and its background will be removed from this browser.'; warn.classList.remove('hidden'); }
+            } else {
+                msg.textContent = `Delete this ${type}?`;
+            }
+        }
+        this._pendingDelete = { item, type };
+        if (modal) modal.classList.remove('hidden');
     }
     closeDeleteModal(){ const modal=document.getElementById('deleteModal'); if (modal) modal.classList.add('hidden'); this._pendingDelete=null; }
     confirmDelete(){
         if (!this._pendingDelete) return;
         const { item, type } = this._pendingDelete;
-        if (type === 'object') this.objects = this.objects.filter(o => o !== item);
+        if (type === 'project') {
+            this.closeDeleteModal();
+            this.deleteProject(item.id);
+            return;
+        }
+        if (type === 'scenario') {
+            this.closeDeleteModal();
+            this.deleteScenario(item.id);
+            return;
+        }
+        if (type === 'selection') {
+            const gone = new Set(item);
+            this.objects = this.objects.filter(o => !gone.has(o));
+            this.paths = this.paths.filter(p => !gone.has(p));
+            this.obstacles = this.obstacles.filter(o => !gone.has(o));
+            this.zones = this.zones.filter(z => !gone.has(z));
+            this.annotations = this.annotations.filter(a => !gone.has(a));
+            this.measurements = this.measurements.filter(m => !gone.has(m));
+        }
+        else if (type === 'object') this.objects = this.objects.filter(o => o !== item);
         else if (type === 'path') this.paths = this.paths.filter(p => p !== item);
         else if (type === 'obstacle') this.obstacles = this.obstacles.filter(o => o !== item);
         else if (type === 'zone') this.zones = this.zones.filter(z => z !== item);
+        else if (type === 'annotation') this.annotations = this.annotations.filter(a => a !== item);
+        else if (type === 'measurement') this.measurements = this.measurements.filter(m => m !== item);
         else if (type === 'clearAll') {
             // Perform the same clearing as clearAll but via modal flow
             this.objects = [];
             this.paths = [];
             this.obstacles = [];
             this.zones = [];
+            this.annotations = [];
+            this.measurements = [];
         }
+        this.pruneGroups();
+        this.pruneAnnotationLinks();
         // Clear selections and state
+        this.selectedItems = [];
+        this.selectedAnnotation = null;
+        this.selectedMeasurement = null;
         this.selectedObject = null;
         this.selectedZone = null;
         this.selectedObstacle = null;
@@ -2188,6 +4877,7 @@ class SpaghettiDiagramApp {
         this.currentPath = [];
         this.currentObstacle = null;
         this.currentZone = null;
+        this.currentMeasurement = null;
         this.editingPath = null;
         this.hoveredDeleteItem = null;
         this.deleteHighlight = null;
@@ -2195,6 +4885,9 @@ class SpaghettiDiagramApp {
         this.updateAnalytics();
         this.render();
         this.closeDeleteModal();
+        this.refreshAutoPathSelects();
+        this.updateSelectionUI();
+        this.commitChange(type === 'clearAll' ? 'Clear all' : `Delete ${type}`);
         if (type === 'clearAll') this.showInfoMessage('Workspace cleared.', 'success');
     }
     hideDeleteTooltip(){ if (this.deleteTooltip){ try{ this.deleteTooltip.remove(); }catch(_){} this.deleteTooltip=null; } }
@@ -2204,7 +4897,3377 @@ class SpaghettiDiagramApp {
         this.showDeleteConfirmation(null, 'clearAll');
     }
 
-    exportData(){ const data={ version:1, objects:this.objects, paths:this.paths, obstacles:this.obstacles, zones:this.zones, scale:{ units:this.units, unitsPerPixel:this.unitsPerPixel, stepsPerUnit:this.stepsPerUnit, gridCellUnits:this.gridCellUnits }, backgroundTransform:this.backgroundTransform }; const blob=new Blob([JSON.stringify(data,null,2)],{type:'application/json'}); const a=document.createElement('a'); a.href=URL.createObjectURL(blob); a.download='spaghetti_diagram.json'; a.click(); URL.revokeObjectURL(a.href); }
+    // ---- Multi-selection, arrange & groups ----
+    initSelectionUI(){
+        document.querySelectorAll('#selectionSection [data-align]').forEach(btn => btn.addEventListener('click', () => this.alignSelection(btn.dataset.align)));
+        document.getElementById('distributeH')?.addEventListener('click', () => this.distributeSelection('x'));
+        document.getElementById('distributeV')?.addEventListener('click', () => this.distributeSelection('y'));
+        document.getElementById('duplicateSelection')?.addEventListener('click', () => this.duplicateSelection());
+        document.getElementById('deleteSelection')?.addEventListener('click', () => this.deleteSelection());
+        document.getElementById('createGroup')?.addEventListener('click', () => this.createGroupFromSelection());
+        document.getElementById('ungroupSelection')?.addEventListener('click', () => this.ungroupSelection());
+        document.addEventListener('copy', (e) => this.handleCopyEvent(e));
+        document.addEventListener('paste', (e) => this.handlePasteEvent(e));
+        const nameInput = document.getElementById('groupName');
+        // While a whole group is selected the name field renames it; otherwise it names the next group
+        if (nameInput) nameInput.addEventListener('change', () => {
+            const g = this.getSelectedGroup(); const name = nameInput.value.trim();
+            if (!g || !name || name === g.name) return;
+            g.name = name; this.updateSelectionUI(); this.render(); this.commitChange('Rename group');
+        });
+        this.updateSelectionUI();
+    }
+    getItemKind(item){
+        if (this.objects.includes(item)) return 'object';
+        if (this.zones.includes(item)) return 'zone';
+        if (this.obstacles.includes(item)) return 'obstacle';
+        if (this.paths.includes(item)) return 'path';
+        if (this.annotations.includes(item)) return 'annotation';
+        if (this.measurements.includes(item)) return 'measurement';
+        return null;
+    }
+    findItemById(id){ return this.objects.find(o => o.id === id) || this.zones.find(z => z.id === id) || this.obstacles.find(o => o.id === id) || this.paths.find(p => p.id === id) || this.annotations.find(a => a.id === id) || this.measurements.find(m => m.id === id) || null; }
+    getSelectedItems(){
+        if (this.selectedItems.length > 1) return this.selectedItems;
+        const one = this.selectedObject || this.selectedZone || this.selectedObstacle || this.selectedPath || this.selectedAnnotation || this.selectedMeasurement;
+        return one ? [one] : [];
+    }
+    // Replace the selection; one item goes to the matching single-selection field so its handles stay usable
+    setSelection(items){
+        const list = [...new Set(items.filter(it => it && this.getItemKind(it)))];
+        this.selectedObject = null; this.selectedZone = null; this.selectedObstacle = null; this.selectedPath = null; this.selectedAnnotation = null; this.selectedMeasurement = null;
+        this.selectedEndpoint = null; this.selectedVertex = null;
+        this.selectedItems = list.length > 1 ? list : [];
+        if (list.length === 1) this[{ object: 'selectedObject', zone: 'selectedZone', obstacle: 'selectedObstacle', path: 'selectedPath', annotation: 'selectedAnnotation', measurement: 'selectedMeasurement' }[this.getItemKind(list[0])]] = list[0];
+        this.updateSelectionUI();
+    }
+    toggleInSelection(items){
+        const cur = this.getSelectedItems();
+        this.setSelection(items.every(it => cur.includes(it)) ? cur.filter(it => !items.includes(it)) : [...cur, ...items]);
+    }
+    getItemBounds(item){
+        const kind = this.getItemKind(item);
+        if (kind === 'object') return this.getObjectBounds(item);
+        if (kind === 'obstacle') return this.getObstacleBounds(item);
+        if (kind === 'path' || kind === 'measurement') return this.getPolygonBounds(item.points);
+        if (kind === 'annotation') return this.getAnnotationBox(item);
+        return { x: item.x, y: item.y, width: item.width, height: item.height };
+    }
+    getItemsBounds(items){
+        const bs = items.map(it => this.getItemBounds(it));
+        if (!bs.length) return null;
+        const x = Math.min(...bs.map(b => b.x)), y = Math.min(...bs.map(b => b.y));
+        return { x, y, width: Math.max(...bs.map(b => b.x + b.width)) - x, height: Math.max(...bs.map(b => b.y + b.height)) - y };
+    }
+    // Items lying entirely inside the marquee
+    getItemsInRect(r){
+        const inside = (b) => b.x >= r.x && b.y >= r.y && b.x + b.width <= r.x + r.width && b.y + b.height <= r.y + r.height;
+        return [...this.zones, ...this.obstacles, ...this.paths, ...this.objects, ...this.measurements, ...this.annotations].filter(it => this.isItemInteractive(it) && inside(this.getItemBounds(it)));
+    }
+    getGroupOf(item){ return item ? this.groups.find(g => g.memberIds.includes(item.id)) || null : null; }
+    // Items plus every other member of the named groups they belong to
+    expandToGroups(items){
+        const out = new Set(items);
+        items.forEach(it => { const g = this.getGroupOf(it); if (g) g.memberIds.forEach(id => { const m = this.findItemById(id); if (m && this.isItemInteractive(m)) out.add(m); }); });
+        return [...out];
+    }
+    // The named group whose members are exactly the current selection
+    getSelectedGroup(){
+        const items = this.getSelectedItems();
+        const g = items.length > 1 ? this.getGroupOf(items[0]) : null;
+        return g && g.memberIds.length === items.length && items.every(it => g.memberIds.includes(it.id)) ? g : null;
+    }
+    // Drop members that no longer exist and groups left with fewer than two
+    pruneGroups(){
+        this.groups = this.groups.map(g => ({ ...g, memberIds: g.memberIds.filter(id => this.findItemById(id)) })).filter(g => g.memberIds.length > 1);
+    }
+    // Translate items. Paths linked at both ends to moved objects travel along; ends linked to only one follow through
+    // drawPath's re-attachment. With `clamp` the move stops at the canvas edges like a single-item drag.
+    moveItems(items, dx, dy, clamp = false){
+        const moving = new Set(items);
+        const objIds = new Set(items.filter(it => this.objects.includes(it)).map(o => o.id));
+        this.paths.forEach(p => { if (objIds.has(p.startObjectId) && objIds.has(p.endObjectId)) moving.add(p); });
+        if (clamp) {
+            const b = this.getItemsBounds(items.filter(it => !this.paths.includes(it))) || this.getItemsBounds(items);
+            dx = Math.max(-b.x, Math.min(this.canvas.width - b.width - b.x, dx));
+            dy = Math.max(-b.y, Math.min(this.canvas.height - b.height - b.y, dy));
+        }
+        if (!dx && !dy) return;
+        const shift = (pt) => ({ ...pt, x: pt.x + dx, y: pt.y + dy });
+        moving.forEach(it => {
+            if (this.paths.includes(it)) { it.points = it.points.map(shift); this._heatmapDirty = true; return; }
+            if (this.measurements.includes(it)) { it.points = it.points.map(shift); return; }
+            if (this.annotations.includes(it)) { this.moveAnnotation(it, dx, dy, moving); return; }
+            it.x += dx; it.y += dy;
+            if (it.points) it.points = it.points.map(shift);
+        });
+    }
+    // Selected items as arrange units: a fully selected named group moves as one block; paths only move with their objects
+    getArrangeUnits(){
+        const items = this.getSelectedItems();
+        const units = []; const seen = new Set();
+        items.forEach(it => {
+            if (seen.has(it)) return;
+            const g = this.getGroupOf(it);
+            const members = g ? g.memberIds.map(id => this.findItemById(id)).filter(Boolean) : null;
+            if (members && members.every(m => items.includes(m))) { members.forEach(m => seen.add(m)); units.push(members); }
+            else if (!this.paths.includes(it)) { seen.add(it); units.push([it]); }
+        });
+        return units.map(members => ({ members, bounds: this.getItemsBounds(members.filter(m => !this.paths.includes(m))) || this.getItemsBounds(members) }));
+    }
+    alignSelection(edge){
+        const units = this.getArrangeUnits();
+        if (units.length < 2) return;
+        const all = this.getItemsBounds(units.flatMap(u => u.members));
+        units.forEach(({ members, bounds: b }) => {
+            let dx = 0, dy = 0;
+            if (edge === 'left') dx = all.x - b.x;
+            else if (edge === 'right') dx = all.x + all.width - (b.x + b.width);
+            else if (edge === 'center') dx = all.x + all.width / 2 - (b.x + b.width / 2);
+            else if (edge === 'top') dy = all.y - b.y;
+            else if (edge === 'bottom') dy = all.y + all.height - (b.y + b.height);
+            else if (edge === 'middle') dy = all.y + all.height / 2 - (b.y + b.height / 2);
+            this.moveItems(members, dx, dy);
+        });
+        this.afterArrange(units, 'Align');
+    }
+    // Equal gaps between neighbours along x or y; the outermost two stay where they are
+    distributeSelection(axis){
+        const units = this.getArrangeUnits();
+        if (units.length < 3) return;
+        const size = axis === 'x' ? 'width' : 'height';
+        units.sort((a, b) => (a.bounds[axis] + a.bounds[size] / 2) - (b.bounds[axis] + b.bounds[size] / 2));
+        const first = units[0].bounds, last = units[units.length - 1].bounds;
+        const used = units.reduce((s, u) => s + u.bounds[size], 0);
+        const gap = (last[axis] + last[size] - first[axis] - used) / (units.length - 1);
+        let pos = first[axis] + first[size] + gap;
+        units.slice(1, -1).forEach(({ members, bounds: b }) => {
+            const d = pos - b[axis];
+            this.moveItems(members, axis === 'x' ? d : 0, axis === 'y' ? d : 0);
+            pos += b[size] + gap;
+        });
+        this.afterArrange(units, 'Distribute');
+    }
+    afterArrange(units, label){
+        const ids = units.flatMap(u => u.members).filter(m => this.objects.includes(m)).map(o => o.id);
+        if (ids.length && this.getCurrentScenario()?.autoReroute) this.rerouteLinkedPaths(ids);
+        this.updateAnalytics();
+        this.render();
+        this.commitChange(label);
+    }
+    // Ctrl+D: copies of the selection offset by 20px, selected in place of the originals
+    duplicateSelection(){
+        const items = this.getSelectedItems();
+        if (!items.length) return;
+        const copies = this.insertDiagramCopy(this.buildClipboardPayload(items), 20, 20, ' copy');
+        this.setTool('select');
+        this.setSelection(copies);
+        this.render();
+        this.commitChange('Duplicate');
+        this.showInfoMessage(`Duplicated ${copies.length} item${copies.length === 1 ? '' : 's'}.`, 'success', 1500);
+    }
+    // Diagram fragment for the clipboard/duplicate: the items, paths linked at both ends to copied objects and the
+    // named groups that are copied whole
+    buildClipboardPayload(items){
+        const set = new Set(items);
+        const objIds = new Set(items.filter(it => this.objects.includes(it)).map(o => o.id));
+        this.paths.forEach(p => { if (objIds.has(p.startObjectId) && objIds.has(p.endObjectId)) set.add(p); });
+        const ids = new Set([...set].map(it => it.id));
+        const pick = (list) => JSON.parse(JSON.stringify(list.filter(it => set.has(it))));
+        return {
+            format: CLIPBOARD_FORMAT, version: PROJECT_FILE_VERSION,
+            objects: pick(this.objects), paths: pick(this.paths), obstacles: pick(this.obstacles), zones: pick(this.zones), annotations: pick(this.annotations), measurements: pick(this.measurements),
+            groups: JSON.parse(JSON.stringify(this.groups.filter(g => g.memberIds.every(id => ids.has(id))))),
+            layers: JSON.parse(JSON.stringify(this.layers.filter(l => [...set].some(it => it.layerId === l.id))))
+        };
+    }
+    // Add a (validated) diagram fragment shifted by dx/dy with fresh ids. Path → object links and groups are
+    // remapped to the copies; links to objects outside the fragment are dropped. Returns the new items.
+    insertDiagramCopy(d, dx, dy, nameSuffix = ''){
+        const idMap = new Map(); const copies = [];
+        const layerMap = this.adoptLayers(d.layers);
+        const shift = (pt) => ({ ...pt, x: pt.x + dx, y: pt.y + dy });
+        const clone = (it) => {
+            const c = JSON.parse(JSON.stringify(it));
+            c.id = Date.now() + Math.random(); idMap.set(it.id, c.id); copies.push(c);
+            if (c.layerId !== undefined) { if (layerMap.has(c.layerId)) c.layerId = layerMap.get(c.layerId); else delete c.layerId; }
+            if (typeof c.x === 'number') { c.x += dx; c.y += dy; }
+            if (c.points) c.points = c.points.map(shift);
+            if (typeof c.tipX === 'number') { c.tipX += dx; c.tipY += dy; }
+            return c;
+        };
+        (d.zones || []).forEach(z => this.zones.push(clone(z)));
+        (d.obstacles || []).forEach(o => this.obstacles.push(clone(o)));
+        (d.objects || []).forEach(o => { const c = clone(o); c.name = `${o.name}${nameSuffix}`; c.visits = 0; this.objects.push(c); });
+        const newPaths = (d.paths || []).map(p => {
+            const c = clone(p);
+            ['start', 'end'].forEach(k => {
+                if (idMap.has(c[`${k}ObjectId`])) c[`${k}ObjectId`] = idMap.get(c[`${k}ObjectId`]);
+                else { c[`${k}ObjectId`] = null; delete c[`${k}AccessId`]; }
+            });
+            this.paths.push(c);
+            return c;
+        });
+        // Annotations stay linked to copied objects/paths; a link to anything else is dropped where it stands
+        (d.annotations || []).forEach(a => {
+            const c = clone(a);
+            if (idMap.has(c.targetId)) c.targetId = idMap.get(c.targetId); else this.unlinkAnnotation(c);
+            this.annotations.push(c);
+        });
+        (d.measurements || []).forEach(m => this.measurements.push(clone(m)));
+        (d.groups || []).forEach(g => {
+            const memberIds = g.memberIds.filter(id => idMap.has(id)).map(id => idMap.get(id));
+            if (memberIds.length > 1) this.groups.push({ ...g, id: Date.now() + Math.random(), name: `${g.name}${nameSuffix}`, memberIds });
+        });
+        newPaths.forEach(p => this.updateObjectVisits(p));
+        this.refreshAutoPathSelects();
+        if (layerMap.size) this.updateLayersUI();
+        this.updateAnalytics();
+        return copies;
+    }
+    // Ctrl+C: the browser's copy event carries the payload as JSON text, so it also pastes into another open tab.
+    // A copy of the text is kept in memory for browsers that give the event no clipboardData.
+    handleCopyEvent(e){
+        if (this.isEditableTarget(e.target) || this.isAnyModalOpen()) return;
+        const items = this.getSelectedItems();
+        if (!items.length) return;
+        const text = JSON.stringify(this.buildClipboardPayload(items));
+        this._clipboardText = text; this._lastPastedText = null;
+        if (e.clipboardData) { e.clipboardData.setData('text/plain', text); e.preventDefault(); }
+        this.showInfoMessage(`Copied ${items.length} item${items.length === 1 ? '' : 's'}.`, 'info', 1200);
+    }
+    // Ctrl+V: repeated pastes of the same payload step 20px further each time so copies don't stack
+    handlePasteEvent(e){
+        if (this.isEditableTarget(e.target) || this.isAnyModalOpen()) return;
+        const text = e.clipboardData ? e.clipboardData.getData('text/plain') : this._clipboardText;
+        let data = null;
+        try { data = JSON.parse(text); } catch (_) { return; }
+        if (!data || data.format !== CLIPBOARD_FORMAT) return;
+        e.preventDefault();
+        const report = { fatal: [], errors: [], warnings: [], migratedFrom: null };
+        const d = this.validateDiagramData(data, 'clipboard', report, false);
+        if (!d) { this.showInfoMessage('Clipboard contents could not be pasted.', 'error'); return; }
+        if (text !== this._lastPastedText) { this._lastPastedText = text; this._pasteCount = 0; }
+        this._pasteCount++;
+        const offset = 20 * this._pasteCount;
+        const copies = this.insertDiagramCopy(d, offset, offset);
+        if (!copies.length) return;
+        this.setTool('select');
+        this.setSelection(copies);
+        this.render();
+        this.commitChange('Paste');
+        this.showInfoMessage(`Pasted ${copies.length} item${copies.length === 1 ? '' : 's'}.`, 'success', 1500);
+    }
+    isEditableTarget(t){ return !!t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.tagName === 'SELECT' || t.isContentEditable); }
+    isAnyModalOpen(){ return [...document.querySelectorAll('.modal')].some(m => !m.classList.contains('hidden')); }
+    deleteSelection(){
+        const items = this.getSelectedItems();
+        if (!items.length) return;
+        if (items.length === 1) this.showDeleteConfirmation(items[0], this.getItemKind(items[0]));
+        else this.showDeleteConfirmation([...items], 'selection');
+    }
+    createGroupFromSelection(){
+        const items = this.getSelectedItems();
+        if (items.length < 2) { this.showInfoMessage('Select at least two items to group.', 'warning'); return; }
+        const nameInput = document.getElementById('groupName');
+        const typed = nameInput && !this.getSelectedGroup() ? nameInput.value.trim() : '';
+        const name = typed || `Group ${this.groups.length + 1}`;
+        // Items leave any group they were in before
+        const ids = new Set(items.map(it => it.id));
+        this.groups.forEach(g => { g.memberIds = g.memberIds.filter(id => !ids.has(id)); });
+        this.pruneGroups();
+        this.groups.push({ id: Date.now() + Math.random(), name, memberIds: items.map(it => it.id) });
+        if (nameInput) nameInput.value = '';
+        this.updateSelectionUI();
+        this.render();
+        this.commitChange('Group');
+        this.showInfoMessage(`Grouped ${items.length} items as "${name}".`, 'success', 1500);
+    }
+    ungroupSelection(){
+        const ids = new Set(this.getSelectedItems().map(it => it.id));
+        const before = this.groups.length;
+        this.groups = this.groups.filter(g => !g.memberIds.some(id => ids.has(id)));
+        if (this.groups.length === before) return;
+        this.updateSelectionUI();
+        this.render();
+        this.commitChange('Ungroup');
+    }
+    updateSelectionUI(){
+        this.updatePathVertexUI();
+        this.updateLayerSelects();
+        const items = this.getSelectedItems();
+        const info = document.getElementById('selectionInfo');
+        if (!info) return;
+        const group = this.getSelectedGroup();
+        if (!items.length) info.textContent = 'Shift-click or Shift-drag to select several items.';
+        else if (group) info.textContent = `Group "${group.name}" – ${items.length} items`;
+        else if (items.length === 1) info.textContent = `1 ${this.getItemKind(items[0])} selected`;
+        else {
+            const counts = {}; items.forEach(it => { const k = this.getItemKind(it); counts[k] = (counts[k] || 0) + 1; });
+            info.textContent = `${items.length} items selected (${Object.entries(counts).map(([k, n]) => `${n} ${k}${n === 1 ? '' : 's'}`).join(', ')})`;
+        }
+        const units = items.length > 1 ? this.getArrangeUnits().length : 0;
+        document.querySelectorAll('#selectionSection [data-align]').forEach(btn => { btn.disabled = units < 2; });
+        const set = (id, disabled) => { const el = document.getElementById(id); if (el) el.disabled = disabled; };
+        set('distributeH', units < 3); set('distributeV', units < 3);
+        set('duplicateSelection', !items.length); set('deleteSelection', !items.length);
+        set('createGroup', items.length < 2 || !!group);
+        set('ungroupSelection', !items.some(it => this.getGroupOf(it)));
+        const nameInput = document.getElementById('groupName');
+        if (nameInput && document.activeElement !== nameInput) nameInput.value = group ? group.name : '';
+        const list = document.getElementById('groupList');
+        if (!list) return;
+        list.innerHTML = '';
+        if (!this.groups.length) { list.innerHTML = '<div class="empty-state">No groups yet</div>'; return; }
+        this.groups.forEach(g => {
+            const row = document.createElement('div');
+            row.className = 'hotspot-item group-item' + (g === group ? ' active' : '');
+            row.title = 'Select group';
+            const name = document.createElement('span'); name.className = 'hotspot-name'; name.textContent = `${g.name} (${g.memberIds.length})`;
+            const del = document.createElement('button'); del.type = 'button'; del.className = 'panel-close-btn'; del.textContent = '×'; del.title = 'Ungroup'; del.setAttribute('aria-label', `Ungroup ${g.name}`);
+            row.addEventListener('click', () => { this.setTool('select'); this.setSelection(this.expandToGroups([this.findItemById(g.memberIds[0])])); this.render(); });
+            del.addEventListener('click', (ev) => { ev.stopPropagation(); this.groups = this.groups.filter(x => x !== g); this.updateSelectionUI(); this.render(); this.commitChange('Ungroup'); });
+            row.append(name, del);
+            list.appendChild(row);
+        });
+    }
+    drawMultiSelection(ctx){
+        const zm = this.zoom || 1;
+        ctx.save();
+        ctx.strokeStyle = '#1e88e5'; ctx.lineWidth = 1.5 / zm; ctx.setLineDash([4 / zm, 2 / zm]);
+        this.selectedItems.forEach(it => {
+            const kind = this.getItemKind(it);
+            if (kind === 'path' || kind === 'measurement') {
+                ctx.save(); ctx.setLineDash([]); ctx.lineWidth = 5; ctx.strokeStyle = 'rgba(30,136,229,0.35)';
+                ctx.beginPath(); it.points.forEach((pt, i) => { if (!i) ctx.moveTo(pt.x, pt.y); else ctx.lineTo(pt.x, pt.y); }); ctx.stroke(); ctx.restore();
+            } else if (kind === 'zone') { this.traceZone(ctx, it); ctx.stroke(); }
+            else if (kind === 'obstacle') { this.traceObstacle(ctx, it); ctx.stroke(); }
+            else if (kind === 'annotation') { const b = this.getAnnotationBox(it); ctx.strokeRect(b.x, b.y, b.width, b.height); }
+            else { ctx.beginPath(); this.getObjectPolygon(it).forEach((p, i) => { if (!i) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y); }); ctx.closePath(); ctx.stroke(); }
+        });
+        const b = this.getItemsBounds(this.selectedItems); const pad = 6 / zm;
+        ctx.strokeStyle = 'rgba(30,136,229,0.6)'; ctx.setLineDash([6 / zm, 4 / zm]);
+        ctx.strokeRect(b.x - pad, b.y - pad, b.width + pad * 2, b.height + pad * 2);
+        const group = this.getSelectedGroup();
+        if (group) { ctx.fillStyle = '#1e88e5'; ctx.font = `${11 / zm}px sans-serif`; ctx.textAlign = 'left'; ctx.textBaseline = 'bottom'; ctx.fillText(group.name, b.x - pad, b.y - pad - 2 / zm); }
+        ctx.restore();
+    }
+
+    // ---- Annotations (notes, callouts and kaizen bursts) ----
+    // x/y is the centre of the text box (or burst). A linked annotation (targetId of an object or path) keeps
+    // offsetX/offsetY from the target's anchor and follows it; a callout's arrow points at that anchor, or at tipX/tipY.
+    handleAnnotateMouseDown(){
+        const existing = this.getAnnotationAt(this.mousePos);
+        if (existing) { this.setSelection([existing]); this.render(); this.openAnnotationModal(); return; }
+        const type = document.getElementById('annotationToolType')?.value || 'note';
+        const def = ANNOTATION_TYPES[type] || ANNOTATION_TYPES.note;
+        const pt = this.snapPoint(this.mousePos);
+        const target = this.getObjectAt(this.mousePos) || this.getPathAt(this.mousePos);
+        const a = { id: Date.now() + Math.random(), type, text: def.text, color: def.color, fontSize: 14, x: pt.x, y: pt.y };
+        // A callout's box starts up and to the right of the spot its arrow points at
+        if (type === 'callout') Object.assign(a, { tipX: pt.x, tipY: pt.y, x: pt.x + 80, y: pt.y - 60 });
+        this.assignActiveLayer(a);
+        if (target) this.linkAnnotation(a, target);
+        this.annotations.push(a);
+        this.setSelection([a]);
+        this.render();
+        this.commitChange('Add annotation');
+        this.openAnnotationModal();
+    }
+    getAnnotationTarget(a){
+        if (a.targetId === undefined || a.targetId === null) return null;
+        return this.objects.find(o => o.id === a.targetId) || this.paths.find(p => p.id === a.targetId) || null;
+    }
+    // Objects are anchored at their centre, paths halfway along their length
+    getAnnotationAnchor(target){
+        if (!target) return null;
+        return this.paths.includes(target) ? this.getPolylineMidpoint(target.points) : this.getObjectCenter(target);
+    }
+    // Re-place a linked annotation next to its target (like drawPath re-attaching path ends); a missing target leaves it where it was
+    syncAnnotation(a){
+        const anchor = this.getAnnotationAnchor(this.getAnnotationTarget(a));
+        if (!anchor) return;
+        a.x = anchor.x + (a.offsetX || 0); a.y = anchor.y + (a.offsetY || 0);
+        if (a.type === 'callout') { a.tipX = anchor.x; a.tipY = anchor.y; }
+    }
+    linkAnnotation(a, target){
+        const anchor = this.getAnnotationAnchor(target);
+        if (!anchor) { this.unlinkAnnotation(a); return; }
+        a.targetId = target.id; a.offsetX = a.x - anchor.x; a.offsetY = a.y - anchor.y;
+        if (a.type === 'callout') { a.tipX = anchor.x; a.tipY = anchor.y; }
+    }
+    unlinkAnnotation(a){ delete a.targetId; delete a.offsetX; delete a.offsetY; }
+    // Links to objects/paths that no longer exist are dropped; the annotation stays where it was last drawn
+    pruneAnnotationLinks(){
+        this.annotations.forEach(a => { if (a.targetId != null && !this.getAnnotationTarget(a)) this.unlinkAnnotation(a); });
+    }
+    setAnnotationPosition(a, pt){
+        const anchor = this.getAnnotationAnchor(this.getAnnotationTarget(a));
+        a.x = pt.x; a.y = pt.y;
+        if (anchor) { a.offsetX = pt.x - anchor.x; a.offsetY = pt.y - anchor.y; }
+    }
+    // Part of a multi-item move: an unlinked callout's tip moves along, a linked annotation only changes its
+    // offset when its target stays behind
+    moveAnnotation(a, dx, dy, moving){
+        const target = this.getAnnotationTarget(a);
+        a.x += dx; a.y += dy;
+        if (target) { if (!moving.has(target)) { a.offsetX = (a.offsetX || 0) + dx; a.offsetY = (a.offsetY || 0) + dy; } }
+        else if (a.type === 'callout') { a.tipX += dx; a.tipY += dy; }
+    }
+    // Dragging a callout's tip unlinks it; dropping the tip on an object or path links it there
+    moveAnnotationTip(a, pt){ this.unlinkAnnotation(a); a.tipX = pt.x; a.tipY = pt.y; }
+    dropAnnotationTip(a){
+        const pt = { x: a.tipX, y: a.tipY };
+        const target = this.getObjectAt(pt) || this.getPathAt(pt);
+        if (target) this.linkAnnotation(a, target);
+    }
+    isOnAnnotationTip(pt, a){ return a.type === 'callout' && this.isItemInteractive(a, 'annotation') && Math.hypot(pt.x - a.tipX, pt.y - a.tipY) <= 6 / (this.zoom || 1); }
+    getAnnotationLines(a){ return String(a.text || '').split('\n'); }
+    getAnnotationBox(a){
+        const fs = a.fontSize || 14; const lines = this.getAnnotationLines(a);
+        this.ctx.save(); this.ctx.font = `${fs}px sans-serif`;
+        const textWidth = Math.max(fs, ...lines.map(l => this.ctx.measureText(l).width));
+        this.ctx.restore();
+        const pad = fs * 0.5;
+        let w = textWidth + pad * 2, h = lines.length * fs * 1.25 + pad * 2;
+        if (a.type === 'kaizen') w = h = Math.max(w, h) * 1.6; // room for the spikes around the text
+        return { x: a.x - w / 2, y: a.y - h / 2, width: w, height: h };
+    }
+    getAnnotationAt(pt){
+        for (let i = this.annotations.length - 1; i >= 0; i--) {
+            const a = this.annotations[i]; const b = this.getAnnotationBox(a);
+            if (pt.x >= b.x && pt.x <= b.x + b.width && pt.y >= b.y && pt.y <= b.y + b.height && this.isItemInteractive(a, 'annotation')) return a;
+        }
+        return null;
+    }
+    drawAnnotation(ctx, a){
+        this.syncAnnotation(a);
+        const b = this.getAnnotationBox(a); const fs = a.fontSize || 14;
+        const anchor = this.getAnnotationAnchor(this.getAnnotationTarget(a));
+        ctx.save();
+        ctx.strokeStyle = '#444'; ctx.lineWidth = 1.5;
+        if (a.type === 'callout') {
+            // Arrow from the box centre (the box is drawn over its start) to the tip
+            const ang = Math.atan2(a.tipY - a.y, a.tipX - a.x); const head = Math.max(8, fs * 0.7);
+            ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(a.tipX, a.tipY); ctx.stroke();
+            ctx.beginPath(); ctx.moveTo(a.tipX, a.tipY);
+            ctx.lineTo(a.tipX - head * Math.cos(ang - 0.4), a.tipY - head * Math.sin(ang - 0.4));
+            ctx.lineTo(a.tipX - head * Math.cos(ang + 0.4), a.tipY - head * Math.sin(ang + 0.4));
+            ctx.closePath(); ctx.fillStyle = '#444'; ctx.fill();
+        } else if (anchor) {
+            // Linked notes and bursts get a dashed leader to what they refer to
+            ctx.save(); ctx.setLineDash([4, 3]); ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(anchor.x, anchor.y); ctx.stroke(); ctx.restore();
+            ctx.beginPath(); ctx.arc(anchor.x, anchor.y, 3, 0, Math.PI * 2); ctx.fillStyle = '#444'; ctx.fill();
+        }
+        ctx.fillStyle = a.color || ANNOTATION_TYPES[a.type].color;
+        if (a.type === 'kaizen') {
+            const spikes = 12, outer = b.width / 2, inner = outer * 0.78;
+            ctx.beginPath();
+            for (let i = 0; i < spikes * 2; i++) {
+                const r = i % 2 ? inner : outer; const t = (i / (spikes * 2)) * Math.PI * 2 - Math.PI / 2;
+                if (!i) ctx.moveTo(a.x + r * Math.cos(t), a.y + r * Math.sin(t)); else ctx.lineTo(a.x + r * Math.cos(t), a.y + r * Math.sin(t));
+            }
+            ctx.closePath(); ctx.fill(); ctx.strokeStyle = '#d32f2f'; ctx.lineWidth = 2; ctx.stroke();
+        } else {
+            ctx.fillRect(b.x, b.y, b.width, b.height); ctx.strokeRect(b.x, b.y, b.width, b.height);
+        }
+        ctx.fillStyle = '#222'; ctx.font = `${a.type === 'kaizen' ? 'bold ' : ''}${fs}px sans-serif`; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        const lines = this.getAnnotationLines(a); const lh = fs * 1.25;
+        lines.forEach((line, i) => ctx.fillText(line, a.x, a.y + (i - (lines.length - 1) / 2) * lh));
+        ctx.restore();
+    }
+    openAnnotationModal(){
+        const a = this.selectedAnnotation;
+        if (!a) return;
+        const textEl = document.getElementById('annotationText');
+        const targetEl = document.getElementById('annotationTarget');
+        if (textEl) textEl.value = a.text || '';
+        const kindEl = document.getElementById('annotationKind'); if (kindEl) kindEl.value = a.type;
+        const colorEl = document.getElementById('annotationColor'); if (colorEl) colorEl.value = a.color || ANNOTATION_TYPES[a.type].color;
+        const sizeEl = document.getElementById('annotationFontSize'); if (sizeEl) sizeEl.value = a.fontSize || 14;
+        if (targetEl) {
+            targetEl.innerHTML = '';
+            const add = (value, text) => { const o = document.createElement('option'); o.value = value; o.textContent = text; targetEl.appendChild(o); };
+            add('', 'Nothing (free-standing)');
+            this.objects.forEach(o => add(String(o.id), `Object: ${o.name || o.type}`));
+            this.paths.forEach((p, i) => add(String(p.id), `Path: ${p.description || `Path ${i + 1}`}`));
+            targetEl.value = this.getAnnotationTarget(a) ? String(a.targetId) : '';
+        }
+        document.getElementById('annotationModal')?.classList.remove('hidden');
+        if (textEl) { textEl.focus(); textEl.select(); }
+    }
+    closeAnnotationModal(){
+        document.getElementById('annotationModal')?.classList.add('hidden');
+        document.getElementById('annotationForm')?.reset();
+    }
+    saveAnnotationMetadata(e){
+        e.preventDefault();
+        const a = this.selectedAnnotation;
+        if (!a) return;
+        const text = (document.getElementById('annotationText')?.value || '').replace(/\s+$/, '');
+        if (!text.trim()) { alert('Annotation text is required.'); return; }
+        const type = document.getElementById('annotationKind')?.value || a.type;
+        const size = parseFloat(document.getElementById('annotationFontSize')?.value);
+        const targetValue = document.getElementById('annotationTarget')?.value || '';
+        const target = [...this.objects, ...this.paths].find(it => String(it.id) === targetValue) || null;
+        if (type === 'callout' && a.type !== 'callout') { a.tipX = a.x; a.tipY = a.y + 60; }
+        else if (type !== 'callout') { delete a.tipX; delete a.tipY; }
+        a.type = type;
+        a.text = text;
+        a.color = document.getElementById('annotationColor')?.value || ANNOTATION_TYPES[type].color;
+        a.fontSize = size > 0 ? Math.min(72, Math.max(8, size)) : 14;
+        if (!target) this.unlinkAnnotation(a);
+        else if (target.id !== a.targetId) this.linkAnnotation(a, target);
+        this.syncAnnotation(a);
+        this.closeAnnotationModal();
+        this.render();
+        this.commitChange('Edit annotation');
+    }
+    deleteSelectedAnnotation(){
+        if (!this.selectedAnnotation) return;
+        this.showDeleteConfirmation(this.selectedAnnotation, 'annotation');
+        this.closeAnnotationModal();
+    }
+
+    // ---- Measurements (measure tool) ----
+    // Points are kept in world px and turned into real units only when drawn, so recalibrating the scale relabels
+    // every measurement. Drafting reuses the polygon zone/obstacle clicks (getPolygonDraftKey).
+    getMeasureKind(){ return document.getElementById('measureKind')?.value === 'area' ? 'area' : 'distance'; }
+    finalizeMeasurement(){
+        const draft = this.currentMeasurement; const freehand = this._polygonFreehand;
+        this.currentMeasurement = null; this.isDrawing = false; this._polygonFreehand = false;
+        if (!draft) { this.render(); return; }
+        let pts = draft.points.filter((p, i, a) => !i || Math.hypot(p.x - a[i - 1].x, p.y - a[i - 1].y) > 2);
+        if (freehand) pts = this.simplifyPath(pts);
+        pts = pts.map(p => ({ x: p.x, y: p.y }));
+        if (draft.kind === 'area' && pts.length > 3 && Math.hypot(pts[0].x - pts[pts.length - 1].x, pts[0].y - pts[pts.length - 1].y) <= 8) pts.pop();
+        if (pts.length < (draft.kind === 'area' ? 3 : 2)) {
+            this.showInfoMessage(draft.kind === 'area' ? 'An area needs at least three corners.' : 'Click at least two points to measure a distance.', 'warning', 2000);
+            this.render();
+            return;
+        }
+        const m = this.assignActiveLayer({ id: Date.now() + Math.random(), kind: draft.kind, points: pts });
+        this.measurements.push(m);
+        this.render();
+        this.commitChange('Add measurement');
+        this.showInfoMessage(`Measured ${this.getMeasurementLabel(m)}${this.unitsPerPixel > 0 ? '' : ' – calibrate the scale for real units'}.`, 'success', 4000);
+    }
+    // Lengths take the polyline rather than its px length so a per-axis scale is applied segment by segment
+    formatMeasureLength(pts){ const real = this.getRealPolylineLength(pts); return real !== null ? `${real.toFixed(2)} ${this.units}` : `${this.calculatePathLength(pts).toFixed(1)} px`; }
+    formatMeasureArea(px2){ const u = this.unitsPerPixel; return u > 0 ? `${(px2 * u * u).toFixed(2)} ${this.units}²` : `${Math.round(px2)} px²`; }
+    getMeasurementPolyline(m){ return m.kind === 'area' ? [...m.points, m.points[0]] : m.points; }
+    getMeasurementLength(m){ return this.calculatePathLength(this.getMeasurementPolyline(m)); }
+    getMeasurementLabel(m){
+        if (m.kind === 'area') return `${this.formatMeasureArea(this.getPolygonArea(m.points))} (perimeter ${this.formatMeasureLength(this.getMeasurementPolyline(m))})`;
+        return this.formatMeasureLength(m.points);
+    }
+    getMeasurementAt(pt){
+        const threshold = 5 / (this.zoom || 1);
+        for (let i = this.measurements.length - 1; i >= 0; i--) {
+            const m = this.measurements[i];
+            if (!this.isItemInteractive(m, 'measurement')) continue;
+            const pts = this.getMeasurementPolyline(m);
+            for (let k = 0; k < pts.length - 1; k++) if (this.pointSegmentDistance(pt, pts[k], pts[k + 1]) <= threshold) return m;
+        }
+        return null;
+    }
+    // Dimension-line style: end ticks on distances, a light fill on areas; line and label sizes stay constant on screen
+    drawMeasurement(ctx, m){
+        const pts = m.points;
+        if (!pts || pts.length < 2) return;
+        const zm = this.zoom || 1; const area = m.kind === 'area';
+        ctx.save();
+        ctx.strokeStyle = '#00796b'; ctx.fillStyle = 'rgba(0,121,107,0.12)'; ctx.lineWidth = 1.5 / zm; ctx.lineJoin = 'round';
+        ctx.beginPath(); pts.forEach((p, i) => { if (!i) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y); });
+        if (area) { ctx.closePath(); if (pts.length > 2) ctx.fill(); }
+        ctx.stroke();
+        if (!area) [[pts[0], pts[1]], [pts[pts.length - 1], pts[pts.length - 2]]].forEach(([p, q]) => {
+            const a = Math.atan2(q.y - p.y, q.x - p.x) + Math.PI / 2; const t = 6 / zm;
+            ctx.beginPath(); ctx.moveTo(p.x - t * Math.cos(a), p.y - t * Math.sin(a)); ctx.lineTo(p.x + t * Math.cos(a), p.y + t * Math.sin(a)); ctx.stroke();
+        });
+        ctx.fillStyle = '#00796b';
+        pts.forEach(p => { ctx.beginPath(); ctx.arc(p.x, p.y, 2.5 / zm, 0, Math.PI * 2); ctx.fill(); });
+        // Multi-segment distances label each segment as well as the total
+        if (!area && pts.length > 2) pts.slice(1).forEach((p, i) => {
+            const q = pts[i];
+            this.drawMeasureLabel(ctx, this.formatMeasureLength([q, p]), (p.x + q.x) / 2, (p.y + q.y) / 2, 10 / zm, false);
+        });
+        const at = area ? { x: pts.reduce((s, p) => s + p.x, 0) / pts.length, y: pts.reduce((s, p) => s + p.y, 0) / pts.length } : this.getPolylineMidpoint(pts);
+        const label = area ? this.formatMeasureArea(this.getPolygonArea(pts)) : this.formatMeasureLength(pts);
+        this.drawMeasureLabel(ctx, pts.length > 2 && !area ? `Σ ${label}` : label, at.x, at.y - (!area && pts.length > 2 ? 14 / zm : 0), 12 / zm, true);
+        ctx.restore();
+    }
+    drawMeasureLabel(ctx, text, x, y, size, strong){
+        ctx.save();
+        ctx.font = `${strong ? 'bold ' : ''}${size}px sans-serif`;
+        const pad = size / 3; const w = ctx.measureText(text).width + pad * 2; const h = size + pad * 2;
+        ctx.fillStyle = strong ? '#00796b' : 'rgba(255,255,255,0.85)';
+        ctx.fillRect(x - w / 2, y - h / 2, w, h);
+        ctx.fillStyle = strong ? '#fff' : '#00695c'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y);
+        ctx.restore();
+    }
+
+    // ---- Layers ----
+    initLayersUI(){
+        const nameInput = document.getElementById('newLayerName');
+        const add = () => { this.addLayer(nameInput ? nameInput.value : ''); if (nameInput) nameInput.value = ''; };
+        document.getElementById('addLayer')?.addEventListener('click', add);
+        if (nameInput) nameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); add(); } });
+        document.getElementById('activeLayer')?.addEventListener('change', (e) => {
+            const layer = this.layers.find(l => String(l.id) === e.target.value);
+            this.activeLayerId = layer ? layer.id : null;
+        });
+        document.getElementById('moveToLayer')?.addEventListener('change', (e) => { const v = e.target.value; e.target.value = ''; this.moveSelectionToLayer(v); });
+        this.updateLayersUI();
+    }
+    getLayerState(id){ return { visible: true, locked: false, opacity: 1, ...(this.layerState[id] || {}) }; }
+    setLayerState(id, patch){
+        this.layerState[id] = { ...this.getLayerState(id), ...patch };
+        // Items that just became hidden or locked drop out of the selection
+        const selected = this.getSelectedItems();
+        const keep = selected.filter(it => this.isItemInteractive(it));
+        if (keep.length !== selected.length) this.setSelection(keep);
+        this.render();
+        this.scheduleAutosave();
+    }
+    // The item's category layer, plus its user layer when it has one
+    getItemLayerIds(item, kind = this.getItemKind(item)){
+        const ids = [`${kind}s`];
+        if (item.layerId != null && this.layers.some(l => l.id === item.layerId)) ids.push(item.layerId);
+        return ids;
+    }
+    isItemVisible(item, kind){ return this.getItemLayerIds(item, kind).every(id => this.getLayerState(id).visible); }
+    // Hidden items count as locked too: what can't be seen can't be picked, moved or deleted
+    isItemInteractive(item, kind){ return this.getItemLayerIds(item, kind).every(id => { const st = this.getLayerState(id); return st.visible && !st.locked; }); }
+    getItemOpacity(item, kind){ return this.getItemLayerIds(item, kind).reduce((a, id) => a * this.getLayerState(id).opacity, 1); }
+    drawLayerItems(ctx, kind, list, draw){
+        for (const it of list) {
+            if (!this.isItemVisible(it, kind)) continue;
+            const alpha = this.getItemOpacity(it, kind);
+            if (alpha === 1) { draw(it); continue; }
+            ctx.save(); ctx.globalAlpha = alpha; draw(it); ctx.restore();
+        }
+    }
+    // Newly drawn items join the active user layer, unless it is hidden or locked (they would vanish or freeze)
+    assignActiveLayer(item){
+        const layer = this.layers.find(l => l.id === this.activeLayerId);
+        const st = layer ? this.getLayerState(layer.id) : null;
+        if (layer && st.visible && !st.locked) item.layerId = layer.id;
+        return item;
+    }
+    addLayer(name){
+        name = (name || '').trim() || `Layer ${this.layers.length + 1}`;
+        const layer = { id: Date.now() + Math.random(), name };
+        this.layers.push(layer);
+        this.activeLayerId = layer.id;
+        this.updateLayersUI();
+        this.commitChange('Add layer');
+        this.showInfoMessage(`Layer "${name}" added – new items go on it.`, 'success', 2000);
+    }
+    // Deleting a layer keeps its items; they are left on their category layers only
+    deleteLayer(layer){
+        this.layers = this.layers.filter(l => l !== layer);
+        [...this.objects, ...this.paths, ...this.obstacles, ...this.zones, ...this.annotations, ...this.measurements].forEach(it => { if (it.layerId === layer.id) delete it.layerId; });
+        delete this.layerState[layer.id];
+        if (this.activeLayerId === layer.id) this.activeLayerId = null;
+        this.updateLayersUI();
+        this.render();
+        this.commitChange('Delete layer');
+    }
+    moveSelectionToLayer(value){
+        const items = this.getSelectedItems();
+        if (!items.length || value === '') return;
+        const layer = this.layers.find(l => String(l.id) === value);
+        items.forEach(it => { if (layer) it.layerId = layer.id; else delete it.layerId; });
+        this.setSelection(items.filter(it => this.isItemInteractive(it)));
+        this.render();
+        this.commitChange('Move to layer');
+        this.showInfoMessage(`${items.length} item${items.length === 1 ? '' : 's'} moved to ${layer ? `"${layer.name}"` : 'no user layer'}.`, 'success', 1500);
+    }
+    // Layer ids from another diagram (clipboard, merged file): a local layer with the same id or name is reused,
+    // others are added. Returns old id → local id.
+    adoptLayers(layers){
+        const map = new Map();
+        (layers || []).forEach(l => {
+            const local = this.layers.find(x => x.id === l.id) || this.layers.find(x => x.name === l.name);
+            if (local) { map.set(l.id, local.id); return; }
+            const id = Date.now() + Math.random();
+            this.layers.push({ ...l, id });
+            map.set(l.id, id);
+        });
+        return map;
+    }
+    updateLayersUI(){
+        const list = document.getElementById('layerList');
+        if (list) {
+            list.innerHTML = '';
+            const row = (id, name, userLayer) => {
+                const st = this.getLayerState(id);
+                const el = document.createElement('div'); el.className = 'layer-item' + (userLayer ? ' layer-item--user' : '');
+                const check = (prop, title, value) => {
+                    const c = document.createElement('input'); c.type = 'checkbox'; c.checked = value; c.title = title; c.setAttribute('aria-label', `${title}: ${name}`);
+                    c.addEventListener('change', () => this.setLayerState(id, { [prop]: c.checked }));
+                    return c;
+                };
+                el.appendChild(check('visible', 'Visible', st.visible));
+                el.appendChild(check('locked', 'Locked', st.locked));
+                let label;
+                if (userLayer) {
+                    label = document.createElement('input'); label.type = 'text'; label.className = 'layer-name layer-name-input'; label.value = name; label.setAttribute('aria-label', 'Layer name');
+                    label.addEventListener('change', () => {
+                        const v = label.value.trim(); if (!v || v === userLayer.name) { label.value = userLayer.name; return; }
+                        userLayer.name = v; this.updateLayersUI(); this.commitChange('Rename layer');
+                    });
+                } else { label = document.createElement('span'); label.className = 'layer-name'; label.textContent = name; }
+                el.appendChild(label);
+                const opacity = document.createElement('input'); opacity.type = 'range'; opacity.min = '10'; opacity.max = '100'; opacity.step = '5';
+                opacity.value = String(Math.round(st.opacity * 100)); opacity.className = 'layer-opacity'; opacity.title = 'Opacity'; opacity.setAttribute('aria-label', `Opacity: ${name}`);
+                opacity.addEventListener('input', () => this.setLayerState(id, { opacity: parseInt(opacity.value) / 100 }));
+                el.appendChild(opacity);
+                if (userLayer) {
+                    const del = document.createElement('button'); del.type = 'button'; del.className = 'panel-close-btn'; del.textContent = '×'; del.title = 'Delete layer (its items are kept)'; del.setAttribute('aria-label', `Delete layer ${name}`);
+                    del.addEventListener('click', () => this.deleteLayer(userLayer));
+                    el.appendChild(del);
+                }
+                list.appendChild(el);
+            };
+            [...LAYER_CATEGORIES].reverse().forEach(c => row(c.id, c.name, null));
+            this.layers.forEach(l => row(l.id, l.name, l));
+        }
+        const active = document.getElementById('activeLayer');
+        if (active) {
+            if (!this.layers.some(l => l.id === this.activeLayerId)) this.activeLayerId = null;
+            this.fillLayerSelect(active, [['', 'None']]);
+            active.value = this.activeLayerId != null ? String(this.activeLayerId) : '';
+        }
+        this.updateLayerSelects();
+    }
+    fillLayerSelect(sel, leading){
+        sel.innerHTML = '';
+        [...leading, ...this.layers.map(l => [String(l.id), l.name])].forEach(([value, text]) => {
+            const o = document.createElement('option'); o.value = value; o.textContent = text; sel.appendChild(o);
+        });
+    }
+    updateLayerSelects(){
+        const move = document.getElementById('moveToLayer');
+        if (!move) return;
+        this.fillLayerSelect(move, [['', 'Move selection to…'], ['none', 'No user layer']]);
+        move.value = '';
+        move.disabled = !this.getSelectedItems().length || !this.layers.length;
+    }
+
+    // ---- Project file export / import ----
+    // File format history:
+    //   v1 – { version, objects, paths, obstacles, zones, scale, backgroundTransform }
+    //   v2 – project-shaped: { format, version, name, diagram, scale, view, backgroundTransform, backgroundRect,
+    //        background:{ kind, name, mimeType, data(base64) }, currentPage, pages }
+    //        background.kind may also be 'svg' or 'dxf' with options:{ units, hiddenLayers } (no version bump)
+    //   v3 – adds scenarios:{ currentScenarioId, scenarios:[{ id, name, autoReroute, diagram }] } (top level and per page)
+    //        diagrams may carry groups:[{ id, name, memberIds }] (named groups; optional, so no version bump)
+    //        diagrams may carry layers:[{ id, name }] referenced by items' layerId, and projects a view-only
+    //        layerState:{ [layerId]: { visible, locked, opacity } } (both optional, no version bump)
+    //        diagrams may carry annotations:[{ id, type:'note'|'callout'|'kaizen', text, color, fontSize, x, y,
+    //        tipX?, tipY?, targetId?, offsetX?, offsetY? }] and measurements:[{ id, kind:'distance'|'area', points }]
+    //        (both optional, no version bump)
+    async exportData(){
+        let background = null;
+        const src = this.backgroundSource;
+        if (src && src.data) background = { kind: src.kind, name: src.name, mimeType: src.mimeType, data: this.arrayBufferToBase64(src.data), ...(src.options ? { options: src.options } : {}) };
+        const record = this.serializeProject();
+        const data = {
+            format: 'spaghetti-diagram',
+            version: PROJECT_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            name: this.currentProjectName,
+            diagram: record.diagram,
+            scale: record.scale,
+            view: record.view,
+            layerState: record.layerState,
+            backgroundTransform: record.backgroundTransform,
+            backgroundRect: record.backgroundRect,
+            background,
+            scenarios: record.scenarios,
+            currentPage: record.currentPage,
+            pages: record.pages
+        };
+        this.downloadFile(JSON.stringify(data,null,2), 'application/json', `${(this.currentProjectName || 'spaghetti_diagram').replace(/[^\w\-]+/g,'_')}.json`);
+    }
+
+    arrayBufferToBase64(buffer){
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        const chunk = 0x8000; // avoid call-stack limits on large backgrounds
+        for (let i = 0; i < bytes.length; i += chunk) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+        return btoa(binary);
+    }
+    base64ToArrayBuffer(b64){
+        const binary = atob(b64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes.buffer;
+    }
+
+    // Each step upgrades a file from version N to N+1; add a step here whenever the format changes.
+    migrateProjectData(data, report){
+        const steps = {
+            1: (d) => ({
+                format: 'spaghetti-diagram',
+                version: 2,
+                name: d.name,
+                diagram: { objects: d.objects, paths: d.paths, obstacles: d.obstacles || [], zones: d.zones || [] },
+                scale: d.scale,
+                view: null,
+                backgroundTransform: d.backgroundTransform,
+                backgroundRect: null,
+                background: null,
+                currentPage: null,
+                pages: null
+            }),
+            2: (d) => ({ ...d, version: 3, scenarios: null })
+        };
+        let v = data.version;
+        while (v < PROJECT_FILE_VERSION) {
+            const step = steps[v];
+            if (!step) { report.fatal.push(`version: no migration from version ${v}`); return null; }
+            if (v === 1 && (!Array.isArray(data.objects) || !Array.isArray(data.paths))) {
+                report.fatal.push('objects/paths: version 1 files must contain "objects" and "paths" arrays');
+                return null;
+            }
+            data = step(data);
+            report.migratedFrom = report.migratedFrom || v;
+            v = data.version;
+        }
+        return data;
+    }
+
+    // Validate + sanitize an imported file. Returns { data, report } where report lists
+    // fatal problems (nothing imported), errors (item skipped) and warnings (value fixed up).
+    validateProjectData(raw){
+        const report = { fatal: [], errors: [], warnings: [], migratedFrom: null };
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) { report.fatal.push('File root must be a JSON object.'); return { data: null, report }; }
+        if (!Number.isInteger(raw.version) || raw.version < 1) { report.fatal.push(`version: expected a positive integer, got ${JSON.stringify(raw.version)}`); return { data: null, report }; }
+        if (raw.version > PROJECT_FILE_VERSION) { report.fatal.push(`version: file version ${raw.version} is newer than this app supports (${PROJECT_FILE_VERSION}).`); return { data: null, report }; }
+        const d = this.migrateProjectData(JSON.parse(JSON.stringify(raw)), report);
+        if (!d) return { data: null, report };
+        const diagram = this.validateDiagramData(d.diagram, 'diagram', report, true);
+        if (!diagram) return { data: null, report };
+        const out = {
+            version: PROJECT_FILE_VERSION,
+            name: typeof d.name === 'string' && d.name.trim() ? d.name.trim() : null,
+            diagram,
+            scale: this.validateScaleData(d.scale, 'scale', report),
+            view: this.validateViewData(d.view, 'view', report),
+            layerState: this.validateLayerStateData(d.layerState, 'layerState', report),
+            backgroundTransform: this.validateBackgroundTransformData(d.backgroundTransform, 'backgroundTransform', report),
+            backgroundRect: null,
+            background: this.validateBackgroundData(d.background, 'background', report),
+            scenarios: this.validateScenarioData(d.scenarios, 'scenarios', report),
+            currentPage: null,
+            pages: null
+        };
+        out.backgroundRect = this.validateBackgroundRectData(d.backgroundRect, 'backgroundRect', report);
+        if (d.pages != null) {
+            if (!out.background || out.background.kind !== 'pdf') report.warnings.push('pages: ignored because the file has no PDF background');
+            else if (typeof d.pages !== 'object' || Array.isArray(d.pages)) report.errors.push('pages: expected an object keyed by page number – ignored');
+            else {
+                out.pages = {};
+                Object.keys(d.pages).forEach(key => {
+                    const n = parseInt(key);
+                    const where = `pages[${key}]`;
+                    const page = d.pages[key];
+                    if (!(n >= 1) || String(n) !== String(key)) { report.errors.push(`${where}: key must be a page number – skipped`); return; }
+                    if (!page || typeof page !== 'object') { report.errors.push(`${where}: expected an object – skipped`); return; }
+                    const pageDiagram = this.validateDiagramData(page.diagram, `${where}.diagram`, report, false);
+                    if (!pageDiagram) return;
+                    out.pages[n] = {
+                        diagram: pageDiagram,
+                        scale: this.validateScaleData(page.scale, `${where}.scale`, report),
+                        view: this.validateViewData(page.view, `${where}.view`, report),
+                        backgroundTransform: this.validateBackgroundTransformData(page.backgroundTransform, `${where}.backgroundTransform`, report),
+                        backgroundRect: this.validateBackgroundRectData(page.backgroundRect, `${where}.backgroundRect`, report),
+                        scenarios: this.validateScenarioData(page.scenarios, `${where}.scenarios`, report)
+                    };
+                });
+                out.currentPage = Number.isInteger(d.currentPage) && d.currentPage >= 1 ? d.currentPage : 1;
+            }
+        }
+        return { data: out, report };
+    }
+
+    validateDiagramData(d, prefix, report, required){
+        if (!d || typeof d !== 'object' || Array.isArray(d)) {
+            (required ? report.fatal : report.errors).push(`${prefix}: expected an object with objects/paths/obstacles/zones arrays`);
+            return null;
+        }
+        const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+        const newId = () => Date.now() + Math.random();
+        const seenIds = new Set();
+        const checkId = (item, where) => {
+            const ok = (typeof item.id === 'number' && Number.isFinite(item.id)) || (typeof item.id === 'string' && item.id !== '');
+            if (!ok) { report.warnings.push(`${where}.id: missing or invalid – new id assigned`); item.id = newId(); }
+            else if (seenIds.has(item.id)) { report.warnings.push(`${where}.id: duplicate id ${JSON.stringify(item.id)} – new id assigned`); item.id = newId(); }
+            seenIds.add(item.id);
+        };
+        const checkRect = (item, where) => {
+            const bad = ['x','y','width','height'].filter(k => !isNum(item[k]));
+            if (bad.length) { report.errors.push(`${where}: ${bad.join(', ')} must be ${bad.length > 1 ? 'finite numbers' : 'a finite number'} – skipped`); return false; }
+            if (item.width <= 0 || item.height <= 0) { report.errors.push(`${where}: width and height must be greater than 0 – skipped`); return false; }
+            return true;
+        };
+        const list = (key) => {
+            const v = d[key];
+            if (v === undefined || v === null) return [];
+            if (!Array.isArray(v)) { report.errors.push(`${prefix}.${key}: expected an array – ignored`); return []; }
+            return v;
+        };
+        const isItem = (item, where) => {
+            if (item && typeof item === 'object' && !Array.isArray(item)) return true;
+            report.errors.push(`${where}: expected an object – skipped`);
+            return false;
+        };
+        const out = { objects: [], paths: [], obstacles: [], zones: [], annotations: [], measurements: [], groups: [], layers: [] };
+        list('objects').forEach((item, i) => {
+            const where = `${prefix}.objects[${i}]`;
+            if (!isItem(item, where) || !checkRect(item, where)) return;
+            const o = { ...item }; // unknown properties are kept for forward compatibility
+            checkId(o, where);
+            const template = this.objectTemplates.find(t => t.name === o.type);
+            if (typeof o.type !== 'string' || !o.type) { report.warnings.push(`${where}.type: missing – set to "Equipment"`); o.type = 'Equipment'; }
+            else if (!template) report.warnings.push(`${where}.type: unknown type "${o.type}" – kept as is`);
+            if (typeof o.name !== 'string' || !o.name.trim()) { o.name = `${o.type} ${out.objects.length + 1}`; report.warnings.push(`${where}.name: missing – set to "${o.name}"`); }
+            if (typeof o.color !== 'string' || !o.color) { o.color = template ? template.color : '#777777'; report.warnings.push(`${where}.color: missing – default colour used`); }
+            if (!isNum(o.visits) || o.visits < 0) o.visits = 0;
+            if (o.rotation !== undefined && !isNum(o.rotation)) { report.warnings.push(`${where}.rotation: must be a finite number – set to 0`); delete o.rotation; }
+            if (o.footprint !== undefined) {
+                if (!Array.isArray(o.footprint) || o.footprint.length < 3 || o.footprint.some(pt => !pt || !isNum(pt.x) || !isNum(pt.y))) { report.warnings.push(`${where}.footprint: expected at least 3 points with finite x/y – object kept as a rectangle`); delete o.footprint; }
+                else o.footprint = o.footprint.map(pt => ({ x: Math.min(1, Math.max(0, pt.x)), y: Math.min(1, Math.max(0, pt.y)) }));
+            }
+            if (o.accessPoints !== undefined) {
+                if (!Array.isArray(o.accessPoints)) { report.warnings.push(`${where}.accessPoints: expected an array – removed`); delete o.accessPoints; }
+                else {
+                    const apIds = new Set();
+                    o.accessPoints = o.accessPoints.filter((ap, k) => {
+                        if (ap && isNum(ap.x) && isNum(ap.y)) return true;
+                        report.warnings.push(`${where}.accessPoints[${k}]: x and y must be finite numbers – removed`);
+                        return false;
+                    }).map((ap, k) => {
+                        let id = ap.id;
+                        if (!((isNum(id)) || (typeof id === 'string' && id !== '')) || apIds.has(id)) id = newId();
+                        apIds.add(id);
+                        return { ...ap, id, name: typeof ap.name === 'string' && ap.name.trim() ? ap.name : `Point ${k + 1}`, x: Math.min(1, Math.max(0, ap.x)), y: Math.min(1, Math.max(0, ap.y)) };
+                    });
+                    if (!o.accessPoints.length) delete o.accessPoints;
+                }
+            }
+            out.objects.push(o);
+        });
+        const objectIds = new Set(out.objects.map(o => o.id));
+        list('paths').forEach((item, i) => {
+            const where = `${prefix}.paths[${i}]`;
+            if (!isItem(item, where)) return;
+            if (!Array.isArray(item.points) || item.points.length < 2) { report.errors.push(`${where}.points: expected at least 2 points – skipped`); return; }
+            const badPt = item.points.findIndex(pt => !pt || !isNum(pt.x) || !isNum(pt.y));
+            if (badPt !== -1) { report.errors.push(`${where}.points[${badPt}]: x and y must be finite numbers – skipped`); return; }
+            const p = { ...item, points: item.points.map(pt => ({ ...pt, x: pt.x, y: pt.y })) };
+            checkId(p, where);
+            if (!Number.isInteger(p.frequency) || p.frequency < 1) {
+                const fixed = Math.max(1, Math.round(Number(p.frequency)) || 1);
+                if (p.frequency !== undefined) report.warnings.push(`${where}.frequency: ${JSON.stringify(p.frequency)} is not a positive integer – set to ${fixed}`);
+                p.frequency = fixed;
+            }
+            if (typeof p.description !== 'string' || !p.description.trim()) p.description = `Path ${out.paths.length + 1}`;
+            if (typeof p.color !== 'string' || !p.color) p.color = '#ff0000';
+            ['startObjectId','endObjectId'].forEach(k => {
+                if (p[k] === undefined || p[k] === null) { p[k] = null; return; }
+                if (!objectIds.has(p[k])) { report.warnings.push(`${where}.${k}: references missing object ${JSON.stringify(p[k])} – link removed`); p[k] = null; }
+            });
+            [['startObjectId','startAccessId'],['endObjectId','endAccessId']].forEach(([objKey, k]) => {
+                if (p[k] === undefined || p[k] === null) { delete p[k]; return; }
+                const obj = p[objKey] !== null ? out.objects.find(o => o.id === p[objKey]) : null;
+                if (!obj || !(obj.accessPoints || []).some(ap => ap.id === p[k])) { report.warnings.push(`${where}.${k}: references missing access point ${JSON.stringify(p[k])} – nearest one used`); delete p[k]; }
+            });
+            p.length = this.calculatePathLength(p.points);
+            out.paths.push(p);
+        });
+        list('obstacles').forEach((item, i) => {
+            const where = `${prefix}.obstacles[${i}]`;
+            if (!isItem(item, where) || !checkRect(item, where)) return;
+            const ob = { ...item };
+            checkId(ob, where);
+            if (ob.shape !== undefined && !['rect', 'circle', 'polygon'].includes(ob.shape)) { report.warnings.push(`${where}.shape: ${JSON.stringify(ob.shape)} is not rect/circle/polygon – treated as a rectangle`); delete ob.shape; }
+            if (ob.rotation !== undefined && !isNum(ob.rotation)) { report.warnings.push(`${where}.rotation: must be a finite number – set to 0`); delete ob.rotation; }
+            if (ob.shape === 'circle' && ob.width !== ob.height) ob.height = ob.width = Math.max(ob.width, ob.height);
+            if (ob.shape === 'polygon' || ob.points !== undefined) {
+                if (!Array.isArray(ob.points) || ob.points.length < 3 || ob.points.some(pt => !pt || !isNum(pt.x) || !isNum(pt.y))) { report.warnings.push(`${where}.points: expected at least 3 points with finite x/y – obstacle kept as a rectangle`); delete ob.points; delete ob.shape; }
+                else { ob.points = ob.points.map(pt => ({ x: pt.x, y: pt.y })); ob.shape = 'polygon'; delete ob.rotation; this.syncShapeBounds(ob); }
+            }
+            out.obstacles.push(ob);
+        });
+        list('zones').forEach((item, i) => {
+            const where = `${prefix}.zones[${i}]`;
+            if (!isItem(item, where) || !checkRect(item, where)) return;
+            const z = { ...item };
+            checkId(z, where);
+            if (ZONE_TYPE_ALIASES[z.type]) z.type = ZONE_TYPE_ALIASES[z.type];
+            else if (!ZONE_TYPES[z.type]) { report.warnings.push(`${where}.type: ${JSON.stringify(z.type)} is not one of ${Object.keys(ZONE_TYPES).join('/')} – set to "safe"`); z.type = 'safe'; }
+            if (z.costMultiplier !== undefined && z.costMultiplier !== null && !(isNum(z.costMultiplier) && z.costMultiplier > 0)) { report.warnings.push(`${where}.costMultiplier: ${JSON.stringify(z.costMultiplier)} is not a positive number – type default used`); delete z.costMultiplier; }
+            if (z.points !== undefined) {
+                if (!Array.isArray(z.points) || z.points.length < 3 || z.points.some(pt => !pt || !isNum(pt.x) || !isNum(pt.y))) { report.warnings.push(`${where}.points: expected at least 3 points with finite x/y – zone kept as a rectangle`); delete z.points; delete z.shape; }
+                else { z.points = z.points.map(pt => ({ x: pt.x, y: pt.y })); this.syncShapeBounds(z); }
+            }
+            if (typeof z.name !== 'string') z.name = 'Zone';
+            out.zones.push(z);
+        });
+        // Annotations may be linked to an object or path of the same diagram
+        const targetIds = new Set([...out.objects, ...out.paths].map(it => it.id));
+        list('annotations').forEach((item, i) => {
+            const where = `${prefix}.annotations[${i}]`;
+            if (!isItem(item, where)) return;
+            if (!isNum(item.x) || !isNum(item.y)) { report.errors.push(`${where}: x and y must be finite numbers – skipped`); return; }
+            const a = { ...item };
+            checkId(a, where);
+            if (!ANNOTATION_TYPES[a.type]) { report.warnings.push(`${where}.type: ${JSON.stringify(a.type)} is not one of ${Object.keys(ANNOTATION_TYPES).join('/')} – set to "note"`); a.type = 'note'; }
+            if (typeof a.text !== 'string') a.text = '';
+            if (typeof a.color !== 'string' || !a.color) a.color = ANNOTATION_TYPES[a.type].color;
+            if (!isNum(a.fontSize) || a.fontSize <= 0) { if (a.fontSize !== undefined) report.warnings.push(`${where}.fontSize: must be a positive number – set to 14`); a.fontSize = 14; }
+            else a.fontSize = Math.min(72, Math.max(8, a.fontSize));
+            if (a.type === 'callout' && (!isNum(a.tipX) || !isNum(a.tipY))) { a.tipX = a.x; a.tipY = a.y + 60; }
+            if (a.targetId !== undefined && a.targetId !== null) {
+                if (!targetIds.has(a.targetId)) { report.warnings.push(`${where}.targetId: references missing object or path ${JSON.stringify(a.targetId)} – link removed`); this.unlinkAnnotation(a); }
+                else { if (!isNum(a.offsetX)) a.offsetX = 0; if (!isNum(a.offsetY)) a.offsetY = 0; }
+            } else this.unlinkAnnotation(a);
+            out.annotations.push(a);
+        });
+        list('measurements').forEach((item, i) => {
+            const where = `${prefix}.measurements[${i}]`;
+            if (!isItem(item, where)) return;
+            const kind = item.kind === 'area' ? 'area' : 'distance';
+            const min = kind === 'area' ? 3 : 2;
+            if (!Array.isArray(item.points) || item.points.length < min || item.points.some(pt => !pt || !isNum(pt.x) || !isNum(pt.y))) { report.errors.push(`${where}.points: expected at least ${min} points with finite x/y – skipped`); return; }
+            if (item.kind !== kind) report.warnings.push(`${where}.kind: ${JSON.stringify(item.kind)} is not distance/area – set to "distance"`);
+            const m = { ...item, kind, points: item.points.map(pt => ({ x: pt.x, y: pt.y })) };
+            checkId(m, where);
+            out.measurements.push(m);
+        });
+        // Named groups reference items of any kind; each item may only belong to one group
+        const itemIds = new Set([...out.objects, ...out.paths, ...out.obstacles, ...out.zones, ...out.annotations, ...out.measurements].map(it => it.id));
+        const grouped = new Set();
+        list('groups').forEach((item, i) => {
+            const where = `${prefix}.groups[${i}]`;
+            if (!isItem(item, where)) return;
+            if (!Array.isArray(item.memberIds)) { report.errors.push(`${where}.memberIds: expected an array – skipped`); return; }
+            const g = { ...item };
+            checkId(g, where);
+            if (typeof g.name !== 'string' || !g.name.trim()) g.name = `Group ${out.groups.length + 1}`;
+            const members = [...new Set(g.memberIds)].filter(id => itemIds.has(id) && !grouped.has(id));
+            if (members.length !== g.memberIds.length) report.warnings.push(`${where}.memberIds: ${g.memberIds.length - members.length} missing, repeated or already grouped item(s) removed`);
+            if (members.length < 2) { report.warnings.push(`${where}: fewer than 2 members – group removed`); return; }
+            members.forEach(id => grouped.add(id));
+            g.memberIds = members;
+            out.groups.push(g);
+        });
+        // User layers; an item naming a layer that isn't there is left on its category layer only
+        list('layers').forEach((item, i) => {
+            const where = `${prefix}.layers[${i}]`;
+            if (!isItem(item, where)) return;
+            const l = { ...item };
+            checkId(l, where);
+            if (typeof l.name !== 'string' || !l.name.trim()) l.name = `Layer ${out.layers.length + 1}`;
+            out.layers.push(l);
+        });
+        const layerIds = new Set(out.layers.map(l => l.id));
+        ['objects', 'paths', 'obstacles', 'zones', 'annotations', 'measurements'].forEach(key => out[key].forEach((it, i) => {
+            if (it.layerId === undefined || layerIds.has(it.layerId)) return;
+            report.warnings.push(`${prefix}.${key}[${i}].layerId: ${JSON.stringify(it.layerId)} is not a layer in this diagram – removed`);
+            delete it.layerId;
+        }));
+        return out;
+    }
+
+    // The active scenario's content is the surrounding `diagram`, so only inactive entries carry one
+    validateScenarioData(st, prefix, report){
+        if (st == null) return null;
+        if (typeof st !== 'object' || !Array.isArray(st.scenarios)) { report.warnings.push(`${prefix}: expected { currentScenarioId, scenarios:[] } – scenarios ignored`); return null; }
+        const out = [];
+        const seen = new Set();
+        st.scenarios.forEach((sc, i) => {
+            const where = `${prefix}.scenarios[${i}]`;
+            if (!sc || typeof sc !== 'object') { report.errors.push(`${where}: expected an object – skipped`); return; }
+            const active = sc.id === st.currentScenarioId;
+            let id = sc.id;
+            if (typeof id !== 'string' || !id || seen.has(id)) {
+                if (active) { report.warnings.push(`${prefix}: active scenario id is invalid – scenarios ignored`); return; }
+                id = 's_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+                report.warnings.push(`${where}.id: missing or duplicate – new id assigned`);
+            }
+            seen.add(id);
+            let diagram = null;
+            if (!active) {
+                diagram = this.validateDiagramData(sc.diagram, `${where}.diagram`, report, false);
+                if (!diagram) return;
+            }
+            const name = typeof sc.name === 'string' && sc.name.trim() ? sc.name.trim() : `Scenario ${i + 1}`;
+            out.push({ id, name, autoReroute: !!sc.autoReroute, diagram });
+        });
+        if (!out.some(sc => sc.id === st.currentScenarioId)) { report.warnings.push(`${prefix}.currentScenarioId: not found – scenarios ignored`); return null; }
+        return { currentScenarioId: st.currentScenarioId, scenarios: out };
+    }
+
+    validateScaleData(s, prefix, report){
+        if (s == null) return null;
+        if (typeof s !== 'object') { report.warnings.push(`${prefix}: expected an object – ignored`); return null; }
+        const out = { units: 'ft', unitsPerPixel: 0, scaleX: 0, scaleY: 0, calibrationRefs: [], calibrationUniform: !!s.calibrationUniform, stepsPerUnit: 0, gridCellUnits: 1 };
+        if (s.units === 'ft' || s.units === 'm') out.units = s.units;
+        else if (s.units !== undefined) report.warnings.push(`${prefix}.units: ${JSON.stringify(s.units)} is not "ft" or "m" – set to "ft"`);
+        ['unitsPerPixel','scaleX','scaleY','stepsPerUnit'].forEach(k => {
+            if (s[k] === undefined) return;
+            if (typeof s[k] === 'number' && Number.isFinite(s[k]) && s[k] >= 0) out[k] = s[k];
+            else report.warnings.push(`${prefix}.${k}: expected a number ≥ 0 – reset to 0`);
+        });
+        if (s.gridCellUnits !== undefined) {
+            if (typeof s.gridCellUnits === 'number' && s.gridCellUnits > 0) out.gridCellUnits = s.gridCellUnits;
+            else report.warnings.push(`${prefix}.gridCellUnits: expected a number > 0 – reset to 1`);
+        }
+        if (s.calibrationRefs !== undefined) {
+            if (!Array.isArray(s.calibrationRefs)) report.warnings.push(`${prefix}.calibrationRefs: expected an array – ignored`);
+            else s.calibrationRefs.forEach((r, i) => {
+                const pt = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+                if (r && pt(r.a) && pt(r.b) && typeof r.real === 'number' && r.real > 0) out.calibrationRefs.push({ id: r.id ?? Date.now() + Math.random(), a: { x: r.a.x, y: r.a.y }, b: { x: r.b.x, y: r.b.y }, real: r.real });
+                else report.warnings.push(`${prefix}.calibrationRefs[${i}]: expected { a:{x,y}, b:{x,y}, real > 0 } – dropped`);
+            });
+        }
+        return out;
+    }
+
+    validateViewData(v, prefix, report){
+        if (v == null) return null;
+        const ok = v && typeof v.zoom === 'number' && v.pan && Number.isFinite(v.pan.x) && Number.isFinite(v.pan.y);
+        if (!ok) { report.warnings.push(`${prefix}: expected { zoom, pan:{x,y} } – view will be reset`); return null; }
+        const zoom = Math.max(0.1, Math.min(8, v.zoom));
+        if (zoom !== v.zoom) report.warnings.push(`${prefix}.zoom: ${v.zoom} out of range – clamped to ${zoom}`);
+        return { zoom, pan: { x: v.pan.x, y: v.pan.y } };
+    }
+
+    // Keys are layer ids (built-in category names or user layer ids); unusable entries fall back to the defaults
+    validateLayerStateData(st, prefix, report){
+        if (st == null) return null;
+        if (typeof st !== 'object' || Array.isArray(st)) { report.warnings.push(`${prefix}: expected an object keyed by layer id – layers reset`); return null; }
+        const out = {};
+        Object.keys(st).forEach(key => {
+            const v = st[key];
+            if (!v || typeof v !== 'object') { report.warnings.push(`${prefix}.${key}: expected { visible, locked, opacity } – reset`); return; }
+            const entry = { visible: v.visible !== false, locked: v.locked === true, opacity: 1 };
+            if (v.opacity !== undefined) {
+                if (typeof v.opacity === 'number' && Number.isFinite(v.opacity)) entry.opacity = Math.max(0.1, Math.min(1, v.opacity));
+                else report.warnings.push(`${prefix}.${key}.opacity: expected a number – set to 1`);
+            }
+            out[key] = entry;
+        });
+        return out;
+    }
+
+    validateBackgroundRectData(r, prefix, report){
+        if (r == null) return null;
+        if (r && ['x','y','width','height'].every(k => Number.isFinite(r[k])) && r.width > 0 && r.height > 0) return { x: r.x, y: r.y, width: r.width, height: r.height };
+        report.warnings.push(`${prefix}: invalid – background will be fitted to its natural size`);
+        return null;
+    }
+
+    validateBackgroundTransformData(t, prefix, report){
+        const out = { rotation: 0, flipH: false, flipV: false };
+        if (t == null) return out;
+        if (typeof t !== 'object') { report.warnings.push(`${prefix}: expected an object – reset`); return out; }
+        if (Number.isFinite(t.rotation)) out.rotation = t.rotation;
+        else if (t.rotation !== undefined) report.warnings.push(`${prefix}.rotation: expected a number – reset to 0`);
+        out.flipH = !!t.flipH; out.flipV = !!t.flipV;
+        const { warp, ...rest } = t;
+        if (warp !== undefined) {
+            if (warp && (warp.type === 'affine' || warp.type === 'perspective') && Array.isArray(warp.matrix) && warp.matrix.length === 9 && warp.matrix.every(Number.isFinite)) out.warp = { type: warp.type, matrix: [...warp.matrix] };
+            else report.warnings.push(`${prefix}.warp: expected { type: "affine"|"perspective", matrix: [9 numbers] } – alignment dropped`);
+        }
+        return { ...rest, ...out };
+    }
+
+    validateBackgroundData(b, prefix, report){
+        if (b == null) return null;
+        if (typeof b !== 'object') { report.errors.push(`${prefix}: expected an object – background skipped`); return null; }
+        if (!['image', 'pdf', 'svg', 'dxf'].includes(b.kind)) { report.errors.push(`${prefix}.kind: expected "image", "pdf", "svg" or "dxf" – background skipped`); return null; }
+        if (typeof b.data !== 'string' || !b.data) { report.errors.push(`${prefix}.data: missing base64 content – background skipped`); return null; }
+        let bytes;
+        try { bytes = this.base64ToArrayBuffer(b.data); }
+        catch (_) { report.errors.push(`${prefix}.data: not valid base64 – background skipped`); return null; }
+        const out = { kind: b.kind, name: typeof b.name === 'string' ? b.name : `background.${b.kind === 'image' ? 'png' : b.kind}`, mimeType: typeof b.mimeType === 'string' ? b.mimeType : ({ pdf: 'application/pdf', svg: 'image/svg+xml', dxf: 'image/vnd.dxf' }[b.kind] || 'image/png'), data: bytes };
+        if ((b.kind === 'svg' || b.kind === 'dxf') && b.options != null) {
+            const o = b.options;
+            if (typeof o !== 'object') report.warnings.push(`${prefix}.options: expected an object – ignored`);
+            else out.options = {
+                units: ['none', 'mm', 'cm', 'm', 'in', 'ft'].includes(o.units) ? o.units : 'none',
+                hiddenLayers: Array.isArray(o.hiddenLayers) ? o.hiddenLayers.filter(n => typeof n === 'string') : []
+            };
+        }
+        return out;
+    }
+
+    async handleImport(e){
+        const input = e.target;
+        const file = input.files && input.files[0];
+        if (!file) return;
+        try {
+            const text = await file.text();
+            let raw;
+            try { raw = JSON.parse(text); }
+            catch (err) {
+                this.openImportModal(file.name, { data: null, report: { fatal: [`File is not valid JSON: ${err.message}`], errors: [], warnings: [] } });
+                return;
+            }
+            this.openImportModal(file.name, this.validateProjectData(raw));
+        } catch (err) {
+            this.showInfoMessage(`Import failed: ${err && err.message ? err.message : err}`, 'error');
+        } finally {
+            try { input.value = ''; } catch(_) {}
+        }
+    }
+
+    openImportModal(fileName, result){
+        this._pendingImport = result;
+        const { data, report } = result;
+        const summary = document.getElementById('importSummary');
+        const issues = document.getElementById('importIssues');
+        const confirmBtn = document.getElementById('confirmImport');
+        const modeGroup = document.getElementById('importModeGroup');
+        if (summary) {
+            if (data) {
+                const d = data.diagram;
+                const pageCount = data.pages ? Object.keys(data.pages).length : 0;
+                summary.textContent = `${fileName}: ${d.objects.length} objects, ${d.paths.length} paths, ${d.zones.length} zones, ${d.obstacles.length} obstacles`
+                    + (d.annotations.length ? `, ${d.annotations.length} annotations` : '')
+                    + (d.measurements.length ? `, ${d.measurements.length} measurements` : '')
+                    + (data.background ? `, ${data.background.kind.toUpperCase()} background` : '')
+                    + (pageCount > 1 ? `, ${pageCount} pages` : '')
+                    + (data.scenarios && data.scenarios.scenarios.length > 1 ? `, ${data.scenarios.scenarios.length} scenarios` : '')
+                    + (report.migratedFrom ? ` (upgraded from format v${report.migratedFrom})` : '') + '.';
+            } else {
+                summary.textContent = `${fileName} cannot be imported.`;
+            }
+        }
+        if (issues) {
+            issues.innerHTML = '';
+            const add = (cls, label, items) => items.forEach(text => {
+                const li = document.createElement('li');
+                li.className = `import-issue import-issue--${cls}`;
+                li.textContent = `${label}: ${text}`;
+                issues.appendChild(li);
+            });
+            add('fatal', 'Error', report.fatal);
+            add('error', 'Skipped', report.errors);
+            add('warning', 'Fixed', report.warnings);
+            issues.classList.toggle('hidden', !issues.children.length);
+        }
+        if (confirmBtn) confirmBtn.disabled = !data;
+        if (modeGroup) modeGroup.classList.toggle('hidden', !data);
+        const modal = document.getElementById('importModal');
+        if (modal) modal.classList.remove('hidden');
+    }
+    closeImportModal(){ const modal = document.getElementById('importModal'); if (modal) modal.classList.add('hidden'); this._pendingImport = null; }
+
+    async confirmImport(){
+        const pending = this._pendingImport;
+        if (!pending || !pending.data) return;
+        const mode = document.querySelector('input[name="importMode"]:checked')?.value || 'replace';
+        this.closeImportModal();
+        try {
+            if (mode === 'merge') this.mergeImportedDiagram(pending.data);
+            else await this.replaceWithImportedData(pending.data);
+        } catch (err) {
+            console.error('[Import] Failed:', err);
+            this.showInfoMessage(`Import failed: ${err && err.message ? err.message : err}`, 'error');
+        }
+    }
+
+    // Replace: the current project keeps its identity (id/name) but takes the file's content, background, scale and view
+    async replaceWithImportedData(data){
+        const record = {
+            id: this.currentProjectId,
+            name: this.currentProjectName,
+            createdAt: this._projectCreatedAt,
+            diagram: data.diagram,
+            scale: data.scale,
+            view: data.view,
+            layerState: data.layerState,
+            backgroundTransform: data.backgroundTransform,
+            backgroundRect: data.backgroundRect,
+            background: data.background ? { kind: data.background.kind } : null,
+            scenarios: data.scenarios,
+            currentPage: data.currentPage,
+            pages: data.pages
+        };
+        await this.applyProject(record, data.background);
+        if (!data.view && this.backgroundRect) this.fitBackground();
+        this._backgroundDirty = true;
+        this.saveScaleToStorage();
+        await this.saveCurrentProject();
+        this.showInfoMessage('Data imported successfully!', 'success');
+    }
+
+    // Merge: append the file's items with fresh ids, remapping path → object links to the new ids
+    mergeImportedDiagram(data){
+        const idMap = new Map();
+        const freshId = (oldId) => { const id = Date.now() + Math.random(); if (oldId !== undefined) idMap.set(oldId, id); return id; };
+        const d = data.diagram;
+        const layerMap = this.adoptLayers(d.layers);
+        const relayer = (it) => { if (it.layerId !== undefined) { if (layerMap.has(it.layerId)) it.layerId = layerMap.get(it.layerId); else delete it.layerId; } return it; };
+        // The file's visit counts describe its own paths; recount them from the merged paths instead
+        d.objects.forEach(o => this.objects.push(relayer({ ...o, id: freshId(o.id), visits: 0 })));
+        d.paths.forEach(p => {
+            const c = relayer({
+                ...p,
+                id: freshId(p.id),
+                startObjectId: p.startObjectId != null && idMap.has(p.startObjectId) ? idMap.get(p.startObjectId) : null,
+                endObjectId: p.endObjectId != null && idMap.has(p.endObjectId) ? idMap.get(p.endObjectId) : null
+            });
+            this.paths.push(c);
+            this.updateObjectVisits(c);
+        });
+        d.obstacles.forEach(o => this.obstacles.push(relayer({ ...o, id: freshId(o.id) })));
+        d.zones.forEach(z => this.zones.push(relayer({ ...z, id: freshId(z.id) })));
+        (d.annotations || []).forEach(a => {
+            const c = relayer({ ...a, id: freshId(a.id) });
+            if (idMap.has(c.targetId)) c.targetId = idMap.get(c.targetId); else this.unlinkAnnotation(c);
+            this.annotations.push(c);
+        });
+        (d.measurements || []).forEach(m => this.measurements.push(relayer({ ...m, id: freshId(m.id) })));
+        (d.groups || []).forEach(g => this.groups.push({ ...g, id: freshId(), memberIds: g.memberIds.map(id => idMap.get(id)) }));
+        if (data.pages && Object.keys(data.pages).length > 1) this.showInfoMessage(`Only page ${data.currentPage || 1} of the file was merged.`, 'warning', 5000);
+        else if (data.scenarios && data.scenarios.scenarios.length > 1) this.showInfoMessage('Only the active scenario of the file was merged.', 'warning', 5000);
+        if (this.isImportedScaleDifferent(data.scale)) this.showInfoMessage('The file uses a different scale – merged items keep their pixel size and are measured with this drawing\'s calibration.', 'warning', 6000);
+        this.refreshAutoPathSelects();
+        this.updateLayersUI();
+        this.updateAnalytics();
+        this.render();
+        this.commitChange('Import (merge)');
+        this.showInfoMessage(`Merged ${d.objects.length} objects and ${d.paths.length} paths.`, 'success');
+    }
+
+    // Merged geometry is not rescaled, so a file calibrated differently (or at all, when this drawing is not) measures
+    // differently here. Per axis, as separate X/Y scales may differ while unitsPerPixel matches.
+    isImportedScaleDifferent(s){
+        if (!s || !(s.unitsPerPixel > 0)) return false;
+        if (!(this.unitsPerPixel > 0) || s.units !== this.units) return true;
+        const differs = (a, b) => Math.abs(a - b) > 1e-9 * Math.max(a, b);
+        return differs(s.scaleX || s.unitsPerPixel, this.scaleX || this.unitsPerPixel) || differs(s.scaleY || s.unitsPerPixel, this.scaleY || this.unitsPerPixel);
+    }
+
+    // ---- Metrics export (CSV / Excel) ----
+    // Per-path and per-object/zone tables for spreadsheet reporting. Real-world columns are left blank until the
+    // drawing is calibrated (unitsPerPixel) and steps need stepsPerUnit, mirroring the Analytics panel.
+    getPathMetricRows(){
+        const spu = this.stepsPerUnit > 0 ? this.stepsPerUnit : 0;
+        const objName = (id) => { const o = id != null ? this.objects.find(o => o.id === id) : null; return o ? o.name : ''; };
+        return this.paths.map((p, i) => {
+            const lengthPx = p.length || this.calculatePathLength(p.points);
+            const freq = p.frequency || 1;
+            const lengthUnits = this.getRealPolylineLength(p.points);
+            const steps = lengthUnits != null && spu ? lengthUnits * spu : null;
+            return {
+                index: i + 1,
+                description: p.description || `Path ${i + 1}`,
+                frequency: freq,
+                from: objName(p.startObjectId),
+                to: objName(p.endObjectId),
+                lengthPx,
+                lengthUnits,
+                steps,
+                weightedCost: lengthPx * freq,
+                weightedUnits: lengthUnits != null ? lengthUnits * freq : null,
+                weightedSteps: steps != null ? steps * freq : null,
+                auto: !!p.auto
+            };
+        });
+    }
+
+    getMeasurementMetricRows(){
+        const upp = this.unitsPerPixel > 0 ? this.unitsPerPixel : 0;
+        return this.measurements.map((m, i) => {
+            const lengthPx = this.getMeasurementLength(m);
+            const areaPx = m.kind === 'area' ? this.getPolygonArea(m.points) : null;
+            return { index: i + 1, kind: m.kind === 'area' ? 'Area' : 'Distance', points: m.points.length, lengthPx, lengthUnits: this.getRealPolylineLength(this.getMeasurementPolyline(m)), areaPx, areaUnits: upp && areaPx !== null ? areaPx * upp * upp : null };
+        });
+    }
+
+    getAnnotationMetricRows(){
+        return this.annotations.map(a => {
+            const t = this.getAnnotationTarget(a);
+            const linkedTo = !t ? '' : this.paths.includes(t) ? (t.description || `Path ${this.paths.indexOf(t) + 1}`) : t.name;
+            return { type: ANNOTATION_TYPES[a.type].label, text: a.text, linkedTo, x: a.x, y: a.y };
+        });
+    }
+
+    getObjectMetricRows(){
+        const upp = this.unitsPerPixel > 0 ? this.unitsPerPixel : 0;
+        return this.objects.map(o => {
+            let tripsOut = 0, tripsIn = 0, weightedPx = 0, weightedUnits = 0;
+            this.paths.forEach(p => {
+                const freq = p.frequency || 1;
+                const len = p.length || this.calculatePathLength(p.points);
+                const real = upp ? this.getRealPolylineLength(p.points) : 0;
+                if (p.startObjectId === o.id) { tripsOut += freq; weightedPx += len * freq; weightedUnits += real * freq; }
+                if (p.endObjectId === o.id) { tripsIn += freq; if (p.startObjectId !== o.id) { weightedPx += len * freq; weightedUnits += real * freq; } }
+            });
+            return { name: o.name, type: o.type, visits: o.visits || 0, tripsOut, tripsIn, weightedCost: weightedPx, weightedUnits: upp ? weightedUnits : null, x: o.x, y: o.y, width: o.width, height: o.height };
+        });
+    }
+
+    getZoneMetricRows(){
+        const upp = this.unitsPerPixel > 0 ? this.unitsPerPixel : 0;
+        return this.zones.map(z => {
+            const inside = this.objects.filter(o => this.isPointInZone({ x: o.x + o.width / 2, y: o.y + o.height / 2 }, z));
+            let pathsCrossing = 0, tripsCrossing = 0, lengthPx = 0, weightedPx = 0, lengthReal = 0, weightedReal = 0;
+            this.paths.forEach(p => {
+                let len = 0, real = 0;
+                for (let i = 1; i < (p.points || []).length; i++) {
+                    const a = p.points[i - 1], b = p.points[i];
+                    const inZone = this.segmentLengthInZone(a, b, z), seg = Math.hypot(b.x - a.x, b.y - a.y);
+                    len += inZone;
+                    // The inside pieces lie along a→b, so they take that share of its real length (separate X/Y scales)
+                    if (upp && seg > 0) real += this.getRealDistance(a, b) * inZone / seg;
+                }
+                if (len <= 0) return;
+                const freq = p.frequency || 1;
+                pathsCrossing++; tripsCrossing += freq; lengthPx += len; weightedPx += len * freq; lengthReal += real; weightedReal += real * freq;
+            });
+            const areaPx = this.getZoneArea(z);
+            return {
+                name: z.name || 'Zone', type: this.getZoneType(z), cost: this.getZoneCost(z), areaPx, areaUnits: upp ? areaPx * (this.scaleX || upp) * (this.scaleY || upp) : null,
+                objects: inside.length, visits: inside.reduce((s, o) => s + (o.visits || 0), 0),
+                pathsCrossing, tripsCrossing, lengthPx, lengthUnits: upp ? lengthReal : null,
+                weightedCost: weightedPx, weightedUnits: upp ? weightedReal : null
+            };
+        });
+    }
+
+    getZoneArea(z){ return z.points ? this.getPolygonArea(z.points) : z.width * z.height; }
+    isPointInZone(pt, z){
+        if (!(pt.x >= z.x && pt.x <= z.x + z.width && pt.y >= z.y && pt.y <= z.y + z.height)) return false;
+        return !z.points || this.pointInPolygon(pt, z.points);
+    }
+    // Zone type key, with legacy names mapped and unknown types treated as safe
+    getZoneType(z){ const t = ZONE_TYPE_ALIASES[z.type] || z.type; return ZONE_TYPES[t] ? t : 'safe'; }
+    // Auto-routing multiplier inside the zone: Infinity for restricted zones, otherwise the zone's own value or the type default
+    getZoneCost(z){ const t = this.getZoneType(z); if (t === 'restricted') return Infinity; return z.costMultiplier > 0 ? z.costMultiplier : ZONE_TYPES[t].cost; }
+    // Length of segment a→b that lies inside the zone (Liang–Barsky clip against the zone rectangle; polygons split
+    // the segment at every edge crossing and keep the pieces whose midpoint is inside)
+    segmentLengthInZone(a, b, z){
+        const dx = b.x - a.x, dy = b.y - a.y;
+        if (z.points) {
+            const ts = [0, 1];
+            z.points.forEach((p, i) => {
+                const q = z.points[(i + 1) % z.points.length];
+                const ex = q.x - p.x, ey = q.y - p.y, den = dx * ey - dy * ex;
+                if (!den) return;
+                const t = ((p.x - a.x) * ey - (p.y - a.y) * ex) / den, u = ((p.x - a.x) * dy - (p.y - a.y) * dx) / den;
+                if (t > 0 && t < 1 && u >= 0 && u <= 1) ts.push(t);
+            });
+            ts.sort((m, n) => m - n);
+            let frac = 0;
+            for (let i = 1; i < ts.length; i++) {
+                const tm = (ts[i - 1] + ts[i]) / 2;
+                if (this.isPointInZone({ x: a.x + dx * tm, y: a.y + dy * tm }, z)) frac += ts[i] - ts[i - 1];
+            }
+            return Math.hypot(dx, dy) * frac;
+        }
+        let t0 = 0, t1 = 1;
+        const edges = [[-dx, a.x - z.x], [dx, z.x + z.width - a.x], [-dy, a.y - z.y], [dy, z.y + z.height - a.y]];
+        for (const [p, q] of edges) {
+            if (p === 0) { if (q < 0) return 0; continue; }
+            const t = q / p;
+            if (p < 0) { if (t > t1) return 0; if (t > t0) t0 = t; }
+            else { if (t < t0) return 0; if (t < t1) t1 = t; }
+        }
+        return Math.hypot(dx, dy) * (t1 - t0);
+    }
+
+    // Sheet definitions shared by the CSV and workbook exports: { name, columns:[{ label, key, digits }], rows }
+    getMetricSheets(){
+        const u = this.units;
+        const num = (label, key, digits = 2) => ({ label, key, digits });
+        return {
+            paths: { name: 'Paths', rows: this.getPathMetricRows(), columns: [
+                num('#', 'index', 0), { label: 'Description', key: 'description' }, num('Frequency', 'frequency', 0),
+                { label: 'From', key: 'from' }, { label: 'To', key: 'to' },
+                num('Length (px)', 'lengthPx', 1), num(`Length (${u})`, 'lengthUnits'), num('Steps per trip', 'steps', 1),
+                num('Weighted Cost (px × freq)', 'weightedCost', 1), num(`Weighted Distance (${u})`, 'weightedUnits'), num('Weighted Steps', 'weightedSteps', 1),
+                { label: 'Auto-routed', key: 'auto', format: v => v ? 'yes' : 'no' }
+            ]},
+            objects: { name: 'Objects', rows: this.getObjectMetricRows(), columns: [
+                { label: 'Object', key: 'name' }, { label: 'Type', key: 'type' }, num('Visits', 'visits', 0),
+                num('Trips Out', 'tripsOut', 0), num('Trips In', 'tripsIn', 0),
+                num('Weighted Cost (px × freq)', 'weightedCost', 1), num(`Weighted Distance (${u})`, 'weightedUnits'),
+                num('X', 'x', 0), num('Y', 'y', 0), num('Width', 'width', 0), num('Height', 'height', 0)
+            ]},
+            zones: { name: 'Zones', rows: this.getZoneMetricRows(), columns: [
+                { label: 'Zone', key: 'name' }, { label: 'Type', key: 'type' },
+                { label: 'Routing Cost', key: 'cost', format: v => Number.isFinite(v) ? String(v) : 'blocked' },
+                num('Area (px²)', 'areaPx', 0), num(`Area (${u}²)`, 'areaUnits'),
+                num('Objects Inside', 'objects', 0), num('Visits Inside', 'visits', 0),
+                num('Paths Crossing', 'pathsCrossing', 0), num('Trips Crossing', 'tripsCrossing', 0),
+                num('Length Inside (px)', 'lengthPx', 1), num(`Length Inside (${u})`, 'lengthUnits'),
+                num('Weighted Cost (px × freq)', 'weightedCost', 1), num(`Weighted Distance (${u})`, 'weightedUnits')
+            ]},
+            measurements: { name: 'Measurements', rows: this.getMeasurementMetricRows(), columns: [
+                num('#', 'index', 0), { label: 'Kind', key: 'kind' }, num('Points', 'points', 0),
+                num('Length / Perimeter (px)', 'lengthPx', 1), num(`Length / Perimeter (${u})`, 'lengthUnits'),
+                num('Area (px²)', 'areaPx', 0), num(`Area (${u}²)`, 'areaUnits')
+            ]},
+            annotations: { name: 'Annotations', rows: this.getAnnotationMetricRows(), columns: [
+                { label: 'Type', key: 'type' }, { label: 'Text', key: 'text' }, { label: 'Linked To', key: 'linkedTo' },
+                num('X', 'x', 0), num('Y', 'y', 0)
+            ]}
+        };
+    }
+
+    metricCellValue(col, row){
+        const v = row[col.key];
+        if (col.format) return col.format(v);
+        if (v === null || v === undefined) return '';
+        if (typeof v === 'number') return col.digits !== undefined ? Number(v.toFixed(col.digits)) : v;
+        return String(v);
+    }
+
+    sheetToCsv(sheet){
+        const cell = (v) => {
+            if (typeof v === 'number') return String(v);
+            let s = String(v);
+            if (/^[=+\-@]/.test(s)) s = `'${s}`; // keep spreadsheets from evaluating user text as formulas
+            return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        const lines = [sheet.columns.map(c => cell(c.label)).join(',')];
+        sheet.rows.forEach(row => lines.push(sheet.columns.map(c => cell(this.metricCellValue(c, row))).join(',')));
+        return lines.join('\r\n');
+    }
+
+    // SpreadsheetML 2003 workbook: opens in Excel/LibreOffice/Numbers with one worksheet per table, no library needed
+    sheetsToWorkbookXml(sheets){
+        const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const cell = (v, style) => typeof v === 'number'
+            ? `<Cell${style ? ` ss:StyleID="${style}"` : ''}><Data ss:Type="Number">${v}</Data></Cell>`
+            : `<Cell${style ? ` ss:StyleID="${style}"` : ''}><Data ss:Type="String">${esc(v)}</Data></Cell>`;
+        const worksheets = sheets.map(sheet => {
+            const header = `<Row>${sheet.columns.map(c => cell(c.label, 'header')).join('')}</Row>`;
+            const rows = sheet.rows.map(row => `<Row>${sheet.columns.map(c => cell(this.metricCellValue(c, row))).join('')}</Row>`).join('\n');
+            return `<Worksheet ss:Name="${esc(sheet.name)}"><Table>\n${header}\n${rows}\n</Table></Worksheet>`;
+        }).join('\n');
+        return '<?xml version="1.0" encoding="UTF-8"?>\n<?mso-application progid="Excel.Sheet"?>\n'
+            + '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n'
+            + '<Styles><Style ss:ID="header"><Font ss:Bold="1"/></Style></Styles>\n'
+            + worksheets + '\n</Workbook>';
+    }
+
+    exportMetrics(kind){
+        const sheets = this.getMetricSheets();
+        const base = (this.currentProjectName || 'spaghetti_diagram').replace(/[^\w\-]+/g, '_');
+        if (!this.paths.length && !this.objects.length && !this.zones.length && !this.annotations.length && !this.measurements.length) { this.showInfoMessage('Nothing to export yet – draw some objects or paths first.', 'warning'); return; }
+        if (kind === 'workbook') {
+            this.downloadFile(this.sheetsToWorkbookXml([sheets.paths, sheets.objects, sheets.zones, sheets.measurements, sheets.annotations]), 'application/vnd.ms-excel', `${base}_metrics.xls`);
+        } else {
+            const sheet = sheets[kind];
+            if (!sheet) return;
+            // BOM so Excel detects UTF-8 (arrows, ², accented names)
+            this.downloadFile('\uFEFF' + this.sheetToCsv(sheet), 'text/csv;charset=utf-8', `${base}_${kind}.csv`);
+        }
+        if (!(this.unitsPerPixel > 0)) this.showInfoMessage('Scale not calibrated – real-world distance and step columns are empty.', 'warning', 4000);
+    }
+
+    downloadFile(content, type, filename){
+        const blob=new Blob([content],{type});
+        const a=document.createElement('a'); a.href=URL.createObjectURL(blob); a.download=filename;
+        a.click(); URL.revokeObjectURL(a.href);
+    }
+
+    // ---- From-to (travel) matrix ----
+    // Aggregates linked paths (startObjectId → endObjectId) into an objects × objects chart.
+    computeTravelMatrix(){
+        const objects = this.objects;
+        const index = new Map(objects.map((o, i) => [o.id, i]));
+        const n = objects.length;
+        const cells = Array.from({ length: n }, () => Array.from({ length: n }, () => ({ trips: 0, lengthSum: 0, weighted: 0, realWeighted: 0, pathIds: [] })));
+        let unlinked = 0;
+        this.paths.forEach(p => {
+            const from = index.get(p.startObjectId), to = index.get(p.endObjectId);
+            if (from === undefined || to === undefined) { unlinked++; return; }
+            const freq = p.frequency || 1;
+            const len = p.length || this.calculatePathLength(p.points);
+            const c = cells[from][to];
+            c.trips += freq; c.lengthSum += len * freq; c.weighted += len * freq; c.pathIds.push(p.id);
+            // Real lengths per segment, so separate X/Y scales give the same numbers as the Paths sheet
+            c.realWeighted += (this.getRealPolylineLength(p.points) || 0) * freq;
+        });
+        // Distance is the trip-weighted average one-way length, so a cell fed by several paths stays comparable
+        cells.forEach(row => row.forEach(c => { c.distance = c.trips ? c.lengthSum / c.trips : 0; c.realDistance = c.trips ? c.realWeighted / c.trips : 0; }));
+        return { objects, cells, unlinked };
+    }
+
+    travelMatrixValue(cell, metric){
+        const real = this.unitsPerPixel > 0;
+        if (metric === 'distance') return real ? cell.realDistance : cell.distance;
+        if (metric === 'weighted') return real ? cell.realWeighted : cell.weighted;
+        return cell.trips;
+    }
+
+    formatTravelMatrixValue(v, metric){
+        if (!v) return '';
+        if (metric === 'trips') return String(Math.round(v));
+        return v >= 100 ? v.toFixed(0) : v.toFixed(1);
+    }
+
+    // Row/column order shared by the table and CSV export
+    getTravelMatrixOrder(matrix, metric, sort){
+        const order = matrix.objects.map((_, i) => i);
+        if (sort === 'name') {
+            order.sort((a, b) => String(matrix.objects[a].name).localeCompare(String(matrix.objects[b].name), undefined, { numeric: true }));
+        } else if (sort === 'total') {
+            const total = (i) => matrix.cells[i].reduce((s, c) => s + this.travelMatrixValue(c, metric), 0) + matrix.cells.reduce((s, row) => s + this.travelMatrixValue(row[i], metric), 0);
+            const totals = order.map(total);
+            order.sort((a, b) => totals[b] - totals[a]);
+        }
+        return order;
+    }
+
+    initTravelMatrixUI(){
+        this._matrixPanel = document.getElementById('travelMatrixPanel');
+        this.matrixMetric = 'trips';
+        this.matrixSort = 'order';
+        this.highlightedPathIds = null;
+        this._highlightedMatrixCell = null;
+        const openBtn = document.getElementById('openTravelMatrix');
+        const closeBtn = document.getElementById('closeTravelMatrix');
+        const metricSel = document.getElementById('matrixMetric');
+        const sortSel = document.getElementById('matrixSort');
+        const exportBtn = document.getElementById('exportTravelMatrix');
+        const table = document.getElementById('travelMatrixTable');
+        if (openBtn) openBtn.addEventListener('click', () => this.openTravelMatrix());
+        if (closeBtn) closeBtn.addEventListener('click', () => this.closeTravelMatrix());
+        if (metricSel) metricSel.addEventListener('change', () => { this.matrixMetric = metricSel.value; this.renderTravelMatrix(); });
+        if (sortSel) sortSel.addEventListener('change', () => { this.matrixSort = sortSel.value; this.renderTravelMatrix(); });
+        if (exportBtn) exportBtn.addEventListener('click', () => this.exportTravelMatrix());
+        if (table) table.addEventListener('click', (e) => {
+            const td = e.target.closest('td[data-from]');
+            if (!td) return;
+            const key = `${td.dataset.from}:${td.dataset.to}`;
+            if (this._highlightedMatrixCell === key) { this.clearPathHighlight(); return; }
+            const matrix = this.computeTravelMatrix();
+            const cell = matrix.cells[+td.dataset.from][+td.dataset.to];
+            if (!cell.pathIds.length) { this.clearPathHighlight(); return; }
+            this.highlightedPathIds = new Set(cell.pathIds);
+            this._highlightedMatrixCell = key;
+            this.renderTravelMatrix();
+            this.render();
+        });
+    }
+
+    openTravelMatrix(){ if (!this._matrixPanel) return; this._matrixPanel.classList.remove('hidden'); this.renderTravelMatrix(); }
+    closeTravelMatrix(){ if (!this._matrixPanel) return; this._matrixPanel.classList.add('hidden'); this.clearPathHighlight(); }
+    isTravelMatrixOpen(){ return !!this._matrixPanel && !this._matrixPanel.classList.contains('hidden'); }
+    clearPathHighlight(){
+        if (!this.highlightedPathIds && !this._highlightedMatrixCell) return;
+        this.highlightedPathIds = null; this._highlightedMatrixCell = null;
+        if (this.isTravelMatrixOpen()) this.renderTravelMatrix();
+        this.render();
+    }
+
+    renderTravelMatrix(){
+        const table = document.getElementById('travelMatrixTable');
+        const note = document.getElementById('travelMatrixNote');
+        if (!table || !this.isTravelMatrixOpen()) return;
+        const metric = this.matrixMetric;
+        const matrix = this.computeTravelMatrix();
+        // Drop a stale highlight if its paths were deleted or re-linked
+        if (this.highlightedPathIds) {
+            const [from, to] = (this._highlightedMatrixCell || '').split(':').map(Number);
+            const cell = matrix.cells[from] && matrix.cells[from][to];
+            if (!cell || !cell.pathIds.length) { this.highlightedPathIds = null; this._highlightedMatrixCell = null; }
+            else this.highlightedPathIds = new Set(cell.pathIds);
+        }
+        const order = this.getTravelMatrixOrder(matrix, metric, this.matrixSort);
+        const unit = metric === 'trips' ? 'trips/day' : (this.unitsPerPixel > 0 ? this.units : 'px');
+        let max = 0;
+        order.forEach(i => order.forEach(j => { max = Math.max(max, this.travelMatrixValue(matrix.cells[i][j], metric)); }));
+        table.innerHTML = '';
+        if (!order.length) {
+            table.innerHTML = '<tbody><tr><td class="empty-state">Add objects and draw paths between them to build the matrix.</td></tr></tbody>';
+        } else {
+            const thead = document.createElement('thead');
+            const headRow = document.createElement('tr');
+            const corner = document.createElement('th');
+            corner.className = 'matrix-corner'; corner.textContent = `From ↓ / To → (${unit})`;
+            headRow.appendChild(corner);
+            order.forEach(j => { const th = document.createElement('th'); th.scope = 'col'; th.textContent = matrix.objects[j].name; headRow.appendChild(th); });
+            const totalTh = document.createElement('th'); totalTh.scope = 'col'; totalTh.textContent = 'Σ'; headRow.appendChild(totalTh);
+            thead.appendChild(headRow);
+            const tbody = document.createElement('tbody');
+            const colTotals = order.map(() => 0);
+            order.forEach(i => {
+                const tr = document.createElement('tr');
+                const th = document.createElement('th'); th.scope = 'row'; th.textContent = matrix.objects[i].name; tr.appendChild(th);
+                let rowTotal = 0;
+                order.forEach((j, col) => {
+                    const cell = matrix.cells[i][j];
+                    const v = this.travelMatrixValue(cell, metric);
+                    rowTotal += v; colTotals[col] += v;
+                    const td = document.createElement('td');
+                    td.dataset.from = i; td.dataset.to = j;
+                    td.textContent = this.formatTravelMatrixValue(v, metric);
+                    if (i === j) td.classList.add('matrix-diagonal');
+                    if (v > 0) {
+                        td.style.background = this.heatColor(v / max, 0.85);
+                        td.classList.add('matrix-cell--filled');
+                        td.title = `${matrix.objects[i].name} → ${matrix.objects[j].name}: ${cell.trips} trips, ${cell.pathIds.length} path${cell.pathIds.length === 1 ? '' : 's'}`;
+                    }
+                    if (this._highlightedMatrixCell === `${i}:${j}`) td.classList.add('matrix-cell--active');
+                    tr.appendChild(td);
+                });
+                const totalTd = document.createElement('td'); totalTd.className = 'matrix-total'; totalTd.textContent = this.formatTravelMatrixValue(rowTotal, metric);
+                tr.appendChild(totalTd);
+                tbody.appendChild(tr);
+            });
+            const footRow = document.createElement('tr');
+            const footTh = document.createElement('th'); footTh.scope = 'row'; footTh.textContent = 'Σ'; footRow.appendChild(footTh);
+            colTotals.forEach(v => { const td = document.createElement('td'); td.className = 'matrix-total'; td.textContent = this.formatTravelMatrixValue(v, metric); footRow.appendChild(td); });
+            const grand = document.createElement('td'); grand.className = 'matrix-total'; grand.textContent = this.formatTravelMatrixValue(colTotals.reduce((s, v) => s + v, 0), metric); footRow.appendChild(grand);
+            tbody.appendChild(footRow);
+            table.appendChild(thead); table.appendChild(tbody);
+        }
+        if (note) {
+            const parts = [];
+            if (matrix.unlinked) parts.push(`${matrix.unlinked} path${matrix.unlinked === 1 ? ' is' : 's are'} not linked to objects at both ends and ${matrix.unlinked === 1 ? 'is' : 'are'} not counted.`);
+            if (metric !== 'trips' && !(this.unitsPerPixel > 0)) parts.push('Scale not calibrated – distances are in pixels.');
+            parts.push('Click a cell to highlight its paths.');
+            note.textContent = parts.join(' ');
+        }
+    }
+
+    // 0..1 → light yellow → orange → red, shared by the from-to matrix and traffic overlays
+    heatColor(t, alpha = 1){
+        t = Math.max(0, Math.min(1, t));
+        const stops = [[255, 245, 200], [253, 174, 97], [215, 25, 28]];
+        const seg = t < 0.5 ? 0 : 1;
+        const f = seg ? (t - 0.5) * 2 : t * 2;
+        const a = stops[seg], b = stops[seg + 1];
+        const c = a.map((v, k) => Math.round(v + (b[k] - v) * f));
+        return `rgba(${c[0]},${c[1]},${c[2]},${alpha})`;
+    }
+
+    exportTravelMatrix(){
+        const metric = this.matrixMetric;
+        const matrix = this.computeTravelMatrix();
+        if (!matrix.objects.length) { this.showInfoMessage('No objects to export.', 'warning'); return; }
+        const order = this.getTravelMatrixOrder(matrix, metric, this.matrixSort);
+        const unit = metric === 'trips' ? 'trips' : (this.unitsPerPixel > 0 ? this.units : 'px');
+        const labels = { trips: 'Trips', distance: `Distance (${unit})`, weighted: `Weighted Distance (${unit})` };
+        const digits = metric === 'trips' ? 0 : 2;
+        const columns = [{ label: `From \\ To – ${labels[metric]}`, key: 'name' }]
+            .concat(order.map(j => ({ label: matrix.objects[j].name, key: `c${j}`, digits })))
+            .concat([{ label: 'Total', key: 'total', digits }]);
+        const rows = order.map(i => {
+            const row = { name: matrix.objects[i].name, total: 0 };
+            order.forEach(j => { const v = this.travelMatrixValue(matrix.cells[i][j], metric); row[`c${j}`] = v; row.total += v; });
+            return row;
+        });
+        const base = (this.currentProjectName || 'spaghetti_diagram').replace(/[^\w\-]+/g, '_');
+        this.downloadFile('\uFEFF' + this.sheetToCsv({ columns, rows }), 'text/csv;charset=utf-8', `${base}_from_to_${metric}.csv`);
+    }
+
+    // ---- Traffic heat map overlay ----
+    // Frequency-weighted path length is deposited into cells aligned with drawGrid, smoothed with a Gaussian kernel
+    // and cached as a small raster that render() stretches over the world extent.
+    loadHeatmapSettings(){
+        this.heatmap = { enabled: false, radius: 2, opacity: 0.7 };
+        try { const s = JSON.parse(localStorage.getItem('sdHeatmap') || 'null'); if (s) this.heatmap = { ...this.heatmap, ...s }; } catch(_) {}
+        this._heatmapCache = null;
+        this._heatmapDirty = true;
+    }
+    saveHeatmapSettings(){ try { localStorage.setItem('sdHeatmap', JSON.stringify(this.heatmap)); } catch(_) {} }
+
+    initHeatmapUI(){
+        this.loadHeatmapSettings();
+        const toggle = document.getElementById('heatmapToggle');
+        const radius = document.getElementById('heatmapRadius');
+        const opacity = document.getElementById('heatmapOpacity');
+        if (toggle) { toggle.checked = this.heatmap.enabled; toggle.addEventListener('change', () => { this.heatmap.enabled = toggle.checked; this.saveHeatmapSettings(); this.updateHeatmapUI(); this.render(); }); }
+        if (radius) { radius.value = this.heatmap.radius; radius.addEventListener('input', () => { this.heatmap.radius = parseInt(radius.value) || 0; this.saveHeatmapSettings(); this.updateHeatmapUI(); this.render(); }); }
+        if (opacity) { opacity.value = Math.round(this.heatmap.opacity * 100); opacity.addEventListener('input', () => { this.heatmap.opacity = (parseInt(opacity.value) || 0) / 100; this.saveHeatmapSettings(); this.updateHeatmapUI(); this.render(); }); }
+        this.updateHeatmapUI();
+    }
+
+    updateHeatmapUI(){
+        const opts = document.getElementById('heatmapOptions');
+        const radiusLabel = document.getElementById('heatmapRadiusValue');
+        const opacityLabel = document.getElementById('heatmapOpacityValue');
+        if (opts) opts.classList.toggle('hidden', !this.heatmap.enabled);
+        if (radiusLabel) radiusLabel.textContent = this.heatmap.radius ? `${this.heatmap.radius} cell${this.heatmap.radius === 1 ? '' : 's'}` : 'off';
+        if (opacityLabel) opacityLabel.textContent = `${Math.round(this.heatmap.opacity * 100)}%`;
+    }
+
+    // Same cell size as drawGrid, doubled until cells are at least 4px and the raster stays reasonably small
+    getHeatmapCellSize(bounds){
+        let cell = (this.unitsPerPixel>0) ? (this.gridCellUnits/this.unitsPerPixel) : 50;
+        if (!(cell > 0)) cell = 50;
+        let mult = 1;
+        while (cell * mult < 4) mult *= 2;
+        while (((bounds.maxX - bounds.minX) / (cell * mult)) * ((bounds.maxY - bounds.minY) / (cell * mult)) > 250000) mult *= 2;
+        return cell * mult;
+    }
+
+    computeHeatmap(){
+        const radius = Math.max(0, this.heatmap.radius | 0);
+        // Rebuilt when path edits or drags mark it dirty (touchPathGeometry/syncLinkedEnds/commitChange/applyDiagramState),
+        // another path set is drawn (scenario previews), or the grid or kernel changes. Linked ends are synced first so
+        // the overlay matches the paths drawn in the same frame.
+        this.paths.forEach(p => this.syncLinkedEnds(p));
+        const sig = `${radius}|${this.unitsPerPixel}|${this.gridCellUnits}`;
+        if (this._heatmapCache && !this._heatmapDirty && this._heatmapCache.sig === sig && this._heatmapCache.paths === this.paths) return this._heatmapCache;
+        this._heatmapDirty = false;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this.paths.forEach(p => (p.points || []).forEach(pt => { minX = Math.min(minX, pt.x); minY = Math.min(minY, pt.y); maxX = Math.max(maxX, pt.x); maxY = Math.max(maxY, pt.y); }));
+        if (!isFinite(minX)) { this._heatmapCache = { sig, paths: this.paths, empty: true }; return this._heatmapCache; }
+        const cell = this.getHeatmapCellSize({ minX, minY, maxX: maxX + 1, maxY: maxY + 1 });
+        const pad = radius + 1;
+        const col0 = Math.floor(minX / cell) - pad, row0 = Math.floor(minY / cell) - pad;
+        const cols = Math.floor(maxX / cell) + pad - col0 + 1, rows = Math.floor(maxY / cell) + pad - row0 + 1;
+        let grid = new Float32Array(cols * rows);
+        // Deposit weighted length by sampling each segment at quarter-cell steps
+        this.paths.forEach(p => {
+            const pts = p.points || [];
+            const freq = p.frequency || 1;
+            for (let i = 1; i < pts.length; i++) {
+                const a = pts[i-1], b = pts[i];
+                const len = Math.hypot(b.x - a.x, b.y - a.y);
+                if (!len) continue;
+                const n = Math.max(1, Math.ceil(len / (cell / 4)));
+                const w = freq * len / n;
+                for (let k = 0; k < n; k++) {
+                    const t = (k + 0.5) / n;
+                    const c = Math.floor((a.x + (b.x - a.x) * t) / cell) - col0;
+                    const r = Math.floor((a.y + (b.y - a.y) * t) / cell) - row0;
+                    grid[r * cols + c] += w;
+                }
+            }
+        });
+        if (radius > 0) grid = this.blurHeatmapGrid(grid, cols, rows, radius);
+        let max = 0;
+        for (let i = 0; i < grid.length; i++) if (grid[i] > max) max = grid[i];
+        const raster = document.createElement('canvas');
+        raster.width = cols; raster.height = rows;
+        const rctx = raster.getContext('2d');
+        const img = rctx.createImageData(cols, rows);
+        const ramp = this.getHeatmapRamp();
+        for (let i = 0; i < grid.length; i++) {
+            if (!grid[i] || !max) continue;
+            const t = grid[i] / max;
+            const c = ramp[Math.min(255, Math.round(t * 255))];
+            img.data[i*4] = c[0]; img.data[i*4+1] = c[1]; img.data[i*4+2] = c[2];
+            img.data[i*4+3] = Math.round(255 * Math.min(1, 0.15 + t * 1.2)); // faint trickles stay visible but light
+        }
+        rctx.putImageData(img, 0, 0);
+        // max is weighted length per cell; express per unit² of floor when calibrated
+        this._heatmapCache = { sig, paths: this.paths, raster, x: col0 * cell, y: row0 * cell, width: cols * cell, height: rows * cell, cell, max };
+        return this._heatmapCache;
+    }
+
+    // Separable Gaussian (sigma = radius / 2) over the cell grid
+    blurHeatmapGrid(grid, cols, rows, radius){
+        const sigma = Math.max(0.5, radius / 2);
+        const kernel = [];
+        let sum = 0;
+        for (let i = -radius; i <= radius; i++) { const v = Math.exp(-(i * i) / (2 * sigma * sigma)); kernel.push(v); sum += v; }
+        for (let i = 0; i < kernel.length; i++) kernel[i] /= sum;
+        const tmp = new Float32Array(grid.length), out = new Float32Array(grid.length);
+        for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+            let acc = 0;
+            for (let k = -radius; k <= radius; k++) { const cc = c + k; if (cc >= 0 && cc < cols) acc += grid[r * cols + cc] * kernel[k + radius]; }
+            tmp[r * cols + c] = acc;
+        }
+        for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+            let acc = 0;
+            for (let k = -radius; k <= radius; k++) { const rr = r + k; if (rr >= 0 && rr < rows) acc += tmp[rr * cols + c] * kernel[k + radius]; }
+            out[r * cols + c] = acc;
+        }
+        return out;
+    }
+
+    // 256-entry blue → cyan → green → yellow → red ramp
+    getHeatmapRamp(){
+        if (this._heatmapRamp) return this._heatmapRamp;
+        const stops = [[0, [49, 54, 149]], [0.25, [69, 170, 210]], [0.5, [120, 198, 121]], [0.75, [254, 224, 84]], [1, [215, 25, 28]]];
+        const ramp = [];
+        for (let i = 0; i < 256; i++) {
+            const t = i / 255;
+            let s = 0; while (s < stops.length - 2 && t > stops[s + 1][0]) s++;
+            const [t0, c0] = stops[s], [t1, c1] = stops[s + 1];
+            const f = (t - t0) / (t1 - t0);
+            ramp.push(c0.map((v, k) => Math.round(v + (c1[k] - v) * f)));
+        }
+        this._heatmapRamp = ramp;
+        return ramp;
+    }
+
+    drawHeatmap(ctx){
+        if (!this.heatmap || !this.heatmap.enabled || !this.paths.length) return;
+        const h = this.computeHeatmap();
+        if (h.empty) return;
+        ctx.save();
+        ctx.globalAlpha = this.heatmap.opacity;
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(h.raster, h.x, h.y, h.width, h.height);
+        ctx.restore();
+    }
+
+    // Screen-space legend (bottom-left) so it also lands in image exports
+    drawHeatmapLegend(ctx){
+        if (!this.heatmap || !this.heatmap.enabled || !this._heatmapCache || this._heatmapCache.empty || !this.paths.length) return;
+        const h = this._heatmapCache;
+        const calibrated = this.unitsPerPixel > 0;
+        const maxLabel = calibrated ? `${(h.max * this.unitsPerPixel).toFixed(1)} ${this.units}·trips` : `${h.max.toFixed(0)} px·trips`;
+        const cellLabel = calibrated ? `${(h.cell * this.unitsPerPixel).toFixed(2).replace(/\.?0+$/, '')} ${this.units}` : `${Math.round(h.cell)} px`;
+        const ramp = this.getHeatmapRamp();
+        const x = 12, w = 160, barH = 10, y = this.canvas.height - 52;
+        ctx.save();
+        ctx.setTransform(1,0,0,1,0,0);
+        ctx.fillStyle = 'rgba(255,255,255,0.88)';
+        ctx.fillRect(x - 6, y - 20, w + 12, 58);
+        ctx.strokeStyle = 'rgba(0,0,0,0.2)'; ctx.lineWidth = 1;
+        ctx.strokeRect(x - 6, y - 20, w + 12, 58);
+        ctx.fillStyle = '#222'; ctx.font = '11px sans-serif'; ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+        ctx.fillText(`Traffic per ${cellLabel} cell`, x, y - 6);
+        for (let i = 0; i < w; i++) { const c = ramp[Math.round(i / (w - 1) * 255)]; ctx.fillStyle = `rgb(${c[0]},${c[1]},${c[2]})`; ctx.fillRect(x + i, y, 1, barH); }
+        ctx.fillStyle = '#222'; ctx.textBaseline = 'top';
+        ctx.fillText('low', x, y + barH + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(maxLabel, x + w, y + barH + 3);
+        ctx.restore();
+    }
+
+    // ---- Image export ----
+    // Renders the whole diagram (background, heat map, zones, paths, objects, measurements, annotations) off-screen at 1 world px = `scale` image px.
+    getDiagramBounds(diagram = this){
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const add = (x, y) => { minX = Math.min(minX, x); minY = Math.min(minY, y); maxX = Math.max(maxX, x); maxY = Math.max(maxY, y); };
+        if (this.backgroundRect) { const r = this.getBackgroundBounds(); add(r.x, r.y); add(r.x + r.width, r.y + r.height); }
+        [...diagram.objects.map(o => this.getObjectBounds(o)), ...diagram.obstacles.map(ob => this.getObstacleBounds(ob)), ...diagram.zones].forEach(o => { add(o.x, o.y); add(o.x + o.width, o.y + o.height); });
+        [...diagram.paths, ...(diagram.measurements || [])].forEach(p => (p.points || []).forEach(pt => add(pt.x, pt.y)));
+        (diagram.annotations || []).forEach(a => {
+            const b = this.getAnnotationBox(a); add(b.x, b.y); add(b.x + b.width, b.y + b.height);
+            if (a.type === 'callout') add(a.tipX, a.tipY);
+        });
+        if (!isFinite(minX)) return null;
+        return { minX, minY, maxX, maxY };
+    }
+
+    // Render into an off-screen canvas fitted to `bounds`, optionally showing another diagram (scenario previews).
+    // Selection, highlights and calibration overlays are suppressed via _exportingImage.
+    renderDiagramTo(canvas, bounds, { margin = 20, diagram = null } = {}){
+        const scale = Math.min(canvas.width / (bounds.maxX - bounds.minX + margin * 2), canvas.height / (bounds.maxY - bounds.minY + margin * 2));
+        const saved = { canvas: this.canvas, ctx: this.ctx, pan: this.pan, zoom: this.zoom, objects: this.objects, paths: this.paths, obstacles: this.obstacles, zones: this.zones, annotations: this.annotations, measurements: this.measurements };
+        this._exportingImage = true;
+        try {
+            this.canvas = canvas; this.ctx = canvas.getContext('2d');
+            if (diagram) { this.objects = diagram.objects; this.paths = diagram.paths; this.obstacles = diagram.obstacles; this.zones = diagram.zones; this.annotations = diagram.annotations || []; this.measurements = diagram.measurements || []; }
+            this.zoom = scale;
+            this.pan = {
+                x: (canvas.width - (bounds.maxX - bounds.minX) * scale) / 2 - bounds.minX * scale,
+                y: (canvas.height - (bounds.maxY - bounds.minY) * scale) / 2 - bounds.minY * scale
+            };
+            this.render();
+        } finally {
+            Object.assign(this, saved);
+            this._exportingImage = false;
+        }
+    }
+
+    async exportImage(){
+        const b = this.getDiagramBounds();
+        if (!b) { this.showInfoMessage('Nothing to export yet.', 'warning'); return; }
+        const margin = 20;
+        // Cap the longest side so huge PDFs don't exhaust canvas limits
+        const scale = Math.min(2, 8000 / Math.max(b.maxX - b.minX + margin * 2, b.maxY - b.minY + margin * 2));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil((b.maxX - b.minX + margin * 2) * scale);
+        canvas.height = Math.ceil((b.maxY - b.minY + margin * 2) * scale);
+        this.renderDiagramTo(canvas, b, { margin });
+        this.render();
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) { this.showInfoMessage('Image export failed – the diagram may be too large.', 'error'); return; }
+        const base = (this.currentProjectName || 'spaghetti_diagram').replace(/[^\w\-]+/g, '_');
+        this.downloadFile(blob, 'image/png', `${base}.png`);
+    }
+
+    // ---- Scenarios (before/after layouts) ----
+    // A scenario is a named objects/paths/obstacles/zones set sharing the project's background and scale.
+    // The active scenario's content lives in this.objects etc.; inactive ones keep a detached `diagram`.
+    createDefaultScenarios(){
+        const id = 's_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        this.scenarios = [{ id, name: 'Current state', autoReroute: false, diagram: null }];
+        this.currentScenarioId = id;
+    }
+    getCurrentScenario(){ return this.scenarios.find(s => s.id === this.currentScenarioId) || null; }
+    getScenarioDiagram(scenario){
+        if (!scenario) return null;
+        if (scenario.id === this.currentScenarioId) return { objects: this.objects, paths: this.paths, obstacles: this.obstacles, zones: this.zones, annotations: this.annotations, measurements: this.measurements, groups: this.groups, layers: this.layers };
+        return scenario.diagram;
+    }
+
+    captureScenarioState(){
+        return {
+            currentScenarioId: this.currentScenarioId,
+            scenarios: this.scenarios.map(s => ({
+                id: s.id, name: s.name, autoReroute: !!s.autoReroute,
+                // the active scenario is saved as the regular diagram
+                diagram: s.id === this.currentScenarioId ? null : JSON.parse(JSON.stringify(s.diagram))
+            }))
+        };
+    }
+    applyScenarioState(st){
+        const valid = st && Array.isArray(st.scenarios) && st.scenarios.some(s => s.id === st.currentScenarioId);
+        if (!valid) this.createDefaultScenarios();
+        else {
+            // Runtime entries (from a page stash) are reused so their undo history survives page switches
+            this.scenarios = st.scenarios.map(s => s.history ? s : { ...s, diagram: s.diagram ? JSON.parse(JSON.stringify(s.diagram)) : null });
+            this.currentScenarioId = st.currentScenarioId;
+        }
+        this.compareOverlayId = null;
+        this.updateScenarioUI();
+    }
+
+    switchScenario(id){
+        const current = this.getCurrentScenario();
+        const target = this.scenarios.find(s => s.id === id);
+        if (!target || target === current) return;
+        if (this.isDrawing || this.isDragging || this.isResizing || this.isDraggingEndpoint) return;
+        if (current) {
+            current.diagram = JSON.parse(this.serializeDiagram());
+            current.history = { undo: this._undoStack, redo: this._redoStack, baseline: this._historyBaseline };
+        }
+        this.currentScenarioId = target.id;
+        this.applyDiagramState(target.diagram || { objects: [], paths: [], obstacles: [], zones: [] });
+        target.diagram = null;
+        if (target.history) {
+            this._undoStack = target.history.undo; this._redoStack = target.history.redo; this._historyBaseline = target.history.baseline;
+            delete target.history;
+            this.updateHistoryUI();
+        } else this.resetHistory();
+        if (this.compareOverlayId === target.id) this.compareOverlayId = null;
+        this.updateScenarioUI();
+        this.updateAnalytics();
+        this.render();
+        this.scheduleAutosave();
+        this.showInfoMessage(`Scenario: ${target.name}`, 'info', 1200);
+    }
+
+    cloneScenario(){
+        const current = this.getCurrentScenario();
+        const baseName = current && current.name === 'Current state' ? 'Proposed layout' : `${current ? current.name : 'Scenario'} (copy)`;
+        let name = baseName, n = 2;
+        while (this.scenarios.some(s => s.name === name)) name = `${baseName} ${n++}`;
+        const id = 's_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+        // Clones re-route linked paths by default: moving a machine in a proposal should move its walks too
+        this.scenarios.push({ id, name, autoReroute: true, diagram: JSON.parse(this.serializeDiagram()) });
+        this.switchScenario(id);
+        this.showInfoMessage(`Created "${name}" – move objects and linked paths are re-routed automatically.`, 'success', 3500);
+    }
+
+    renameScenario(name){
+        const current = this.getCurrentScenario();
+        name = (name || '').trim();
+        if (!current || !name || name === current.name) { this.updateScenarioUI(); return; }
+        current.name = name;
+        this.updateScenarioUI();
+        this.scheduleAutosave();
+    }
+
+    deleteScenario(id){
+        if (this.scenarios.length < 2) { this.showInfoMessage('A project needs at least one scenario.', 'warning'); return; }
+        const idx = this.scenarios.findIndex(s => s.id === id);
+        if (idx === -1) return;
+        if (id === this.currentScenarioId) {
+            this.switchScenario(this.scenarios[idx === 0 ? 1 : idx - 1].id);
+            // switchScenario refuses mid-interaction; never drop the scenario that is still being edited
+            if (this.currentScenarioId === id) { this.showInfoMessage('Finish the current edit before deleting this scenario.', 'warning'); return; }
+        }
+        this.scenarios = this.scenarios.filter(s => s.id !== id);
+        if (this.compareOverlayId === id) this.compareOverlayId = null;
+        this.updateScenarioUI();
+        this.render();
+        this.scheduleAutosave();
+    }
+
+    // Re-route paths linked at both ends to objects via computeAutoRoute. With objectIds only paths touching
+    // those objects are re-routed; otherwise every linked path in the scenario is.
+    rerouteLinkedPaths(objectIds = null){
+        const ids = objectIds ? new Set(objectIds) : null;
+        let routed = 0, failed = 0;
+        this.paths.forEach(p => {
+            if (ids && !ids.has(p.startObjectId) && !ids.has(p.endObjectId)) return;
+            const startObj = this.objects.find(o => o.id === p.startObjectId);
+            const endObj = this.objects.find(o => o.id === p.endObjectId);
+            if (!startObj || !endObj || startObj === endObj) return;
+            const pts = this.buildAutoRoutePoints(startObj, endObj, { startAccessId: p.startAccessId, endAccessId: p.endAccessId });
+            if (!pts) { failed++; return; }
+            p.points = pts; p.auto = true; p.length = this.calculatePathLength(pts);
+            routed++;
+        });
+        return { routed, failed };
+    }
+
+    handleRerouteScenario(){
+        const { routed, failed } = this.rerouteLinkedPaths();
+        if (!routed && !failed) { this.showInfoMessage('No paths are linked to objects at both ends.', 'warning'); return; }
+        this.updateAnalytics();
+        this.render();
+        this.commitChange('Re-route paths');
+        this.showInfoMessage(`Re-routed ${routed} path${routed === 1 ? '' : 's'}${failed ? `, ${failed} without a route` : ''}.`, failed ? 'warning' : 'success');
+    }
+
+    initScenariosUI(){
+        this.createDefaultScenarios();
+        this.compareOverlayId = null;
+        const select = document.getElementById('scenarioSelect');
+        const nameInput = document.getElementById('scenarioName');
+        const cloneBtn = document.getElementById('cloneScenario');
+        const deleteBtn = document.getElementById('deleteScenario');
+        const compareBtn = document.getElementById('compareScenarios');
+        const rerouteToggle = document.getElementById('scenarioAutoReroute');
+        const rerouteBtn = document.getElementById('rerouteScenario');
+        if (select) select.addEventListener('change', () => this.switchScenario(select.value));
+        if (nameInput) {
+            nameInput.addEventListener('change', () => this.renameScenario(nameInput.value));
+            nameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); nameInput.blur(); } });
+        }
+        if (cloneBtn) cloneBtn.addEventListener('click', () => this.cloneScenario());
+        if (deleteBtn) deleteBtn.addEventListener('click', () => { const cur = this.getCurrentScenario(); if (cur) this.showDeleteConfirmation(cur, 'scenario'); });
+        if (compareBtn) compareBtn.addEventListener('click', () => this.openScenarioCompare());
+        if (rerouteToggle) rerouteToggle.addEventListener('change', () => { const cur = this.getCurrentScenario(); if (cur) { cur.autoReroute = rerouteToggle.checked; this.scheduleAutosave(); } });
+        if (rerouteBtn) rerouteBtn.addEventListener('click', () => this.handleRerouteScenario());
+
+        const modal = document.getElementById('scenarioCompareModal');
+        const close = () => this.closeScenarioCompare();
+        ['closeScenarioCompare', 'closeScenarioCompareFooter'].forEach(id => { const el = document.getElementById(id); if (el) el.addEventListener('click', close); });
+        if (modal) modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+        ['compareBaseline', 'compareProposal'].forEach(id => { const el = document.getElementById(id); if (el) el.addEventListener('change', () => this.renderScenarioCompare()); });
+        const overlay = document.getElementById('compareOverlay');
+        if (overlay) overlay.addEventListener('change', () => this.updateCompareOverlay());
+        this.updateScenarioUI();
+    }
+
+    updateScenarioUI(){
+        const select = document.getElementById('scenarioSelect');
+        const nameInput = document.getElementById('scenarioName');
+        const deleteBtn = document.getElementById('deleteScenario');
+        const compareBtn = document.getElementById('compareScenarios');
+        const rerouteToggle = document.getElementById('scenarioAutoReroute');
+        const current = this.getCurrentScenario();
+        if (select) {
+            select.innerHTML = '';
+            this.scenarios.forEach(s => { const opt = document.createElement('option'); opt.value = s.id; opt.textContent = s.name; select.appendChild(opt); });
+            select.value = this.currentScenarioId;
+        }
+        if (nameInput && document.activeElement !== nameInput) nameInput.value = current ? current.name : '';
+        if (deleteBtn) deleteBtn.disabled = this.scenarios.length < 2;
+        if (compareBtn) compareBtn.disabled = this.scenarios.length < 2;
+        if (rerouteToggle) rerouteToggle.checked = !!(current && current.autoReroute);
+    }
+
+    // Same totals as updateAnalytics, for any scenario's diagram
+    computeDiagramMetrics(diagram){
+        const saved = { objects: this.objects, paths: this.paths, obstacles: this.obstacles, zones: this.zones };
+        try {
+            Object.assign(this, { objects: diagram.objects, paths: diagram.paths, obstacles: diagram.obstacles, zones: diagram.zones });
+            let total = 0, trips = 0, real = 0;
+            for (const p of this.paths) { const len = p.length || this.calculatePathLength(p.points); total += len * (p.frequency || 1); trips += p.frequency || 1; real += (this.getRealPolylineLength(p.points) || 0) * (p.frequency || 1); }
+            const units = this.unitsPerPixel > 0 ? real : null;
+            return {
+                paths: this.paths.length,
+                trips,
+                distancePx: total,
+                distanceUnits: units,
+                steps: units !== null && this.stepsPerUnit > 0 ? units * this.stepsPerUnit : null,
+                weightedCost: total,
+                spaghettiIndex: this.calculateSpaghettiIndex()
+            };
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    openScenarioCompare(){
+        if (this.scenarios.length < 2) { this.showInfoMessage('Clone a scenario first to compare layouts.', 'warning'); return; }
+        const base = document.getElementById('compareBaseline');
+        const prop = document.getElementById('compareProposal');
+        [base, prop].forEach(sel => {
+            if (!sel) return;
+            const prev = sel.value;
+            sel.innerHTML = '';
+            this.scenarios.forEach(s => { const opt = document.createElement('option'); opt.value = s.id; opt.textContent = s.name; sel.appendChild(opt); });
+            if (this.scenarios.some(s => s.id === prev)) sel.value = prev;
+        });
+        // Default: first scenario vs the active one (or the second if the first is active)
+        if (base && prop && (!base.value || base.value === prop.value)) {
+            base.value = this.scenarios[0].id;
+            prop.value = this.currentScenarioId !== this.scenarios[0].id ? this.currentScenarioId : this.scenarios[1].id;
+        }
+        const modal = document.getElementById('scenarioCompareModal');
+        if (modal) modal.classList.remove('hidden');
+        this.renderScenarioCompare();
+    }
+    closeScenarioCompare(){ const modal = document.getElementById('scenarioCompareModal'); if (modal) modal.classList.add('hidden'); }
+
+    renderScenarioCompare(){
+        const base = this.scenarios.find(s => s.id === document.getElementById('compareBaseline')?.value);
+        const prop = this.scenarios.find(s => s.id === document.getElementById('compareProposal')?.value);
+        const table = document.getElementById('scenarioCompareTable');
+        if (!base || !prop || !table) return;
+        const a = this.computeDiagramMetrics(this.getScenarioDiagram(base));
+        const b = this.computeDiagramMetrics(this.getScenarioDiagram(prop));
+        const dist = this.unitsPerPixel > 0 ? ['distanceUnits', `Total distance (${this.units})`] : ['distancePx', 'Total distance (px)'];
+        const rows = [
+            ['paths', 'Paths', 0], ['trips', 'Trips per day', 0], [dist[0], dist[1], 1],
+            ['steps', 'Total steps', 0], ['weightedCost', 'Weighted cost', 1], ['spaghettiIndex', 'Spaghetti index', 0]
+        ];
+        const movedObjects = this.getScenarioDiagram(prop).objects.filter(o => {
+            const before = this.getScenarioDiagram(base).objects.find(x => x.id === o.id);
+            return before && (before.x !== o.x || before.y !== o.y || before.width !== o.width || before.height !== o.height);
+        }).length;
+        const fmt = (v, d) => v === null || v === undefined ? '–' : v.toLocaleString(undefined, { maximumFractionDigits: d, minimumFractionDigits: d });
+        table.innerHTML = '';
+        const thead = document.createElement('thead');
+        thead.innerHTML = '<tr><th>Metric</th><th></th><th></th><th>Δ</th><th>Δ %</th></tr>';
+        thead.querySelectorAll('th')[1].textContent = base.name;
+        thead.querySelectorAll('th')[2].textContent = prop.name;
+        const tbody = document.createElement('tbody');
+        rows.forEach(([key, label, digits]) => {
+            const va = a[key], vb = b[key];
+            const tr = document.createElement('tr');
+            const delta = va !== null && vb !== null ? vb - va : null;
+            const pct = delta !== null && va ? (delta / va) * 100 : null;
+            [label, fmt(va, digits), fmt(vb, digits), delta === null ? '–' : `${delta > 0 ? '+' : ''}${fmt(delta, digits)}`, pct === null ? '–' : `${pct > 0 ? '+' : ''}${pct.toFixed(1)}%`]
+                .forEach((text, i) => { const td = document.createElement(i ? 'td' : 'th'); td.textContent = text; tr.appendChild(td); });
+            // Less walking is better for every metric except the counts of paths/trips, which are neutral
+            if (delta && key !== 'paths' && key !== 'trips') tr.classList.add(delta < 0 ? 'compare-better' : 'compare-worse');
+            tbody.appendChild(tr);
+        });
+        table.appendChild(thead); table.appendChild(tbody);
+        const note = document.getElementById('scenarioCompareNote');
+        if (note) note.textContent = `${movedObjects} object${movedObjects === 1 ? '' : 's'} moved or resized.` + (this.unitsPerPixel > 0 ? '' : ' Calibrate the scale to compare real distances and steps.');
+        this.renderScenarioPreview(document.getElementById('comparePreviewBaseline'), base);
+        this.renderScenarioPreview(document.getElementById('comparePreviewProposal'), prop);
+        const baseLabel = document.getElementById('comparePreviewBaselineLabel');
+        const propLabel = document.getElementById('comparePreviewProposalLabel');
+        if (baseLabel) baseLabel.textContent = base.name;
+        if (propLabel) propLabel.textContent = prop.name;
+        this.updateCompareOverlay();
+    }
+
+    renderScenarioPreview(canvas, scenario){
+        if (!canvas || !scenario) return;
+        const diagram = this.getScenarioDiagram(scenario);
+        // Both previews share the union of bounds so positions line up side by side
+        const bounds = this.scenarios.map(s => this.getDiagramBounds(this.getScenarioDiagram(s))).filter(Boolean)
+            .reduce((acc, b) => acc ? { minX: Math.min(acc.minX, b.minX), minY: Math.min(acc.minY, b.minY), maxX: Math.max(acc.maxX, b.maxX), maxY: Math.max(acc.maxY, b.maxY) } : b, null);
+        const ctx = canvas.getContext('2d');
+        if (!bounds) { ctx.clearRect(0, 0, canvas.width, canvas.height); return; }
+        this.renderDiagramTo(canvas, bounds, { margin: 10, diagram });
+    }
+
+    // Ghost the baseline scenario's paths and objects on the main canvas while comparing
+    updateCompareOverlay(){
+        const toggle = document.getElementById('compareOverlay');
+        const baseId = document.getElementById('compareBaseline')?.value;
+        this.compareOverlayId = toggle && toggle.checked && baseId && baseId !== this.currentScenarioId ? baseId : null;
+        this.render();
+    }
+
+    drawScenarioOverlay(ctx){
+        if (!this.compareOverlayId || this._exportingImage) return;
+        const scenario = this.scenarios.find(s => s.id === this.compareOverlayId);
+        const d = scenario && scenario.id !== this.currentScenarioId ? scenario.diagram : null;
+        if (!d) return;
+        ctx.save();
+        ctx.globalAlpha = 0.45;
+        ctx.setLineDash([6 / (this.zoom || 1), 4 / (this.zoom || 1)]);
+        ctx.lineWidth = 2 / (this.zoom || 1);
+        ctx.strokeStyle = '#555';
+        d.objects.forEach(o => { ctx.beginPath(); this.getObjectPolygon(o).forEach((p,i)=>{ if(!i) ctx.moveTo(p.x,p.y); else ctx.lineTo(p.x,p.y); }); ctx.closePath(); ctx.stroke(); });
+        ctx.strokeStyle = '#7b1fa2';
+        d.paths.forEach(p => {
+            if (!p.points || p.points.length < 2) return;
+            ctx.beginPath();
+            p.points.forEach((pt,i)=>{ if (!i) ctx.moveTo(pt.x,pt.y); else ctx.lineTo(pt.x,pt.y); });
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // ---- Layout optimizer ----
+    // Moves unpinned objects to minimise frequency-weighted centre-to-centre travel (optimizer_worker.js runs the
+    // simulated annealing off the UI thread). The result becomes a new scenario so it can be compared with the original.
+    initOptimizerUI(){
+        const openBtn = document.getElementById('openOptimizer');
+        const modal = document.getElementById('optimizerModal');
+        const runBtn = document.getElementById('runOptimizer');
+        const close = () => this.closeOptimizer();
+        if (openBtn) openBtn.addEventListener('click', () => this.openOptimizer());
+        ['closeOptimizerModal', 'cancelOptimizer'].forEach(id => { const el = document.getElementById(id); if (el) el.addEventListener('click', close); });
+        if (modal) modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+        if (runBtn) runBtn.addEventListener('click', () => this.runOptimizer());
+        const compareBtn = document.getElementById('optimizerCompare');
+        if (compareBtn) compareBtn.addEventListener('click', () => { this.closeOptimizer(); this.openScenarioCompare(); });
+        const list = document.getElementById('optimizerPinList');
+        if (list) list.addEventListener('change', (e) => {
+            const cb = e.target.closest('input[data-object-id]');
+            if (!cb) return;
+            const obj = this.objects.find(o => String(o.id) === cb.dataset.objectId);
+            if (!obj) return;
+            if (cb.checked) obj.pinned = true; else delete obj.pinned;
+            this.render();
+            this.commitChange(cb.checked ? 'Pin object' : 'Unpin object');
+        });
+    }
+
+    openOptimizer(){
+        if (this._optimizerWorker) return;
+        const list = document.getElementById('optimizerPinList');
+        if (list) {
+            list.innerHTML = '';
+            if (!this.objects.length) list.innerHTML = '<div class="empty-state">No objects yet</div>';
+            this.objects.forEach(o => {
+                const label = document.createElement('label');
+                label.className = 'toggle-row';
+                const cb = document.createElement('input');
+                cb.type = 'checkbox'; cb.checked = !!o.pinned; cb.dataset.objectId = String(o.id);
+                const span = document.createElement('span'); span.textContent = o.name;
+                label.appendChild(cb); label.appendChild(span);
+                list.appendChild(label);
+            });
+        }
+        const greenToggle = document.getElementById('optimizerUseGreen');
+        const hasGreen = this.zones.some(z => this.getZoneType(z) === 'safe');
+        if (greenToggle) { greenToggle.disabled = !hasGreen; greenToggle.checked = hasGreen; }
+        this.setOptimizerState('idle');
+        const modal = document.getElementById('optimizerModal');
+        if (modal) modal.classList.remove('hidden');
+    }
+
+    closeOptimizer(){
+        if (this._optimizerWorker) { this._optimizerWorker.terminate(); this._optimizerWorker = null; this.showInfoMessage('Optimization cancelled.', 'info', 1500); }
+        const modal = document.getElementById('optimizerModal');
+        if (modal) modal.classList.add('hidden');
+    }
+
+    setOptimizerState(state, detail = ''){
+        const settings = document.getElementById('optimizerSettings');
+        const progress = document.getElementById('optimizerProgress');
+        const bar = document.getElementById('optimizerProgressBar');
+        const status = document.getElementById('optimizerStatus');
+        const result = document.getElementById('optimizerResult');
+        const runBtn = document.getElementById('runOptimizer');
+        const compareBtn = document.getElementById('optimizerCompare');
+        const cancelBtn = document.getElementById('cancelOptimizer');
+        if (settings) settings.classList.toggle('hidden', state !== 'idle');
+        if (progress) progress.classList.toggle('hidden', state !== 'running');
+        if (result) result.classList.toggle('hidden', state !== 'done');
+        if (runBtn) { runBtn.classList.toggle('hidden', state === 'done'); runBtn.disabled = state === 'running'; }
+        if (compareBtn) compareBtn.classList.toggle('hidden', state !== 'done');
+        if (cancelBtn) cancelBtn.textContent = state === 'done' ? 'Close' : 'Cancel';
+        if (state === 'running' && bar) bar.style.width = '0%';
+        if (status) status.textContent = detail;
+    }
+
+    // Trips per day between object pairs, from paths linked at both ends
+    getObjectFlows(){
+        const flows = new Map();
+        this.paths.forEach(p => {
+            if (p.startObjectId == null || p.endObjectId == null || p.startObjectId === p.endObjectId) return;
+            if (!this.objects.some(o => o.id === p.startObjectId) || !this.objects.some(o => o.id === p.endObjectId)) return;
+            const key = `${p.startObjectId}|${p.endObjectId}`;
+            const f = flows.get(key) || { from: p.startObjectId, to: p.endObjectId, weight: 0 };
+            f.weight += p.frequency || 1;
+            flows.set(key, f);
+        });
+        return [...flows.values()];
+    }
+
+    runOptimizer(){
+        const flows = this.getObjectFlows();
+        const movable = this.objects.filter(o => !o.pinned);
+        if (!flows.length) { this.showInfoMessage('Link paths to objects at both ends first – the optimizer works from those trips.', 'warning', 4000); return; }
+        if (!movable.length) { this.showInfoMessage('All objects are pinned.', 'warning'); return; }
+        if (typeof Worker === 'undefined') { this.showInfoMessage('Web Workers are not available in this browser.', 'error'); return; }
+        const rect = (o) => ({ x: o.x, y: o.y, width: o.width, height: o.height });
+        const zoneShape = (z) => z.points ? { ...rect(z), points: z.points.map(p => ({ x: p.x, y: p.y })) } : rect(z);
+        const b = this.getDiagramBounds();
+        const pad = 100;
+        const bounds = this.backgroundRect ? rect(this.getBackgroundBounds()) : { x: b.minX - pad, y: b.minY - pad, width: b.maxX - b.minX + pad * 2, height: b.maxY - b.minY + pad * 2 };
+        const useGreen = document.getElementById('optimizerUseGreen')?.checked;
+        const input = {
+            objects: this.objects.map(o => ({ ...rect(this.getObjectBounds(o)), id: o.id, pinned: !!o.pinned })),
+            flows,
+            obstacles: this.obstacles.map(ob => this.isShapedObstacle(ob) ? { ...rect(this.getObstacleBounds(ob)), points: this.getObstaclePolygon(ob).map(p => ({ x: p.x, y: p.y })) } : rect(ob)),
+            restricted: this.zones.filter(z => this.getZoneType(z) === 'restricted').map(zoneShape),
+            green: useGreen ? this.zones.filter(z => this.getZoneType(z) === 'safe').map(zoneShape) : [],
+            bounds,
+            options: {
+                iterations: parseInt(document.getElementById('optimizerIterations')?.value) || 20000,
+                metric: document.getElementById('optimizerMetric')?.value || 'euclidean',
+                clearance: Math.max(0, parseFloat(document.getElementById('optimizerClearance')?.value) || 0),
+                seed: (Date.now() & 0x7fffffff)
+            }
+        };
+        let worker;
+        try { worker = new Worker('optimizer_worker.js'); }
+        catch (err) { console.error('[OPT] Worker failed to start:', err); this.showInfoMessage('Could not start the optimizer worker.', 'error'); return; }
+        this._optimizerWorker = worker;
+        this.setOptimizerState('running', 'Optimizing…');
+        this.debugLog('[OPT] start', { objects: input.objects.length, flows: flows.length, iterations: input.options.iterations });
+        worker.onmessage = (e) => {
+            const msg = e.data || {};
+            if (msg.type === 'progress') {
+                const bar = document.getElementById('optimizerProgressBar');
+                if (bar) bar.style.width = `${Math.round(msg.progress * 100)}%`;
+                const status = document.getElementById('optimizerStatus');
+                if (status) status.textContent = `Optimizing… ${Math.round(msg.progress * 100)}%`;
+                return;
+            }
+            worker.terminate();
+            this._optimizerWorker = null;
+            if (msg.type === 'error') { this.setOptimizerState('idle'); this.showInfoMessage(`Optimization failed: ${msg.message}`, 'error'); return; }
+            this.applyOptimizerResult(msg);
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            this._optimizerWorker = null;
+            this.setOptimizerState('idle');
+            this.showInfoMessage(`Optimization failed: ${e.message || 'worker error'}`, 'error');
+        };
+        worker.postMessage(input);
+    }
+
+    applyOptimizerResult(result){
+        this.debugLog('[OPT] done', { moved: result.moved, costBefore: result.costBefore, costAfter: result.costAfter });
+        if (!result.moved) {
+            this.setOptimizerState('idle', 'No better placement found – the current layout is already good for these trips and constraints.');
+            return;
+        }
+        const baseline = this.getCurrentScenario();
+        const before = this.computeDiagramMetrics(this.getScenarioDiagram(baseline));
+        // Proposal = clone of the current scenario with the objects moved and linked paths re-routed
+        this.cloneScenario();
+        const proposal = this.getCurrentScenario();
+        let name = 'Optimized layout', n = 2;
+        while (this.scenarios.some(s => s !== proposal && s.name === name)) name = `Optimized layout ${n++}`;
+        proposal.name = name;
+        Object.entries(result.positions).forEach(([id, p]) => {
+            const obj = this.objects.find(o => String(o.id) === id);
+            // Positions are for the drawn bounding box, which differs from x/y for rotated objects
+            if (obj) { const b = this.getObjectBounds(obj); obj.x += p.x - b.x; obj.y += p.y - b.y; }
+        });
+        const movedIds = this.objects.filter(o => result.positions[String(o.id)]).map(o => o.id);
+        const { failed } = this.rerouteLinkedPaths(movedIds);
+        this.updateScenarioUI();
+        this.updateAnalytics();
+        this.render();
+        this.commitChange('Optimize layout');
+        const after = this.computeDiagramMetrics(this.getScenarioDiagram(proposal));
+        this.renderOptimizerSummary(baseline, proposal, before, after, result, failed);
+        this.setOptimizerState('done');
+    }
+
+    renderOptimizerSummary(baseline, proposal, before, after, result, failedRoutes){
+        const el = document.getElementById('optimizerResult');
+        if (!el) return;
+        const pct = (a, b) => a ? `${(((b - a) / a) * 100).toFixed(1)}%` : '–';
+        const dist = this.unitsPerPixel > 0
+            ? [before.distanceUnits, after.distanceUnits, this.units]
+            : [before.distancePx, after.distancePx, 'px'];
+        const rows = [
+            ['Objects moved', '', String(result.moved), ''],
+            ['Straight-line flow cost', result.costBefore.toFixed(0), result.costAfter.toFixed(0), pct(result.costBefore, result.costAfter)],
+            [`Routed distance (${dist[2]})`, dist[0].toFixed(1), dist[1].toFixed(1), pct(dist[0], dist[1])],
+            ['Spaghetti index', String(before.spaghettiIndex), String(after.spaghettiIndex), pct(before.spaghettiIndex, after.spaghettiIndex)]
+        ];
+        if (before.steps !== null) rows.splice(3, 0, ['Total steps', before.steps.toFixed(0), after.steps.toFixed(0), pct(before.steps, after.steps)]);
+        el.innerHTML = '';
+        const p = document.createElement('p');
+        p.textContent = `Created scenario "${proposal.name}" from "${baseline.name}".` + (failedRoutes ? ` ${failedRoutes} path${failedRoutes === 1 ? '' : 's'} could not be re-routed and kept their old shape.` : '');
+        el.appendChild(p);
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+        table.innerHTML = '<thead><tr><th>Metric</th><th>Before</th><th>After</th><th>Change</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        rows.forEach(r => { const tr = document.createElement('tr'); r.forEach((t, i) => { const c = document.createElement(i ? 'td' : 'th'); c.textContent = t; tr.appendChild(c); }); tbody.appendChild(tr); });
+        table.appendChild(tbody);
+        el.appendChild(table);
+    }
+
+    // ---- Multi-page PDF (page navigation & per-page diagrams) ----
+    // Only the active page's content lives in this.objects/paths/...; other pages are parked in this.pageStates.
+    resetPdfPages(){
+        if (this.pdfDocument) { try { this.pdfDocument.destroy(); } catch(_) {} }
+        this.pdfDocument = null;
+        this.pdfPageCount = 0;
+        this.currentPdfPage = null;
+        this.pageStates = {};
+        this._pdfPageCache = new Map();
+        this._pdfPageBytes = 0;
+        this.clearPdfTiles();
+        this._thumbnailToken = (this._thumbnailToken || 0) + 1; // cancels an in-flight thumbnail build
+        this.updatePdfPagesUI();
+    }
+
+    async renderPdfPage(pageNumber){
+        const cached = this._pdfPageCache.get(pageNumber);
+        let offscreen = cached ? cached.canvas : null;
+        let scale = cached ? cached.scale : 1;
+        if (cached) {
+            // Refresh LRU position
+            this._pdfPageCache.delete(pageNumber);
+            this._pdfPageBytes -= cached.bytes;
+        } else {
+            const page = await this.pdfDocument.getPage(pageNumber);
+            const vp = page.getViewport({ scale: 1 });
+            const targetW = this.canvas.width * 0.95;
+            const targetH = this.canvas.height * 0.95;
+            scale = Math.min(targetW / vp.width, targetH / vp.height);
+            const viewport = page.getViewport({ scale });
+            
+            offscreen = document.createElement('canvas');
+            offscreen.width = Math.ceil(viewport.width);
+            offscreen.height = Math.ceil(viewport.height);
+            const offctx = offscreen.getContext('2d');
+            if (!offctx) {
+                throw new Error('Failed to get 2D context for offscreen canvas');
+            }
+            await page.render({ canvasContext: offctx, viewport }).promise;
+            
+            // Basic content verification (lightweight)
+            try {
+                const sample = offctx.getImageData(0, 0, Math.min(50, offscreen.width), Math.min(50, offscreen.height));
+                const nonZero = sample.data.find(v => v !== 0);
+                if (!nonZero) this.debugLog('[PDF] Warning: sample region blank', { pageNumber });
+            } catch (_) {}
+        }
+        const bytes = offscreen.width * offscreen.height * 4;
+        this._pdfPageCache.set(pageNumber, { canvas: offscreen, scale, bytes });
+        this._pdfPageBytes += bytes;
+        this._pdfTileQueue = []; // tiles queued for the previous page are no longer wanted
+        this._pdfBaseScale = scale;
+        this._pdfRenderPage = pageNumber;
+        this.evictPdfCache();
+        this.backgroundPdfPageCanvas = offscreen;
+        this.backgroundRect = { x: 0, y: 0, width: offscreen.width, height: offscreen.height };
+        return offscreen;
+    }
+
+    capturePageState(){
+        return {
+            diagram: JSON.parse(this.serializeDiagram()),
+            scale: this.getScaleState(),
+            view: { pan: { x: this.pan.x, y: this.pan.y }, zoom: this.zoom },
+            backgroundTransform: { ...this.backgroundTransform },
+            backgroundRect: this.backgroundRect ? { ...this.backgroundRect } : null,
+            scenarios: this.captureScenarioState()
+        };
+    }
+    stashCurrentPage(){
+        if (!this.pdfDocument || !this.currentPdfPage) return;
+        this.pageStates[this.currentPdfPage] = {
+            ...this.capturePageState(),
+            // Undo history stays with its page for the session (not persisted)
+            history: { undo: this._undoStack, redo: this._redoStack, baseline: this._historyBaseline },
+            scenarioRuntime: { currentScenarioId: this.currentScenarioId, scenarios: this.scenarios }
+        };
+    }
+    serializePageStates(){
+        this.stashCurrentPage();
+        const out = {};
+        Object.keys(this.pageStates).forEach(n => {
+            const { history, scenarioRuntime, ...rest } = this.pageStates[n];
+            out[n] = JSON.parse(JSON.stringify(rest));
+        });
+        return out;
+    }
+
+    async goToPdfPage(pageNumber){
+        if (!this.pdfDocument) return;
+        const n = Math.min(this.pdfPageCount, Math.max(1, parseInt(pageNumber) || 1));
+        if (n === this.currentPdfPage) { this.updatePdfPagesUI(); return; }
+        this.stashCurrentPage();
+        this.setLoading(true, `Rendering page ${n}...`);
+        try {
+            await this.renderPdfPage(n);
+        } catch (err) {
+            console.error('[PDF] Page render failed:', err);
+            this.showInfoMessage(`Failed to render page ${n}.`, 'error');
+            return;
+        } finally {
+            this.setLoading(false);
+        }
+        this.currentPdfPage = n;
+        this.applyPageState(this.pageStates[n]);
+        this.scheduleAutosave();
+    }
+
+    applyPageState(st){
+        const wasRestoring = this._restoringProject;
+        this._restoringProject = true; // page switch is not an edit
+        try {
+            this.calibrationPoints = [];
+            this._pendingCalibrationPx = null;
+            this._lastCalibrationReal = null;
+            if (st) {
+                this.applyDiagramState(st.diagram);
+                this.applyScenarioState(st.scenarioRuntime || st.scenarios);
+                if (st.scale) this.applyScaleState(st.scale);
+                this.backgroundTransform = { rotation: 0, flipH: false, flipV: false, ...(st.backgroundTransform || {}) };
+                this.updateAlignmentUI();
+                if (st.backgroundRect) this.backgroundRect = { ...st.backgroundRect };
+                if (st.view) { this.zoom = st.view.zoom || 1; this.pan = { x: st.view.pan?.x || 0, y: st.view.pan?.y || 0 }; }
+                else this.fitBackground();
+                if (st.history) {
+                    this._undoStack = st.history.undo; this._redoStack = st.history.redo; this._historyBaseline = st.history.baseline;
+                    this.updateHistoryUI();
+                } else this.resetHistory();
+            } else {
+                // First visit: empty diagram, uncalibrated (each sheet may use a different drawing scale)
+                this.applyDiagramState({ objects: [], paths: [], obstacles: [], zones: [] });
+                this.applyScenarioState(null);
+                this.clearCalibration();
+                this.backgroundTransform = { rotation: 0, flipH: false, flipV: false };
+                this.updateAlignmentUI();
+                this.fitBackground();
+                this.resetHistory();
+            }
+        } finally {
+            this._restoringProject = wasRestoring;
+        }
+        this.updateScaleUI();
+        this.updateAnalytics();
+        this.updatePdfPagesUI();
+        this.render();
+    }
+
+    initPdfPagesUI(){
+        const prev = document.getElementById('prevPdfPage');
+        const next = document.getElementById('nextPdfPage');
+        const select = document.getElementById('pdfPageSelect');
+        const thumbs = document.getElementById('pdfThumbnails');
+        if (prev) prev.addEventListener('click', () => this.goToPdfPage((this.currentPdfPage || 1) - 1));
+        if (next) next.addEventListener('click', () => this.goToPdfPage((this.currentPdfPage || 1) + 1));
+        if (select) select.addEventListener('change', () => this.goToPdfPage(select.value));
+        if (thumbs) thumbs.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-page]');
+            if (btn) this.goToPdfPage(btn.dataset.page);
+        });
+        this.updatePdfPagesUI();
+    }
+
+    updatePdfPagesUI(){
+        const section = document.getElementById('pagesSection');
+        if (!section) return;
+        const multi = !!this.pdfDocument && this.pdfPageCount > 1;
+        section.classList.toggle('hidden', !multi);
+        if (!multi) return;
+        const select = document.getElementById('pdfPageSelect');
+        if (select) {
+            if (select.options.length !== this.pdfPageCount) {
+                select.innerHTML = '';
+                for (let i = 1; i <= this.pdfPageCount; i++) {
+                    const opt = document.createElement('option');
+                    opt.value = i; opt.textContent = `Page ${i} of ${this.pdfPageCount}`;
+                    select.appendChild(opt);
+                }
+            }
+            select.value = this.currentPdfPage || 1;
+        }
+        const prev = document.getElementById('prevPdfPage');
+        const next = document.getElementById('nextPdfPage');
+        if (prev) prev.disabled = (this.currentPdfPage || 1) <= 1;
+        if (next) next.disabled = (this.currentPdfPage || 1) >= this.pdfPageCount;
+        document.querySelectorAll('#pdfThumbnails .page-thumb').forEach(el => {
+            const n = parseInt(el.dataset.page);
+            el.classList.toggle('active', n === this.currentPdfPage);
+            el.setAttribute('aria-pressed', n === this.currentPdfPage ? 'true' : 'false');
+            // Badge shows how much has been drawn on each page
+            const st = n === this.currentPdfPage ? { diagram: { objects: this.objects, paths: this.paths } } : this.pageStates[n];
+            const badge = el.querySelector('.page-thumb-count');
+            if (badge) {
+                const count = st && st.diagram ? (st.diagram.objects || []).length + (st.diagram.paths || []).length : 0;
+                badge.textContent = count ? String(count) : '';
+            }
+        });
+    }
+
+    // Render small page previews one at a time so large drawing sets do not block the UI
+    async buildPdfThumbnails(){
+        const container = document.getElementById('pdfThumbnails');
+        if (!container || !this.pdfDocument || this.pdfPageCount < 2) { if (container) container.innerHTML = ''; return; }
+        const token = this._thumbnailToken = (this._thumbnailToken || 0) + 1;
+        const pdf = this.pdfDocument;
+        container.innerHTML = '';
+        for (let i = 1; i <= this.pdfPageCount; i++) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'page-thumb';
+            btn.dataset.page = i;
+            btn.title = `Go to page ${i}`;
+            btn.innerHTML = `<span class="page-thumb-image"></span><span class="page-thumb-label">${i}</span><span class="page-thumb-count"></span>`;
+            container.appendChild(btn);
+        }
+        this.updatePdfPagesUI();
+        for (let i = 1; i <= this.pdfPageCount; i++) {
+            if (token !== this._thumbnailToken || pdf !== this.pdfDocument) return;
+            try {
+                const page = await pdf.getPage(i);
+                const vp = page.getViewport({ scale: 1 });
+                const viewport = page.getViewport({ scale: 96 / Math.max(vp.width, vp.height) });
+                const thumb = document.createElement('canvas');
+                thumb.width = Math.ceil(viewport.width);
+                thumb.height = Math.ceil(viewport.height);
+                await page.render({ canvasContext: thumb.getContext('2d'), viewport }).promise;
+                if (token !== this._thumbnailToken) return;
+                const slot = container.querySelector(`.page-thumb[data-page="${i}"] .page-thumb-image`);
+                if (slot) slot.appendChild(thumb);
+            } catch (err) {
+                this.debugLog('[PDF] Thumbnail failed', i, err);
+            }
+        }
+    }
+
+    // ---- PDF zoom detail tiles ----
+    // The base raster is ~canvas-sized, so zooming just stretches it. When the background is drawn at more than
+    // ~1 screen px per base px, the visible part of the page is re-rendered by pdf.js in square tiles at a
+    // power-of-two detail level and composited over the base. Called from render() inside the background's
+    // local transform, where (−width/2, −height/2) is the page's top-left corner.
+    drawPdfDetailTiles(ctx, width, height){
+        const base = this.backgroundPdfPageCanvas;
+        if (!base || !ctx.getTransform) return;
+        const m = ctx.getTransform();
+        const det = m.a * m.d - m.b * m.c;
+        if (!det) return;
+        const kx = width / base.width; // world units per base px (1 unless backgroundRect was resized)
+        const ky = height / base.height;
+        const screenPerBase = Math.sqrt(Math.abs(det)) * Math.max(kx, ky);
+        if (screenPerBase <= 1.15) { this._pdfTileQueue = []; return; }
+        const level = Math.min(16, Math.pow(2, Math.ceil(Math.log2(screenPerBase))));
+        // Visible screen rectangle mapped back into base-raster pixels
+        const toLocal = (x, y) => {
+            const lx = (m.d * (x - m.e) - m.c * (y - m.f)) / det;
+            const ly = (-m.b * (x - m.e) + m.a * (y - m.f)) / det;
+            return { x: (lx + width/2) / kx, y: (ly + height/2) / ky };
+        };
+        const corners = [toLocal(0,0), toLocal(this.canvas.width,0), toLocal(0,this.canvas.height), toLocal(this.canvas.width,this.canvas.height)];
+        const minX = Math.max(0, Math.min(...corners.map(c => c.x)));
+        const minY = Math.max(0, Math.min(...corners.map(c => c.y)));
+        const maxX = Math.min(base.width, Math.max(...corners.map(c => c.x)));
+        const maxY = Math.min(base.height, Math.max(...corners.map(c => c.y)));
+        if (maxX <= minX || maxY <= minY) return;
+        const T = this.pdfTileSize;
+        const span = T / level; // base px covered by one tile
+        const c1 = Math.floor(minX / span), c2 = Math.floor((maxX - 0.001) / span);
+        const r1 = Math.floor(minY / span), r2 = Math.floor((maxY - 0.001) / span);
+        const page = this._pdfRenderPage;
+        const wanted = [];
+        const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+        for (let r = r1; r <= r2; r++) {
+            for (let c = c1; c <= c2; c++) {
+                const key = `${page}:${level}:${c}:${r}`;
+                const tile = this._pdfTileCache.get(key);
+                if (tile) {
+                    // Touch for LRU and draw
+                    this._pdfTileCache.delete(key); this._pdfTileCache.set(key, tile);
+                    const tw = tile.canvas.width / level, th = tile.canvas.height / level;
+                    ctx.drawImage(tile.canvas, -width/2 + c*span*kx, -height/2 + r*span*ky, tw*kx, th*ky);
+                } else {
+                    wanted.push({ key, page, level, col: c, row: r, d: Math.hypot((c + 0.5)*span - cx, (r + 0.5)*span - cy) });
+                }
+            }
+        }
+        // Nearest-to-centre first; replaces any queue left over from a previous view/level
+        wanted.sort((a, b) => a.d - b.d);
+        this._pdfTileQueue = wanted;
+        if (wanted.length && !this._pdfTileBusy) this.processPdfTileQueue();
+    }
+
+    async processPdfTileQueue(){
+        this._pdfTileBusy = true;
+        const doc = this.pdfDocument;
+        try {
+            while (this._pdfTileQueue.length && doc === this.pdfDocument) {
+                const job = this._pdfTileQueue.shift();
+                if (this._pdfTileCache.has(job.key) || job.page !== this._pdfRenderPage) continue;
+                try {
+                    await this.renderPdfTile(doc, job);
+                } catch (err) {
+                    this.debugLog('[PDF] Tile render failed', job.key, err);
+                    continue;
+                }
+                this.schedulePdfTileRepaint();
+            }
+        } finally {
+            this._pdfTileBusy = false;
+        }
+    }
+
+    async renderPdfTile(doc, job){
+        const T = this.pdfTileSize;
+        const page = await doc.getPage(job.page);
+        const viewport = page.getViewport({ scale: this._pdfBaseScale * job.level });
+        const tw = Math.min(T, Math.ceil(viewport.width) - job.col * T);
+        const th = Math.min(T, Math.ceil(viewport.height) - job.row * T);
+        if (tw <= 0 || th <= 0) return;
+        const tile = document.createElement('canvas');
+        tile.width = tw; tile.height = th;
+        const tctx = tile.getContext('2d');
+        if (!tctx) return;
+        // Shift the page so this tile's region lands at the canvas origin
+        await page.render({ canvasContext: tctx, viewport, transform: [1, 0, 0, 1, -job.col * T, -job.row * T] }).promise;
+        if (doc !== this.pdfDocument || job.page !== this._pdfRenderPage) return;
+        const bytes = tw * th * 4;
+        this._pdfTileCache.set(job.key, { canvas: tile, bytes });
+        this._pdfTileBytes += bytes;
+        this.evictPdfCache();
+    }
+
+    // Keep tiles plus cached page rasters under pdfTileCacheLimitBytes: other pages' rasters go first (oldest first),
+    // then the least recently used tiles. The current page's raster and the newest tile always stay.
+    evictPdfCache(){
+        const release = (canvas) => { canvas.width = 0; canvas.height = 0; }; // free the backing store promptly
+        while (this._pdfPageBytes + this._pdfTileBytes > this.pdfTileCacheLimitBytes || this._pdfPageCache.size > 6) {
+            const pageKey = [...this._pdfPageCache.keys()].find(n => n !== this._pdfRenderPage);
+            if (pageKey !== undefined) {
+                const page = this._pdfPageCache.get(pageKey);
+                this._pdfPageCache.delete(pageKey);
+                this._pdfPageBytes -= page.bytes;
+                release(page.canvas);
+            } else if (this._pdfTileCache.size > 1) {
+                const oldestKey = this._pdfTileCache.keys().next().value;
+                const oldest = this._pdfTileCache.get(oldestKey);
+                this._pdfTileCache.delete(oldestKey);
+                this._pdfTileBytes -= oldest.bytes;
+                release(oldest.canvas);
+            } else break;
+        }
+    }
+
+    clearPdfTiles(){
+        this._pdfTileCache = new Map();
+        this._pdfTileBytes = 0;
+        this._pdfTileQueue = [];
+    }
+
+    schedulePdfTileRepaint(){
+        if (this._pdfTileRepaintPending) return;
+        this._pdfTileRepaintPending = true;
+        requestAnimationFrame(() => { this._pdfTileRepaintPending = false; this.render(); });
+    }
+
+    // ---- Undo / Redo history ----
+    // Every editing operation ends with commitChange(label). The diagram is serialized and compared with
+    // the last committed snapshot, so no-op interactions (a click that selects without moving) add nothing.
+    serializeDiagram(){ return JSON.stringify({ objects: this.objects, paths: this.paths, obstacles: this.obstacles, zones: this.zones, annotations: this.annotations, measurements: this.measurements, groups: this.groups, layers: this.layers }); }
+    // `background` ({ transform, moveItems, scale? }: the alignment – and scale, if it changed too – before a background
+    // realignment) forces an entry even when no item moved, so undo can put the background back too.
+    commitChange(label, background){
+        const state = this.serializeDiagram();
+        if (this._historyBaseline === null) this._historyBaseline = state;
+        if (state !== this._historyBaseline || background) {
+            this._heatmapDirty = true;
+            this._undoStack.push(background ? { label, state: this._historyBaseline, background } : { label, state: this._historyBaseline });
+            if (this._undoStack.length > this.historyLimit) this._undoStack.splice(0, this._undoStack.length - this.historyLimit);
+            this._redoStack = [];
+            this._historyBaseline = state;
+            this.updateHistoryUI();
+            this.updatePdfPagesUI();
+        }
+        this.scheduleAutosave();
+    }
+    resetHistory(){
+        this._undoStack = [];
+        this._redoStack = [];
+        this._historyBaseline = this.serializeDiagram();
+        this.updateHistoryUI();
+    }
+    canUndo(){ return this._undoStack.length > 0; }
+    canRedo(){ return this._redoStack.length > 0; }
+    undo(){ this.stepHistory(this._undoStack, this._redoStack, 'Undo'); }
+    redo(){ this.stepHistory(this._redoStack, this._undoStack, 'Redo'); }
+    stepHistory(from, to, verb){
+        // Ignore while a drag/draw is in progress; the gesture has not been committed yet
+        if (this.isDrawing || this.isDragging || this.isResizing || this.isDraggingEndpoint) return;
+        const entry = from.pop();
+        if (!entry) return;
+        if (entry.background) {
+            // Other scenarios are not in the snapshot, so they are carried back through the alignment map
+            const map = entry.background.moveItems ? this.getAlignmentMap(this.backgroundTransform, entry.background.transform) : null;
+            if (map) this.getInactiveScenarioDiagrams().forEach(d => this.transformDiagram(d, map));
+            to.push({ label: entry.label, state: this._historyBaseline, background: { transform: this.cloneBackgroundTransform(), moveItems: entry.background.moveItems, ...(entry.background.scale ? { scale: this.getScaleState() } : {}) } });
+            this.backgroundTransform = this.cloneBackgroundTransform(entry.background.transform);
+            this._warpCache = null;
+            this.updateAlignmentUI();
+            if (entry.background.scale) { this.applyScaleState(entry.background.scale); this.saveScaleToStorage(); this.updateScaleUI(); }
+        } else to.push({ label: entry.label, state: this._historyBaseline });
+        this._historyBaseline = entry.state;
+        this.applyDiagramState(JSON.parse(entry.state));
+        this.hideDeleteTooltip();
+        this.deleteHighlight = null;
+        this.updateAnalytics();
+        this.updateHistoryUI();
+        this.render();
+        this.scheduleAutosave();
+        this.showInfoMessage(`${verb}: ${entry.label}`, 'info', 1200);
+    }
+    initHistoryUI(){
+        const undoBtn = document.getElementById('undoAction');
+        const redoBtn = document.getElementById('redoAction');
+        if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+        if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+        this.resetHistory();
+    }
+    updateHistoryUI(){
+        const undoBtn = document.getElementById('undoAction');
+        const redoBtn = document.getElementById('redoAction');
+        const lastUndo = this._undoStack[this._undoStack.length - 1];
+        const lastRedo = this._redoStack[this._redoStack.length - 1];
+        if (undoBtn) { undoBtn.disabled = !lastUndo; undoBtn.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo'; }
+        if (redoBtn) { redoBtn.disabled = !lastRedo; redoBtn.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'; }
+    }
+
+    // ---- Project persistence (IndexedDB) ----
+    // Projects live in the 'projects' store; background bytes sit in 'backgrounds' (keyed by projectId)
+    // so autosaves only rewrite the image/PDF when it actually changes.
+    openProjectDb(){
+        if (this._projectDbPromise) return this._projectDbPromise;
+        this._projectDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) { reject(new Error('IndexedDB not available')); return; }
+            const req = indexedDB.open('SpaghettiDiagramDB', 1);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('projects')) db.createObjectStore('projects', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('backgrounds')) db.createObjectStore('backgrounds', { keyPath: 'projectId' });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error || new Error('Failed to open project database'));
+        });
+        return this._projectDbPromise;
+    }
+    async projectDbRequest(storeName, mode, makeRequest){
+        const db = await this.openProjectDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Project database transaction aborted'));
+        });
+    }
+    async listProjects(){
+        const all = await this.projectDbRequest('projects', 'readonly', s => s.getAll());
+        return (all || []).sort((a,b) => (b.updatedAt||0) - (a.updatedAt||0));
+    }
+    getProjectRecord(id){ return this.projectDbRequest('projects', 'readonly', s => s.get(id)); }
+    getProjectBackground(id){ return this.projectDbRequest('backgrounds', 'readonly', s => s.get(id)); }
+    generateProjectId(){ return 'p_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8); }
+
+    serializeProject(){
+        const clone = (v) => JSON.parse(JSON.stringify(v));
+        const src = this.backgroundSource;
+        return {
+            id: this.currentProjectId,
+            name: this.currentProjectName,
+            version: 1,
+            createdAt: this._projectCreatedAt || Date.now(),
+            updatedAt: Date.now(),
+            diagram: clone({ objects: this.objects, paths: this.paths, obstacles: this.obstacles, zones: this.zones, annotations: this.annotations, measurements: this.measurements, groups: this.groups, layers: this.layers }),
+            scale: this.getScaleState(),
+            view: { pan: { x: this.pan.x, y: this.pan.y }, zoom: this.zoom },
+            backgroundTransform: { ...this.backgroundTransform },
+            backgroundRect: this.backgroundRect ? { ...this.backgroundRect } : null,
+            background: src ? { kind: src.kind, name: src.name, mimeType: src.mimeType } : null,
+            layerState: JSON.parse(JSON.stringify(this.layerState)),
+            scenarios: this.captureScenarioState(),
+            currentPage: this.pdfDocument ? this.currentPdfPage : null,
+            pages: this.pdfDocument ? this.serializePageStates() : null
+        };
+    }
+
+    scheduleAutosave(){
+        if (!this.currentProjectId || this._restoringProject) return;
+        clearTimeout(this._autosaveTimer);
+        this._autosaveTimer = setTimeout(() => this.saveCurrentProject(), 600);
+        this.setProjectSaveStatus('Saving…');
+    }
+    async flushAutosave(){ if (this._autosaveTimer) await this.saveCurrentProject(); }
+
+    async saveCurrentProject(){
+        clearTimeout(this._autosaveTimer); this._autosaveTimer = null;
+        if (!this.currentProjectId || this._restoringProject) return;
+        const record = this.serializeProject();
+        const writeBackground = this._backgroundDirty;
+        this._backgroundDirty = false;
+        try {
+            await this.projectDbRequest('projects', 'readwrite', s => s.put(record));
+            if (writeBackground) {
+                if (this.backgroundSource) await this.projectDbRequest('backgrounds', 'readwrite', s => s.put({ projectId: record.id, ...this.backgroundSource }));
+                else await this.projectDbRequest('backgrounds', 'readwrite', s => s.delete(record.id));
+            }
+            try { localStorage.setItem('sdLastProjectId', record.id); } catch(_) {}
+            this.setProjectSaveStatus(`Saved ${new Date(record.updatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+            this.debugLog('[Project] Saved', record.id);
+        } catch (err) {
+            if (writeBackground) this._backgroundDirty = true; // retry on next save
+            console.error('[Project] Autosave failed:', err);
+            this.setProjectSaveStatus('Not saved');
+            if (!this._autosaveErrorShown) {
+                this._autosaveErrorShown = true;
+                this.showInfoMessage(`Autosave failed: ${err && err.message ? err.message : err}`, 'error', 6000);
+            }
+        }
+    }
+
+    async initProjects(){
+        this.initProjectsUI();
+        try {
+            await this.openProjectDb();
+        } catch (err) {
+            console.warn('[Project] Persistence unavailable:', err);
+            this.showInfoMessage('Project storage unavailable – changes will not be saved.', 'warning', 6000);
+            return;
+        }
+        try {
+            let lastId = null;
+            try { lastId = localStorage.getItem('sdLastProjectId'); } catch(_) {}
+            let record = lastId ? await this.getProjectRecord(lastId) : null;
+            if (!record) record = (await this.listProjects())[0] || null;
+            if (record) await this.openProject(record.id);
+            else await this.createProject('Untitled Project', { keepCurrent: true });
+        } catch (err) {
+            console.error('[Project] Failed to restore last project:', err);
+            this.showInfoMessage('Could not restore the last project.', 'error');
+        }
+        // Flush pending edits when the tab is hidden/closed
+        window.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') this.flushAutosave(); });
+        window.addEventListener('pagehide', () => this.flushAutosave());
+    }
+
+    async createProject(name, opts = {}){
+        await this.flushAutosave();
+        this.currentProjectId = this.generateProjectId();
+        this.currentProjectName = name || 'Untitled Project';
+        this._projectCreatedAt = Date.now();
+        if (!opts.keepCurrent) {
+            this.applyDiagramState({ objects: [], paths: [], obstacles: [], zones: [] });
+            this.applyScenarioState(null);
+            this.resetPdfPages();
+            this.backgroundImage = null;
+            this.backgroundPdfPageCanvas = null;
+            this.backgroundVector = null;
+            this.backgroundRect = null;
+            this.backgroundSource = null;
+            this.backgroundTransform = { rotation: 0, flipH: false, flipV: false };
+            this.updateAlignmentUI();
+            this.clearCalibration(); // calibration belongs to a drawing; units/steps/grid carry over
+            this.calibrationPoints = [];
+            this.zoom = 1; this.pan = { x: 0, y: 0 };
+            this.updateScaleUI();
+            this.updateAnalytics();
+        }
+        this._backgroundDirty = true;
+        this.resetHistory();
+        await this.saveCurrentProject();
+        this.updateProjectUI();
+        this.render();
+    }
+
+    async openProject(id){
+        await this.flushAutosave();
+        const record = await this.getProjectRecord(id);
+        if (!record) { this.showInfoMessage('Project not found.', 'error'); return; }
+        let background = null;
+        if (record.background) {
+            try { background = await this.getProjectBackground(id); } catch (err) { console.warn('[Project] Background read failed:', err); }
+        }
+        await this.applyProject(record, background);
+        try { localStorage.setItem('sdLastProjectId', id); } catch(_) {}
+        this.setProjectSaveStatus('Saved');
+    }
+
+    // Replace the editable content (objects/paths/obstacles/zones) and drop any selection or in-progress drawing
+    applyDiagramState(diagram){
+        const d = diagram || {};
+        this.objects = Array.isArray(d.objects) ? d.objects : [];
+        this.paths = Array.isArray(d.paths) ? d.paths : [];
+        this.obstacles = Array.isArray(d.obstacles) ? d.obstacles : [];
+        this.zones = Array.isArray(d.zones) ? d.zones : [];
+        this.annotations = Array.isArray(d.annotations) ? d.annotations : [];
+        this.measurements = Array.isArray(d.measurements) ? d.measurements : [];
+        this.groups = Array.isArray(d.groups) ? d.groups : [];
+        this.layers = Array.isArray(d.layers) ? d.layers : [];
+        this._heatmapDirty = true;
+        this.selectedObject = null; this.selectedZone = null; this.selectedObstacle = null; this.selectedAnnotation = null; this.selectedMeasurement = null;
+        this.selectedPath = null; this.selectedEndpoint = null; this.editingPath = null;
+        this.selectedItems = []; this.marquee = null;
+        this.isDrawing = false; this.isDragging = false; this.isResizing = false; this.isDraggingEndpoint = false;
+        this.currentPath = []; this.currentObstacle = null; this.currentZone = null; this.currentMeasurement = null;
+        if (this._pathPanelEl) this._pathPanelEl.classList.add('hidden');
+        this.refreshAutoPathSelects();
+        this.updateLayersUI();
+        this.updateSelectionUI();
+    }
+
+    async applyProject(record, background){
+        this._restoringProject = true;
+        try {
+            this.currentProjectId = record.id;
+            this.currentProjectName = record.name || 'Untitled Project';
+            this._projectCreatedAt = record.createdAt || Date.now();
+            this.applyDiagramState(record.diagram);
+            this.applyScenarioState(record.scenarios);
+            if (record.scale) this.applyScaleState(record.scale);
+            this.calibrationPoints = [];
+            this.backgroundImage = null;
+            this.backgroundPdfPageCanvas = null;
+            this.backgroundVector = null;
+            this.backgroundRect = null;
+            this.backgroundSource = null;
+            this.resetPdfPages();
+            if (background && background.data) await this.restoreBackgroundSource(background, { page: record.currentPage || 1 });
+            if (this.pdfDocument && record.pages) {
+                this.pageStates = JSON.parse(JSON.stringify(record.pages));
+                this.updatePdfPagesUI();
+            }
+            this.backgroundTransform = record.backgroundTransform ? { rotation: 0, flipH: false, flipV: false, ...record.backgroundTransform } : { rotation: 0, flipH: false, flipV: false };
+            this.updateAlignmentUI();
+            if (record.backgroundRect && this.backgroundRect) this.backgroundRect = { ...record.backgroundRect };
+            if (record.view) {
+                this.zoom = record.view.zoom || 1;
+                this.pan = { x: record.view.pan?.x || 0, y: record.view.pan?.y || 0 };
+            }
+            this.layerState = record.layerState ? JSON.parse(JSON.stringify(record.layerState)) : {};
+            this.activeLayerId = null;
+            this.updateLayersUI();
+            this.resetHistory();
+            this.updateScaleUI();
+            this.updateAnalytics();
+            this.updateProjectUI();
+            this.render();
+        } finally {
+            this._restoringProject = false;
+            this._backgroundDirty = false;
+        }
+    }
+
+    async restoreBackgroundSource(src, opts = {}){
+        try {
+            if (src.kind === 'pdf') await this.loadBackgroundPdfData(src.data, { quiet: true, page: opts.page });
+            else if (src.kind === 'svg' || src.kind === 'dxf') {
+                const text = typeof src.data === 'string' ? src.data : new TextDecoder().decode(src.data);
+                this.applyVectorBackground(this.parseVectorDrawing(src.kind, text), src.options || {});
+                this.fitBackground();
+            }
+            else await this.loadBackgroundImage(new Blob([src.data], { type: src.mimeType || 'image/png' }));
+            this.backgroundSource = { kind: src.kind, name: src.name, mimeType: src.mimeType, data: src.data, ...(src.options ? { options: src.options } : {}) };
+        } catch (err) {
+            console.error('[Project] Failed to restore background:', err);
+            this.showInfoMessage('Saved background could not be restored.', 'warning');
+        }
+    }
+
+    async duplicateProject(id){
+        let copy;
+        try {
+            if (id === this.currentProjectId) await this.flushAutosave();
+            const record = await this.getProjectRecord(id);
+            if (!record) return;
+            copy = { ...record, id: this.generateProjectId(), name: `${record.name || 'Untitled Project'} (copy)`, createdAt: Date.now(), updatedAt: Date.now() };
+            await this.projectDbRequest('projects', 'readwrite', s => s.put(copy));
+            if (record.background) {
+                const bg = await this.getProjectBackground(id);
+                if (bg) await this.projectDbRequest('backgrounds', 'readwrite', s => s.put({ ...bg, projectId: copy.id }));
+            }
+        } catch (err) {
+            console.error('[Project] Duplicate failed:', err);
+            this.showInfoMessage('Failed to duplicate project.', 'error');
+            return;
+        }
+        this.showInfoMessage(`Duplicated as "${copy.name}"`, 'success', 2000);
+        this.renderProjectList();
+    }
+
+    async renameProject(id, name){
+        name = (name || '').trim();
+        if (!name) return;
+        if (id === this.currentProjectId) {
+            this.currentProjectName = name;
+            await this.saveCurrentProject();
+            this.updateProjectUI();
+        } else {
+            try {
+                const record = await this.getProjectRecord(id);
+                if (!record) return;
+                record.name = name; record.updatedAt = Date.now();
+                await this.projectDbRequest('projects', 'readwrite', s => s.put(record));
+            } catch (err) {
+                console.error('[Project] Rename failed:', err);
+                this.showInfoMessage('Failed to rename project.', 'error');
+            }
+        }
+        this.renderProjectList();
+    }
+
+    async deleteProject(id){
+        try {
+            await this.projectDbRequest('projects', 'readwrite', s => s.delete(id));
+            await this.projectDbRequest('backgrounds', 'readwrite', s => s.delete(id));
+        } catch (err) {
+            console.error('[Project] Delete failed:', err);
+            this.showInfoMessage('Failed to delete project.', 'error');
+            return;
+        }
+        if (id === this.currentProjectId) {
+            // Never leave the workspace without a project to autosave into
+            clearTimeout(this._autosaveTimer); this._autosaveTimer = null;
+            this.currentProjectId = null;
+            const next = (await this.listProjects())[0];
+            if (next) await this.openProject(next.id);
+            else await this.createProject('Untitled Project');
+        }
+        this.showInfoMessage('Project deleted.', 'success', 1500);
+        this.renderProjectList();
+    }
+
+    initProjectsUI(){
+        const openBtn = document.getElementById('openProjects');
+        const modal = document.getElementById('projectsModal');
+        const closeBtn = document.getElementById('closeProjectsModal');
+        const closeFooter = document.getElementById('closeProjectsFooter');
+        const newBtn = document.getElementById('newProject');
+        const list = document.getElementById('projectList');
+        if (openBtn) openBtn.addEventListener('click', () => this.openProjectsModal());
+        if (closeBtn) closeBtn.addEventListener('click', () => this.closeProjectsModal());
+        if (closeFooter) closeFooter.addEventListener('click', () => this.closeProjectsModal());
+        if (modal) modal.addEventListener('click', (e) => { if (e.target === modal) this.closeProjectsModal(); });
+        if (newBtn) newBtn.addEventListener('click', async () => {
+            try {
+                await this.createProject(`Project ${new Date().toLocaleDateString()}`);
+            } catch (err) {
+                console.error('[Project] Create failed:', err);
+                this.showInfoMessage('Failed to create project.', 'error');
+                return;
+            }
+            this.renderProjectList();
+            this.showInfoMessage('New project created.', 'success', 1500);
+        });
+        if (list) list.addEventListener('click', (e) => this.handleProjectListClick(e));
+        this.updateProjectUI();
+    }
+    openProjectsModal(){
+        const modal = document.getElementById('projectsModal');
+        if (modal) modal.classList.remove('hidden');
+        this.flushAutosave().then(() => this.renderProjectList());
+    }
+    closeProjectsModal(){ const modal = document.getElementById('projectsModal'); if (modal) modal.classList.add('hidden'); }
+    updateProjectUI(){
+        const label = document.getElementById('currentProjectName');
+        if (label) label.textContent = this.currentProjectName || '';
+        document.title = this.currentProjectName ? `${this.currentProjectName} – Spaghetti Diagram Tool` : 'Spaghetti Diagram Tool';
+    }
+    setProjectSaveStatus(text){ const el = document.getElementById('projectSaveStatus'); if (el) el.textContent = text || ''; }
+
+    async renderProjectList(){
+        const list = document.getElementById('projectList');
+        if (!list) return;
+        let projects = [];
+        try { projects = await this.listProjects(); } catch (err) { console.warn('[Project] List failed:', err); }
+        list.innerHTML = '';
+        if (!projects.length) { list.innerHTML = '<div class="empty-state">No saved projects yet</div>'; return; }
+        projects.forEach(p => {
+            const d = p.diagram || {};
+            const item = document.createElement('div');
+            item.className = 'project-item' + (p.id === this.currentProjectId ? ' current' : '');
+            item.dataset.projectId = p.id;
+            const info = document.createElement('div');
+            info.className = 'project-item-info';
+            const name = document.createElement('div');
+            name.className = 'project-item-name';
+            name.textContent = p.name || 'Untitled Project';
+            const meta = document.createElement('div');
+            meta.className = 'project-item-meta';
+            const counts = `${(d.objects||[]).length} objects · ${(d.paths||[]).length} paths`;
+            meta.textContent = `${p.id === this.currentProjectId ? 'Open · ' : ''}${counts} · ${new Date(p.updatedAt || Date.now()).toLocaleString()}`;
+            info.appendChild(name); info.appendChild(meta);
+            const actions = document.createElement('div');
+            actions.className = 'project-item-actions';
+            [['open','Open'],['rename','Rename'],['duplicate','Duplicate'],['delete','Delete']].forEach(([action, text]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = action === 'open' ? 'btn btn--primary' : 'btn btn--outline';
+                btn.dataset.action = action;
+                btn.textContent = text;
+                if (action === 'open' && p.id === this.currentProjectId) btn.disabled = true;
+                actions.appendChild(btn);
+            });
+            item.appendChild(info); item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+
+    async handleProjectListClick(e){
+        const btn = e.target.closest('button[data-action]');
+        const item = e.target.closest('.project-item');
+        if (!btn || !item) return;
+        const id = item.dataset.projectId;
+        const action = btn.dataset.action;
+        try {
+            switch (action) {
+                case 'open':
+                    await this.openProject(id);
+                    this.closeProjectsModal();
+                    this.showInfoMessage(`Opened "${this.currentProjectName}"`, 'success', 1500);
+                    break;
+                case 'rename': this.beginProjectRename(item, id); break;
+                case 'duplicate': await this.duplicateProject(id); break;
+                case 'delete': {
+                    const record = await this.getProjectRecord(id);
+                    if (record) this.showDeleteConfirmation({ id, name: record.name || 'Untitled Project' }, 'project');
+                    break;
+                }
+            }
+        } catch (err) {
+            console.error(`[Project] ${action} failed:`, err);
+            this.showInfoMessage(`Failed to ${action} project.`, 'error');
+        }
+    }
+
+    // Inline rename: swap the name label for an input; Enter/blur commits, Escape cancels
+    beginProjectRename(item, id){
+        const nameEl = item.querySelector('.project-item-name');
+        if (!nameEl || item.querySelector('input')) return;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control';
+        input.value = nameEl.textContent;
+        nameEl.replaceWith(input);
+        input.focus(); input.select();
+        let done = false;
+        const finish = (commit) => {
+            if (done) return; done = true;
+            if (commit && input.value.trim()) this.renameProject(id, input.value);
+            else this.renderProjectList();
+        };
+        input.addEventListener('keydown', (ev) => {
+            if (ev.key === 'Enter') { ev.preventDefault(); finish(true); }
+            else if (ev.key === 'Escape') { ev.preventDefault(); ev.stopPropagation(); finish(false); }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
 
     // ----------------------------------------------------------------------
 }
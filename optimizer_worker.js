@@ -0,0 +1,187 @@
+// Layout optimizer worker - simulated annealing over object placements
+// Input (postMessage): { objects, flows, obstacles, restricted, green, bounds, options }
+//   objects:    [{ id, x, y, width, height, pinned }]
+//   flows:      [{ from, to, weight }]  (weight = trips per day between object ids)
+//   obstacles/restricted/green (safe zones): [{ x, y, width, height, points? }]
+//               (points = polygon corners with x/y/width/height as their bounding box; circles arrive as polygons)
+//   bounds:     { x, y, width, height } area objects may be placed in
+//   options:    { iterations, metric: 'euclidean'|'rectilinear', clearance, seed }
+// Output: { type:'progress', progress, bestCost } ... then { type:'done', positions:{ [id]:{x,y} }, costBefore, costAfter, moved }
+'use strict';
+
+self.onmessage = (e) => {
+    try {
+        const result = optimizeLayout(e.data, (progress, bestCost) => self.postMessage({ type: 'progress', progress, bestCost }));
+        self.postMessage({ type: 'done', ...result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err && err.message ? err.message : String(err) });
+    }
+};
+
+// Small deterministic PRNG so a given seed reproduces a proposal
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function optimizeLayout(input, onProgress) {
+    const { objects, flows, obstacles = [], restricted = [], green = [], bounds } = input;
+    const opts = { iterations: 20000, metric: 'euclidean', clearance: 10, seed: 1, ...(input.options || {}) };
+    const rand = mulberry32(opts.seed);
+    const n = objects.length;
+    const index = new Map(objects.map((o, i) => [o.id, i]));
+    const pos = objects.map(o => ({ x: o.x, y: o.y }));
+    const movable = objects.map((o, i) => i).filter(i => !objects[i].pinned);
+
+    // Adjacency: for each object the (other, weight) pairs it exchanges trips with
+    const adj = objects.map(() => []);
+    flows.forEach(f => {
+        const a = index.get(f.from), b = index.get(f.to);
+        if (a === undefined || b === undefined || a === b || !(f.weight > 0)) return;
+        adj[a].push([b, f.weight]);
+        adj[b].push([a, f.weight]);
+    });
+
+    const centre = (i, p = pos[i]) => ({ x: p.x + objects[i].width / 2, y: p.y + objects[i].height / 2 });
+    const dist = (a, b) => opts.metric === 'rectilinear' ? Math.abs(a.x - b.x) + Math.abs(a.y - b.y) : Math.hypot(a.x - b.x, a.y - b.y);
+    const objectCost = (i, p = pos[i]) => {
+        const c = centre(i, p);
+        let s = 0;
+        for (const [j, w] of adj[i]) s += w * dist(c, centre(j));
+        return s;
+    };
+    const totalCost = () => {
+        let s = 0;
+        for (let i = 0; i < n; i++) s += objectCost(i);
+        return s / 2;
+    };
+
+    const overlaps = (a, b, pad) => a.x < b.x + b.width + pad && a.x + a.width + pad > b.x && a.y < b.y + b.height + pad && a.y + a.height + pad > b.y;
+    const contains = (outer, r) => r.x >= outer.x && r.y >= outer.y && r.x + r.width <= outer.x + outer.width && r.y + r.height <= outer.y + outer.height;
+    const rectAt = (i, p) => ({ x: p.x, y: p.y, width: objects[i].width, height: objects[i].height });
+    // Polygons (zones and shaped obstacles): a rectangle is inside when its corners are inside and no edge cuts it,
+    // and touches the polygon when any corner is inside or any edge crosses it
+    const corners = (r) => [{ x: r.x, y: r.y }, { x: r.x + r.width, y: r.y }, { x: r.x + r.width, y: r.y + r.height }, { x: r.x, y: r.y + r.height }];
+    const edgeCutsRect = (z, r) => z.points.some((a, k) => segmentHitsRect(a, z.points[(k + 1) % z.points.length], r));
+    const inZone = (z, r) => z.points ? contains(z, r) && corners(r).every(c => pointInPolygon(c, z.points)) && !edgeCutsRect(z, r) : contains(z, r);
+    const hitsZone = (z, r) => z.points ? overlaps(r, z, 0) && (corners(r).some(c => pointInPolygon(c, z.points)) || edgeCutsRect(z, r)) : overlaps(r, z, 0);
+    // A placement is legal inside the bounds, clear of obstacles/restricted zones/other objects and,
+    // when relocation (safe) zones are given, entirely inside one of them
+    const valid = (i, p, ignore = -1) => {
+        const r = rectAt(i, p);
+        if (bounds && !contains(bounds, r)) return false;
+        const padded = { x: r.x - opts.clearance, y: r.y - opts.clearance, width: r.width + opts.clearance * 2, height: r.height + opts.clearance * 2 };
+        for (const ob of obstacles) if (ob.points ? hitsZone(ob, padded) : overlaps(r, ob, opts.clearance)) return false;
+        for (const z of restricted) if (hitsZone(z, r)) return false;
+        if (green.length && !green.some(z => inZone(z, r))) return false;
+        for (let j = 0; j < n; j++) {
+            if (j === i || j === ignore) continue;
+            if (overlaps(r, rectAt(j, pos[j]), opts.clearance)) return false;
+        }
+        return true;
+    };
+
+    const costBefore = totalCost();
+    if (!movable.length || !flows.length) return { positions: {}, costBefore, costAfter: costBefore, moved: 0 };
+
+    const areas = green.length ? green : [bounds];
+    const randomPosition = (i) => {
+        const area = areas[Math.floor(rand() * areas.length)];
+        const w = objects[i].width, h = objects[i].height;
+        if (!area || area.width < w || area.height < h) return null;
+        return { x: area.x + rand() * (area.width - w), y: area.y + rand() * (area.height - h) };
+    };
+
+    let cost = costBefore;
+    let best = { cost, pos: pos.map(p => ({ ...p })) };
+    // Temperature starts around the typical per-move change and cools geometrically to ~0.1% of it
+    const t0 = Math.max(1, costBefore / Math.max(1, n) * 0.5);
+    const tEnd = t0 * 0.001;
+    const iterations = Math.max(100, opts.iterations | 0);
+    const progressEvery = Math.max(1, Math.floor(iterations / 50));
+
+    for (let it = 0; it < iterations; it++) {
+        const temp = t0 * Math.pow(tEnd / t0, it / iterations);
+        const r = rand();
+        if (r < 0.35 && movable.length > 1) {
+            // Pairwise swap of centres (objects of different size keep their own footprint)
+            const a = movable[Math.floor(rand() * movable.length)];
+            let b = movable[Math.floor(rand() * movable.length)];
+            if (a === b) continue;
+            const ca = centre(a), cb = centre(b);
+            const pa = { x: cb.x - objects[a].width / 2, y: cb.y - objects[a].height / 2 };
+            const pb = { x: ca.x - objects[b].width / 2, y: ca.y - objects[b].height / 2 };
+            const before = objectCost(a) + objectCost(b) - pairWeight(adj, a, b) * dist(ca, cb);
+            const oldA = pos[a], oldB = pos[b];
+            pos[a] = pa; pos[b] = pb;
+            if (!valid(a, pa, b) || !valid(b, pb, a) || overlaps(rectAt(a, pa), rectAt(b, pb), opts.clearance)) { pos[a] = oldA; pos[b] = oldB; continue; }
+            const after = objectCost(a) + objectCost(b) - pairWeight(adj, a, b) * dist(centre(a), centre(b));
+            const delta = after - before;
+            if (delta <= 0 || rand() < Math.exp(-delta / temp)) cost += delta;
+            else { pos[a] = oldA; pos[b] = oldB; }
+        } else {
+            // Relocate one object: long jumps early, local nudges as the system cools
+            const i = movable[Math.floor(rand() * movable.length)];
+            let p;
+            if (r < 0.6) p = randomPosition(i);
+            else {
+                const step = Math.max(5, 200 * (temp / t0) + 5);
+                p = { x: pos[i].x + (rand() * 2 - 1) * step, y: pos[i].y + (rand() * 2 - 1) * step };
+            }
+            if (!p || !valid(i, p)) continue;
+            const before = objectCost(i);
+            const after = objectCost(i, p);
+            const delta = after - before;
+            if (delta <= 0 || rand() < Math.exp(-delta / temp)) { pos[i] = p; cost += delta; }
+        }
+        if (cost < best.cost - 1e-9) best = { cost, pos: pos.map(q => ({ ...q })) };
+        if (it % progressEvery === 0) onProgress(it / iterations, best.cost);
+    }
+
+    const positions = {};
+    let moved = 0;
+    best.pos.forEach((p, i) => {
+        if (objects[i].pinned) return;
+        if (Math.abs(p.x - objects[i].x) > 0.5 || Math.abs(p.y - objects[i].y) > 0.5) {
+            positions[objects[i].id] = { x: Math.round(p.x), y: Math.round(p.y) };
+            moved++;
+        }
+    });
+    onProgress(1, best.cost);
+    return { positions, costBefore, costAfter: best.cost, moved };
+}
+
+function pointInPolygon(pt, poly) {
+    let inside = false;
+    for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const a = poly[i], b = poly[j];
+        if ((a.y > pt.y) !== (b.y > pt.y) && pt.x < (b.x - a.x) * (pt.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+    }
+    return inside;
+}
+
+// True when segment a→b passes through the interior of rectangle r (Liang–Barsky clip)
+function segmentHitsRect(a, b, r) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    let t0 = 0, t1 = 1;
+    const edges = [[-dx, a.x - r.x], [dx, r.x + r.width - a.x], [-dy, a.y - r.y], [dy, r.y + r.height - a.y]];
+    for (const [p, q] of edges) {
+        if (p === 0) { if (q <= 0) return false; continue; }
+        const t = q / p;
+        if (p < 0) { if (t > t1) return false; if (t > t0) t0 = t; }
+        else { if (t < t0) return false; if (t < t1) t1 = t; }
+    }
+    return t1 > t0;
+}
+
+function pairWeight(adj, a, b) {
+    let w = 0;
+    for (const [j, wt] of adj[a]) if (j === b) w += wt;
+    return w;
+}